@@ -1,4 +1,5 @@
 import { Toaster } from "@/components/ui/toaster"
+import { Toaster as SonnerToaster } from "@/components/ui/sonner"
 import { QueryClientProvider } from '@tanstack/react-query'
 import { queryClientInstance } from '@/lib/query-client'
 import NavigationTracker from '@/lib/NavigationTracker'
@@ -6,6 +7,10 @@ import { pagesConfig } from './pages.config'
 import { BrowserRouter as Router, Route, Routes } from 'react-router-dom';
 import PageNotFound from './lib/PageNotFound';
 import { AuthProvider, useAuth } from '@/lib/AuthContext';
+import { LiveDataProvider } from '@/lib/LiveDataContext';
+import { SettingsProvider } from '@/lib/SettingsContext';
+import { SiteProvider } from '@/lib/SiteContext';
+import { CommandPaletteProvider } from '@/lib/CommandPaletteContext';
 import UserNotRegisteredError from '@/components/UserNotRegisteredError';
 
 const { Pages, Layout, mainPage } = pagesConfig;
@@ -70,10 +75,20 @@ function App() {
     <AuthProvider>
       <QueryClientProvider client={queryClientInstance}>
         <Router>
-          <NavigationTracker />
-          <AuthenticatedApp />
+          <SiteProvider>
+            <SettingsProvider>
+              <LiveDataProvider>
+                <CommandPaletteProvider>
+                  <NavigationTracker />
+                  <AuthenticatedApp />
+                </CommandPaletteProvider>
+              </LiveDataProvider>
+            </SettingsProvider>
+          </SiteProvider>
         </Router>
         <Toaster />
+        {/* Most notifications go through sonner's toast(); the app is dark-only */}
+        <SonnerToaster theme="dark" />
       </QueryClientProvider>
     </AuthProvider>
   )
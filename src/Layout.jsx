@@ -1,7 +1,13 @@
+import CommandPalette from '@/components/search/CommandPalette';
+import { useSensorCommandWatcher } from '@/hooks/use-sensor-commands';
+
 export default function Layout({ children }) {
+  useSensorCommandWatcher();
+
   return (
     <div className="min-h-screen bg-slate-950">
       {children}
+      <CommandPalette />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,98 @@
+import { base44 } from './base44Client';
+import { loadReplaySources } from '@/lib/telemetry-replay';
+import { startDeviceSimulator } from '@/lib/device-simulator';
+
+// Where entity data comes from. Normally the base44 entities; with
+// ?telemetry_replay=<url> (or VITE_TELEMETRY_REPLAY_URL) a recorded telemetry
+// file is replayed locally instead, at ?telemetry_speed=<n> times real time,
+// and anything the app writes during a replay stays in that local copy.
+const params = new URLSearchParams(window.location.search);
+const replayUrl = params.get('telemetry_replay') || import.meta.env.VITE_TELEMETRY_REPLAY_URL;
+const replaySpeed = parseFloat(params.get('telemetry_speed')) || 1;
+
+const replay = replayUrl ? loadReplaySources(replayUrl, { speed: replaySpeed }) : null;
+
+export const isTelemetryReplay = Boolean(replay);
+
+export const entitySource = (name) => (replay ? replay(name) : base44.entities[name]);
+
+// With ?device_simulator (or VITE_DEVICE_SIMULATOR=true) a local simulated
+// gateway answers SensorCommand records instead of the real devices.
+export const isDeviceSimulator = params.has('device_simulator') || import.meta.env.VITE_DEVICE_SIMULATOR === 'true';
+
+if (isDeviceSimulator) startDeviceSimulator(entitySource);
+
+// A request without a limit only returns the API's default page (50 rows), so
+// whole lists are read a page at a time until a short page comes back. Past
+// MAX_LIST_RECORDS a list is cut off and remembered as truncated.
+const LIST_PAGE_SIZE = 1000;
+export const MAX_LIST_RECORDS = 20000;
+
+const truncatedLists = new Set();
+const listKey = (name, query) => `${name}:${JSON.stringify(query)}`;
+
+// Every record of an entity matching query, oldest first unless sort says otherwise
+export async function listAll(name, query = {}, sort = 'created_date') {
+  const source = entitySource(name);
+  const key = listKey(name, query);
+  const records = [];
+  for (;;) {
+    const page = await source.filter(query, sort, LIST_PAGE_SIZE, records.length);
+    records.push(...page);
+    if (page.length < LIST_PAGE_SIZE) {
+      truncatedLists.delete(key);
+      return records;
+    }
+    if (records.length >= MAX_LIST_RECORDS) {
+      truncatedLists.add(key);
+      return records;
+    }
+  }
+}
+
+// Whether the last listAll for this entity and query stopped at MAX_LIST_RECORDS
+export const isListTruncated = (name, query = {}) => truncatedLists.has(listKey(name, query));
+
+// The entity query for one site's records, or for every site without one
+export const siteQuery = (siteId) => (siteId ? { site_id: siteId } : {});
+
+// The same source limited to one site's records. Lists and filters go
+// through the entity filter; realtime events for other sites are dropped, and
+// partial updates (no site_id) only pass for records this source has listed.
+// Created records are stamped with the site. Without a site nothing is
+// scoped. list() without a limit reads the whole list (see listAll).
+
+export function siteEntitySource(name, siteId) {
+  const source = entitySource(name);
+  const scope = siteQuery(siteId);
+  const list = (sort, limit) => (limit ? source.filter(scope, sort, limit) : listAll(name, scope, sort));
+  if (!siteId) {
+    return {
+      list,
+      filter: (query, sort, limit) => source.filter(query, sort, limit),
+      create: (data) => source.create(data),
+      update: (id, data) => source.update(id, data),
+      ...(typeof source.subscribe === 'function' && { subscribe: (callback) => source.subscribe(callback) }),
+    };
+  }
+
+  const known = new Set();
+  const remember = (records) => {
+    records.forEach(record => known.add(record.id));
+    return records;
+  };
+
+  return {
+    list: async (sort, limit) => remember(await list(sort, limit)),
+    filter: (query, sort, limit) => source.filter({ ...query, site_id: siteId }, sort, limit),
+    create: (data) => source.create({ ...data, site_id: siteId }),
+    update: (id, data) => source.update(id, data),
+    ...(typeof source.subscribe === 'function' && {
+      subscribe: (callback) => source.subscribe((event) => {
+        const site = event?.data?.site_id;
+        if (site === siteId) known.add(event.id);
+        if (site === siteId || (site === undefined && known.has(event.id))) callback(event);
+      }),
+    }),
+  };
+}
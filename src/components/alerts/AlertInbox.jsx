@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import { X, Bell, BellOff, CheckCircle, Clock, User, MessageSquare, Wrench, Eye, Crosshair } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { format, formatDistanceToNow } from 'date-fns';
+import {
+  ALERT_STATES,
+  RESOLUTION_REASONS,
+  SNOOZE_OPTIONS,
+  canTransition,
+  isOpen,
+  isSnoozed,
+} from './alertLifecycle';
+import { SEVERITY_RANK } from '../dashboard/alertEngine';
+
+const TABS = [
+  { id: 'outstanding', label: 'Outstanding', match: (r, now) => isOpen(r) && !isSnoozed(r, now) },
+  { id: 'snoozed', label: 'Snoozed', match: (r, now) => isOpen(r) && isSnoozed(r, now) },
+  { id: 'resolved', label: 'Resolved', match: (r) => !isOpen(r) },
+];
+
+const sortRecords = (records) => [...records].sort((a, b) =>
+  ((SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0)) ||
+  (Date.parse(b.raised_at) - Date.parse(a.raised_at))
+);
+
+const formatStamp = (iso) => (iso ? format(new Date(iso), 'MMM d, HH:mm') : '—');
+
+function StateBadge({ state }) {
+  const config = ALERT_STATES[state] || ALERT_STATES.active;
+  return (
+    <span className={`px-2 py-0.5 rounded-full border text-[10px] font-semibold uppercase tracking-wide ${config.bg} ${config.border} ${config.color}`}>
+      {config.label}
+    </span>
+  );
+}
+
+function AlertDetail({ record, onAction, onLocate }) {
+  const [assignee, setAssignee] = useState(record.assignee || '');
+  const [note, setNote] = useState('');
+  const [reason, setReason] = useState(RESOLUTION_REASONS[0]);
+
+  useEffect(() => {
+    setAssignee(record.assignee || '');
+  }, [record.assignee]);
+
+  const saveAssignee = () => {
+    if ((record.assignee || '') !== assignee.trim()) onAction(record, 'assign', { assignee: assignee.trim() });
+  };
+
+  const addNote = () => {
+    if (!note.trim()) return;
+    onAction(record, 'note', { text: note.trim() });
+    setNote('');
+  };
+
+  const open = isOpen(record);
+
+  return (
+    <div className="mt-3 pt-3 border-t border-slate-700/50 space-y-4" onClick={(e) => e.stopPropagation()}>
+      {/* Timeline */}
+      <div className="grid grid-cols-2 gap-2 text-xs">
+        <div>
+          <p className="text-slate-500">Raised</p>
+          <p className="text-slate-200">{formatStamp(record.raised_at)}</p>
+        </div>
+        <div>
+          <p className="text-slate-500">Acknowledged</p>
+          <p className="text-slate-200">
+            {formatStamp(record.acknowledged_at)}
+            {record.acknowledged_by && <span className="text-slate-500"> by {record.acknowledged_by}</span>}
+          </p>
+        </div>
+        {record.condition_cleared_at && (
+          <div>
+            <p className="text-slate-500">Readings normal since</p>
+            <p className="text-green-400">{formatStamp(record.condition_cleared_at)}</p>
+          </div>
+        )}
+        {!open && (
+          <div>
+            <p className="text-slate-500">Resolved</p>
+            <p className="text-slate-200">
+              {formatStamp(record.resolved_at)}
+              {record.resolved_by && <span className="text-slate-500"> by {record.resolved_by}</span>}
+            </p>
+          </div>
+        )}
+        {!open && (
+          <div className="col-span-2">
+            <p className="text-slate-500">Resolution</p>
+            <p className="text-slate-200">{record.resolution_reason}</p>
+          </div>
+        )}
+      </div>
+
+      {/* Assignee */}
+      {open && (
+        <div>
+          <label className="text-slate-500 text-xs flex items-center gap-1 mb-1">
+            <User className="w-3 h-3" /> Assignee
+          </label>
+          <input
+            value={assignee}
+            onChange={(e) => setAssignee(e.target.value)}
+            onBlur={saveAssignee}
+            onKeyDown={(e) => e.key === 'Enter' && saveAssignee()}
+            placeholder="name@company.com"
+            className="w-full bg-slate-900/60 border border-slate-600 rounded-lg px-3 py-1.5 text-sm text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500"
+          />
+        </div>
+      )}
+
+      {/* Notes */}
+      <div>
+        <p className="text-slate-500 text-xs flex items-center gap-1 mb-1">
+          <MessageSquare className="w-3 h-3" /> Notes
+        </p>
+        <div className="space-y-2 mb-2">
+          {(record.notes || []).length === 0 && <p className="text-slate-600 text-xs">No notes yet</p>}
+          {(record.notes || []).map((n, idx) => (
+            <div key={idx} className="bg-slate-900/50 rounded-lg px-3 py-2">
+              <p className="text-slate-200 text-sm whitespace-pre-wrap">{n.text}</p>
+              <p className="text-slate-500 text-[10px] mt-1">{n.author || 'Unknown'} • {formatStamp(n.created_at)}</p>
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addNote()}
+            placeholder="Add a note…"
+            className="flex-1 bg-slate-900/60 border border-slate-600 rounded-lg px-3 py-1.5 text-sm text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500"
+          />
+          <button
+            onClick={addNote}
+            disabled={!note.trim()}
+            className="px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white text-sm"
+          >
+            Add
+          </button>
+        </div>
+      </div>
+
+      {onLocate && record.sensor_id && (
+        <button
+          onClick={() => onLocate(record)}
+          className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 text-xs"
+        >
+          <Crosshair className="w-3.5 h-3.5" /> Show in 3D
+        </button>
+      )}
+
+      {/* Actions */}
+      {open && (
+        <div className="space-y-2">
+          <div className="flex flex-wrap gap-2">
+            {canTransition(record, 'acknowledged') && (
+              <button
+                onClick={() => onAction(record, 'acknowledge')}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-yellow-600/80 hover:bg-yellow-600 text-white text-xs font-medium"
+              >
+                <Eye className="w-3.5 h-3.5" /> Acknowledge
+              </button>
+            )}
+            {canTransition(record, 'in_progress') && (
+              <button
+                onClick={() => onAction(record, 'start')}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-xs font-medium"
+              >
+                <Wrench className="w-3.5 h-3.5" /> Start Work
+              </button>
+            )}
+            {isSnoozed(record) ? (
+              <button
+                onClick={() => onAction(record, 'unsnooze')}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-white text-xs font-medium"
+              >
+                <Bell className="w-3.5 h-3.5" /> Unsnooze
+              </button>
+            ) : (
+              SNOOZE_OPTIONS.map(option => (
+                <button
+                  key={option.hours}
+                  onClick={() => onAction(record, 'snooze', { hours: option.hours })}
+                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 text-xs"
+                >
+                  <BellOff className="w-3.5 h-3.5" /> {option.label}
+                </button>
+              ))
+            )}
+          </div>
+          <div className="flex gap-2">
+            <select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="flex-1 bg-slate-900/60 border border-slate-600 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:border-blue-500"
+            >
+              {RESOLUTION_REASONS.map(r => <option key={r} value={r}>{r}</option>)}
+            </select>
+            <button
+              onClick={() => onAction(record, 'resolve', { reason })}
+              className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-green-600 hover:bg-green-700 text-white text-xs font-medium"
+            >
+              <CheckCircle className="w-3.5 h-3.5" /> Resolve
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function AlertInbox({ open, records = [], focusId, onClose, onAction, onLocate = null }) {
+  const [tab, setTab] = useState('outstanding');
+  const [expandedId, setExpandedId] = useState(null);
+  const now = new Date();
+
+  // Opening on a specific alert jumps to its tab
+  useEffect(() => {
+    if (!open || !focusId) return;
+    const record = records.find(r => r.id === focusId);
+    if (!record) return;
+    setTab(TABS.find(t => t.match(record, new Date()))?.id || 'outstanding');
+    setExpandedId(focusId);
+  }, [open, focusId]);
+
+  const activeTab = TABS.find(t => t.id === tab);
+  const visible = sortRecords(records.filter(r => activeTab.match(r, now)));
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ x: 480 }}
+            animate={{ x: 0 }}
+            exit={{ x: 480 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 200 }}
+            className="absolute top-0 right-0 h-full w-full max-w-md bg-slate-800 border-l border-slate-600/50 shadow-2xl flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+            role="dialog"
+            aria-modal="true"
+          >
+            {/* Header */}
+            <div className="p-5 border-b border-slate-700/50">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                  <Bell className="w-5 h-5 text-blue-400" />
+                  <h2 className="text-lg font-semibold text-white">Alert Inbox</h2>
+                </div>
+                <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg transition-colors">
+                  <X className="w-5 h-5 text-slate-400" />
+                </button>
+              </div>
+              <div className="flex gap-1 bg-slate-900/50 rounded-lg p-1">
+                {TABS.map(t => {
+                  const count = records.filter(r => t.match(r, now)).length;
+                  return (
+                    <button
+                      key={t.id}
+                      onClick={() => setTab(t.id)}
+                      className={`flex-1 px-3 py-1.5 rounded-md text-xs font-medium transition-colors ${
+                        tab === t.id ? 'bg-slate-700 text-white' : 'text-slate-400 hover:text-white'
+                      }`}
+                    >
+                      {t.label} <span className="text-slate-500">{count}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Alerts */}
+            <div className="flex-1 overflow-y-auto p-4 space-y-2">
+              {visible.length === 0 && (
+                <p className="text-slate-500 text-sm text-center py-12">Nothing here</p>
+              )}
+              {visible.map(record => (
+                <div
+                  key={record.id}
+                  onClick={() => setExpandedId(expandedId === record.id ? null : record.id)}
+                  className={`rounded-lg p-3 border cursor-pointer transition-colors ${
+                    expandedId === record.id
+                      ? 'bg-slate-700/60 border-blue-500/50'
+                      : 'bg-slate-700/30 border-slate-600/50 hover:bg-slate-700/50'
+                  }`}
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="flex items-start gap-2 min-w-0">
+                      <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${
+                        record.severity === 'critical' ? 'bg-red-500' : 'bg-orange-500'
+                      }`} />
+                      <div className="min-w-0">
+                        <p className="text-white text-sm font-medium truncate">{record.title}</p>
+                        <p className="text-slate-400 text-xs truncate">{record.location_name}</p>
+                      </div>
+                    </div>
+                    <StateBadge state={record.state} />
+                  </div>
+                  <div className="flex items-center justify-between mt-2 text-xs text-slate-500">
+                    <span className="font-mono">{record.sensor_id} • {record.metric} {record.value}</span>
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-3 h-3" />
+                      {record.raised_at ? formatDistanceToNow(new Date(record.raised_at), { addSuffix: true }) : '—'}
+                    </span>
+                  </div>
+                  {(record.assignee || isSnoozed(record, now)) && (
+                    <div className="flex items-center gap-3 mt-1 text-xs text-slate-400">
+                      {record.assignee && <span className="flex items-center gap-1"><User className="w-3 h-3" />{record.assignee}</span>}
+                      {isSnoozed(record, now) && (
+                        <span className="flex items-center gap-1">
+                          <BellOff className="w-3 h-3" />until {format(new Date(record.snoozed_until), 'HH:mm')}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {expandedId === record.id && <AlertDetail record={record} onAction={onAction} onLocate={onLocate} />}
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,192 @@
+import { SEVERITY_RANK } from '../dashboard/alertEngine';
+
+// Persisted alerts live in the Alert entity — one record per raised alert:
+//   alert_key          string  engine alert id (alert-<sensor_id>)
+//   sensor_id, panel_id, sensor_type
+//   severity           'warning' | 'critical'
+//   title, location_name, metric, value
+//   state              'active' | 'acknowledged' | 'in_progress' | 'resolved'
+//   assignee           string  email of the person working it
+//   snoozed_until      string  ISO timestamp; hidden from the badge until then
+//   notes              [{ author, text, created_at }]
+//   resolution_reason  string  one of RESOLUTION_REASONS
+//   raised_at, acknowledged_at, acknowledged_by, resolved_at, resolved_by
+//   condition_cleared_at  string  when the readings went back to normal
+
+export const ALERT_STATES = {
+  active: { label: 'Active', color: 'text-red-400', bg: 'bg-red-500/20', border: 'border-red-500/30' },
+  acknowledged: { label: 'Acknowledged', color: 'text-yellow-400', bg: 'bg-yellow-500/20', border: 'border-yellow-500/30' },
+  in_progress: { label: 'In Progress', color: 'text-blue-400', bg: 'bg-blue-500/20', border: 'border-blue-500/30' },
+  resolved: { label: 'Resolved', color: 'text-green-400', bg: 'bg-green-500/20', border: 'border-green-500/30' },
+};
+
+// Allowed next states from each state
+const TRANSITIONS = {
+  active: ['acknowledged', 'in_progress', 'resolved'],
+  acknowledged: ['in_progress', 'resolved'],
+  in_progress: ['resolved'],
+  resolved: [],
+};
+
+export const RESOLUTION_REASONS = [
+  'Repaired',
+  'Condition cleared',
+  'False alarm',
+  'Sensor fault',
+  'Duplicate',
+  'Accepted risk',
+];
+
+export const SNOOZE_OPTIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '4 hours', hours: 4 },
+  { label: '24 hours', hours: 24 },
+];
+
+export const canTransition = (record, state) => TRANSITIONS[record.state]?.includes(state) ?? false;
+
+export const isOpen = (record) => record.state !== 'resolved';
+
+export const isSnoozed = (record, now = new Date()) =>
+  Boolean(record.snoozed_until) && Date.parse(record.snoozed_until) > now.getTime();
+
+// Open and not snoozed — what the bell badge counts
+export const isOutstanding = (record, now = new Date()) => isOpen(record) && !isSnoozed(record, now);
+
+/**
+ * Patch for a lifecycle action on a record.
+ *
+ * action: 'acknowledge' | 'start' | 'resolve' | 'snooze' | 'unsnooze' | 'assign' | 'note'
+ * Throws when the action is not allowed from the record's current state.
+ */
+export function alertActionPatch(record, action, options) {
+  const { user, reason, hours, assignee, text, now = new Date() } = options || {};
+  const stamp = now.toISOString();
+  const by = user?.email || null;
+  const toState = { acknowledge: 'acknowledged', start: 'in_progress', resolve: 'resolved' }[action];
+
+  if (toState && !canTransition(record, toState)) {
+    throw new Error(`Cannot ${action} an alert that is ${ALERT_STATES[record.state]?.label.toLowerCase() || record.state}`);
+  }
+
+  switch (action) {
+    case 'acknowledge':
+      return { state: 'acknowledged', acknowledged_at: stamp, acknowledged_by: by };
+    case 'start':
+      return {
+        state: 'in_progress',
+        assignee: record.assignee || by,
+        ...(record.acknowledged_at ? {} : { acknowledged_at: stamp, acknowledged_by: by }),
+      };
+    case 'resolve':
+      return {
+        state: 'resolved',
+        resolution_reason: reason || RESOLUTION_REASONS[0],
+        resolved_at: stamp,
+        resolved_by: by,
+        snoozed_until: null,
+      };
+    case 'snooze':
+      return { snoozed_until: new Date(now.getTime() + hours * 3600000).toISOString() };
+    case 'unsnooze':
+      return { snoozed_until: null };
+    case 'assign':
+      return { assignee: assignee || null };
+    case 'note':
+      return { notes: [...(record.notes || []), { author: by, text, created_at: stamp }] };
+    default:
+      throw new Error(`Unknown alert action: ${action}`);
+  }
+}
+
+const raisedTime = (record) => Date.parse(record.raised_at || record.created_date);
+
+// Latest record for each alert key
+export function latestRecordsByKey(records = []) {
+  const byKey = new Map();
+  records.forEach((record) => {
+    const existing = byKey.get(record.alert_key);
+    if (!existing || raisedTime(record) >= raisedTime(existing)) {
+      byKey.set(record.alert_key, record);
+    }
+  });
+  return byKey;
+}
+
+/**
+ * Whether an engine alert at this severity needs a new record, given the
+ * latest stored record for its key. Decided from the stored record alone, so
+ * every tab and every reload agrees: a resolved record stays resolved while
+ * its condition persists, and only comes back once the readings cleared in
+ * between or at a higher severity.
+ */
+export function needsNewRecord(record, severity) {
+  if (!record) return true;
+  if (isOpen(record)) return false;
+  return Boolean(record.condition_cleared_at)
+    || (SEVERITY_RANK[severity] || 0) > (SEVERITY_RANK[record.severity] || 0);
+}
+
+/**
+ * Work out which Alert records to create or update for the engine's current alerts.
+ *
+ * A new record is created when needsNewRecord says so for the latest record
+ * of the alert's key. Records the engine no longer reports are marked
+ * condition_cleared_at, and untouched (still active) ones are resolved
+ * automatically.
+ */
+export function planAlertSync(engineAlerts, records, now = new Date()) {
+  const stamp = now.toISOString();
+  const byKey = latestRecordsByKey(records);
+
+  const create = [];
+  const update = [];
+  const activeKeys = new Set();
+
+  engineAlerts.forEach((alert) => {
+    activeKeys.add(alert.id);
+    const record = byKey.get(alert.id);
+    const snapshot = {
+      severity: alert.severity,
+      title: alert.title,
+      value: alert.value,
+      location_name: alert.locationName,
+    };
+
+    if (record && isOpen(record)) {
+      // Readings move constantly; only a severity change is worth a write
+      const changed = record.severity !== alert.severity || record.title !== alert.title;
+      if (changed || record.condition_cleared_at) {
+        update.push({ id: record.id, data: { ...snapshot, condition_cleared_at: null } });
+      }
+      return;
+    }
+
+    if (!needsNewRecord(record, alert.severity)) return;
+
+    create.push({
+      ...snapshot,
+      alert_key: alert.id,
+      sensor_id: alert.sensorId,
+      panel_id: alert.panelId,
+      sensor_type: alert.type,
+      metric: alert.metric,
+      state: 'active',
+      notes: [],
+      raised_at: new Date(alert.raisedAt).toISOString(),
+    });
+  });
+
+  byKey.forEach((record) => {
+    if (activeKeys.has(record.alert_key) || record.condition_cleared_at) return;
+    // Resolved records are marked too, so the alert can come back when it re-raises
+    update.push({
+      id: record.id,
+      data: record.state === 'active'
+        ? { condition_cleared_at: stamp, state: 'resolved', resolution_reason: 'Condition cleared', resolved_at: stamp, resolved_by: null }
+        : { condition_cleared_at: stamp },
+    });
+  });
+
+  return { create, update };
+}
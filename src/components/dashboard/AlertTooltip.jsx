@@ -1,15 +1,20 @@
 import React from 'react';
-import { Droplets, Flame, X } from 'lucide-react';
+import { Droplets, Flame, Gauge, Activity, Wind, AlertTriangle, X, Eye, Wrench, BellOff, Inbox } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { formatDistanceToNow } from 'date-fns';
+import { ALERT_STATES, canTransition, isSnoozed } from '../alerts/alertLifecycle';
 
-export default function AlertTooltip({ alert, position, onClose }) {
-  if (!alert) return null;
-  
-  const isMoisture = alert.type === 'moisture';
-  const isCritical = alert.severity === 'critical';
-  
-  const config = isMoisture ? {
-    icon: Droplets,
+const TYPE_ICONS = {
+  moisture: Droplets,
+  temperature: Flame,
+  stress: Gauge,
+  vibration: Activity,
+  air_quality: Wind,
+  smoke: Flame
+};
+
+const SEVERITY_CONFIG = {
+  critical: {
     label: 'CRITICAL ALERT',
     labelBg: 'bg-red-500/20',
     labelColor: 'text-red-400',
@@ -17,19 +22,27 @@ export default function AlertTooltip({ alert, position, onClose }) {
     barBg: 'bg-red-500/30',
     barFill: 'bg-red-500',
     valueColor: 'text-red-400'
-  } : {
-    icon: Flame,
-    label: 'HIGH TEMP',
+  },
+  warning: {
+    label: 'WARNING',
     labelBg: 'bg-orange-500/20',
     labelColor: 'text-orange-400',
     iconColor: 'text-orange-400',
     barBg: 'bg-orange-500/30',
     barFill: 'bg-orange-500',
     valueColor: 'text-orange-400'
-  };
-  
-  const Icon = config.icon;
-  const percentage = isMoisture ? 88.4 : 75; // For visual bar
+  }
+};
+
+export default function AlertTooltip({ alert, position, onClose, onAction, onOpenInbox }) {
+  if (!alert) return null;
+
+  const config = SEVERITY_CONFIG[alert.severity] || SEVERITY_CONFIG.warning;
+  const Icon = TYPE_ICONS[alert.type] || AlertTriangle;
+  // Bar fills toward the critical threshold
+  const percentage = Math.min(100, Math.max(0, (alert.reading / alert.criticalThreshold) * 100));
+  const record = alert.record;
+  const recordState = record && ALERT_STATES[record.state];
 
   return (
     <AnimatePresence>
@@ -68,6 +81,9 @@ export default function AlertTooltip({ alert, position, onClose }) {
             <p className="text-slate-400 text-xs mt-0.5">
               {alert.locationName}
             </p>
+            <p className="text-slate-500 text-xs mt-0.5">
+              {alert.sensorId} • raised {formatDistanceToNow(alert.raisedAt, { addSuffix: true })}
+            </p>
           </div>
           
           {/* Metric */}
@@ -90,7 +106,58 @@ export default function AlertTooltip({ alert, position, onClose }) {
                 transition={{ duration: 0.5, ease: "easeOut" }}
               />
             </div>
+            <div className="flex justify-between mt-1 text-[10px] text-slate-500 font-mono">
+              <span>threshold {alert.threshold} {alert.unit}</span>
+              <span>critical {alert.criticalThreshold} {alert.unit}</span>
+            </div>
           </div>
+
+          {/* Lifecycle */}
+          {record && (
+            <div className="px-3 pb-3">
+              <div className="flex items-center justify-between mb-2 text-xs">
+                <span className={`font-semibold ${recordState.color}`}>
+                  {recordState.label}
+                  {isSnoozed(record) && <span className="text-slate-500 font-normal"> · snoozed</span>}
+                </span>
+                {record.assignee && <span className="text-slate-400 truncate ml-2">{record.assignee}</span>}
+              </div>
+              <div className="flex gap-1.5">
+                {canTransition(record, 'acknowledged') && (
+                  <button
+                    onClick={() => onAction(record, 'acknowledge')}
+                    className="flex-1 flex items-center justify-center gap-1 px-2 py-1 rounded-md bg-yellow-600/80 hover:bg-yellow-600 text-white text-xs"
+                  >
+                    <Eye className="w-3 h-3" /> Ack
+                  </button>
+                )}
+                {canTransition(record, 'in_progress') && (
+                  <button
+                    onClick={() => onAction(record, 'start')}
+                    className="flex-1 flex items-center justify-center gap-1 px-2 py-1 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-xs"
+                  >
+                    <Wrench className="w-3 h-3" /> Start
+                  </button>
+                )}
+                {!isSnoozed(record) && record.state !== 'resolved' && (
+                  <button
+                    onClick={() => onAction(record, 'snooze', { hours: 1 })}
+                    className="flex-1 flex items-center justify-center gap-1 px-2 py-1 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-200 text-xs"
+                    title="Snooze for 1 hour"
+                  >
+                    <BellOff className="w-3 h-3" /> 1h
+                  </button>
+                )}
+                <button
+                  onClick={() => onOpenInbox(record)}
+                  className="flex-1 flex items-center justify-center gap-1 px-2 py-1 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-200 text-xs"
+                  title="Assign, add notes or resolve"
+                >
+                  <Inbox className="w-3 h-3" /> More
+                </button>
+              </div>
+            </div>
+          )}
           
           {/* Connector Line */}
           <div className="absolute left-1/2 bottom-0 transform -translate-x-1/2 translate-y-full">
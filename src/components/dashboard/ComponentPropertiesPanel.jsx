@@ -1,23 +1,11 @@
 import React from 'react';
-import { X, Info, Ruler, MapPin, Layers, Activity } from 'lucide-react';
+import { X, Info, Ruler, MapPin, Layers, Activity, FileText } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { getTypeColor } from './sceneTree';
 
 export default function ComponentPropertiesPanel({ component, onClose }) {
   if (!component) return null;
 
-  const getTypeColor = (type) => {
-    const colors = {
-      'Floor Beam': 'bg-blue-500/20 text-blue-400 border-blue-500/30',
-      'Wall Stud': 'bg-purple-500/20 text-purple-400 border-purple-500/30',
-      'Top Plate': 'bg-green-500/20 text-green-400 border-green-500/30',
-      'Roof Rafter': 'bg-orange-500/20 text-orange-400 border-orange-500/30',
-      'Floor Joist': 'bg-cyan-500/20 text-cyan-400 border-cyan-500/30',
-      'Ridge Beam': 'bg-pink-500/20 text-pink-400 border-pink-500/30',
-      'Interior Stud': 'bg-indigo-500/20 text-indigo-400 border-indigo-500/30',
-    };
-    return colors[type] || 'bg-slate-500/20 text-slate-400 border-slate-500/30';
-  };
-
   const getStatusColor = (status) => {
     const colors = {
       'Good': 'text-green-400',
@@ -131,6 +119,20 @@ export default function ComponentPropertiesPanel({ component, onClose }) {
                 <span className="text-slate-400 text-sm">Sensors Attached</span>
                 <span className="text-white text-sm font-medium">{component.sensors}</span>
               </div>
+              {typeof component.utilization === 'number' && (
+                <div className="flex justify-between items-center py-2 border-b border-slate-700/50">
+                  <span className="text-slate-400 text-sm">Load Utilization</span>
+                  <span className="text-white text-sm font-mono">
+                    {(component.utilization * 100).toFixed(2)}%
+                  </span>
+                </div>
+              )}
+              {typeof component.thermalValue === 'number' && (
+                <div className="flex justify-between items-center py-2 border-b border-slate-700/50">
+                  <span className="text-slate-400 text-sm">Interpolated Temp</span>
+                  <span className="text-white text-sm font-mono">{component.thermalValue.toFixed(1)}</span>
+                </div>
+              )}
               <div className="flex justify-between items-center py-2 border-b border-slate-700/50">
                 <span className="text-slate-400 text-sm">Last Inspection</span>
                 <span className="text-white text-sm">{component.lastInspection}</span>
@@ -158,6 +160,24 @@ export default function ComponentPropertiesPanel({ component, onClose }) {
               </div>
             </div>
           )}
+
+          {/* Source Properties (imported models) */}
+          {component.sourceProperties && Object.keys(component.sourceProperties).length > 0 && (
+            <div>
+              <h4 className="text-slate-300 text-xs font-semibold uppercase tracking-wider mb-3 flex items-center gap-2">
+                <FileText className="w-3.5 h-3.5" />
+                Source Properties
+              </h4>
+              <div className="space-y-1">
+                {Object.entries(component.sourceProperties).map(([key, value]) => (
+                  <div key={key} className="flex justify-between gap-3 py-1 border-b border-slate-700/50 text-xs">
+                    <span className="text-slate-400 break-all">{key}</span>
+                    <span className="text-white font-mono text-right break-all">{`${value}`}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Footer */}
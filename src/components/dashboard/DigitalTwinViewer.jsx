@@ -1,739 +1,108 @@
-import React, { useRef, useState, useEffect } from 'react';
+import React, { useRef, useState, useEffect, useMemo, useImperativeHandle } from 'react';
 import * as THREE from 'three';
 import { motion } from 'framer-motion';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
 import AlertTooltip from './AlertTooltip';
 import ViewControls from './ViewControls';
 import ComponentPropertiesPanel from './ComponentPropertiesPanel';
+import ThermalLegend from './ThermalLegend';
+import StressRankingPanel from './StressRankingPanel';
+import LiveStreamStatus from './LiveStreamStatus';
+import SceneTreePanel from './SceneTreePanel';
+import {
+  DEFAULT_THERMAL_SCALE,
+  getTemperatureSamples,
+  getReadingRange,
+  applyThermalView,
+} from './thermalMap';
+import { getLoadSamples, computeUtilization, applyStressView } from './stressMap';
+import { clearOverlays, setModelPresentation } from './viewOverlay';
+import {
+  DEFAULT_SECTION,
+  applySectionView,
+  clearSectionView,
+  firstVisibleHit,
+  getAvailableLayers,
+  getStoreys,
+} from './sectionView';
+import {
+  EMPTY_TREE_VISIBILITY,
+  applyTreeVisibility,
+  describeComponents,
+  toggleGroup,
+  toggleIsolate,
+} from './sceneTree';
+import { createBuilding } from './buildingGeometry';
+import { loadModelFile } from './modelImport';
+import { exportSceneToGlb } from './sceneExport';
+import { createPlacementMarker, movePlacementMarker, panelPlacement, surfacePlacement } from './sensorPlacement';
+import {
+  DEFAULT_POSITION,
+  DEFAULT_TARGET,
+  createFlight,
+  framePose,
+  overviewPose,
+  stationPose,
+  stepFlight,
+} from './cameraFocus';
+import {
+  attachTwistRotate,
+  bookmarkPose,
+  cameraKeyAction,
+  createBookmark,
+  createCameraControls,
+  dollyBy,
+  orbitBy,
+  panBy,
+} from './cameraControls';
+import { useLiveConnection } from '@/lib/LiveDataContext';
+import { downloadFile } from '@/lib/utils';
+import { useCameraBookmarks } from '@/hooks/use-camera-bookmarks';
+import { useCommandPalette } from '@/lib/CommandPaletteContext';
 import PanelDetailView from '../panels/PanelDetailView';
 import SensorActionModal from '../sensors/SensorActionModal';
-
-// Residential steel-frame house generator — multi-section with curved wing
-function createWarehouse() {
-  const group = new THREE.Group();
-  const components = [];
-
-  // ── Materials ──────────────────────────────────────────────────────
-  const framingMat = new THREE.MeshStandardMaterial({
-    color: 0x4a5568,
-    metalness: 0.55,
-    roughness: 0.55,
-  });
-
-  const heavyFramingMat = new THREE.MeshStandardMaterial({
-    color: 0x3d4a5c,
-    metalness: 0.6,
-    roughness: 0.5,
-  });
-
-  const wallPanelMat = new THREE.MeshStandardMaterial({
-    color: 0x3a4a5a,
-    transparent: true,
-    opacity: 0.08,
-    side: THREE.DoubleSide,
-  });
-
-  const roofPanelMat = new THREE.MeshStandardMaterial({
-    color: 0x2a3a4a,
-    transparent: true,
-    opacity: 0.1,
-    side: THREE.DoubleSide,
-  });
-
-  const floorMat = new THREE.MeshStandardMaterial({
-    color: 0x353f4f,
-    roughness: 0.9,
-    metalness: 0.1,
-  });
-
-  const edgeLineMat = new THREE.LineBasicMaterial({
-    color: 0x6a7a8a,
-    transparent: true,
-    opacity: 0.5,
-  });
-
-  // ── Dimensions — Main Section ──────────────────────────────────────
-  const W = 14;          // main section width (X)
-  const D = 16;          // main section depth (Z)
-  const eaveH = 5.2;     // wall height
-  const ridgeH = 3.2;    // gable rise
-  const apexH = eaveH + ridgeH;
-  const bay = 2;
-  const bS = 0.08;       // steel member cross-section
-  const studS = 0.05;    // stud cross-section
-  const studSpacing = 0.45;
-
-  // ── Dimensions — Curved Wing ───────────────────────────────────────
-  const curveCenter = [W / 2, 0, 0];         // arc center at right wall midpoint
-  const curveRadius = 7;
-  const curveStartAngle = -Math.PI * 0.4;
-  const curveEndAngle = Math.PI * 0.4;
-  const curveSegments = 28;
-  const curveHeight = 4.8;
-  const curveRoofRise = 2.0;
-
-  // ── Dimensions — Second Floor ──────────────────────────────────────
-  const floorTwoH = 2.8;
-
-  // ── Helpers ───────────────────────────────────────────────────────
-  const componentData = (type, dims, weight, loadRating) => ({
-    dimensions: dims,
-    weight,
-    loadRating,
-    status: 'Good',
-    sensors: type === 'Structural Column' ? 2 : 1,
-    lastInspection: '2024-12-15',
-    installDate: '2024-03-10',
-    readings: [
-      { label: 'Stress', value: `${(0.5 + Math.random() * 0.8).toFixed(2)} kN` },
-      { label: 'Temp', value: `${Math.round(65 + Math.random() * 8)}°F` },
-    ],
-  });
-
-  let _id = 0;
-  const nextId = (prefix) => `${prefix}-${++_id}`;
-
-  const addFraming = (geo, mat, pos, type, id, data, rot = null) => {
-    const mesh = new THREE.Mesh(geo, mat);
-    mesh.position.set(pos[0], pos[1], pos[2]);
-    if (rot) mesh.rotation.set(rot[0] || 0, rot[1] || 0, rot[2] || 0);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    mesh.userData = {
-      id,
-      type,
-      material: 'Steel Framing',
-      position: { x: pos[0], y: pos[1], z: pos[2] },
-      selectable: true,
-      ...data,
-    };
-    group.add(mesh);
-    components.push(mesh);
-    const edges = new THREE.EdgesGeometry(geo, 20);
-    const line = new THREE.LineSegments(edges, edgeLineMat);
-    mesh.add(line);
-    return mesh;
-  };
-
-  const addDecor = (geo, mat, pos, rot) => {
-    const mesh = new THREE.Mesh(geo, mat);
-    mesh.position.set(pos[0], pos[1], pos[2]);
-    if (rot) mesh.rotation.set(rot[0] || 0, rot[1] || 0, rot[2] || 0);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    group.add(mesh);
-    return mesh;
-  };
-
-  const addSilentFraming = (geo, mat, pos, rot) => {
-    const mesh = new THREE.Mesh(geo, mat);
-    mesh.position.set(pos[0], pos[1], pos[2]);
-    if (rot) mesh.rotation.set(rot[0] || 0, rot[1] || 0, rot[2] || 0);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    group.add(mesh);
-    const edges = new THREE.EdgesGeometry(geo, 20);
-    mesh.add(new THREE.LineSegments(edges, edgeLineMat));
-    return mesh;
-  };
-
-  const makeQuadGeo = (a, b, c, d) => {
-    const geo = new THREE.BufferGeometry();
-    const verts = new Float32Array([
-      a[0], a[1], a[2], b[0], b[1], b[2], c[0], c[1], c[2],
-      a[0], a[1], a[2], c[0], c[1], c[2], d[0], d[1], d[2],
-    ]);
-    geo.setAttribute('position', new THREE.BufferAttribute(verts, 3));
-    geo.computeVertexNormals();
-    return geo;
-  };
-
-  const makeTriGeo = (a, b, c) => {
-    const geo = new THREE.BufferGeometry();
-    const verts = new Float32Array([a[0], a[1], a[2], b[0], b[1], b[2], c[0], c[1], c[2]]);
-    geo.setAttribute('position', new THREE.BufferAttribute(verts, 3));
-    geo.computeVertexNormals();
-    return geo;
-  };
-
-  const addLine = (p1, p2, mat) => {
-    const geo = new THREE.BufferGeometry().setFromPoints([
-      new THREE.Vector3(p1[0], p1[1], p1[2]),
-      new THREE.Vector3(p2[0], p2[1], p2[2]),
-    ]);
-    group.add(new THREE.Line(geo, mat));
-  };
-
-  const addRod = (p1, p2, radius, mat) => {
-    const start = new THREE.Vector3(p1[0], p1[1], p1[2]);
-    const end = new THREE.Vector3(p2[0], p2[1], p2[2]);
-    const dir = new THREE.Vector3().subVectors(end, start);
-    const len = dir.length();
-    const mid = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
-    const geo = new THREE.CylinderGeometry(radius, radius, len, 6);
-    const mesh = new THREE.Mesh(geo, mat);
-    mesh.position.copy(mid);
-    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir.normalize());
-    mesh.castShadow = true;
-    group.add(mesh);
-    return mesh;
-  };
-
-  // Check if a stud at position along a wall should be skipped for an opening
-  const isInOpening = (pos, openings) => {
-    for (const op of openings) {
-      if (pos >= op.start - studS && pos <= op.end + studS) return op;
-    }
-    return null;
-  };
-
-  // Generate studs along a wall with openings
-  const buildWallStuds = (
-    wallAxis, fixedCoord, rangeStart, rangeEnd,
-    height, baseY, openings, isXAxis
-  ) => {
-    const studGeo = new THREE.BoxGeometry(
-      isXAxis ? studS : studS,
-      height,
-      isXAxis ? studS : studS
-    );
-    for (let p = rangeStart; p <= rangeEnd; p += studSpacing) {
-      const op = isInOpening(p, openings);
-      if (op) {
-        // Trimmer studs at opening edges
-        if (Math.abs(p - op.start) < studSpacing) {
-          const pos = isXAxis
-            ? [op.start - studS, baseY + height / 2, fixedCoord]
-            : [fixedCoord, baseY + height / 2, op.start - studS];
-          addSilentFraming(studGeo, framingMat, pos);
-          // Jack stud (shorter, below header)
-          if (op.headerH) {
-            const jackH = op.headerH - baseY;
-            if (jackH > 0) {
-              const jackGeo = new THREE.BoxGeometry(studS, jackH, studS);
-              const jPos = isXAxis
-                ? [op.start + studS, baseY + jackH / 2, fixedCoord]
-                : [fixedCoord, baseY + jackH / 2, op.start + studS];
-              addSilentFraming(jackGeo, framingMat, jPos);
-            }
-          }
-        }
-        if (Math.abs(p - op.end) < studSpacing) {
-          const pos = isXAxis
-            ? [op.end + studS, baseY + height / 2, fixedCoord]
-            : [fixedCoord, baseY + height / 2, op.end + studS];
-          addSilentFraming(studGeo, framingMat, pos);
-          if (op.headerH) {
-            const jackH = op.headerH - baseY;
-            if (jackH > 0) {
-              const jackGeo = new THREE.BoxGeometry(studS, jackH, studS);
-              const jPos = isXAxis
-                ? [op.end - studS, baseY + jackH / 2, fixedCoord]
-                : [fixedCoord, baseY + jackH / 2, op.end - studS];
-              addSilentFraming(jackGeo, framingMat, jPos);
-            }
-          }
-        }
-        // Header beam above opening
-        if (op.headerH && Math.abs(p - (op.start + op.end) / 2) < studSpacing / 2) {
-          const headerLen = op.end - op.start + studS * 2;
-          const headerGeo = new THREE.BoxGeometry(
-            isXAxis ? headerLen : bS,
-            bS,
-            isXAxis ? bS : headerLen
-          );
-          const hPos = isXAxis
-            ? [(op.start + op.end) / 2, op.headerH, fixedCoord]
-            : [fixedCoord, op.headerH, (op.start + op.end) / 2];
-          addSilentFraming(headerGeo, heavyFramingMat, hPos);
-          // Sill for windows
-          if (op.sillH) {
-            const sillGeo = new THREE.BoxGeometry(
-              isXAxis ? headerLen : bS * 0.7,
-              bS * 0.7,
-              isXAxis ? bS * 0.7 : headerLen
-            );
-            const sPos = isXAxis
-              ? [(op.start + op.end) / 2, op.sillH, fixedCoord]
-              : [fixedCoord, op.sillH, (op.start + op.end) / 2];
-            addSilentFraming(sillGeo, framingMat, sPos);
-          }
-        }
-        continue;
-      }
-      const pos = isXAxis
-        ? [p, baseY + height / 2, fixedCoord]
-        : [fixedCoord, baseY + height / 2, p];
-      addSilentFraming(studGeo, framingMat, pos);
-    }
-  };
-
-  // ═══════════════════════════════════════════════════════════════════
-  // FLOOR
-  // ═══════════════════════════════════════════════════════════════════
-  const hW = W / 2;
-  const hD = D / 2;
-
-  // Main section floor
-  addDecor(new THREE.BoxGeometry(W + 0.4, 0.15, D + 0.4), floorMat, [0, -0.08, 0]);
-
-  // Curved wing floor
-  const curveFloorShape = new THREE.Shape();
-  for (let i = 0; i <= curveSegments; i++) {
-    const angle = curveStartAngle + (curveEndAngle - curveStartAngle) * (i / curveSegments);
-    const x = curveCenter[0] + Math.sin(angle) * curveRadius;
-    const z = curveCenter[2] + Math.cos(angle) * curveRadius;
-    if (i === 0) curveFloorShape.moveTo(x, z);
-    else curveFloorShape.lineTo(x, z);
-  }
-  curveFloorShape.lineTo(curveCenter[0], curveCenter[2] + Math.cos(curveStartAngle) * curveRadius);
-  const curveFloorGeo = new THREE.ExtrudeGeometry(curveFloorShape, { depth: 0.15, bevelEnabled: false });
-  const curveFloor = new THREE.Mesh(curveFloorGeo, floorMat);
-  curveFloor.rotation.x = -Math.PI / 2;
-  curveFloor.position.y = -0.08;
-  curveFloor.receiveShadow = true;
-  group.add(curveFloor);
-
-  // Subtle floor grid on main section
-  const gridMat = new THREE.LineBasicMaterial({ color: 0x556677, transparent: true, opacity: 0.12 });
-  for (let x = -hW; x <= hW; x += bay) addLine([x, 0.01, -hD], [x, 0.01, hD], gridMat);
-  for (let z = -hD; z <= hD; z += bay) addLine([-hW, 0.01, z], [hW, 0.01, z], gridMat);
-
-  // ═══════════════════════════════════════════════════════════════════
-  // MAIN SECTION — STRUCTURAL STEEL FRAME
-  // ═══════════════════════════════════════════════════════════════════
-
-  // Opening definitions for each wall: { start, end, headerH, sillH? }
-  const frontOpenings = [
-    { start: -4, end: -2.2, headerH: 4.2, sillH: 1.0 },   // window
-    { start: -0.5, end: 0.5, headerH: 4.6 },                // door
-    { start: 2.2, end: 4, headerH: 4.2, sillH: 1.0 },      // window
-  ];
-  const backOpenings = [
-    { start: -3, end: -1.5, headerH: 4.2, sillH: 1.2 },
-    { start: 2, end: 3.5, headerH: 4.2, sillH: 1.2 },
-  ];
-  const leftOpenings = [
-    { start: -5, end: -3.2, headerH: 4.2, sillH: 1.0 },
-    { start: -1, end: 1, headerH: 4.6 },
-    { start: 3, end: 5, headerH: 4.2, sillH: 1.0 },
-  ];
-  const rightOpenings = [
-    { start: -5, end: -3.5, headerH: 4.2, sillH: 1.0 },
-    { start: 3.5, end: 5, headerH: 4.2, sillH: 1.0 },
-  ];
-
-  // ── Corner Columns ─────────────────────────────────────────────────
-  const colGeo = new THREE.BoxGeometry(bS * 1.2, eaveH, bS * 1.2);
-  for (const x of [-hW, hW]) {
-    for (const z of [-hD, hD]) {
-      addFraming(colGeo, heavyFramingMat, [x, eaveH / 2, z],
-        'Structural Column', nextId('COL'),
-        componentData('Structural Column', `HSS 4x4 (${eaveH}m)`, '35 kg', '1200 kN'));
-    }
-  }
-
-  // ── Bay Columns (at bay spacing along depth) ───────────────────────
-  const numBaysD = Math.round(D / bay);
-  for (let zi = 1; zi < numBaysD; zi++) {
-    const z = -hD + zi * bay;
-    for (const x of [-hW, hW]) {
-      addFraming(new THREE.BoxGeometry(bS, eaveH, bS), framingMat,
-        [x, eaveH / 2, z], 'Wall Stud', nextId('STD'),
-        componentData('Wall Stud', `C-stud (${eaveH}m)`, '12 kg', '800 kN'));
-    }
-  }
-
-  const numBaysW = Math.round(W / bay);
-  for (let xi = 1; xi < numBaysW; xi++) {
-    const x = -hW + xi * bay;
-    for (const z of [-hD, hD]) {
-      addFraming(new THREE.BoxGeometry(bS, eaveH, bS), framingMat,
-        [x, eaveH / 2, z], 'Wall Stud', nextId('STD'),
-        componentData('Wall Stud', `C-stud (${eaveH}m)`, '12 kg', '800 kN'));
-    }
-  }
-
-  // ── Top Plates ─────────────────────────────────────────────────────
-  const tpGeoW = new THREE.BoxGeometry(W, bS, bS);
-  const tpGeoD = new THREE.BoxGeometry(bS, bS, D);
-  for (const z of [-hD, hD]) {
-    addFraming(tpGeoW, heavyFramingMat, [0, eaveH, z],
-      'Top Plate', nextId('TP'), componentData('Top Plate', `${W}m`, '20 kg', '600 kN'));
-  }
-  for (const x of [-hW, hW]) {
-    addFraming(tpGeoD, heavyFramingMat, [x, eaveH, 0],
-      'Top Plate', nextId('TP'), componentData('Top Plate', `${D}m`, '24 kg', '600 kN'));
-  }
-
-  // ── Bottom Plates ──────────────────────────────────────────────────
-  const bpGeoW = new THREE.BoxGeometry(W, bS * 0.7, bS * 0.7);
-  const bpGeoD = new THREE.BoxGeometry(bS * 0.7, bS * 0.7, D);
-  for (const z of [-hD, hD]) addSilentFraming(bpGeoW, framingMat, [0, bS * 0.35, z]);
-  for (const x of [-hW, hW]) addSilentFraming(bpGeoD, framingMat, [x, bS * 0.35, 0]);
-
-  // ── Second Floor Framing ───────────────────────────────────────────
-  // Floor joists at second floor level
-  const floorJoistGeo = new THREE.BoxGeometry(W, bS * 0.7, bS * 0.7);
-  for (let z = -hD; z <= hD; z += bay) {
-    addFraming(floorJoistGeo, framingMat, [0, floorTwoH, z],
-      'Floor Joist', nextId('FJ'),
-      componentData('Floor Joist', `${W}m joist`, '14 kg', '500 kN'));
-  }
-  // Rim joists
-  const rimGeoD = new THREE.BoxGeometry(bS * 0.7, bS * 0.7, D);
-  for (const x of [-hW, hW]) addSilentFraming(rimGeoD, framingMat, [x, floorTwoH, 0]);
-
-  // ── Wall Studs with Openings — Ground Floor ────────────────────────
-  // Front wall (z = -hD, studs along X)
-  buildWallStuds('x', -hD, -hW, hW, floorTwoH, 0, frontOpenings, true);
-  // Back wall (z = +hD, studs along X)
-  buildWallStuds('x', hD, -hW, hW, floorTwoH, 0, backOpenings, true);
-  // Left wall (x = -hW, studs along Z)
-  buildWallStuds('z', -hW, -hD, hD, floorTwoH, 0, leftOpenings, false);
-  // Right wall (x = +hW, studs along Z)
-  buildWallStuds('z', hW, -hD, hD, floorTwoH, 0, rightOpenings, false);
-
-  // ── Wall Studs — Upper Floor ───────────────────────────────────────
-  const upperOpeningsFront = [
-    { start: -4, end: -2.5, headerH: floorTwoH + 2.2, sillH: floorTwoH + 0.8 },
-    { start: -0.8, end: 0.8, headerH: floorTwoH + 2.2, sillH: floorTwoH + 0.8 },
-    { start: 2.5, end: 4, headerH: floorTwoH + 2.2, sillH: floorTwoH + 0.8 },
-  ];
-  const upperOpeningsBack = [
-    { start: -3, end: -1.5, headerH: floorTwoH + 2.2, sillH: floorTwoH + 0.8 },
-    { start: 1.5, end: 3, headerH: floorTwoH + 2.2, sillH: floorTwoH + 0.8 },
-  ];
-  const upperOpeningsL = [
-    { start: -5, end: -3.5, headerH: floorTwoH + 2.2, sillH: floorTwoH + 0.8 },
-    { start: 1, end: 3, headerH: floorTwoH + 2.2, sillH: floorTwoH + 0.8 },
-  ];
-  const upperOpeningsR = [
-    { start: -4, end: -2.5, headerH: floorTwoH + 2.2, sillH: floorTwoH + 0.8 },
-    { start: 2.5, end: 4, headerH: floorTwoH + 2.2, sillH: floorTwoH + 0.8 },
-  ];
-
-  const upperH = eaveH - floorTwoH;
-  buildWallStuds('x', -hD, -hW, hW, upperH, floorTwoH, upperOpeningsFront, true);
-  buildWallStuds('x', hD, -hW, hW, upperH, floorTwoH, upperOpeningsBack, true);
-  buildWallStuds('z', -hW, -hD, hD, upperH, floorTwoH, upperOpeningsL, false);
-  buildWallStuds('z', hW, -hD, hD, upperH, floorTwoH, upperOpeningsR, false);
-
-  // ── Interior Partition Walls ───────────────────────────────────────
-  const partitions = [
-    // Ground floor partitions
-    { axis: 'x', fixed: 0, from: -hW + 0.5, to: hW - 0.5, y: 0, h: floorTwoH,
-      openings: [{ start: -1, end: 0, headerH: 2.5 }, { start: 3, end: 4, headerH: 2.5 }] },
-    { axis: 'z', fixed: -2, from: -hD + 0.5, to: 0, y: 0, h: floorTwoH,
-      openings: [{ start: -5, end: -4, headerH: 2.5 }] },
-    { axis: 'z', fixed: 3, from: 0, to: hD - 0.5, y: 0, h: floorTwoH,
-      openings: [{ start: 2, end: 3, headerH: 2.5 }] },
-    // Upper floor partitions
-    { axis: 'x', fixed: 0.5, from: -hW + 0.5, to: hW - 0.5, y: floorTwoH, h: upperH,
-      openings: [{ start: -1, end: 0, headerH: floorTwoH + 2.3 }] },
-    { axis: 'z', fixed: -3, from: -hD + 0.5, to: 0.5, y: floorTwoH, h: upperH,
-      openings: [{ start: -4, end: -3, headerH: floorTwoH + 2.3 }] },
-  ];
-
-  partitions.forEach((p) => {
-    const isX = p.axis === 'x';
-    const partStudGeo = new THREE.BoxGeometry(studS, p.h, studS);
-    for (let v = p.from; v <= p.to; v += studSpacing) {
-      const op = isInOpening(v, p.openings);
-      if (op) continue;
-      const pos = isX ? [v, p.y + p.h / 2, p.fixed] : [p.fixed, p.y + p.h / 2, v];
-      addSilentFraming(partStudGeo, framingMat, pos);
-    }
-    // Top and bottom plates for partition
-    const len = p.to - p.from;
-    const plateGeo = isX
-      ? new THREE.BoxGeometry(len, bS * 0.6, bS * 0.6)
-      : new THREE.BoxGeometry(bS * 0.6, bS * 0.6, len);
-    const mid = (p.from + p.to) / 2;
-    const topPos = isX ? [mid, p.y + p.h, p.fixed] : [p.fixed, p.y + p.h, mid];
-    const botPos = isX ? [mid, p.y + bS * 0.3, p.fixed] : [p.fixed, p.y + bS * 0.3, mid];
-    addSilentFraming(plateGeo, framingMat, topPos);
-    addSilentFraming(plateGeo, framingMat, botPos);
-    // Header beams over openings
-    p.openings.forEach((op) => {
-      if (!op.headerH) return;
-      const hLen = op.end - op.start + studS * 2;
-      const hGeo = isX
-        ? new THREE.BoxGeometry(hLen, bS, bS)
-        : new THREE.BoxGeometry(bS, bS, hLen);
-      const hMid = (op.start + op.end) / 2;
-      const hPos = isX ? [hMid, op.headerH, p.fixed] : [p.fixed, op.headerH, hMid];
-      addSilentFraming(hGeo, heavyFramingMat, hPos);
-    });
-  });
-
-  // ── Cross Bracing (select bays) ────────────────────────────────────
-  const braceBays = [
-    // Left wall bracing
-    { p1: [-hW, 0, -hD], p2: [-hW, floorTwoH, -hD + bay] },
-    { p1: [-hW, floorTwoH, -hD], p2: [-hW, 0, -hD + bay] },
-    { p1: [-hW, 0, hD - bay], p2: [-hW, floorTwoH, hD] },
-    { p1: [-hW, floorTwoH, hD - bay], p2: [-hW, 0, hD] },
-    // Right wall bracing
-    { p1: [hW, 0, -hD], p2: [hW, floorTwoH, -hD + bay] },
-    { p1: [hW, floorTwoH, -hD], p2: [hW, 0, -hD + bay] },
-    { p1: [hW, 0, hD - bay], p2: [hW, floorTwoH, hD] },
-    { p1: [hW, floorTwoH, hD - bay], p2: [hW, 0, hD] },
-  ];
-  braceBays.forEach(({ p1, p2 }) => {
-    addRod(p1, p2, 0.015, framingMat);
-  });
-
-  // ═══════════════════════════════════════════════════════════════════
-  // ROOF TRUSSES (Main Section)
-  // ═══════════════════════════════════════════════════════════════════
-
-  const trussSpacing = bay;
-  for (let z = -hD; z <= hD; z += trussSpacing) {
-    // Top chords (rafters)
-    const rafterLen = Math.sqrt((W / 2) ** 2 + ridgeH ** 2);
-    const rafterAngle = Math.atan2(ridgeH, W / 2);
-
-    addFraming(
-      new THREE.BoxGeometry(rafterLen, bS, bS), framingMat,
-      [-W / 4, eaveH + ridgeH / 2, z], 'Roof Rafter', nextId('RFT'),
-      componentData('Roof Rafter', `${rafterLen.toFixed(1)}m`, '18 kg', '600 kN'),
-      [0, 0, rafterAngle]
-    );
-    addFraming(
-      new THREE.BoxGeometry(rafterLen, bS, bS), framingMat,
-      [W / 4, eaveH + ridgeH / 2, z], 'Roof Rafter', nextId('RFT'),
-      componentData('Roof Rafter', `${rafterLen.toFixed(1)}m`, '18 kg', '600 kN'),
-      [0, 0, -rafterAngle]
-    );
-
-    // Bottom chord (ceiling joist / tie beam)
-    addFraming(
-      new THREE.BoxGeometry(W, bS * 0.7, bS * 0.7), framingMat,
-      [0, eaveH, z], 'Ceiling Joist', nextId('CJ'),
-      componentData('Ceiling Joist', `${W}m tie`, '16 kg', '500 kN')
-    );
-
-    // Truss web members — king post + diagonals
-    // King post (vertical at center)
-    const kingH = ridgeH;
-    addSilentFraming(
-      new THREE.BoxGeometry(bS * 0.6, kingH, bS * 0.6), framingMat,
-      [0, eaveH + kingH / 2, z]
-    );
-
-    // Diagonal web members (from base of king post to mid-rafter on each side)
-    const quarterW = W / 4;
-    const midRafterH = eaveH + ridgeH / 2;
-    addRod(
-      [0, eaveH, z], [-quarterW, midRafterH, z], 0.012, framingMat
-    );
-    addRod(
-      [0, eaveH, z], [quarterW, midRafterH, z], 0.012, framingMat
-    );
-
-    // Secondary verticals at quarter points
-    const qRiseL = ridgeH * 0.5;
-    addSilentFraming(
-      new THREE.BoxGeometry(bS * 0.5, qRiseL, bS * 0.5), framingMat,
-      [-quarterW, eaveH + qRiseL / 2, z]
-    );
-    addSilentFraming(
-      new THREE.BoxGeometry(bS * 0.5, qRiseL, bS * 0.5), framingMat,
-      [quarterW, eaveH + qRiseL / 2, z]
-    );
-  }
-
-  // Ridge beam
-  addFraming(
-    new THREE.BoxGeometry(bS * 1.2, bS * 1.2, D), heavyFramingMat,
-    [0, apexH, 0], 'Ridge Board', 'RDG-1',
-    componentData('Ridge Board', `${D}m ridge`, '28 kg', '500 kN')
-  );
-
-  // ── Purlins (horizontal members along roof slope) ──────────────────
-  const purlinCount = 4;
-  for (let pi = 1; pi <= purlinCount; pi++) {
-    const frac = pi / (purlinCount + 1);
-    const xL = -hW + frac * (W / 2);
-    const xR = frac * (W / 2);
-    const yP = eaveH + frac * ridgeH;
-    addSilentFraming(
-      new THREE.BoxGeometry(bS * 0.6, bS * 0.6, D), framingMat,
-      [xL, yP, 0]
-    );
-    addSilentFraming(
-      new THREE.BoxGeometry(bS * 0.6, bS * 0.6, D), framingMat,
-      [xR, yP, 0]
-    );
-  }
-
-  // ═══════════════════════════════════════════════════════════════════
-  // CURVED WING
-  // ═══════════════════════════════════════════════════════════════════
-
-  const cx = curveCenter[0];
-  const cz = curveCenter[2];
-
-  // Curved wall studs
-  for (let i = 0; i <= curveSegments; i++) {
-    const angle = curveStartAngle + (curveEndAngle - curveStartAngle) * (i / curveSegments);
-    const x = cx + Math.sin(angle) * curveRadius;
-    const z = cz + Math.cos(angle) * curveRadius;
-
-    // Full-height stud
-    const studGeo = new THREE.BoxGeometry(studS, curveHeight, studS);
-    const stud = addSilentFraming(studGeo, framingMat, [x, curveHeight / 2, z]);
-    // Rotate stud to face center
-    stud.rotation.y = -angle;
-  }
-
-  // Curved top and bottom plates (segmented)
-  for (let i = 0; i < curveSegments; i++) {
-    const a1 = curveStartAngle + (curveEndAngle - curveStartAngle) * (i / curveSegments);
-    const a2 = curveStartAngle + (curveEndAngle - curveStartAngle) * ((i + 1) / curveSegments);
-    const x1 = cx + Math.sin(a1) * curveRadius;
-    const z1 = cz + Math.cos(a1) * curveRadius;
-    const x2 = cx + Math.sin(a2) * curveRadius;
-    const z2 = cz + Math.cos(a2) * curveRadius;
-    const segLen = Math.sqrt((x2 - x1) ** 2 + (z2 - z1) ** 2);
-    const segAngle = Math.atan2(x2 - x1, z2 - z1);
-    const mx = (x1 + x2) / 2;
-    const mz = (z1 + z2) / 2;
-
-    // Top plate segment
-    const tpSeg = addSilentFraming(
-      new THREE.BoxGeometry(bS * 0.7, bS * 0.7, segLen), framingMat,
-      [mx, curveHeight, mz]
-    );
-    tpSeg.rotation.y = -segAngle + Math.PI;
-
-    // Bottom plate segment
-    const bpSeg = addSilentFraming(
-      new THREE.BoxGeometry(bS * 0.6, bS * 0.6, segLen), framingMat,
-      [mx, bS * 0.3, mz]
-    );
-    bpSeg.rotation.y = -segAngle + Math.PI;
-  }
-
-  // Curved roof ribs (barrel vault)
-  const curveRibCount = 12;
-  for (let i = 0; i <= curveRibCount; i++) {
-    const frac = i / curveRibCount;
-    const ribAngle = curveStartAngle + (curveEndAngle - curveStartAngle) * frac;
-    const outerX = cx + Math.sin(ribAngle) * curveRadius;
-    const outerZ = cz + Math.cos(ribAngle) * curveRadius;
-    // Rib from wall top to barrel center ridge
-    const ribLen = Math.sqrt(curveRadius ** 2 + curveRoofRise ** 2) * 0.5;
-    const ridgeX = cx + Math.sin(ribAngle) * (curveRadius * 0.02);
-    const ridgeZ = cz + Math.cos(ribAngle) * (curveRadius * 0.02);
-
-    addRod(
-      [outerX, curveHeight, outerZ],
-      [ridgeX, curveHeight + curveRoofRise, ridgeZ],
-      0.015, framingMat
-    );
-  }
-
-  // Barrel vault ridge beam (follows the curve at top)
-  for (let i = 0; i < curveRibCount; i++) {
-    const a1 = curveStartAngle + (curveEndAngle - curveStartAngle) * (i / curveRibCount);
-    const a2 = curveStartAngle + (curveEndAngle - curveStartAngle) * ((i + 1) / curveRibCount);
-    const x1 = cx + Math.sin(a1) * (curveRadius * 0.02);
-    const z1 = cz + Math.cos(a1) * (curveRadius * 0.02);
-    const x2 = cx + Math.sin(a2) * (curveRadius * 0.02);
-    const z2 = cz + Math.cos(a2) * (curveRadius * 0.02);
-    addRod(
-      [x1, curveHeight + curveRoofRise, z1],
-      [x2, curveHeight + curveRoofRise, z2],
-      0.015, heavyFramingMat
-    );
-  }
-
-  // Curved wing horizontal rings (purlins on barrel vault)
-  const curveRingCount = 3;
-  for (let ri = 1; ri <= curveRingCount; ri++) {
-    const ringFrac = ri / (curveRingCount + 1);
-    const ringR = curveRadius * (1 - ringFrac) + curveRadius * 0.02 * ringFrac;
-    const ringY = curveHeight + curveRoofRise * ringFrac;
-    for (let i = 0; i < curveSegments; i++) {
-      const a1 = curveStartAngle + (curveEndAngle - curveStartAngle) * (i / curveSegments);
-      const a2 = curveStartAngle + (curveEndAngle - curveStartAngle) * ((i + 1) / curveSegments);
-      const x1 = cx + Math.sin(a1) * ringR;
-      const z1 = cz + Math.cos(a1) * ringR;
-      const x2 = cx + Math.sin(a2) * ringR;
-      const z2 = cz + Math.cos(a2) * ringR;
-      addRod([x1, ringY, z1], [x2, ringY, z2], 0.01, framingMat);
-    }
-  }
-
-  // Connection framing between main section and curved wing
-  const connZ1 = cz + Math.cos(curveStartAngle) * curveRadius;
-  const connZ2 = cz + Math.cos(curveEndAngle) * curveRadius;
-  // Vertical columns at connection points
-  addFraming(
-    new THREE.BoxGeometry(bS * 1.2, curveHeight, bS * 1.2), heavyFramingMat,
-    [hW, curveHeight / 2, connZ1], 'Structural Column', nextId('COL'),
-    componentData('Structural Column', `HSS 4x4`, '30 kg', '1000 kN')
-  );
-  addFraming(
-    new THREE.BoxGeometry(bS * 1.2, curveHeight, bS * 1.2), heavyFramingMat,
-    [hW, curveHeight / 2, connZ2], 'Structural Column', nextId('COL'),
-    componentData('Structural Column', `HSS 4x4`, '30 kg', '1000 kN')
-  );
-
-  // ═══════════════════════════════════════════════════════════════════
-  // CLADDING / TRANSPARENT PANELS (main section)
-  // ═══════════════════════════════════════════════════════════════════
-
-  const clad = 0.06;
-  // Side wall panels
-  addDecor(makeQuadGeo(
-    [-hW - clad, 0, -hD], [-hW - clad, 0, hD],
-    [-hW - clad, eaveH, hD], [-hW - clad, eaveH, -hD]
-  ), wallPanelMat, [0, 0, 0]);
-  addDecor(makeQuadGeo(
-    [hW + clad, 0, -hD], [hW + clad, eaveH, -hD],
-    [hW + clad, eaveH, hD], [hW + clad, 0, hD]
-  ), wallPanelMat, [0, 0, 0]);
-
-  // Front and back wall panels
-  addDecor(makeQuadGeo(
-    [-hW, 0, -hD - clad], [-hW, eaveH, -hD - clad],
-    [hW, eaveH, -hD - clad], [hW, 0, -hD - clad]
-  ), wallPanelMat, [0, 0, 0]);
-  addDecor(makeTriGeo(
-    [0, apexH, -hD - clad], [-hW, eaveH, -hD - clad], [hW, eaveH, -hD - clad]
-  ), wallPanelMat, [0, 0, 0]);
-  addDecor(makeQuadGeo(
-    [-hW, 0, hD + clad], [hW, 0, hD + clad],
-    [hW, eaveH, hD + clad], [-hW, eaveH, hD + clad]
-  ), wallPanelMat, [0, 0, 0]);
-  addDecor(makeTriGeo(
-    [0, apexH, hD + clad], [hW, eaveH, hD + clad], [-hW, eaveH, hD + clad]
-  ), wallPanelMat, [0, 0, 0]);
-
-  // Roof panels (transparent sheathing)
-  const roofOverhang = 0.4;
-  addDecor(makeQuadGeo(
-    [-hW - roofOverhang, eaveH, -hD - roofOverhang],
-    [-hW - roofOverhang, eaveH, hD + roofOverhang],
-    [0, apexH + 0.1, hD + roofOverhang],
-    [0, apexH + 0.1, -hD - roofOverhang]
-  ), roofPanelMat, [0, 0, 0]);
-  addDecor(makeQuadGeo(
-    [0, apexH + 0.1, -hD - roofOverhang],
-    [0, apexH + 0.1, hD + roofOverhang],
-    [hW + roofOverhang, eaveH, hD + roofOverhang],
-    [hW + roofOverhang, eaveH, -hD - roofOverhang]
-  ), roofPanelMat, [0, 0, 0]);
-
-  group.userData.components = components;
-  return group;
-}
+import { isOutstanding } from '../alerts/alertLifecycle';
+
+const SENSOR_STATUS_COLORS = {
+  online: 0x10b981,
+  warning: 0xf59e0b,
+  critical: 0xef4444,
+  offline: 0x64748b
+};
+
+const PANEL_STATUS_COLORS = {
+  good: 0x10b981,
+  warning: 0xf59e0b,
+  critical: 0xef4444,
+  offline: 0x64748b
+};
+
+// Camera stations for report snapshots around the building's bounding box
+// (see stationPose; the front wall faces -Z)
+const SNAPSHOT_VIEWS = [
+  { label: 'Front elevation', angle: -90, elevation: 12 },
+  { label: 'Right elevation', angle: 0, elevation: 12 },
+  { label: 'Rear elevation', angle: 90, elevation: 12 },
+  { label: 'Left elevation', angle: 180, elevation: 12 },
+  { label: 'Overview (front left)', angle: -135, elevation: 38 },
+  { label: 'Overview (rear right)', angle: 45, elevation: 38 },
+];
+
+// Markers are rebuilt only when the set of devices or their placement changes;
+// reading and status changes are applied to the existing markers in place.
+const markerLayoutKey = (items, idField) => items
+  .map(item => `${item[idField]}@${item.position?.x},${item.position?.y},${item.position?.z}`)
+  .join('|');
+
+// Screen overlays are projected every frame but only stored when something
+// moved by a whole pixel or changed, so a still camera does not re-render
+const sameOverlay = (a, b) => a === b || (Boolean(a) && Boolean(b) && Object.keys(a).every(key => a[key] === b[key]));
+const sameOverlays = (a, b) => a.length === b.length && a.every((item, i) => sameOverlay(item, b[i]));
 
 // Alert marker component
-function AlertMarker({ position, type, isActive, onClick }) {
-  const color = type === 'moisture' ? '#ef4444' : '#f97316';
+function AlertMarker({ position, severity, isActive, animated = true, onClick }) {
+  const color = severity === 'critical' ? '#ef4444' : '#f97316';
   
   return (
     <div 
@@ -742,26 +111,41 @@ function AlertMarker({ position, type, isActive, onClick }) {
       onClick={onClick}
     >
       <motion.div
-        animate={{ scale: [1, 1.2, 1] }}
-        transition={{ duration: 2, repeat: Infinity }}
+        animate={animated ? { scale: [1, 1.2, 1] } : { scale: 1 }}
+        transition={animated ? { duration: 2, repeat: Infinity } : { duration: 0 }}
         className="relative"
       >
         <div 
           className="w-4 h-4 rounded-full"
           style={{ backgroundColor: color, boxShadow: `0 0 20px ${color}` }}
         />
-        <motion.div
-          animate={{ scale: [1, 2], opacity: [0.6, 0] }}
-          transition={{ duration: 1.5, repeat: Infinity }}
-          className="absolute inset-0 rounded-full"
-          style={{ backgroundColor: color }}
-        />
+        {animated && (
+          <motion.div
+            animate={{ scale: [1, 2], opacity: [0.6, 0] }}
+            transition={{ duration: 1.5, repeat: Infinity }}
+            className="absolute inset-0 rounded-full"
+            style={{ backgroundColor: color }}
+          />
+        )}
       </motion.div>
     </div>
   );
 }
 
-export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] }) {
+// Live value label pinned to a sensor marker
+function SensorValueLabel({ label }) {
+  const color = `#${(SENSOR_STATUS_COLORS[label.status] || SENSOR_STATUS_COLORS.online).toString(16).padStart(6, '0')}`;
+  return (
+    <div
+      className="absolute transform -translate-x-1/2 -translate-y-full -mt-2 px-1.5 py-0.5 rounded bg-slate-900/80 border text-[10px] font-mono text-white whitespace-nowrap"
+      style={{ left: label.x, top: label.y - 8, borderColor: color }}
+    >
+      {label.value} {label.unit}
+    </div>
+  );
+}
+
+export default function DigitalTwinViewer({ alerts = [], panels = [], sensors = [], building = null, siteName = null, viewerRef = null, focusRequest, onAlertAction, onOpenAlertInbox, placing = false, placement = null, onPlace = null }) {
   const containerRef = useRef(null);
   const rendererRef = useRef(null);
   const sceneRef = useRef(null);
@@ -779,15 +163,234 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
   const [selectedPanel, setSelectedPanel] = useState(null);
   const [selectedSensor, setSelectedSensor] = useState(null);
   const [pingingPanelId, setPingingPanelId] = useState(null);
+  const [thermalScale, setThermalScale] = useState(DEFAULT_THERMAL_SCALE);
+  const [thermalAutoRange, setThermalAutoRange] = useState(true);
+  const [thermalManualRange, setThermalManualRange] = useState({ min: 60, max: 140 });
+  const [stressResults, setStressResults] = useState([]);
+  const [sensorLabels, setSensorLabels] = useState([]);
+  const [hoverLabel, setHoverLabel] = useState(null);
+  // Model loaded from an uploaded IFC/glTF file, shown instead of the site's building
+  const [importedModel, setImportedModel] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [section, setSection] = useState(DEFAULT_SECTION);
+  const [sectionOptions, setSectionOptions] = useState({ storeys: [], layers: [] });
+  const [treeOpen, setTreeOpen] = useState(false);
+  const [treeComponents, setTreeComponents] = useState([]);
+  const [treeVisibility, setTreeVisibility] = useState(EMPTY_TREE_VISIBILITY);
+  const { bookmarks, addBookmark, removeBookmark } = useCameraBookmarks();
+  const { publishMembers } = useCommandPalette();
   
   const mouseRef = useRef({ x: 0, y: 0 });
   const raycasterRef = useRef(new THREE.Raycaster());
   const isDraggingRef = useRef(false);
-  const previousMouseRef = useRef({ x: 0, y: 0 });
+  const pointerDownRef = useRef({ x: 0, y: 0 });
+  const controlsRef = useRef(null);
+  const sectionPlanesRef = useRef([]);
+  const isRotatingRef = useRef(isRotating);
   const panelMarkersRef = useRef([]);
   const sensorMarkersRef = useRef([]);
   const selectedComponentRef = useRef(null);
   const hoveredComponentRef = useRef(null);
+  const pingingPanelIdRef = useRef(null);
+  const activeViewRef = useRef(activeView);
+  const liveFlashRef = useRef({});
+  const sensorsByIdRef = useRef(new Map(sensors.map(s => [s.sensor_id, s])));
+  const panelsByIdRef = useRef(new Map(panels.map(p => [p.panel_id, p])));
+  const alertsRef = useRef(alerts);
+  // Camera pose survives scene rebuilds
+  const cameraPoseRef = useRef(null);
+  // The orbit, zoom and fly-to all work around this point
+  const orbitTargetRef = useRef(new THREE.Vector3(...DEFAULT_TARGET));
+  const flightRef = useRef(null);
+  const handledFocusRef = useRef(null);
+  // Commissioning: while placing, clicks choose where the sensor goes
+  const placingRef = useRef(placing);
+  const placementRef = useRef(placement);
+  const onPlaceRef = useRef(onPlace);
+  const placementMarkerRef = useRef(null);
+  const [liveUpdateCount, setLiveUpdateCount] = useState(0);
+  const { lastEventAt } = useLiveConnection();
+  activeViewRef.current = activeView;
+  alertsRef.current = alerts;
+  isRotatingRef.current = isRotating;
+  placingRef.current = placing;
+  placementRef.current = placement;
+  onPlaceRef.current = onPlace;
+  // The animation loop reads these, so hovering and pinging leave the scene alone
+  hoveredComponentRef.current = hoveredComponent;
+  pingingPanelIdRef.current = pingingPanelId;
+
+  const sensorLayout = useMemo(() => markerLayoutKey(sensors, 'sensor_id'), [sensors]);
+  const panelLayout = useMemo(() => markerLayoutKey(panels, 'panel_id'), [panels]);
+  // Rebuild the scene only when the building description itself changes
+  const buildingKey = useMemo(() => JSON.stringify(building), [building]);
+
+  // Track the latest records for the animation loop and flash changed sensors
+  useEffect(() => {
+    const now = Date.now();
+    let changed = 0;
+    sensors.forEach((sensor) => {
+      const before = sensorsByIdRef.current.get(sensor.sensor_id);
+      if (before && before !== sensor) {
+        liveFlashRef.current[sensor.sensor_id] = now;
+        changed += 1;
+      }
+    });
+    sensorsByIdRef.current = new Map(sensors.map(s => [s.sensor_id, s]));
+    if (changed) setLiveUpdateCount(count => count + changed);
+  }, [sensors]);
+
+  useEffect(() => {
+    panelsByIdRef.current = new Map(panels.map(p => [p.panel_id, p]));
+  }, [panels]);
+
+  // Keep the open tooltip on the latest evaluation, and close it once the alert clears
+  useEffect(() => {
+    if (!selectedAlert) return;
+    setSelectedAlert(alerts.find(a => a.id === selectedAlert.id) || null);
+  }, [alerts]);
+
+  const temperatureSamples = useMemo(() => getTemperatureSamples(sensors), [sensors]);
+  const loadSamples = useMemo(() => getLoadSamples(sensors), [sensors]);
+  const thermalRange = thermalAutoRange ? getReadingRange(temperatureSamples) : thermalManualRange;
+  const hottestSample = temperatureSamples.reduce(
+    (hot, s) => (!hot || s.value > hot.value ? s : hot), null
+  );
+
+  // Apply the active view's overlay to the current scene
+  const applyViewMode = () => {
+    const building = frameRef.current;
+    if (!building) return;
+    clearSectionView(building);
+    clearOverlays(building, panelMarkersRef.current);
+    setModelPresentation(building, activeView === 'model');
+    if (activeView === 'thermal') {
+      applyThermalView(building, panelMarkersRef.current, temperatureSamples, {
+        scale: thermalScale,
+        min: thermalRange.min,
+        max: thermalRange.max,
+      });
+    } else if (activeView === 'stress') {
+      const results = computeUtilization(building, loadSamples);
+      applyStressView(building, results);
+      setStressResults(results.sort((a, b) => b.utilization - a.utilization));
+    }
+    // The selected member may have had its material swapped
+    if (selectedComponentRef.current) {
+      const selected = building.userData.components.find(
+        c => c.userData.id === selectedComponentRef.current.userData.id
+      );
+      selectedComponentRef.current = selected || null;
+      if (selected) selected.material.emissive.setHex(0x4488ff);
+    }
+    applySection();
+  };
+
+  // Section cuts, floor, layers and X-ray on top of the view's overlay
+  const applySection = () => {
+    const building = frameRef.current;
+    if (!building) return;
+    const selected = selectedComponentRef.current;
+    applyTreeVisibility(building, treeVisibility);
+    sectionPlanesRef.current = applySectionView(
+      building,
+      [...panelMarkersRef.current, ...sensorMarkersRef.current],
+      section,
+      { selected }
+    );
+    if (selected) selected.material.emissive.setHex(0x4488ff);
+  };
+
+  const selectComponent = (mesh) => {
+    if (selectedComponentRef.current && selectedComponentRef.current !== mesh) {
+      selectedComponentRef.current.material.emissive.setHex(0x000000);
+    }
+    selectedComponentRef.current = mesh;
+    mesh.material.emissive.setHex(0x4488ff);
+    setSelectedComponent(mesh.userData);
+    setSelectedAlert(null);
+    setSelectedPanel(null);
+    setSelectedSensor(null);
+    flyTo(new THREE.Box3().setFromObject(mesh));
+  };
+
+  // Animate the camera to frame a box and re-centre the orbit on it
+  const flyTo = (box, onLand = null) => {
+    const camera = cameraRef.current;
+    if (!camera || box.isEmpty()) return;
+    const buildingCenter = frameRef.current
+      ? new THREE.Box3().setFromObject(frameRef.current).getCenter(new THREE.Vector3())
+      : orbitTargetRef.current;
+    flyToPose(framePose(box, camera, orbitTargetRef.current, buildingCenter), onLand);
+  };
+
+  // Animate the camera to a { position, target } pose
+  const flyToPose = (pose, onLand = null) => {
+    const camera = cameraRef.current;
+    if (!camera) return;
+    flightRef.current = createFlight(camera, orbitTargetRef.current, pose, { onLand });
+    setIsRotating(false);
+  };
+
+  // Box around what a focus target names, and the panel to ping with it;
+  // null while the object is not in the scene yet
+  const resolveFocusTarget = ({ kind, id }) => {
+    const box = new THREE.Box3();
+    if (kind === 'member') {
+      const mesh = frameRef.current?.userData.components?.find(c => c.userData.id === id);
+      return mesh ? { box: box.setFromObject(mesh), mesh } : null;
+    }
+    if (kind === 'panel') {
+      const marker = panelMarkersRef.current.find(m => m.panel.panel_id === id);
+      if (!marker) return null;
+      box.setFromObject(marker.group);
+      sensorMarkersRef.current
+        .filter(m => (sensorsByIdRef.current.get(m.sensor.sensor_id) || m.sensor).panel_id === id)
+        .forEach(m => box.expandByObject(m.group));
+      return { box, panelId: id };
+    }
+    // Alerts are pinned to their sensor; ids are alert-<sensor_id> when not a record id
+    const sensorId = kind === 'alert'
+      ? alertsRef.current.find(a => a.id === id || a.record?.id === id)?.sensorId || id.replace(/^alert-/, '')
+      : id;
+    const marker = sensorMarkersRef.current.find(m => m.sensor.sensor_id === sensorId);
+    if (!marker) return null;
+    const sensor = sensorsByIdRef.current.get(sensorId) || marker.sensor;
+    return { box: box.setFromObject(marker.group), panelId: sensor.panel_id };
+  };
+
+  // Placement under the pointer: on a panel marker, else on the member's surface
+  const placementAt = (mouse) => {
+    const raycaster = raycasterRef.current;
+    raycaster.setFromCamera(mouse, cameraRef.current);
+    const panelHit = firstVisibleHit(
+      raycaster.intersectObjects(panelMarkersRef.current.map(m => m.group), true),
+      sectionPlanesRef.current
+    );
+    if (panelHit) {
+      const { panelData } = panelHit.object.parent.userData;
+      return panelPlacement(panelsByIdRef.current.get(panelData.panel_id) || panelData);
+    }
+    const components = frameRef.current?.userData.components || [];
+    const hit = firstVisibleHit(raycaster.intersectObjects(components, false), sectionPlanesRef.current);
+    return hit?.object.userData.selectable ? surfacePlacement(hit, raycaster.ray) : null;
+  };
+
+  const handleViewChange = (view) => {
+    setActiveView(view);
+    // Model View is a static presentation
+    if (view === 'model') setIsRotating(false);
+  };
+
+  const clearSelectedComponent = () => {
+    if (selectedComponentRef.current) {
+      selectedComponentRef.current.material.emissive.setHex(0x000000);
+      selectedComponentRef.current = null;
+    }
+    setSelectedComponent(null);
+  };
 
   // Initialize Three.js scene
   useEffect(() => {
@@ -805,8 +408,9 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
 
     // Camera — wider angle, pulled back further for larger building
     const camera = new THREE.PerspectiveCamera(42, width / height, 0.1, 1000);
-    camera.position.set(20, 12, 18);
-    camera.lookAt(2, 3, 0);
+    if (cameraPoseRef.current) camera.position.copy(cameraPoseRef.current);
+    else camera.position.set(...DEFAULT_POSITION);
+    camera.lookAt(orbitTargetRef.current);
     cameraRef.current = camera;
 
     // Renderer with error handling
@@ -823,6 +427,7 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
       renderer.shadowMap.type = THREE.PCFSoftShadowMap;
       renderer.toneMapping = THREE.ACESFilmicToneMapping;
       renderer.toneMappingExposure = 1.0;
+      renderer.localClippingEnabled = true;
       container.appendChild(renderer.domElement);
       rendererRef.current = renderer;
     } catch (error) {
@@ -831,6 +436,23 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
       return;
     }
 
+    // Orbit, pan and zoom; any gesture takes over from a flight or the auto rotation
+    const controls = createCameraControls(camera, renderer.domElement, orbitTargetRef.current);
+    controlsRef.current = controls;
+    const detachTwist = attachTwistRotate(controls);
+    const onControlsStart = () => {
+      flightRef.current = null;
+      isDraggingRef.current = true;
+      container.style.cursor = 'grabbing';
+      setIsRotating(false);
+    };
+    const onControlsEnd = () => {
+      isDraggingRef.current = false;
+      container.style.cursor = 'grab';
+    };
+    controls.addEventListener('start', onControlsStart);
+    controls.addEventListener('end', onControlsEnd);
+
     // Lighting — overcast moody atmosphere matching screenshot
     const ambientLight = new THREE.AmbientLight(0x7080a0, 0.8);
     scene.add(ambientLight);
@@ -873,13 +495,17 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
     ground.receiveShadow = true;
     scene.add(ground);
 
-    // House structure
-    const warehouse = createWarehouse();
+    // Building structure: an imported model, else the site's description
+    const warehouse = importedModel?.group || createBuilding(buildingKey ? JSON.parse(buildingKey) : null);
     warehouse.position.y = 0;
     scene.add(warehouse);
     frameRef.current = warehouse;
+    setSectionOptions({ storeys: getStoreys(warehouse), layers: getAvailableLayers(warehouse) });
+    setTreeComponents(describeComponents(warehouse));
 
     // Add panel markers
+    panelMarkersRef.current = [];
+    sensorMarkersRef.current = [];
     panels.forEach(panel => {
       const panelGroup = new THREE.Group();
       panelGroup.userData = { 
@@ -890,15 +516,9 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
       
       // Panel indicator
       const indicatorGeometry = new THREE.SphereGeometry(0.15, 16, 16);
-      const statusColors = {
-        good: 0x10b981,
-        warning: 0xf59e0b,
-        critical: 0xef4444,
-        offline: 0x64748b
-      };
       const indicatorMaterial = new THREE.MeshStandardMaterial({
-        color: statusColors[panel.status] || 0x64748b,
-        emissive: statusColors[panel.status] || 0x64748b,
+        color: PANEL_STATUS_COLORS[panel.status] || 0x64748b,
+        emissive: PANEL_STATUS_COLORS[panel.status] || 0x64748b,
         emissiveIntensity: 0.5,
         metalness: 0.3,
         roughness: 0.4
@@ -910,7 +530,7 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
       // Pulsing ring
       const ringGeometry = new THREE.RingGeometry(0.2, 0.25, 32);
       const ringMaterial = new THREE.MeshBasicMaterial({
-        color: statusColors[panel.status] || 0x64748b,
+        color: PANEL_STATUS_COLORS[panel.status] || 0x64748b,
         transparent: true,
         opacity: 0.3,
         side: THREE.DoubleSide
@@ -921,7 +541,7 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
       
       panelGroup.position.set(panel.position.x, panel.position.y, panel.position.z);
       scene.add(panelGroup);
-      panelMarkersRef.current.push({ group: panelGroup, panel, ring });
+      panelMarkersRef.current.push({ group: panelGroup, panel, ring, indicator });
     });
 
     // Add sensor markers
@@ -934,15 +554,9 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
       };
       
       const sensorGeometry = new THREE.SphereGeometry(0.08, 12, 12);
-      const statusColors = {
-        online: 0x10b981,
-        warning: 0xf59e0b,
-        critical: 0xef4444,
-        offline: 0x64748b
-      };
       const sensorMaterial = new THREE.MeshStandardMaterial({
-        color: statusColors[sensor.status] || 0x10b981,
-        emissive: statusColors[sensor.status] || 0x10b981,
+        color: SENSOR_STATUS_COLORS[sensor.status] || 0x10b981,
+        emissive: SENSOR_STATUS_COLORS[sensor.status] || 0x10b981,
         emissiveIntensity: 0.8,
         metalness: 0.5,
         roughness: 0.3
@@ -956,6 +570,12 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
       sensorMarkersRef.current.push({ group: sensorGroup, sensor, mesh: sensorMesh });
     });
 
+    // Where the sensor being commissioned will go
+    const placementMarker = createPlacementMarker();
+    scene.add(placementMarker);
+    placementMarkerRef.current = placementMarker;
+    movePlacementMarker(placementMarker, placementRef.current?.position);
+
     // Sky with procedural clouds
     const skyGeometry = new THREE.SphereGeometry(45, 48, 48);
     const skyMaterial = new THREE.ShaderMaterial({
@@ -1032,43 +652,22 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
     const sky = new THREE.Mesh(skyGeometry, skyMaterial);
     scene.add(sky);
 
-    // Mouse interaction handlers
+    applyViewMode();
+
+    // Hover and click picking; camera movement is left to the controls
     const onMouseMove = (event) => {
       const rect = container.getBoundingClientRect();
       mouseRef.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
       mouseRef.current.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
       
-      // Manual camera rotation
-      if (isDraggingRef.current && !isRotating) {
-        const deltaX = event.clientX - previousMouseRef.current.x;
-        const deltaY = event.clientY - previousMouseRef.current.y;
-
-        const rotationSpeed = 0.005;
-
-        // Rotate camera around center
-        const radius = Math.sqrt(camera.position.x ** 2 + camera.position.z ** 2);
-        let angle = Math.atan2(camera.position.z, camera.position.x);
-        angle -= deltaX * rotationSpeed;
-
-        camera.position.x = radius * Math.cos(angle);
-        camera.position.z = radius * Math.sin(angle);
-
-        // Adjust height
-        camera.position.y = Math.max(3, Math.min(25, camera.position.y - deltaY * 0.05));
-
-        camera.lookAt(2, 3, 0);
-      }
-      
-      previousMouseRef.current = { x: event.clientX, y: event.clientY };
-      
       // Raycasting for hover effect
       if (!isDraggingRef.current) {
         raycasterRef.current.setFromCamera(mouseRef.current, camera);
         const components = warehouse.userData.components || [];
-        const intersects = raycasterRef.current.intersectObjects(components, false);
+        const hit = firstVisibleHit(raycasterRef.current.intersectObjects(components, false), sectionPlanesRef.current);
         
-        if (intersects.length > 0) {
-          const intersected = intersects[0].object;
+        if (hit) {
+          const intersected = hit.object;
           if (intersected.userData.selectable) {
             container.style.cursor = 'pointer';
             setHoveredComponent(intersected);
@@ -1085,24 +684,23 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
           }
           setHoveredComponent(null);
         }
+
+        // While placing, the marker previews the spot under the pointer
+        if (placingRef.current) {
+          const preview = placementAt(mouseRef.current);
+          movePlacementMarker(placementMarker, (preview || placementRef.current)?.position);
+          container.style.cursor = preview ? 'crosshair' : 'grab';
+        }
       }
     };
     
-    const onMouseDown = (event) => {
-      isDraggingRef.current = true;
-      previousMouseRef.current = { x: event.clientX, y: event.clientY };
-      container.style.cursor = 'grabbing';
-      setIsRotating(false);
-    };
-    
-    const onMouseUp = () => {
-      isDraggingRef.current = false;
-      container.style.cursor = 'grab';
+    const onPointerDown = (event) => {
+      pointerDownRef.current = { x: event.clientX, y: event.clientY };
     };
     
     const onClick = (event) => {
-      if (Math.abs(event.clientX - previousMouseRef.current.x) > 5 || 
-          Math.abs(event.clientY - previousMouseRef.current.y) > 5) {
+      if (Math.abs(event.clientX - pointerDownRef.current.x) > 5 || 
+          Math.abs(event.clientY - pointerDownRef.current.y) > 5) {
         return; // Was dragging
       }
       
@@ -1111,107 +709,118 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
         x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
         y: -((event.clientY - rect.top) / rect.height) * 2 + 1
       };
+
+      if (placingRef.current) {
+        const picked = placementAt(mouse);
+        if (picked) onPlaceRef.current?.(picked);
+        return;
+      }
       
       raycasterRef.current.setFromCamera(mouse, camera);
       
       // Check panels and sensors first
       const allMarkers = [...panelMarkersRef.current.map(p => p.group), ...sensorMarkersRef.current.map(s => s.group)];
-      const markerIntersects = raycasterRef.current.intersectObjects(allMarkers, true);
+      const markerHit = firstVisibleHit(raycasterRef.current.intersectObjects(allMarkers, true), sectionPlanesRef.current);
       
-      if (markerIntersects.length > 0) {
-        const intersected = markerIntersects[0].object.parent;
+      if (markerHit) {
+        const intersected = markerHit.object.parent;
         const userData = intersected.userData;
         
         if (userData.type === 'panel') {
-          const panelSensors = sensors.filter(s => s.panel_id === userData.panelData.panel_id);
-          setSelectedPanel(userData.panelData);
+          const panelId = userData.panelData.panel_id;
+          setSelectedPanel(panelsByIdRef.current.get(panelId) || userData.panelData);
           setSelectedComponent(null);
           setSelectedAlert(null);
+          flyTo(resolveFocusTarget({ kind: 'panel', id: panelId }).box);
         } else if (userData.type === 'sensor') {
-          const panel = panels.find(p => p.panel_id === userData.sensorData.panel_id);
-          setSelectedSensor(userData.sensorData);
-          setSelectedPanel(panel);
+          const sensorId = userData.sensorData.sensor_id;
+          const sensor = sensorsByIdRef.current.get(sensorId) || userData.sensorData;
+          setSelectedSensor(sensor);
+          setSelectedPanel(panelsByIdRef.current.get(sensor.panel_id));
           setSelectedComponent(null);
           setSelectedAlert(null);
+          flyTo(new THREE.Box3().setFromObject(intersected));
         }
         return;
       }
       
       // Then check components
       const components = warehouse.userData.components || [];
-      const intersects = raycasterRef.current.intersectObjects(components, false);
+      const hit = firstVisibleHit(raycasterRef.current.intersectObjects(components, false), sectionPlanesRef.current);
       
-      if (intersects.length > 0) {
-        const intersected = intersects[0].object;
+      if (hit) {
+        const intersected = hit.object;
         if (intersected.userData.selectable) {
-          // Deselect previous
-          if (selectedComponentRef.current && selectedComponentRef.current !== intersected) {
-            selectedComponentRef.current.material.emissive.setHex(0x000000);
-          }
-          
-          // Select new
-          selectedComponentRef.current = intersected;
-          intersected.material.emissive.setHex(0x4488ff);
-          setSelectedComponent(intersected.userData);
-          setSelectedAlert(null);
-          setSelectedPanel(null);
-          setSelectedSensor(null);
+          selectComponent(intersected);
         }
       }
     };
     
-    const onWheel = (event) => {
-      event.preventDefault();
-      const zoomSpeed = 0.1;
-      const delta = event.deltaY * zoomSpeed;
-      
-      const factor = delta > 0 ? 1.1 : 0.9;
-      camera.position.multiplyScalar(factor);
-      
-      // Clamp distance
-      const distance = camera.position.length();
-      if (distance < 10) camera.position.normalize().multiplyScalar(10);
-      if (distance > 45) camera.position.normalize().multiplyScalar(45);
-    };
-
     container.addEventListener('mousemove', onMouseMove);
-    container.addEventListener('mousedown', onMouseDown);
-    container.addEventListener('mouseup', onMouseUp);
+    container.addEventListener('pointerdown', onPointerDown);
     container.addEventListener('click', onClick);
-    container.addEventListener('wheel', onWheel, { passive: false });
 
     // Animation
-    let angle = 0;
+    const liveColor = new THREE.Color();
+    let animationFrame;
     const animate = () => {
-      requestAnimationFrame(animate);
+      animationFrame = requestAnimationFrame(animate);
       
-      // Auto rotation when enabled
-      if (isRotating) {
-        angle += 0.0008;
-        camera.position.x = 22 * Math.cos(angle) + 2;
-        camera.position.z = 22 * Math.sin(angle);
-        camera.position.y = 12 + Math.sin(angle * 0.5) * 2;
-        camera.lookAt(2, 3, 0);
+      // Fly-to in progress, else the controls (damping, auto rotation when enabled)
+      const flight = flightRef.current;
+      if (flight) {
+        if (stepFlight(flight, camera, orbitTargetRef.current)) {
+          flightRef.current = null;
+          flight.onLand?.();
+        }
+      } else {
+        controls.autoRotate = isRotatingRef.current;
+        controls.update();
       }
       
-      // Update hovered component reference
-      hoveredComponentRef.current = hoveredComponent;
-      
+      const view = activeViewRef.current;
+      const pulsing = view !== 'model';
+
+      // Status changes fade in while animating and snap in Model View
+      const blend = pulsing ? 0.08 : 1;
+
       // Animate panel rings
       const time = Date.now() * 0.001;
-      panelMarkersRef.current.forEach(({ ring, panel }) => {
-        ring.scale.set(1 + Math.sin(time * 2) * 0.1, 1 + Math.sin(time * 2) * 0.1, 1);
-        ring.material.opacity = 0.3 + Math.sin(time * 3) * 0.1;
+      panelMarkersRef.current.forEach(({ ring, indicator, panel }) => {
+        const pulse = pulsing ? Math.sin(time * 2) * 0.1 : 0;
+        ring.scale.set(1 + pulse, 1 + pulse, 1);
+        ring.material.opacity = pulsing ? 0.3 + Math.sin(time * 3) * 0.1 : 0.3;
+
+        const current = panelsByIdRef.current.get(panel.panel_id) || panel;
+        liveColor.setHex(PANEL_STATUS_COLORS[current.status] || 0x64748b);
+        ring.material.color.lerp(liveColor, blend);
+        if (!indicator.userData.baseMaterial) {
+          indicator.material.color.lerp(liveColor, blend);
+          indicator.material.emissive.lerp(liveColor, blend);
+        }
       });
       
-      // Pulse sensors
-      sensorMarkersRef.current.forEach(({ mesh }, idx) => {
-        mesh.scale.setScalar(1 + Math.sin(time * 3 + idx * 0.5) * 0.15);
+      // Pulse sensors and fade toward their latest status color
+      sensorMarkersRef.current.forEach(({ mesh, sensor }, idx) => {
+        mesh.scale.setScalar(pulsing ? 1 + Math.sin(time * 3 + idx * 0.5) * 0.15 : 1);
+        const current = sensorsByIdRef.current.get(sensor.sensor_id) || sensor;
+        liveColor.setHex(SENSOR_STATUS_COLORS[current.status] || SENSOR_STATUS_COLORS.online);
+        mesh.material.color.lerp(liveColor, blend);
+        mesh.material.emissive.lerp(liveColor, blend);
+        // LIVE STREAM flashes markers whose reading just changed
+        const sinceUpdate = Date.now() - (liveFlashRef.current[sensor.sensor_id] || 0);
+        const flash = view === 'live' ? Math.max(0, 1 - sinceUpdate / 1000) : 0;
+        mesh.material.emissiveIntensity = 0.8 + 1.2 * flash;
       });
       
+      if (placementMarker.visible) {
+        placementMarker.userData.halo.scale.setScalar(1 + Math.sin(time * 4) * 0.2);
+      }
+      
       // Ping effect
-      if (pingingPanelId) {
-        const panelMarker = panelMarkersRef.current.find(p => p.panel.panel_id === pingingPanelId);
+      const pingingId = pingingPanelIdRef.current;
+      if (pingingId) {
+        const panelMarker = panelMarkersRef.current.find(p => p.panel.panel_id === pingingId);
         if (panelMarker) {
           const pingTime = (Date.now() % 2000) / 2000;
           panelMarker.ring.scale.setScalar(1 + pingTime * 3);
@@ -1226,31 +835,92 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
     };
     animate();
 
-    // Handle resize
+    // Handle resize — of the window or of the viewer when the scene tree opens
     const handleResize = () => {
       const newWidth = container.clientWidth;
       const newHeight = container.clientHeight;
+      if (!newWidth || !newHeight) return;
       
       camera.aspect = newWidth / newHeight;
       camera.updateProjectionMatrix();
       renderer.setSize(newWidth, newHeight);
     };
-    window.addEventListener('resize', handleResize);
+    const resizeObserver = new ResizeObserver(handleResize);
+    resizeObserver.observe(container);
 
     return () => {
-      window.removeEventListener('resize', handleResize);
+      cancelAnimationFrame(animationFrame);
+      cameraPoseRef.current = camera.position.clone();
+      resizeObserver.disconnect();
       container.removeEventListener('mousemove', onMouseMove);
-      container.removeEventListener('mousedown', onMouseDown);
-      container.removeEventListener('mouseup', onMouseUp);
+      container.removeEventListener('pointerdown', onPointerDown);
       container.removeEventListener('click', onClick);
-      container.removeEventListener('wheel', onWheel);
+      detachTwist();
+      controls.removeEventListener('start', onControlsStart);
+      controls.removeEventListener('end', onControlsEnd);
+      controls.dispose();
+      controlsRef.current = null;
       
+      // Free what this scene put on the GPU; a rebuild creates its own
+      const materials = new Set();
+      scene.traverse((object) => {
+        object.geometry?.dispose();
+        [object.material, object.userData.baseMaterial, object.userData.overlayMaterial]
+          .flat()
+          .forEach(material => material && materials.add(material));
+      });
+      materials.forEach(material => material.dispose());
+      if (sceneRef.current === scene) sceneRef.current = null;
+
       if (renderer && container.contains(renderer.domElement)) {
         renderer.dispose();
         container.removeChild(renderer.domElement);
       }
     };
-  }, [isRotating, hoveredComponent, pingingPanelId, panels, sensors]);
+  }, [panelLayout, sensorLayout, buildingKey, importedModel]);
+
+  // Re-apply overlays when the view or its settings change without a scene rebuild
+  useEffect(() => {
+    applyViewMode();
+  }, [activeView, temperatureSamples, loadSamples, thermalScale, thermalRange.min, thermalRange.max]);
+
+  useEffect(() => {
+    applySection();
+  }, [section, selectedComponent, treeVisibility]);
+
+  // Placing takes over clicks, so close whatever is open and hold the camera still
+  useEffect(() => {
+    if (!placing) return;
+    setSelectedAlert(null);
+    setSelectedPanel(null);
+    setSelectedSensor(null);
+    clearSelectedComponent();
+    setIsRotating(false);
+  }, [placing]);
+
+  useEffect(() => {
+    if (placementMarkerRef.current) movePlacementMarker(placementMarkerRef.current, placement?.position);
+  }, [placement, placing]);
+
+  // Fly to a requested sensor, panel, member or alert and ping its panel.
+  // Requests that arrive before their object is in the scene (deep links
+  // while data loads) are retried whenever the scene is rebuilt.
+  useEffect(() => {
+    if (!focusRequest || handledFocusRef.current === focusRequest) return;
+    const focus = resolveFocusTarget(focusRequest);
+    if (!focus) return;
+    handledFocusRef.current = focusRequest;
+
+    if (focus.mesh) {
+      selectComponent(focus.mesh);
+      return;
+    }
+    flyTo(focus.box);
+    if (focus.panelId) {
+      setPingingPanelId(focus.panelId);
+      setTimeout(() => setPingingPanelId(current => (current === focus.panelId ? null : current)), 3000);
+    }
+  }, [focusRequest, sensorLayout, panelLayout, buildingKey, importedModel]);
 
   // Update 2D positions for 3D alert markers
   const updateMarkerPositions = () => {
@@ -1260,23 +930,144 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
     const container = containerRef.current;
     const rect = container.getBoundingClientRect();
     
-    const positions = alerts.map(alert => {
-      const vector = new THREE.Vector3(
-        alert.coordinates.x,
-        alert.coordinates.y,
-        alert.coordinates.z
-      );
-      vector.project(camera);
-      
+    const project = (position) => {
+      const vector = new THREE.Vector3(position.x, position.y, position.z).project(camera);
       return {
-        id: alert.id,
-        x: (vector.x * 0.5 + 0.5) * rect.width,
-        y: (-vector.y * 0.5 + 0.5) * rect.height,
+        x: Math.round((vector.x * 0.5 + 0.5) * rect.width),
+        y: Math.round((-vector.y * 0.5 + 0.5) * rect.height),
         visible: vector.z < 1
       };
+    };
+
+    // Alerts are pinned to their sensor's position
+    // Markers cut away by the section view take their alerts and labels with them
+    const hiddenSensors = new Set(sensorMarkersRef.current
+      .filter(({ group }) => !group.visible)
+      .map(({ sensor }) => sensor.sensor_id));
+    const markers = alertsRef.current
+      .filter(alert => alert.coordinates && !hiddenSensors.has(alert.sensorId))
+      .map(alert => ({ id: alert.id, alert, ...project(alert.coordinates) }));
+    setMarkerPositions(previous => (sameOverlays(previous, markers) ? previous : markers));
+
+    // Live value labels
+    if (activeViewRef.current === 'live') {
+      const labels = sensorMarkersRef.current.filter(({ group }) => group.visible).map(({ group, sensor }) => {
+        const live = sensorsByIdRef.current.get(sensor.sensor_id) || sensor;
+        return {
+          id: sensor.sensor_id,
+          value: live.last_reading,
+          unit: live.reading_unit,
+          status: live.status,
+          ...project(group.position)
+        };
+      });
+      setSensorLabels(previous => (sameOverlays(previous, labels) ? previous : labels));
+    }
+
+    // Member ID under the cursor in Model View
+    const hovered = hoveredComponentRef.current;
+    const label = activeViewRef.current === 'model' && hovered
+      ? { id: hovered.userData.id, type: hovered.userData.type, ...project(hovered.getWorldPosition(new THREE.Vector3())) }
+      : null;
+    setHoverLabel(previous => (sameOverlay(previous, label) ? previous : label));
+  };
+
+  // An imported model belongs to the site it was opened on
+  useEffect(() => {
+    setImportedModel(null);
+  }, [buildingKey]);
+
+  // Hidden and isolated members are per model
+  useEffect(() => {
+    setTreeVisibility(EMPTY_TREE_VISIBILITY);
+  }, [buildingKey, importedModel]);
+
+  // Make the members searchable from the command palette
+  useEffect(() => {
+    publishMembers(treeComponents.map(({ id, type, floor, wall }) => ({ id, type, floor, wall })));
+  }, [treeComponents, publishMembers]);
+
+  const storeyLabels = useMemo(() => sectionOptions.storeys.map(s => s.label), [sectionOptions.storeys]);
+
+  // Selecting a member from the tree brings it back if it was hidden
+  const selectFromTree = (component) => {
+    if (treeVisibility.hiddenIds.has(component.id)) {
+      const hiddenIds = new Set(treeVisibility.hiddenIds);
+      hiddenIds.delete(component.id);
+      setTreeVisibility({ ...treeVisibility, hiddenIds });
+    }
+    selectComponent(component.mesh);
+  };
+
+  const handleImportModel = async (file) => {
+    setIsImporting(true);
+    try {
+      const model = await loadModelFile(file);
+      clearSelectedComponent();
+      setImportedModel(model);
+      toast.success(`Imported ${model.memberCount} members from ${model.name}`);
+    } catch (error) {
+      toast.error(`Could not import ${file.name}: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const clearImportedModel = () => {
+    clearSelectedComponent();
+    setImportedModel(null);
+  };
+
+  // Render the scene from each snapshot station, then put the camera back.
+  // Returns [] when WebGL is unavailable or there is no building to show.
+  const captureViews = () => {
+    const renderer = rendererRef.current;
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    const building = frameRef.current;
+    if (webglError || !renderer || !scene || !camera || !building) return [];
+    const box = new THREE.Box3().setFromObject(building);
+    if (box.isEmpty()) return [];
+
+    const pose = camera.position.clone();
+    const canvas = renderer.domElement;
+    const shots = SNAPSHOT_VIEWS.map(({ label, ...station }) => {
+      const { position, target } = stationPose(box, camera, station);
+      camera.position.copy(position);
+      camera.lookAt(target);
+      renderer.render(scene, camera);
+      return { label, dataUrl: canvas.toDataURL('image/jpeg', 0.85), width: canvas.width, height: canvas.height };
     });
-    
-    setMarkerPositions(positions);
+    camera.position.copy(pose);
+    camera.lookAt(orbitTargetRef.current);
+    renderer.render(scene, camera);
+    return shots;
+  };
+
+  useImperativeHandle(viewerRef, () => ({ captureViews }));
+
+  const handleExport = async ({ bakeView }) => {
+    if (!frameRef.current) return;
+    setIsExporting(true);
+    try {
+      const blob = await exportSceneToGlb({
+        building: frameRef.current,
+        panelMarkers: panelMarkersRef.current,
+        sensorMarkers: sensorMarkersRef.current,
+        panelsById: panelsByIdRef.current,
+        sensorsById: sensorsByIdRef.current,
+        view: activeView,
+        bakeView,
+        siteName,
+      });
+      const slug = (siteName || 'digital-twin').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const suffix = bakeView ? `-${activeView}` : '';
+      downloadFile(blob, `${slug}${suffix}-${format(new Date(), 'yyyyMMdd-HHmm')}.glb`);
+    } catch (error) {
+      toast.error(`Export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
   };
 
   const handleAlertClick = (alert, markerPos) => {
@@ -1285,149 +1076,304 @@ export default function DigitalTwinViewer({ alerts, panels = [], sensors = [] })
   };
 
   const handleZoom = (direction) => {
-    if (!cameraRef.current) return;
-    const camera = cameraRef.current;
+    const controls = controlsRef.current;
+    if (!controls) return;
+    flightRef.current = null;
     
     if (direction === 'in') {
-      camera.position.multiplyScalar(0.9);
+      dollyBy(controls, 0.9);
     } else if (direction === 'out') {
-      camera.position.multiplyScalar(1.1);
+      dollyBy(controls, 1.1);
     } else if (direction === 'reset') {
-      camera.position.set(20, 12, 18);
-      setIsRotating(true);
-      setSelectedComponent(null);
+      clearSelectedComponent();
+      // Fly back to the overview on this side of the building, then resume the auto rotation
+      flyToPose(overviewPose(controls.object), () => setIsRotating(true));
     }
+  };
 
-    // Clamp distance
-    const distance = camera.position.length();
-    if (distance < 10) camera.position.normalize().multiplyScalar(10);
-    if (distance > 45) camera.position.normalize().multiplyScalar(45);
+  // Frame what is selected, else the whole building
+  const frameSelection = () => {
+    const focus = selectedSensor
+      ? resolveFocusTarget({ kind: 'sensor', id: selectedSensor.sensor_id })
+      : selectedPanel && resolveFocusTarget({ kind: 'panel', id: selectedPanel.panel_id });
+    if (focus) flyTo(focus.box);
+    else if (selectedComponentRef.current) flyTo(new THREE.Box3().setFromObject(selectedComponentRef.current));
+    else if (frameRef.current) flyTo(new THREE.Box3().setFromObject(frameRef.current));
+  };
+
+  const saveBookmark = (name) => {
+    const camera = cameraRef.current;
+    if (!camera) return Promise.resolve(false);
+    return addBookmark(createBookmark(camera, orbitTargetRef.current, name));
+  };
+
+  const goToBookmark = (bookmark) => flyToPose(bookmarkPose(bookmark));
+
+  // Keyboard shortcuts (see cameraKeyAction); the handler is refreshed every
+  // render so it sees the current selection and bookmarks
+  const keyHandlerRef = useRef(null);
+  keyHandlerRef.current = (event) => {
+    const controls = controlsRef.current;
+    const action = controls && cameraKeyAction(event);
+    if (!action) return;
+    if (action.type === 'bookmark' && !bookmarks[action.index]) return;
+    event.preventDefault();
+
+    if (['orbit', 'pan', 'zoom'].includes(action.type)) {
+      flightRef.current = null;
+      setIsRotating(false);
+    }
+    switch (action.type) {
+      case 'orbit':
+        orbitBy(controls, action.azimuth, action.polar);
+        break;
+      case 'pan':
+        panBy(controls, action.x, action.y);
+        break;
+      case 'zoom':
+        dollyBy(controls, action.factor);
+        break;
+      case 'frame':
+        frameSelection();
+        break;
+      case 'reset':
+        handleZoom('reset');
+        break;
+      case 'bookmark':
+        goToBookmark(bookmarks[action.index]);
+        break;
+      case 'help':
+        setShowShortcuts(show => !show);
+        break;
+      default:
+        break;
+    }
   };
 
+  useEffect(() => {
+    const onKeyDown = (event) => keyHandlerRef.current?.(event);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
   return (
-    <div className="relative flex-1 bg-slate-900 overflow-hidden">
-      {/* WebGL Error Fallback */}
-      {webglError && (
-        <div className="absolute inset-0 flex items-center justify-center bg-gradient-to-br from-slate-800 to-slate-900">
-          <div className="text-center max-w-md px-6">
-            <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-slate-700 flex items-center justify-center">
-              <svg className="w-8 h-8 text-slate-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-              </svg>
-            </div>
-            <h3 className="text-xl font-semibold text-white mb-2">3D View Unavailable</h3>
-            <p className="text-slate-400 mb-6">WebGL is not supported or enabled in your browser. The 3D digital twin requires WebGL to render.</p>
-            <div className="bg-slate-800/50 rounded-lg p-4 border border-slate-700">
-              <p className="text-sm text-slate-300 mb-2 font-medium">Active Alerts:</p>
-              <div className="space-y-2">
-                {alerts.map(alert => (
-                  <div key={alert.id} className="flex items-center justify-between text-sm bg-slate-700/50 rounded px-3 py-2">
-                    <span className="text-slate-200">{alert.locationName}</span>
-                    <span className={`font-semibold ${alert.type === 'moisture' ? 'text-red-400' : 'text-orange-400'}`}>
-                      {alert.value}
-                    </span>
-                  </div>
-                ))}
+    <div className="flex-1 flex overflow-hidden">
+      {/* Scene Tree */}
+      {treeOpen && (
+        <SceneTreePanel
+          components={treeComponents}
+          storeyLabels={storeyLabels}
+          visibility={treeVisibility}
+          selectedId={selectedComponent?.id}
+          onSelect={selectFromTree}
+          onToggleGroup={(group) => setTreeVisibility(toggleGroup(treeVisibility, group))}
+          onIsolateGroup={(group) => setTreeVisibility(toggleIsolate(treeVisibility, group))}
+          onShowAll={() => setTreeVisibility(EMPTY_TREE_VISIBILITY)}
+          onClose={() => setTreeOpen(false)}
+        />
+      )}
+
+      <div className="relative flex-1 bg-slate-900 overflow-hidden">
+        {/* WebGL Error Fallback */}
+        {webglError && (
+          <div className="absolute inset-0 flex items-center justify-center bg-gradient-to-br from-slate-800 to-slate-900">
+            <div className="text-center max-w-md px-6">
+              <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-slate-700 flex items-center justify-center">
+                <svg className="w-8 h-8 text-slate-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                </svg>
+              </div>
+              <h3 className="text-xl font-semibold text-white mb-2">3D View Unavailable</h3>
+              <p className="text-slate-400 mb-6">WebGL is not supported or enabled in your browser. The 3D digital twin requires WebGL to render.</p>
+              <div className="bg-slate-800/50 rounded-lg p-4 border border-slate-700">
+                <p className="text-sm text-slate-300 mb-2 font-medium">Active Alerts:</p>
+                <div className="space-y-2">
+                  {alerts.map(alert => (
+                    <div key={alert.id} className="flex items-center justify-between text-sm bg-slate-700/50 rounded px-3 py-2">
+                      <span className="text-slate-200">{alert.locationName}</span>
+                      <span className={`font-semibold ${alert.severity === 'critical' ? 'text-red-400' : 'text-orange-400'}`}>
+                        {alert.value}
+                      </span>
+                    </div>
+                  ))}
+                </div>
               </div>
             </div>
           </div>
-        </div>
-      )}
+        )}
       
-      {/* 3D Canvas Container */}
-      <div 
-        ref={containerRef} 
-        className="absolute inset-0 cursor-grab"
-      />
+        {/* 3D Canvas Container */}
+        <div 
+          ref={containerRef} 
+          className="absolute inset-0 cursor-grab"
+        />
       
-      {/* Alert Markers Overlay */}
-      <div className="absolute inset-0 pointer-events-none">
-        {markerPositions.map((pos, idx) => {
-          const alert = alerts[idx];
-          if (!pos.visible) return null;
+        {/* Alert Markers Overlay */}
+        <div className="absolute inset-0 pointer-events-none">
+          {markerPositions.map((pos) => {
+            const alert = pos.alert;
+            if (!pos.visible) return null;
           
-          return (
-            <AlertMarker
-              key={alert.id}
-              position={pos}
-              type={alert.type}
-              isActive={selectedAlert?.id === alert.id}
-              onClick={(e) => {
-                e.stopPropagation();
-                handleAlertClick(alert, pos);
-              }}
-            />
-          );
-        })}
+            return (
+              <AlertMarker
+                key={alert.id}
+                position={pos}
+                severity={alert.severity}
+                isActive={selectedAlert?.id === alert.id}
+                animated={activeView !== 'model' && (!alert.record || isOutstanding(alert.record))}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleAlertClick(alert, pos);
+                }}
+              />
+            );
+          })}
+        
+          {/* Live Value Labels */}
+          {activeView === 'live' && sensorLabels.map(label => (
+            label.visible && <SensorValueLabel key={label.id} label={label} />
+          ))}
+
+          {/* Member ID on hover */}
+          {hoverLabel?.visible && (
+            <div
+              className="absolute transform -translate-x-1/2 -translate-y-full px-2 py-1 rounded bg-slate-900/90 border border-slate-500 text-xs text-white font-mono whitespace-nowrap"
+              style={{ left: hoverLabel.x, top: hoverLabel.y - 10 }}
+            >
+              {hoverLabel.id} <span className="text-slate-400">· {hoverLabel.type}</span>
+            </div>
+          )}
         
-        {/* Alert Tooltip */}
-        {selectedAlert && (
-          <AlertTooltip 
-            alert={selectedAlert}
-            position={tooltipPosition}
-            onClose={() => setSelectedAlert(null)}
+          {/* Alert Tooltip */}
+          {selectedAlert && (
+            <AlertTooltip 
+              alert={selectedAlert}
+              position={tooltipPosition}
+              onClose={() => setSelectedAlert(null)}
+              onAction={onAlertAction}
+              onOpenInbox={onOpenAlertInbox}
+            />
+          )}
+        </div>
+      
+        {/* View Controls */}
+        <ViewControls 
+          activeView={activeView}
+          onViewChange={handleViewChange}
+          onZoom={handleZoom}
+          importedModel={importedModel}
+          isImporting={isImporting}
+          onImportModel={handleImportModel}
+          onClearImport={clearImportedModel}
+          isExporting={isExporting}
+          onExport={handleExport}
+          section={section}
+          sectionStoreys={sectionOptions.storeys}
+          sectionLayers={sectionOptions.layers}
+          onSectionChange={setSection}
+          treeOpen={treeOpen}
+          onTreeOpenChange={setTreeOpen}
+          bookmarks={bookmarks}
+          onSaveBookmark={saveBookmark}
+          onGoToBookmark={goToBookmark}
+          onDeleteBookmark={(bookmark) => removeBookmark(bookmark.id)}
+          showShortcuts={showShortcuts}
+          onShowShortcutsChange={setShowShortcuts}
+        />
+
+        {/* Live Stream Status */}
+        {activeView === 'live' && !selectedComponent && (
+          <LiveStreamStatus
+            lastUpdated={lastEventAt}
+            updateCount={liveUpdateCount}
+            sensorCount={sensors.length}
+          />
+        )}
+
+        {/* Thermal Legend */}
+        {activeView === 'thermal' && (
+          <ThermalLegend
+            scale={thermalScale}
+            range={thermalRange}
+            autoRange={thermalAutoRange}
+            unit={temperatureSamples[0]?.unit}
+            sampleCount={temperatureSamples.length}
+            hottest={hottestSample}
+            onScaleChange={setThermalScale}
+            onRangeChange={setThermalManualRange}
+            onAutoRangeChange={(auto) => {
+              if (!auto) setThermalManualRange(thermalRange);
+              setThermalAutoRange(auto);
+            }}
           />
         )}
-      </div>
-      
-      {/* View Controls */}
-      <ViewControls 
-        activeView={activeView}
-        onViewChange={setActiveView}
-        onZoom={handleZoom}
-      />
       
-      {/* Component Properties Panel */}
-      {selectedComponent && (
-        <ComponentPropertiesPanel
-          component={selectedComponent}
-          onClose={() => {
-            if (selectedComponentRef.current) {
-              selectedComponentRef.current.material.emissive.setHex(0x000000);
-            }
-            setSelectedComponent(null);
-          }}
-        />
-      )}
+        {/* Stress Ranking */}
+        {activeView === 'stress' && (
+          <StressRankingPanel
+            results={stressResults.slice(0, 10)}
+            totalMembers={stressResults.length}
+            sensorCount={loadSamples.stress.length}
+            selectedId={selectedComponent?.id}
+            onSelect={(result) => selectComponent(result.mesh)}
+          />
+        )}
+
+        {/* Component Properties Panel */}
+        {selectedComponent && (
+          <ComponentPropertiesPanel
+            component={selectedComponent}
+            onClose={clearSelectedComponent}
+          />
+        )}
       
-      {/* Panel Detail View */}
-      {selectedPanel && !selectedSensor && (
-        <PanelDetailView
-          panel={selectedPanel}
-          sensors={sensors.filter(s => s.panel_id === selectedPanel.panel_id)}
-          onClose={() => {
-            setSelectedPanel(null);
-          }}
-          onSensorClick={(sensor) => {
-            setSelectedSensor(sensor);
-          }}
-        />
-      )}
+        {/* Panel Detail View */}
+        {selectedPanel && !selectedSensor && (
+          <PanelDetailView
+            panel={panels.find(p => p.panel_id === selectedPanel.panel_id) || selectedPanel}
+            sensors={sensors.filter(s => s.panel_id === selectedPanel.panel_id)}
+            onClose={() => {
+              setSelectedPanel(null);
+            }}
+            onSensorClick={(sensor) => {
+              setSelectedSensor(sensor);
+            }}
+          />
+        )}
       
-      {/* Sensor Action Modal */}
-      {selectedSensor && (
-        <SensorActionModal
-          sensor={selectedSensor}
-          panel={selectedPanel}
-          onClose={() => {
-            setSelectedSensor(null);
-          }}
-          onPing={(sensor) => {
-            setPingingPanelId(sensor.panel_id);
-            setTimeout(() => setPingingPanelId(null), 2000);
-          }}
-        />
-      )}
+        {/* Sensor Action Modal */}
+        {selectedSensor && (
+          <SensorActionModal
+            sensor={sensors.find(s => s.sensor_id === selectedSensor.sensor_id) || selectedSensor}
+            panel={selectedPanel}
+            onClose={() => {
+              setSelectedSensor(null);
+            }}
+            onPing={(sensor) => {
+              setPingingPanelId(sensor.panel_id);
+              setTimeout(() => setPingingPanelId(null), 2000);
+            }}
+          />
+        )}
       
-      {/* Instructions */}
-      {!selectedComponent && !selectedAlert && !selectedPanel && !selectedSensor && (
-        <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-slate-800/90 backdrop-blur-sm rounded-lg px-4 py-2 border border-slate-600/50 pointer-events-none">
-          <p className="text-slate-300 text-sm flex items-center gap-2">
-            <span className="text-blue-400">💡</span>
-            Drag to rotate • Scroll to zoom • Click panels/sensors for details
-          </p>
-        </div>
-      )}
+        {/* Instructions */}
+        {placing && (
+          <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-blue-600/90 backdrop-blur-sm rounded-lg px-4 py-2 border border-blue-400/50 pointer-events-none">
+            <p className="text-white text-sm flex items-center gap-2">
+              <span>📍</span>
+              Click a framing member or panel to place the sensor • Drag to orbit • Scroll to zoom
+            </p>
+          </div>
+        )}
+        {!placing && !selectedComponent && !selectedAlert && !selectedPanel && !selectedSensor && (
+          <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-slate-800/90 backdrop-blur-sm rounded-lg px-4 py-2 border border-slate-600/50 pointer-events-none">
+            <p className="text-slate-300 text-sm flex items-center gap-2">
+              <span className="text-blue-400">💡</span>
+              Drag to orbit • Right-drag to pan • Scroll to zoom • Click panels/sensors for details • ? for shortcuts
+            </p>
+          </div>
+        )}
+      </div>
     </div>
   );
 }
\ No newline at end of file
@@ -1,8 +1,33 @@
 import React, { useState, useEffect } from 'react';
-import { Building2, Bell } from 'lucide-react';
+import { Building2, Bell, ChevronDown, Check, LayoutGrid, FileText, Loader2, Search, Crosshair, ShieldAlert } from 'lucide-react';
+import { format } from 'date-fns';
+import { Link } from 'react-router-dom';
+import { createPageUrl } from '@/utils';
+import { useLiveConnection } from '@/lib/LiveDataContext';
+import { useSite } from '@/lib/SiteContext';
+import { useCommandPalette } from '@/lib/CommandPaletteContext';
+import { useAlertRecords } from '@/hooks/use-alert-records';
+import { isOutstanding } from '@/components/alerts/alertLifecycle';
+import { withSite } from '@/components/sites/siteDirectory';
 
-export default function Header({ alertCount = 2 }) {
+const connectionConfig = {
+  live: { label: 'Live', dot: 'bg-green-500 animate-pulse', text: 'text-green-400' },
+  replay: { label: 'Replay', dot: 'bg-purple-500 animate-pulse', text: 'text-purple-400' },
+  polling: { label: 'Polling', dot: 'bg-blue-500', text: 'text-blue-400' },
+  connecting: { label: 'Connecting', dot: 'bg-slate-500 animate-pulse', text: 'text-slate-400' },
+  reconnecting: { label: 'Reconnecting', dot: 'bg-yellow-500 animate-pulse', text: 'text-yellow-400' }
+};
+
+export default function Header({ unreadCount = 0, onOpenNotifications, onOpenAlerts, onGenerateReport = null, isGeneratingReport = false, onCommissionSensor = null }) {
   const [time, setTime] = useState(new Date());
+  const { status, lastEventAt } = useLiveConnection();
+  const connection = connectionConfig[status] || connectionConfig.connecting;
+  const { sites, site, selectSite } = useSite();
+  const [siteMenuOpen, setSiteMenuOpen] = useState(false);
+  const { setOpen: setSearchOpen } = useCommandPalette();
+  const { data: alertRecords = [] } = useAlertRecords();
+  // Re-evaluated every second with the clock, so snoozes expire on their own
+  const alertCount = alertRecords.filter(record => isOutstanding(record, time)).length;
   
   useEffect(() => {
     const timer = setInterval(() => setTime(new Date()), 1000);
@@ -20,23 +45,121 @@ export default function Header({ alertCount = 2 }) {
 
   return (
     <header className="h-14 bg-slate-900/80 backdrop-blur-sm border-b border-slate-700/50 flex items-center justify-between px-6">
-      {/* Left - Location */}
-      <div className="flex items-center gap-3">
+      {/* Left - Site switcher */}
+      <div className="relative flex items-center gap-3">
         <Building2 className="w-5 h-5 text-slate-400" />
         <div className="flex items-center gap-2">
-          <span className="text-white font-medium">Riviera Lane - Unit 4B</span>
+          <button
+            onClick={() => setSiteMenuOpen(open => !open)}
+            disabled={sites.length === 0}
+            className="flex items-center gap-1.5 text-white font-medium hover:text-blue-300 disabled:hover:text-white transition-colors"
+          >
+            {site?.name || 'All sensors'}
+            {sites.length > 0 && <ChevronDown className="w-4 h-4 text-slate-400" />}
+          </button>
           <span className="text-slate-500">|</span>
           <span className="text-slate-400">Live Monitor</span>
         </div>
+
+        {siteMenuOpen && (
+          <>
+            <div className="fixed inset-0 z-40" onClick={() => setSiteMenuOpen(false)} />
+            <div role="menu" className="absolute top-full left-0 mt-3 w-72 bg-slate-800 border border-slate-600/50 rounded-xl shadow-2xl z-50 overflow-hidden">
+              <div className="max-h-80 overflow-y-auto py-1">
+                {sites.map(s => (
+                  <button
+                    key={s.site_id}
+                    onClick={() => {
+                      selectSite(s.site_id);
+                      setSiteMenuOpen(false);
+                    }}
+                    className="w-full flex items-center justify-between gap-2 px-4 py-2 text-left hover:bg-slate-700/60 transition-colors"
+                  >
+                    <div className="min-w-0">
+                      <p className="text-white text-sm truncate">{s.name}</p>
+                      {s.address && <p className="text-slate-500 text-xs truncate">{s.address}</p>}
+                    </div>
+                    {s.site_id === site?.site_id && <Check className="w-4 h-4 text-blue-400 flex-shrink-0" />}
+                  </button>
+                ))}
+              </div>
+              <Link
+                to={withSite(createPageUrl('Portfolio'), site?.site_id)}
+                onClick={() => setSiteMenuOpen(false)}
+                className="flex items-center gap-2 px-4 py-2.5 border-t border-slate-700/50 text-sm text-blue-400 hover:bg-slate-700/60 transition-colors"
+              >
+                <LayoutGrid className="w-4 h-4" />
+                Portfolio overview
+              </Link>
+            </div>
+          </>
+        )}
       </div>
       
-      {/* Right - Notifications & Time */}
+      {/* Right - Report, Notifications & Time */}
       <div className="flex items-center gap-6">
-        <button className="relative p-2 hover:bg-slate-800 rounded-lg transition-colors">
-          <Bell className="w-5 h-5 text-slate-400" />
+        <button
+          onClick={() => setSearchOpen(true)}
+          className="flex items-center gap-2 w-56 px-3 py-1.5 rounded-lg bg-slate-800/80 border border-slate-700/50 text-sm text-slate-400 hover:text-white hover:bg-slate-700/80 transition-colors"
+        >
+          <Search className="w-4 h-4" />
+          <span className="flex-1 text-left">Search…</span>
+          <kbd className="text-[10px] font-mono text-slate-500">Ctrl K</kbd>
+        </button>
+
+        <div
+          className="flex items-center gap-2 px-3 py-1 rounded-full bg-slate-800/80 border border-slate-700/50"
+          title={lastEventAt ? `Last update ${format(lastEventAt, 'HH:mm:ss')}` : 'No updates yet'}
+        >
+          <span className={`w-2 h-2 rounded-full ${connection.dot}`} />
+          <span className={`text-xs font-medium ${connection.text}`}>{connection.label}</span>
+        </div>
+
+        {onCommissionSensor && (
+          <button
+            onClick={onCommissionSensor}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-slate-800/80 border border-slate-700/50 text-sm text-slate-300 hover:text-white hover:bg-slate-700/80 transition-colors"
+            title="Add a sensor and place it in the digital twin"
+          >
+            <Crosshair className="w-4 h-4" />
+            Commission sensor
+          </button>
+        )}
+
+        {onGenerateReport && (
+          <button
+            onClick={onGenerateReport}
+            disabled={isGeneratingReport}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-slate-800/80 border border-slate-700/50 text-sm text-slate-300 hover:text-white hover:bg-slate-700/80 disabled:opacity-60 transition-colors"
+            title="Generate inspection report (PDF)"
+          >
+            {isGeneratingReport ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileText className="w-4 h-4" />}
+            {isGeneratingReport ? 'Generating…' : 'Generate report'}
+          </button>
+        )}
+
+        <button
+          onClick={onOpenAlerts}
+          className="relative p-2 hover:bg-slate-800 rounded-lg transition-colors"
+          title="Alert inbox"
+        >
+          <ShieldAlert className="w-5 h-5 text-slate-400" />
           {alertCount > 0 && (
-            <span className="absolute -top-0.5 -right-0.5 w-5 h-5 bg-red-500 rounded-full text-xs text-white flex items-center justify-center font-medium">
-              {alertCount}
+            <span className="absolute -top-0.5 -right-0.5 min-w-5 h-5 px-1 bg-red-500 rounded-full text-xs text-white flex items-center justify-center font-medium">
+              {alertCount > 99 ? '99+' : alertCount}
+            </span>
+          )}
+        </button>
+
+        <button
+          onClick={onOpenNotifications}
+          className="relative p-2 hover:bg-slate-800 rounded-lg transition-colors"
+          title="Notifications"
+        >
+          <Bell className="w-5 h-5 text-slate-400" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 min-w-5 h-5 px-1 bg-red-500 rounded-full text-xs text-white flex items-center justify-center font-medium">
+              {unreadCount > 99 ? '99+' : unreadCount}
             </span>
           )}
         </button>
@@ -0,0 +1,37 @@
+import React, { useState, useEffect } from 'react';
+import { Radio } from 'lucide-react';
+import { format, formatDistanceStrict } from 'date-fns';
+
+export default function LiveStreamStatus({ lastUpdated, updateCount, sensorCount }) {
+  const [now, setNow] = useState(new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="absolute top-4 left-4 bg-slate-800/90 backdrop-blur-sm rounded-lg border border-slate-700/50 px-3 py-2 text-sm pointer-events-none">
+      <div className="flex items-center gap-2">
+        <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse" />
+        <Radio className="w-4 h-4 text-green-400" />
+        <span className="text-white font-medium">Live Stream</span>
+        <span className="text-slate-500 text-xs">{sensorCount} sensors</span>
+      </div>
+      <div className="mt-1 text-xs text-slate-400">
+        Last updated:{' '}
+        {lastUpdated ? (
+          <>
+            <span className="text-white font-mono">{format(lastUpdated, 'HH:mm:ss')}</span>
+            <span className="ml-1">({formatDistanceStrict(lastUpdated, now)} ago)</span>
+          </>
+        ) : (
+          <span className="text-slate-500">waiting for updates…</span>
+        )}
+      </div>
+      {updateCount > 0 && (
+        <div className="text-xs text-slate-500">{updateCount} updates this session</div>
+      )}
+    </div>
+  );
+}
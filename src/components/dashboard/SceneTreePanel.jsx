@@ -0,0 +1,190 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ListTree, X, Search, ChevronRight, ChevronDown, Eye, EyeOff, Focus } from 'lucide-react';
+import {
+  TREE_GROUPINGS,
+  availableGroupings,
+  getTypeColor,
+  groupComponents,
+  isComponentShown,
+} from './sceneTree';
+
+export default function SceneTreePanel({
+  components,
+  storeyLabels = [],
+  visibility,
+  selectedId = null,
+  onSelect,
+  onToggleGroup,
+  onIsolateGroup,
+  onShowAll,
+  onClose,
+}) {
+  const [grouping, setGrouping] = useState('type');
+  const [query, setQuery] = useState('');
+  const [expanded, setExpanded] = useState(() => new Set());
+  const selectedRowRef = useRef(null);
+
+  const groupings = availableGroupings(components);
+  const activeGrouping = groupings.includes(grouping) ? grouping : 'type';
+  const groups = useMemo(
+    () => groupComponents(components, activeGrouping, query, storeyLabels),
+    [components, activeGrouping, query, storeyLabels]
+  );
+  const shownCount = components.filter(c => isComponentShown(visibility, c.id)).length;
+  const isFiltered = visibility.hiddenIds.size > 0 || visibility.isolate;
+
+  // Open the group holding the member selected in the 3D view
+  const selectedGroupKey = groups.find(g => g.components.some(c => c.id === selectedId))?.key;
+  useEffect(() => {
+    if (!selectedGroupKey) return;
+    setExpanded(prev => (prev.has(selectedGroupKey) ? prev : new Set(prev).add(selectedGroupKey)));
+  }, [selectedGroupKey]);
+
+  useEffect(() => {
+    selectedRowRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [selectedId, expanded]);
+
+  const toggleExpanded = (key) => setExpanded((prev) => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    return next;
+  });
+
+  return (
+    <div className="w-72 shrink-0 flex flex-col bg-slate-900 border-r border-slate-700/50 text-sm">
+      {/* Header */}
+      <div className="p-3 border-b border-slate-700/50">
+        <div className="flex items-center justify-between mb-2">
+          <div className="flex items-center gap-2">
+            <ListTree className="w-4 h-4 text-blue-400" />
+            <span className="text-white font-medium">Scene</span>
+            <span className="text-slate-500 text-xs">{shownCount}/{components.length} members</span>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-md text-slate-400 hover:text-white hover:bg-slate-700 transition-all"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Search */}
+        <div className="relative">
+          <Search className="w-3.5 h-3.5 text-slate-500 absolute left-2 top-1/2 -translate-y-1/2" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search by ID, e.g. COL-3"
+            className="w-full bg-slate-800 border border-slate-700 rounded-md pl-7 pr-2 py-1.5 text-white text-xs focus:outline-none focus:border-blue-500"
+          />
+        </div>
+
+        {/* Grouping */}
+        {groupings.length > 1 && (
+          <div className="flex gap-1 mt-2">
+            {groupings.map(id => (
+              <button
+                key={id}
+                onClick={() => setGrouping(id)}
+                className={`flex-1 px-2 py-1 rounded-md text-xs font-medium transition-all ${
+                  activeGrouping === id
+                    ? 'bg-blue-600 text-white'
+                    : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                }`}
+              >
+                {TREE_GROUPINGS[id]}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {isFiltered && (
+          <div className="flex items-center justify-between mt-2 text-xs">
+            <span className="text-slate-400 truncate">
+              {visibility.isolate ? `Isolating ${visibility.isolate.label}` : `${visibility.hiddenIds.size} hidden`}
+            </span>
+            <button onClick={onShowAll} className="text-blue-400 hover:text-blue-300 shrink-0">
+              Show all
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Groups */}
+      <div className="flex-1 overflow-y-auto p-2">
+        {groups.length === 0 && (
+          <p className="text-slate-500 text-xs p-2">
+            {query ? `No members match "${query}"` : 'No selectable members in this model'}
+          </p>
+        )}
+        {groups.map((group) => {
+          const open = expanded.has(group.key) || Boolean(query.trim());
+          const shown = group.components.filter(c => isComponentShown(visibility, c.id)).length;
+          const anyUnhidden = group.components.some(c => !visibility.hiddenIds.has(c.id));
+          const isolated = visibility.isolate?.key === group.key;
+          return (
+            <div key={group.key} className="mb-1">
+              <div className="group flex items-center gap-1 rounded-md hover:bg-slate-800">
+                <button
+                  onClick={() => toggleExpanded(group.key)}
+                  className="flex-1 flex items-center gap-1.5 px-1 py-1.5 text-left min-w-0"
+                >
+                  {open
+                    ? <ChevronDown className="w-3.5 h-3.5 text-slate-500 shrink-0" />
+                    : <ChevronRight className="w-3.5 h-3.5 text-slate-500 shrink-0" />}
+                  <span className={`truncate ${shown === 0 ? 'text-slate-500' : 'text-slate-200'}`}>{group.label}</span>
+                  <span className="text-slate-500 text-xs shrink-0">
+                    {shown === group.components.length ? group.components.length : `${shown}/${group.components.length}`}
+                  </span>
+                </button>
+                <button
+                  onClick={() => onToggleGroup(group)}
+                  className="p-1 rounded-md text-slate-400 hover:text-white hover:bg-slate-700"
+                  title={anyUnhidden ? 'Hide' : 'Show'}
+                >
+                  {anyUnhidden ? <Eye className="w-3.5 h-3.5" /> : <EyeOff className="w-3.5 h-3.5" />}
+                </button>
+                <button
+                  onClick={() => onIsolateGroup(group)}
+                  className={`p-1 rounded-md transition-all ${
+                    isolated ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                  }`}
+                  title={isolated ? 'Stop isolating' : 'Isolate'}
+                >
+                  <Focus className="w-3.5 h-3.5" />
+                </button>
+              </div>
+              {open && (
+                <div className="ml-5 border-l border-slate-800 pl-1">
+                  {group.components.map((component) => {
+                    const selected = component.id === selectedId;
+                    return (
+                      <button
+                        key={component.id}
+                        ref={selected ? selectedRowRef : null}
+                        onClick={() => onSelect(component)}
+                        className={`w-full flex items-center justify-between gap-2 rounded-md px-2 py-1 text-left transition-colors ${
+                          selected ? 'bg-blue-600/30' : 'hover:bg-slate-800'
+                        }`}
+                      >
+                        <span className={`font-mono text-xs ${isComponentShown(visibility, component.id) ? 'text-white' : 'text-slate-500'}`}>
+                          {component.id}
+                        </span>
+                        {activeGrouping !== 'type' && (
+                          <span className={`px-1.5 py-0.5 rounded border text-[10px] truncate ${getTypeColor(component.type)}`}>
+                            {component.type}
+                          </span>
+                        )}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
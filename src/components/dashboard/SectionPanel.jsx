@@ -0,0 +1,123 @@
+import React from 'react';
+import { Scissors, ArrowLeftRight, ScanEye } from 'lucide-react';
+import { DEFAULT_SECTION, SECTION_AXES, SECTION_LAYERS } from './sectionView';
+
+export default function SectionPanel({ section, storeys = [], layers = [], onChange }) {
+  const updateCut = (axis, patch) =>
+    onChange({ ...section, cuts: { ...section.cuts, [axis]: { ...section.cuts[axis], ...patch } } });
+
+  const toggleLayer = (layer) =>
+    onChange({ ...section, layers: { ...section.layers, [layer]: !section.layers[layer] } });
+
+  const floors = [{ id: 'all', label: 'All' }, ...storeys];
+
+  return (
+    <div className="w-72 bg-slate-800/95 backdrop-blur-sm rounded-lg border border-slate-700/50 p-3 text-sm shadow-xl">
+      {/* Title */}
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <Scissors className="w-4 h-4 text-blue-400" />
+          <span className="text-white font-medium">Section</span>
+        </div>
+        <button
+          onClick={() => onChange(DEFAULT_SECTION)}
+          className="text-xs text-slate-400 hover:text-white"
+        >
+          Reset
+        </button>
+      </div>
+
+      {/* Cuts */}
+      <div className="space-y-2">
+        {SECTION_AXES.map((axis) => {
+          const cut = section.cuts[axis];
+          return (
+            <div key={axis} className="flex items-center gap-2">
+              <label className="flex items-center gap-1.5 w-12 text-xs text-slate-400 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={cut.enabled}
+                  onChange={(e) => updateCut(axis, { enabled: e.target.checked })}
+                  className="accent-blue-600"
+                />
+                {axis.toUpperCase()}
+              </label>
+              <input
+                type="range"
+                min={0}
+                max={100}
+                value={Math.round(cut.at * 100)}
+                disabled={!cut.enabled}
+                onChange={(e) => updateCut(axis, { at: Number(e.target.value) / 100 })}
+                className="flex-1 accent-blue-600 disabled:opacity-50"
+              />
+              <button
+                onClick={() => updateCut(axis, { flip: !cut.flip })}
+                disabled={!cut.enabled}
+                className={`p-1 rounded-md transition-all disabled:opacity-50 ${
+                  cut.flip ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                }`}
+                title="Keep the other side"
+              >
+                <ArrowLeftRight className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Floor */}
+      {storeys.length > 0 && (
+        <div className="mt-3">
+          <p className="text-xs text-slate-400 mb-1">Floor</p>
+          <div className="flex gap-1">
+            {floors.map(floor => (
+              <button
+                key={floor.id}
+                onClick={() => onChange({ ...section, floor: floor.id })}
+                className={`flex-1 px-2 py-1 rounded-md text-xs font-medium transition-all ${
+                  section.floor === floor.id
+                    ? 'bg-blue-600 text-white'
+                    : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                }`}
+              >
+                {floor.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Layers */}
+      {layers.length > 0 && (
+        <div className="mt-3">
+          <p className="text-xs text-slate-400 mb-1">Show</p>
+          <div className="grid grid-cols-2 gap-x-3 gap-y-1">
+            {layers.map(layer => (
+              <label key={layer} className="flex items-center gap-1.5 text-xs text-slate-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={section.layers[layer]}
+                  onChange={() => toggleLayer(layer)}
+                  className="accent-blue-600"
+                />
+                {SECTION_LAYERS[layer]}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* X-ray */}
+      <button
+        onClick={() => onChange({ ...section, xray: !section.xray })}
+        className={`mt-3 w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-md text-xs font-medium transition-all ${
+          section.xray ? 'bg-blue-600 text-white' : 'bg-slate-700/50 text-slate-300 hover:text-white hover:bg-slate-700'
+        }`}
+      >
+        <ScanEye className="w-4 h-4" />
+        X-ray
+      </button>
+    </div>
+  );
+}
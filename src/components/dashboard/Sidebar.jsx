@@ -1,16 +1,22 @@
 import React from 'react';
-import { LayoutDashboard, Activity, Box, Settings } from 'lucide-react';
+import { LayoutDashboard, Activity, Box, Settings, LayoutGrid, BatteryWarning } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
+import { useSite } from '@/lib/SiteContext';
+import { withSite } from '@/components/sites/siteDirectory';
 
 const navItems = [
+  { id: 'portfolio', icon: LayoutGrid, label: 'Portfolio', page: 'Portfolio' },
   { id: 'dashboard', icon: LayoutDashboard, label: 'Dashboard', page: 'Dashboard', active: true },
   { id: 'sensors', icon: Activity, label: 'Sensors', page: 'Sensors' },
+  { id: 'batteries', icon: BatteryWarning, label: 'Battery Planner', page: 'Batteries' },
   { id: 'twin', icon: Box, label: 'Digital Twin', page: 'Dashboard' },
-  { id: 'settings', icon: Settings, label: 'Settings', page: 'Dashboard' }
+  { id: 'settings', icon: Settings, label: 'Settings', page: 'Settings' }
 ];
 
 export default function Sidebar() {
+  const { siteId } = useSite();
+
   return (
     <div className="w-16 bg-slate-900 flex flex-col items-center py-4 border-r border-slate-700/50">
       {/* Logo */}
@@ -26,7 +32,7 @@ export default function Sidebar() {
           return (
             <Link
               key={item.id}
-              to={createPageUrl(item.page)}
+              to={withSite(createPageUrl(item.page), siteId)}
               className={`w-10 h-10 rounded-xl flex items-center justify-center transition-all duration-200 ${
                 isActive
                   ? 'bg-blue-600 text-white shadow-lg shadow-blue-600/30' 
@@ -1,7 +1,10 @@
 import React from 'react';
 import { AlertTriangle, CheckCircle, Cpu } from 'lucide-react';
+import { formatSensorReading } from './units';
+
+export default function StatusCards({ data, units }) {
+  const load = formatSensorReading({ sensor_type: 'stress', last_reading: data.currentLoad.value }, units);
 
-export default function StatusCards({ data }) {
   const cards = [
     {
       id: 'status',
@@ -34,7 +37,7 @@ export default function StatusCards({ data }) {
       id: 'load',
       label: 'CURRENT LOAD',
       value: data.currentLoad.status,
-      subValue: `${data.currentLoad.value} ${data.currentLoad.label}`,
+      subValue: `${load} ${data.currentLoad.label}`,
       icon: Cpu,
       status: 'stable',
       borderColor: 'border-slate-600/50',
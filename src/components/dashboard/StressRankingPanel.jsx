@@ -0,0 +1,70 @@
+import React from 'react';
+import { Gauge } from 'lucide-react';
+import { UTILIZATION_STOPS, getUtilizationLevel } from './stressMap';
+import { gradientCss } from './viewOverlay';
+
+export default function StressRankingPanel({ results, totalMembers, sensorCount, selectedId, onSelect }) {
+  return (
+    <div className="absolute top-4 left-4 w-72 bg-slate-800/90 backdrop-blur-sm rounded-lg border border-slate-700/50 text-sm overflow-hidden">
+      {/* Header */}
+      <div className="p-3 border-b border-slate-700/50">
+        <div className="flex items-center justify-between mb-2">
+          <div className="flex items-center gap-2">
+            <Gauge className="w-4 h-4 text-cyan-400" />
+            <span className="text-white font-medium">Load Utilization</span>
+          </div>
+          <span className="text-slate-500 text-xs">{totalMembers} members</span>
+        </div>
+        <div className="h-2 rounded-full" style={{ background: gradientCss(UTILIZATION_STOPS) }} />
+        <div className="flex justify-between mt-1 text-xs font-mono text-slate-400">
+          <span>0%</span>
+          <span>50%</span>
+          <span>100%+</span>
+        </div>
+      </div>
+
+      {/* Top Members */}
+      <div className="p-2 max-h-80 overflow-y-auto">
+        {sensorCount === 0 ? (
+          <p className="text-yellow-400 text-xs p-2">No stress sensors with a position</p>
+        ) : (
+          results.map((result, idx) => {
+            const level = getUtilizationLevel(result.utilization);
+            const pct = result.utilization * 100;
+            return (
+              <button
+                key={result.id}
+                onClick={() => onSelect(result)}
+                className={`w-full text-left rounded-md px-2 py-1.5 transition-colors ${
+                  selectedId === result.id ? 'bg-blue-600/30' : 'hover:bg-slate-700/50'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-white font-medium">
+                    <span className="text-slate-500 text-xs mr-1.5">{idx + 1}.</span>
+                    {result.id}
+                  </span>
+                  <span className={`font-mono text-xs font-semibold ${level.color}`}>
+                    {pct.toFixed(pct < 10 ? 2 : 1)}%
+                  </span>
+                </div>
+                <div className="flex items-center justify-between text-xs text-slate-400 mt-0.5">
+                  <span>{result.type}</span>
+                  <span className="font-mono">
+                    {result.measured.toFixed(2)} / {result.rated} kN
+                  </span>
+                </div>
+                <div className="h-1 mt-1 rounded-full bg-slate-700 overflow-hidden">
+                  <div
+                    className={`h-full rounded-full ${level.bar}`}
+                    style={{ width: `${Math.min(100, pct)}%` }}
+                  />
+                </div>
+              </button>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React from 'react';
+import { Thermometer } from 'lucide-react';
+import { THERMAL_SCALES, scaleGradientCss } from './thermalMap';
+
+export default function ThermalLegend({
+  scale,
+  range,
+  autoRange,
+  unit,
+  sampleCount,
+  hottest,
+  onScaleChange,
+  onRangeChange,
+  onAutoRangeChange,
+}) {
+  const mid = (range.min + range.max) / 2;
+
+  return (
+    <div className="absolute bottom-16 left-4 w-72 bg-slate-800/90 backdrop-blur-sm rounded-lg border border-slate-700/50 p-3 text-sm">
+      {/* Title */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          <Thermometer className="w-4 h-4 text-orange-400" />
+          <span className="text-white font-medium">Temperature</span>
+          {unit && <span className="text-slate-400 text-xs">({unit})</span>}
+        </div>
+        <span className="text-slate-500 text-xs">{sampleCount} sensors</span>
+      </div>
+
+      {/* Gradient Bar */}
+      <div className="h-3 rounded-full" style={{ background: scaleGradientCss(scale) }} />
+      <div className="flex justify-between mt-1 text-xs font-mono text-slate-400">
+        <span>{range.min.toFixed(1)}</span>
+        <span>{mid.toFixed(1)}</span>
+        <span>{range.max.toFixed(1)}</span>
+      </div>
+
+      {hottest && (
+        <p className="mt-2 text-xs text-slate-400">
+          Hottest: <span className="text-orange-400 font-medium">{hottest.id}</span>{' '}
+          <span className="text-white font-mono">{hottest.value.toFixed(1)}{unit}</span>
+        </p>
+      )}
+
+      {sampleCount === 0 && (
+        <p className="mt-2 text-xs text-yellow-400">No temperature readings with a position</p>
+      )}
+
+      {/* Scale Selector */}
+      <div className="flex gap-1 mt-3">
+        {Object.entries(THERMAL_SCALES).map(([id, def]) => (
+          <button
+            key={id}
+            onClick={() => onScaleChange(id)}
+            className={`flex-1 px-2 py-1 rounded-md text-xs font-medium transition-all ${
+              scale === id
+                ? 'bg-blue-600 text-white'
+                : 'text-slate-400 hover:text-white hover:bg-slate-700'
+            }`}
+          >
+            {def.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Range */}
+      <div className="flex items-center gap-2 mt-3">
+        <label className="flex items-center gap-1.5 text-xs text-slate-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={autoRange}
+            onChange={(e) => onAutoRangeChange(e.target.checked)}
+            className="accent-blue-600"
+          />
+          Auto range
+        </label>
+        <input
+          type="number"
+          value={range.min}
+          disabled={autoRange}
+          onChange={(e) => onRangeChange({ ...range, min: parseFloat(e.target.value) || 0 })}
+          className="w-16 bg-slate-700/50 border border-slate-600 rounded px-1.5 py-0.5 text-xs text-white font-mono disabled:opacity-50"
+        />
+        <span className="text-slate-500">–</span>
+        <input
+          type="number"
+          value={range.max}
+          disabled={autoRange}
+          onChange={(e) => onRangeChange({ ...range, max: parseFloat(e.target.value) || 0 })}
+          className="w-16 bg-slate-700/50 border border-slate-600 rounded px-1.5 py-0.5 text-xs text-white font-mono disabled:opacity-50"
+        />
+      </div>
+    </div>
+  );
+}
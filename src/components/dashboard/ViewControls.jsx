@@ -1,7 +1,61 @@
-import React from 'react';
-import { Plus, Minus, Navigation, RotateCw } from 'lucide-react';
+import React, { useRef, useState } from 'react';
+import { Plus, Minus, Navigation, RotateCw, Upload, Download, Loader2, X, Bookmark, Keyboard, Scissors, ListTree } from 'lucide-react';
+import SectionPanel from './SectionPanel';
+import { MODEL_FILE_ACCEPT } from './modelImport';
+import { CAMERA_SHORTCUTS, MAX_BOOKMARKS } from './cameraControls';
+import { isSectionActive } from './sectionView';
+
+export default function ViewControls({
+  activeView,
+  onViewChange,
+  onZoom,
+  importedModel = null,
+  isImporting = false,
+  onImportModel = null,
+  onClearImport = null,
+  isExporting = false,
+  onExport = null,
+  bookmarks = [],
+  onSaveBookmark = null,
+  onGoToBookmark = null,
+  onDeleteBookmark = null,
+  showShortcuts = false,
+  onShowShortcutsChange = null,
+  section = null,
+  sectionStoreys = [],
+  sectionLayers = [],
+  onSectionChange = null,
+  treeOpen = false,
+  onTreeOpenChange = null,
+}) {
+  const fileInputRef = useRef(null);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [sectionOpen, setSectionOpen] = useState(false);
+  const [bookmarkMenuOpen, setBookmarkMenuOpen] = useState(false);
+  const [bookmarkName, setBookmarkName] = useState('');
+  const [isSavingBookmark, setIsSavingBookmark] = useState(false);
+  const canSaveBookmark = bookmarks.length < MAX_BOOKMARKS && !isSavingBookmark;
+  // Only the analysis views have colors worth baking into an export
+  const bakeLabel = { thermal: 'Thermal', stress: 'Stress' }[activeView];
+
+  const runExport = (bakeView) => {
+    setExportMenuOpen(false);
+    onExport({ bakeView });
+  };
+
+  const saveBookmark = async () => {
+    if (!canSaveBookmark) return;
+    setIsSavingBookmark(true);
+    const saved = await onSaveBookmark(bookmarkName.trim() || `View ${bookmarks.length + 1}`);
+    setIsSavingBookmark(false);
+    if (saved) setBookmarkName('');
+  };
+
+  const goToBookmark = (bookmark) => {
+    setBookmarkMenuOpen(false);
+    onGoToBookmark(bookmark);
+  };
 
-export default function ViewControls({ activeView, onViewChange, onZoom }) {
   const views = [
     { id: 'live', label: 'LIVE STREAM', hasIndicator: true },
     { id: 'model', label: 'Model View' },
@@ -31,8 +85,188 @@ export default function ViewControls({ activeView, onViewChange, onZoom }) {
         ))}
       </div>
       
+      {/* Imported model */}
+      {importedModel && (
+        <div className="absolute bottom-4 right-16 flex items-center gap-2 bg-slate-800/80 backdrop-blur-sm rounded-lg border border-slate-700/50 pl-3 pr-1 py-1 text-sm">
+          <span className="text-xs font-semibold text-blue-400">{importedModel.format}</span>
+          <span className="text-white max-w-48 truncate" title={importedModel.name}>{importedModel.name}</span>
+          <span className="text-slate-400 text-xs">{importedModel.memberCount} members</span>
+          <button
+            onClick={onClearImport}
+            className="p-1 rounded-md text-slate-400 hover:text-white hover:bg-slate-700 transition-all"
+            title="Back to the site model"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Keyboard and touch shortcuts */}
+      {showShortcuts && (
+        <div className="absolute bottom-16 left-4 w-72 bg-slate-800/95 backdrop-blur-sm rounded-lg border border-slate-700/50 p-3 text-sm shadow-xl">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-white font-medium">Camera controls</span>
+            <button
+              onClick={() => onShowShortcutsChange(false)}
+              className="p-1 rounded-md text-slate-400 hover:text-white hover:bg-slate-700 transition-all"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="space-y-1">
+            {CAMERA_SHORTCUTS.map(({ keys, action }) => (
+              <div key={`${keys}-${action}`} className="flex items-center justify-between gap-3">
+                <span className="text-slate-400">{action}</span>
+                <span className="text-xs font-mono text-slate-300 bg-slate-700/60 rounded px-1.5 py-0.5">{keys}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Bottom Right - Zoom Controls */}
       <div className="absolute bottom-4 right-4 flex flex-col gap-2">
+        {onTreeOpenChange && (
+          <button
+            onClick={() => onTreeOpenChange(!treeOpen)}
+            className={`w-9 h-9 backdrop-blur-sm rounded-lg border border-slate-700/50 flex items-center justify-center transition-all ${
+              treeOpen ? 'bg-blue-600 text-white' : 'bg-slate-800/80 text-slate-400 hover:text-white hover:bg-slate-700'
+            }`}
+            title="Scene tree"
+          >
+            <ListTree className="w-4 h-4" />
+          </button>
+        )}
+        {onSectionChange && (
+          <div className="relative">
+            <button
+              onClick={() => setSectionOpen(open => !open)}
+              className={`w-9 h-9 backdrop-blur-sm rounded-lg border border-slate-700/50 flex items-center justify-center transition-all ${
+                isSectionActive(section) ? 'bg-blue-600 text-white' : 'bg-slate-800/80 text-slate-400 hover:text-white hover:bg-slate-700'
+              }`}
+              title="Section cuts, floors and X-ray"
+            >
+              <Scissors className="w-4 h-4" />
+            </button>
+            {sectionOpen && (
+              <div className="absolute right-11 top-0">
+                <SectionPanel
+                  section={section}
+                  storeys={sectionStoreys}
+                  layers={sectionLayers}
+                  onChange={onSectionChange}
+                />
+              </div>
+            )}
+          </div>
+        )}
+        {onSaveBookmark && (
+          <div className="relative">
+            <button
+              onClick={() => setBookmarkMenuOpen(open => !open)}
+              className="w-9 h-9 bg-slate-800/80 backdrop-blur-sm rounded-lg border border-slate-700/50 flex items-center justify-center text-slate-400 hover:text-white hover:bg-slate-700 transition-all"
+              title="Camera bookmarks"
+            >
+              <Bookmark className="w-4 h-4" />
+            </button>
+            {bookmarkMenuOpen && (
+              <div className="absolute right-11 top-0 w-64 bg-slate-800/95 backdrop-blur-sm rounded-lg border border-slate-700/50 p-1 text-sm shadow-xl">
+                {bookmarks.length === 0 && (
+                  <p className="px-3 py-2 text-slate-400">No saved views for this site yet</p>
+                )}
+                {bookmarks.map((bookmark, index) => (
+                  <div key={bookmark.id} className="flex items-center gap-1">
+                    <button
+                      onClick={() => goToBookmark(bookmark)}
+                      className="flex-1 flex items-center gap-2 text-left px-3 py-2 rounded-md text-slate-300 hover:text-white hover:bg-slate-700 min-w-0"
+                    >
+                      <span className="text-xs font-mono text-slate-500">{index + 1}</span>
+                      <span className="truncate">{bookmark.name}</span>
+                    </button>
+                    <button
+                      onClick={() => onDeleteBookmark(bookmark)}
+                      className="p-1.5 rounded-md text-slate-500 hover:text-red-400 hover:bg-slate-700 transition-all"
+                      title="Delete bookmark"
+                    >
+                      <X className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                ))}
+                <div className="flex items-center gap-1 border-t border-slate-700/50 mt-1 pt-1">
+                  <input
+                    value={bookmarkName}
+                    onChange={(e) => setBookmarkName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && saveBookmark()}
+                    placeholder={`View ${bookmarks.length + 1}`}
+                    disabled={!canSaveBookmark}
+                    className="flex-1 min-w-0 bg-slate-700/50 border border-slate-600 rounded-md px-2 py-1.5 text-white text-sm focus:outline-none focus:border-blue-500 disabled:opacity-60"
+                  />
+                  <button
+                    onClick={saveBookmark}
+                    disabled={!canSaveBookmark}
+                    className="px-3 py-1.5 rounded-md bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-60"
+                    title={bookmarks.length >= MAX_BOOKMARKS ? `Up to ${MAX_BOOKMARKS} bookmarks per site` : 'Save the current view'}
+                  >
+                    {isSavingBookmark ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Save'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+        {onExport && (
+          <div className="relative">
+            <button
+              onClick={() => setExportMenuOpen(open => !open)}
+              disabled={isExporting}
+              className="w-9 h-9 bg-slate-800/80 backdrop-blur-sm rounded-lg border border-slate-700/50 flex items-center justify-center text-slate-400 hover:text-white hover:bg-slate-700 transition-all disabled:opacity-60"
+              title="Export GLB"
+            >
+              {isExporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+            </button>
+            {exportMenuOpen && (
+              <div className="absolute right-11 top-0 w-56 bg-slate-800/95 backdrop-blur-sm rounded-lg border border-slate-700/50 p-1 text-sm shadow-xl">
+                <button
+                  onClick={() => runExport(false)}
+                  className="w-full text-left px-3 py-2 rounded-md text-slate-300 hover:text-white hover:bg-slate-700"
+                >
+                  Export GLB
+                </button>
+                {bakeLabel && (
+                  <button
+                    onClick={() => runExport(true)}
+                    className="w-full text-left px-3 py-2 rounded-md text-slate-300 hover:text-white hover:bg-slate-700"
+                  >
+                    Export GLB with {bakeLabel} colors
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+        {onImportModel && (
+          <>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={MODEL_FILE_ACCEPT}
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                if (file) onImportModel(file);
+                e.target.value = '';
+              }}
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isImporting}
+              className="w-9 h-9 bg-slate-800/80 backdrop-blur-sm rounded-lg border border-slate-700/50 flex items-center justify-center text-slate-400 hover:text-white hover:bg-slate-700 transition-all disabled:opacity-60"
+              title="Import IFC or glTF model"
+            >
+              {isImporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+            </button>
+          </>
+        )}
         <button 
           onClick={() => onZoom('in')}
           className="w-9 h-9 bg-slate-800/80 backdrop-blur-sm rounded-lg border border-slate-700/50 flex items-center justify-center text-slate-400 hover:text-white hover:bg-slate-700 transition-all"
@@ -52,6 +286,17 @@ export default function ViewControls({ activeView, onViewChange, onZoom }) {
         >
           <Navigation className="w-4 h-4" />
         </button>
+        {onShowShortcutsChange && (
+          <button
+            onClick={() => onShowShortcutsChange(!showShortcuts)}
+            className={`w-9 h-9 backdrop-blur-sm rounded-lg border border-slate-700/50 flex items-center justify-center transition-all ${
+              showShortcuts ? 'bg-blue-600 text-white' : 'bg-slate-800/80 text-slate-400 hover:text-white hover:bg-slate-700'
+            }`}
+            title="Camera controls (?)"
+          >
+            <Keyboard className="w-4 h-4" />
+          </button>
+        )}
       </div>
     </>
   );
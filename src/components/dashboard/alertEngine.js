@@ -0,0 +1,118 @@
+import { DEFAULT_UNITS, toCanonicalReading, toDisplayValue, getDisplayUnit, formatMeasurement } from './units';
+
+// Threshold rules per sensor type, in the unit named by `unit`.
+// An alert is raised when a reading reaches `warning` or `critical`, and only
+// steps down once the reading has retreated `hysteresis` past that threshold,
+// so a signal hovering on a boundary does not raise and clear on every update.
+// Panels can override any of these per type through `panel.alert_thresholds`,
+// e.g. { moisture: { warning: 60, critical: 75 } }.
+export const DEFAULT_ALERT_RULES = {
+  moisture: {
+    unit: '%', warning: 70, critical: 85, hysteresis: 3,
+    metric: 'HUMIDITY', titles: { warning: 'Elevated Moisture', critical: 'Moisture Detected' },
+  },
+  temperature: {
+    unit: '°F', warning: 110, critical: 130, hysteresis: 2,
+    metric: 'TEMP', titles: { warning: 'Heat Rise', critical: 'Critical Heat Rise' },
+  },
+  stress: {
+    unit: 'kN', warning: 10, critical: 15, hysteresis: 0.5,
+    metric: 'LOAD', titles: { warning: 'High Load', critical: 'Load Limit Exceeded' },
+  },
+  vibration: {
+    unit: 'mm/s', warning: 7.1, critical: 11.2, hysteresis: 0.5,
+    metric: 'VIBRATION', titles: { warning: 'Elevated Vibration', critical: 'Severe Vibration' },
+  },
+  air_quality: {
+    unit: 'ppm', warning: 1000, critical: 2000, hysteresis: 50,
+    metric: 'CO₂', titles: { warning: 'Poor Air Quality', critical: 'Hazardous Air Quality' },
+  },
+  smoke: {
+    unit: '%/ft', warning: 0.5, critical: 1.5, hysteresis: 0.1,
+    metric: 'SMOKE', titles: { warning: 'Smoke Trace', critical: 'Smoke Detected' },
+  },
+};
+
+export const SEVERITY_RANK = { warning: 1, critical: 2 };
+
+export function getAlertRule(sensorType, panel, rules = DEFAULT_ALERT_RULES) {
+  const base = rules[sensorType];
+  if (!base) return null;
+  const override = panel?.alert_thresholds?.[sensorType];
+  return override ? { ...base, ...override } : base;
+}
+
+// Severity for a reading, holding the previous severity inside the hysteresis band
+export function getSeverity(value, rule, previous = null) {
+  for (const severity of ['critical', 'warning']) {
+    const threshold = rule[severity];
+    if (typeof threshold !== 'number') continue;
+    const held = previous && SEVERITY_RANK[previous] >= SEVERITY_RANK[severity];
+    if (value >= threshold - (held ? rule.hysteresis : 0)) return severity;
+  }
+  return null;
+}
+
+/**
+ * Evaluate live sensors against their rules.
+ *
+ * previous: Map of sensor_id → alert from the last evaluation
+ * options: { rules, units } — site thresholds and the units alerts are shown in
+ * Returns a new Map with the alerts that are active now. Alerts keep their
+ * id and raisedAt while they stay active, and offline sensors or unreadable
+ * values keep whatever alert they had, since there is nothing to clear it with.
+ */
+export function evaluateAlerts(sensors = [], panels = [], previous = new Map(), { rules = DEFAULT_ALERT_RULES, units = DEFAULT_UNITS, now = new Date() } = {}) {
+  const panelsById = new Map(panels.map(p => [p.panel_id, p]));
+  const next = new Map();
+
+  sensors.forEach((sensor) => {
+    const prior = previous.get(sensor.sensor_id);
+    const panel = panelsById.get(sensor.panel_id);
+    const rule = getAlertRule(sensor.sensor_type, panel, rules);
+    if (!rule) return;
+
+    const reading = sensor.status === 'offline'
+      ? null
+      : toCanonicalReading(sensor.sensor_type, sensor.last_reading, sensor.reading_unit);
+    if (reading === null) {
+      if (prior) next.set(sensor.sensor_id, prior);
+      return;
+    }
+
+    const severity = getSeverity(reading, rule, prior?.severity);
+    if (!severity) return;
+    const display = (value) => toDisplayValue(sensor.sensor_type, value, units);
+    const unit = getDisplayUnit(sensor.sensor_type, rule.unit, units);
+
+    next.set(sensor.sensor_id, {
+      id: prior?.id || `alert-${sensor.sensor_id}`,
+      sensorId: sensor.sensor_id,
+      panelId: sensor.panel_id,
+      type: sensor.sensor_type,
+      severity,
+      title: rule.titles[severity],
+      locationId: sensor.panel_id,
+      locationName: panel ? [panel.panel_name, panel.location].filter(Boolean).join(' | ') : sensor.sensor_id,
+      metric: rule.metric,
+      reading: display(reading),
+      value: formatMeasurement(display(reading), unit),
+      unit,
+      threshold: display(rule[severity]),
+      criticalThreshold: display(rule.critical),
+      status: severity === 'critical' ? 'Critical' : 'Warning',
+      coordinates: sensor.position || null,
+      raisedAt: prior?.raisedAt || now,
+      severityChangedAt: prior && prior.severity !== severity ? now : prior?.severityChangedAt || null,
+    });
+  });
+
+  return next;
+}
+
+// Most severe first, then oldest first
+export function sortAlerts(alerts) {
+  return [...alerts].sort((a, b) =>
+    (SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]) || (a.raisedAt - b.raisedAt)
+  );
+}
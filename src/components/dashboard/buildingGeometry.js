@@ -0,0 +1,717 @@
+import * as THREE from 'three';
+import { normalizeBuilding } from './buildingModel';
+
+// Shared look for generated and imported buildings
+export function createBuildingMaterials() {
+  const framingMat = new THREE.MeshStandardMaterial({
+    color: 0x4a5568,
+    metalness: 0.55,
+    roughness: 0.55,
+  });
+
+  const heavyFramingMat = new THREE.MeshStandardMaterial({
+    color: 0x3d4a5c,
+    metalness: 0.6,
+    roughness: 0.5,
+  });
+
+  const wallPanelMat = new THREE.MeshStandardMaterial({
+    color: 0x3a4a5a,
+    transparent: true,
+    opacity: 0.08,
+    side: THREE.DoubleSide,
+  });
+
+  const roofPanelMat = new THREE.MeshStandardMaterial({
+    color: 0x2a3a4a,
+    transparent: true,
+    opacity: 0.1,
+    side: THREE.DoubleSide,
+  });
+
+  const floorMat = new THREE.MeshStandardMaterial({
+    color: 0x353f4f,
+    roughness: 0.9,
+    metalness: 0.1,
+  });
+
+  const edgeLineMat = new THREE.LineBasicMaterial({
+    color: 0x6a7a8a,
+    transparent: true,
+    opacity: 0.5,
+  });
+
+  return { framingMat, heavyFramingMat, wallPanelMat, roofPanelMat, floorMat, edgeLineMat };
+}
+
+// Steel-frame building generator — builds the framing, floors, cladding and
+// roof for a building description (see buildingModel.js), one section at a time.
+export function createBuilding(description) {
+  const { members, sections } = normalizeBuilding(description);
+  const group = new THREE.Group();
+  const components = [];
+  const framing = [];          // every steel member mesh, selectable or not
+  // Meshes by layer for the section view's toggles; a layer is the run of
+  // group children added between two marks
+  const layers = { studs: [], trusses: [], annex: [] };
+  const mark = () => group.children.length;
+  const collect = (layer, from) => layers[layer].push(...group.children.slice(from));
+  let storeyLevels = [0];
+
+  // ── Materials ──────────────────────────────────────────────────────
+  const {
+    framingMat, heavyFramingMat, wallPanelMat, roofPanelMat, floorMat, edgeLineMat,
+  } = createBuildingMaterials();
+  const gridMat = new THREE.LineBasicMaterial({ color: 0x556677, transparent: true, opacity: 0.12 });
+
+  // ── Member sizes ───────────────────────────────────────────────────
+  const bS = members.beam;           // steel member cross-section
+  const studS = members.stud;        // stud cross-section
+  const studSpacing = members.studSpacing;
+
+  // ── Helpers ───────────────────────────────────────────────────────
+  const componentData = (type, dims, weight, loadRating) => ({
+    dimensions: dims,
+    weight,
+    loadRating,
+    status: 'Good',
+    sensors: type === 'Structural Column' ? 2 : 1,
+    lastInspection: '2024-12-15',
+    installDate: '2024-03-10',
+    readings: [
+      { label: 'Stress', value: `${(0.5 + Math.random() * 0.8).toFixed(2)} kN` },
+      { label: 'Temp', value: `${Math.round(65 + Math.random() * 8)}°F` },
+    ],
+  });
+
+  let _id = 0;
+  const nextId = (prefix) => `${prefix}-${++_id}`;
+  let ridgeCount = 0;
+
+  const addFraming = (geo, mat, pos, type, id, data, rot = null) => {
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.set(pos[0], pos[1], pos[2]);
+    if (rot) mesh.rotation.set(rot[0] || 0, rot[1] || 0, rot[2] || 0);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData = {
+      id,
+      type,
+      material: 'Steel Framing',
+      position: { x: pos[0], y: pos[1], z: pos[2] },
+      selectable: true,
+      ...data,
+    };
+    group.add(mesh);
+    components.push(mesh);
+    framing.push(mesh);
+    const edges = new THREE.EdgesGeometry(geo, 20);
+    const line = new THREE.LineSegments(edges, edgeLineMat);
+    mesh.add(line);
+    return mesh;
+  };
+
+  const addDecor = (geo, mat, pos, rot = null) => {
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.set(pos[0], pos[1], pos[2]);
+    if (rot) mesh.rotation.set(rot[0] || 0, rot[1] || 0, rot[2] || 0);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+    return mesh;
+  };
+
+  const addSilentFraming = (geo, mat, pos, rot = null) => {
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.set(pos[0], pos[1], pos[2]);
+    if (rot) mesh.rotation.set(rot[0] || 0, rot[1] || 0, rot[2] || 0);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+    framing.push(mesh);
+    const edges = new THREE.EdgesGeometry(geo, 20);
+    mesh.add(new THREE.LineSegments(edges, edgeLineMat));
+    return mesh;
+  };
+
+  const makeQuadGeo = (a, b, c, d) => {
+    const geo = new THREE.BufferGeometry();
+    const verts = new Float32Array([
+      a[0], a[1], a[2], b[0], b[1], b[2], c[0], c[1], c[2],
+      a[0], a[1], a[2], c[0], c[1], c[2], d[0], d[1], d[2],
+    ]);
+    geo.setAttribute('position', new THREE.BufferAttribute(verts, 3));
+    geo.computeVertexNormals();
+    return geo;
+  };
+
+  const makeTriGeo = (a, b, c) => {
+    const geo = new THREE.BufferGeometry();
+    const verts = new Float32Array([a[0], a[1], a[2], b[0], b[1], b[2], c[0], c[1], c[2]]);
+    geo.setAttribute('position', new THREE.BufferAttribute(verts, 3));
+    geo.computeVertexNormals();
+    return geo;
+  };
+
+  const addLine = (p1, p2, mat) => {
+    const geo = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(p1[0], p1[1], p1[2]),
+      new THREE.Vector3(p2[0], p2[1], p2[2]),
+    ]);
+    group.add(new THREE.Line(geo, mat));
+  };
+
+  const addRod = (p1, p2, radius, mat) => {
+    const start = new THREE.Vector3(p1[0], p1[1], p1[2]);
+    const end = new THREE.Vector3(p2[0], p2[1], p2[2]);
+    const dir = new THREE.Vector3().subVectors(end, start);
+    const len = dir.length();
+    const mid = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
+    const geo = new THREE.CylinderGeometry(radius, radius, len, 6);
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.copy(mid);
+    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir.normalize());
+    mesh.castShadow = true;
+    group.add(mesh);
+    framing.push(mesh);
+    return mesh;
+  };
+
+  // Check if a stud at position along a wall should be skipped for an opening
+  const isInOpening = (pos, openings) => {
+    for (const op of openings) {
+      if (pos >= op.start - studS && pos <= op.end + studS) return op;
+    }
+    return null;
+  };
+
+  // Openings from a description (relative to the section centre and storey
+  // base) in absolute coordinates along a wall
+  const placeOpenings = (openings = [], offset, baseY) => openings.map(op => ({
+    start: op.start + offset,
+    end: op.end + offset,
+    headerH: op.header != null ? baseY + op.header : null,
+    sillH: op.sill != null ? baseY + op.sill : null,
+  }));
+
+  // Generate studs along a wall with openings
+  const buildWallStuds = (
+    fixedCoord, rangeStart, rangeEnd,
+    height, baseY, openings, isXAxis
+  ) => {
+    const studGeo = new THREE.BoxGeometry(studS, height, studS);
+    for (let p = rangeStart; p <= rangeEnd; p += studSpacing) {
+      const op = isInOpening(p, openings);
+      if (op) {
+        // Trimmer studs at opening edges
+        if (Math.abs(p - op.start) < studSpacing) {
+          const pos = isXAxis
+            ? [op.start - studS, baseY + height / 2, fixedCoord]
+            : [fixedCoord, baseY + height / 2, op.start - studS];
+          addSilentFraming(studGeo, framingMat, pos);
+          // Jack stud (shorter, below header)
+          if (op.headerH) {
+            const jackH = op.headerH - baseY;
+            if (jackH > 0) {
+              const jackGeo = new THREE.BoxGeometry(studS, jackH, studS);
+              const jPos = isXAxis
+                ? [op.start + studS, baseY + jackH / 2, fixedCoord]
+                : [fixedCoord, baseY + jackH / 2, op.start + studS];
+              addSilentFraming(jackGeo, framingMat, jPos);
+            }
+          }
+        }
+        if (Math.abs(p - op.end) < studSpacing) {
+          const pos = isXAxis
+            ? [op.end + studS, baseY + height / 2, fixedCoord]
+            : [fixedCoord, baseY + height / 2, op.end + studS];
+          addSilentFraming(studGeo, framingMat, pos);
+          if (op.headerH) {
+            const jackH = op.headerH - baseY;
+            if (jackH > 0) {
+              const jackGeo = new THREE.BoxGeometry(studS, jackH, studS);
+              const jPos = isXAxis
+                ? [op.end - studS, baseY + jackH / 2, fixedCoord]
+                : [fixedCoord, baseY + jackH / 2, op.end - studS];
+              addSilentFraming(jackGeo, framingMat, jPos);
+            }
+          }
+        }
+        // Header beam above opening
+        if (op.headerH && Math.abs(p - (op.start + op.end) / 2) < studSpacing / 2) {
+          const headerLen = op.end - op.start + studS * 2;
+          const headerGeo = new THREE.BoxGeometry(
+            isXAxis ? headerLen : bS,
+            bS,
+            isXAxis ? bS : headerLen
+          );
+          const hPos = isXAxis
+            ? [(op.start + op.end) / 2, op.headerH, fixedCoord]
+            : [fixedCoord, op.headerH, (op.start + op.end) / 2];
+          addSilentFraming(headerGeo, heavyFramingMat, hPos);
+          // Sill for windows
+          if (op.sillH) {
+            const sillGeo = new THREE.BoxGeometry(
+              isXAxis ? headerLen : bS * 0.7,
+              bS * 0.7,
+              isXAxis ? bS * 0.7 : headerLen
+            );
+            const sPos = isXAxis
+              ? [(op.start + op.end) / 2, op.sillH, fixedCoord]
+              : [fixedCoord, op.sillH, (op.start + op.end) / 2];
+            addSilentFraming(sillGeo, framingMat, sPos);
+          }
+        }
+        continue;
+      }
+      const pos = isXAxis
+        ? [p, baseY + height / 2, fixedCoord]
+        : [fixedCoord, baseY + height / 2, p];
+      addSilentFraming(studGeo, framingMat, pos);
+    }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════
+  // GABLE SECTION — STRUCTURAL STEEL FRAME
+  // ═══════════════════════════════════════════════════════════════════
+  const buildGableSection = (section) => {
+    const { width: W, depth: D, eaveHeight: eaveH, bay, floors, roof } = section;
+    const [ox, oz] = section.center;
+    const ridgeH = roof.rise;
+    const apexH = eaveH + ridgeH;
+    const hW = W / 2;
+    const hD = D / 2;
+    const levels = [0, ...floors, eaveH];
+    if (levels.length > storeyLevels.length) storeyLevels = levels;
+
+    // ── Floor ────────────────────────────────────────────────────────
+    addDecor(new THREE.BoxGeometry(W + 0.4, 0.15, D + 0.4), floorMat, [ox, -0.08, oz]);
+
+    // Subtle floor grid
+    for (let x = -hW; x <= hW; x += bay) addLine([ox + x, 0.01, oz - hD], [ox + x, 0.01, oz + hD], gridMat);
+    for (let z = -hD; z <= hD; z += bay) addLine([ox - hW, 0.01, oz + z], [ox + hW, 0.01, oz + z], gridMat);
+
+    // ── Corner Columns ───────────────────────────────────────────────
+    const colGeo = new THREE.BoxGeometry(bS * 1.2, eaveH, bS * 1.2);
+    for (const x of [-hW, hW]) {
+      for (const z of [-hD, hD]) {
+        addFraming(colGeo, heavyFramingMat, [ox + x, eaveH / 2, oz + z],
+          'Structural Column', nextId('COL'),
+          componentData('Structural Column', `HSS 4x4 (${eaveH}m)`, '35 kg', '1200 kN'));
+      }
+    }
+
+    // ── Bay Columns (at bay spacing along depth) ─────────────────────
+    const bayStudsFrom = mark();
+    const numBaysD = Math.round(D / bay);
+    for (let zi = 1; zi < numBaysD; zi++) {
+      const z = -hD + zi * bay;
+      for (const x of [-hW, hW]) {
+        addFraming(new THREE.BoxGeometry(bS, eaveH, bS), framingMat,
+          [ox + x, eaveH / 2, oz + z], 'Wall Stud', nextId('STD'),
+          componentData('Wall Stud', `C-stud (${eaveH}m)`, '12 kg', '800 kN'));
+      }
+    }
+
+    const numBaysW = Math.round(W / bay);
+    for (let xi = 1; xi < numBaysW; xi++) {
+      const x = -hW + xi * bay;
+      for (const z of [-hD, hD]) {
+        addFraming(new THREE.BoxGeometry(bS, eaveH, bS), framingMat,
+          [ox + x, eaveH / 2, oz + z], 'Wall Stud', nextId('STD'),
+          componentData('Wall Stud', `C-stud (${eaveH}m)`, '12 kg', '800 kN'));
+      }
+    }
+
+    collect('studs', bayStudsFrom);
+
+    // ── Top Plates ───────────────────────────────────────────────────
+    const tpGeoW = new THREE.BoxGeometry(W, bS, bS);
+    const tpGeoD = new THREE.BoxGeometry(bS, bS, D);
+    for (const z of [-hD, hD]) {
+      addFraming(tpGeoW, heavyFramingMat, [ox, eaveH, oz + z],
+        'Top Plate', nextId('TP'), componentData('Top Plate', `${W}m`, '20 kg', '600 kN'));
+    }
+    for (const x of [-hW, hW]) {
+      addFraming(tpGeoD, heavyFramingMat, [ox + x, eaveH, oz],
+        'Top Plate', nextId('TP'), componentData('Top Plate', `${D}m`, '24 kg', '600 kN'));
+    }
+
+    // ── Bottom Plates ────────────────────────────────────────────────
+    const bpGeoW = new THREE.BoxGeometry(W, bS * 0.7, bS * 0.7);
+    const bpGeoD = new THREE.BoxGeometry(bS * 0.7, bS * 0.7, D);
+    for (const z of [-hD, hD]) addSilentFraming(bpGeoW, framingMat, [ox, bS * 0.35, oz + z]);
+    for (const x of [-hW, hW]) addSilentFraming(bpGeoD, framingMat, [ox + x, bS * 0.35, oz]);
+
+    // ── Upper Floor Framing ──────────────────────────────────────────
+    floors.forEach((floorH) => {
+      // Floor joists
+      const floorJoistGeo = new THREE.BoxGeometry(W, bS * 0.7, bS * 0.7);
+      for (let z = -hD; z <= hD; z += bay) {
+        addFraming(floorJoistGeo, framingMat, [ox, floorH, oz + z],
+          'Floor Joist', nextId('FJ'),
+          componentData('Floor Joist', `${W}m joist`, '14 kg', '500 kN'));
+      }
+      // Rim joists
+      const rimGeoD = new THREE.BoxGeometry(bS * 0.7, bS * 0.7, D);
+      for (const x of [-hW, hW]) addSilentFraming(rimGeoD, framingMat, [ox + x, floorH, oz]);
+    });
+
+    // ── Wall Studs with Openings, storey by storey ───────────────────
+    const wallStudsFrom = mark();
+    const walls = [
+      { name: 'front', fixed: oz - hD, from: ox - hW, to: ox + hW, offset: ox, isX: true },
+      { name: 'back', fixed: oz + hD, from: ox - hW, to: ox + hW, offset: ox, isX: true },
+      { name: 'left', fixed: ox - hW, from: oz - hD, to: oz + hD, offset: oz, isX: false },
+      { name: 'right', fixed: ox + hW, from: oz - hD, to: oz + hD, offset: oz, isX: false },
+    ];
+    for (let storey = 0; storey < levels.length - 1; storey++) {
+      const baseY = levels[storey];
+      const height = levels[storey + 1] - baseY;
+      walls.forEach((wall) => {
+        const openings = placeOpenings(section.walls[wall.name]?.[storey], wall.offset, baseY);
+        buildWallStuds(wall.fixed, wall.from, wall.to, height, baseY, openings, wall.isX);
+      });
+    }
+
+    // ── Interior Partition Walls ─────────────────────────────────────
+    section.partitions.forEach((p) => {
+      const isX = p.axis === 'x';
+      const along = isX ? ox : oz;
+      const fixed = (isX ? oz : ox) + p.at;
+      const from = along + p.from;
+      const to = along + p.to;
+      const y = levels[p.storey] ?? 0;
+      const h = (levels[p.storey + 1] ?? eaveH) - y;
+      const openings = placeOpenings(p.openings, along, y);
+
+      const partStudGeo = new THREE.BoxGeometry(studS, h, studS);
+      for (let v = from; v <= to; v += studSpacing) {
+        const op = isInOpening(v, openings);
+        if (op) continue;
+        const pos = isX ? [v, y + h / 2, fixed] : [fixed, y + h / 2, v];
+        addSilentFraming(partStudGeo, framingMat, pos);
+      }
+      // Top and bottom plates for partition
+      const len = to - from;
+      const plateGeo = isX
+        ? new THREE.BoxGeometry(len, bS * 0.6, bS * 0.6)
+        : new THREE.BoxGeometry(bS * 0.6, bS * 0.6, len);
+      const mid = (from + to) / 2;
+      const topPos = isX ? [mid, y + h, fixed] : [fixed, y + h, mid];
+      const botPos = isX ? [mid, y + bS * 0.3, fixed] : [fixed, y + bS * 0.3, mid];
+      addSilentFraming(plateGeo, framingMat, topPos);
+      addSilentFraming(plateGeo, framingMat, botPos);
+      // Header beams over openings
+      openings.forEach((op) => {
+        if (!op.headerH) return;
+        const hLen = op.end - op.start + studS * 2;
+        const hGeo = isX
+          ? new THREE.BoxGeometry(hLen, bS, bS)
+          : new THREE.BoxGeometry(bS, bS, hLen);
+        const hMid = (op.start + op.end) / 2;
+        const hPos = isX ? [hMid, op.headerH, fixed] : [fixed, op.headerH, hMid];
+        addSilentFraming(hGeo, heavyFramingMat, hPos);
+      });
+    });
+
+    collect('studs', wallStudsFrom);
+
+    // ── Cross Bracing (X-braced bays) ────────────────────────────────
+    section.bracing.forEach(({ wall: name, bay: bayIndex, storey = 0 }) => {
+      const wall = walls.find(w => w.name === name);
+      if (!wall) return;
+      const a = wall.from + bayIndex * bay;
+      const b = a + bay;
+      const bottom = levels[storey] ?? 0;
+      const top = levels[storey + 1] ?? eaveH;
+      const point = (along, y) => (wall.isX ? [along, y, wall.fixed] : [wall.fixed, y, along]);
+      addRod(point(a, bottom), point(b, top), 0.015, framingMat);
+      addRod(point(a, top), point(b, bottom), 0.015, framingMat);
+    });
+
+    // ── Roof Trusses ─────────────────────────────────────────────────
+    const trussesFrom = mark();
+    for (let z = -hD; z <= hD; z += roof.trussSpacing) {
+      // Top chords (rafters)
+      const rafterLen = Math.sqrt((W / 2) ** 2 + ridgeH ** 2);
+      const rafterAngle = Math.atan2(ridgeH, W / 2);
+
+      addFraming(
+        new THREE.BoxGeometry(rafterLen, bS, bS), framingMat,
+        [ox - W / 4, eaveH + ridgeH / 2, oz + z], 'Roof Rafter', nextId('RFT'),
+        componentData('Roof Rafter', `${rafterLen.toFixed(1)}m`, '18 kg', '600 kN'),
+        [0, 0, rafterAngle]
+      );
+      addFraming(
+        new THREE.BoxGeometry(rafterLen, bS, bS), framingMat,
+        [ox + W / 4, eaveH + ridgeH / 2, oz + z], 'Roof Rafter', nextId('RFT'),
+        componentData('Roof Rafter', `${rafterLen.toFixed(1)}m`, '18 kg', '600 kN'),
+        [0, 0, -rafterAngle]
+      );
+
+      // Bottom chord (ceiling joist / tie beam)
+      addFraming(
+        new THREE.BoxGeometry(W, bS * 0.7, bS * 0.7), framingMat,
+        [ox, eaveH, oz + z], 'Ceiling Joist', nextId('CJ'),
+        componentData('Ceiling Joist', `${W}m tie`, '16 kg', '500 kN')
+      );
+
+      // Truss web members — king post + diagonals
+      // King post (vertical at center)
+      const kingH = ridgeH;
+      addSilentFraming(
+        new THREE.BoxGeometry(bS * 0.6, kingH, bS * 0.6), framingMat,
+        [ox, eaveH + kingH / 2, oz + z]
+      );
+
+      // Diagonal web members (from base of king post to mid-rafter on each side)
+      const quarterW = W / 4;
+      const midRafterH = eaveH + ridgeH / 2;
+      addRod(
+        [ox, eaveH, oz + z], [ox - quarterW, midRafterH, oz + z], 0.012, framingMat
+      );
+      addRod(
+        [ox, eaveH, oz + z], [ox + quarterW, midRafterH, oz + z], 0.012, framingMat
+      );
+
+      // Secondary verticals at quarter points
+      const qRiseL = ridgeH * 0.5;
+      addSilentFraming(
+        new THREE.BoxGeometry(bS * 0.5, qRiseL, bS * 0.5), framingMat,
+        [ox - quarterW, eaveH + qRiseL / 2, oz + z]
+      );
+      addSilentFraming(
+        new THREE.BoxGeometry(bS * 0.5, qRiseL, bS * 0.5), framingMat,
+        [ox + quarterW, eaveH + qRiseL / 2, oz + z]
+      );
+    }
+
+    // Ridge beam
+    addFraming(
+      new THREE.BoxGeometry(bS * 1.2, bS * 1.2, D), heavyFramingMat,
+      [ox, apexH, oz], 'Ridge Board', `RDG-${++ridgeCount}`,
+      componentData('Ridge Board', `${D}m ridge`, '28 kg', '500 kN')
+    );
+
+    // ── Purlins (horizontal members along roof slope) ────────────────
+    for (let pi = 1; pi <= roof.purlins; pi++) {
+      const frac = pi / (roof.purlins + 1);
+      const xL = -hW + frac * (W / 2);
+      const xR = frac * (W / 2);
+      const yP = eaveH + frac * ridgeH;
+      addSilentFraming(
+        new THREE.BoxGeometry(bS * 0.6, bS * 0.6, D), framingMat,
+        [ox + xL, yP, oz]
+      );
+      addSilentFraming(
+        new THREE.BoxGeometry(bS * 0.6, bS * 0.6, D), framingMat,
+        [ox + xR, yP, oz]
+      );
+    }
+
+    collect('trusses', trussesFrom);
+
+    // ── Cladding / transparent panels ────────────────────────────────
+    const clad = 0.06;
+    const x0 = ox - hW;
+    const x1 = ox + hW;
+    const z0 = oz - hD;
+    const z1 = oz + hD;
+    // Side wall panels
+    addDecor(makeQuadGeo(
+      [x0 - clad, 0, z0], [x0 - clad, 0, z1],
+      [x0 - clad, eaveH, z1], [x0 - clad, eaveH, z0]
+    ), wallPanelMat, [0, 0, 0]);
+    addDecor(makeQuadGeo(
+      [x1 + clad, 0, z0], [x1 + clad, eaveH, z0],
+      [x1 + clad, eaveH, z1], [x1 + clad, 0, z1]
+    ), wallPanelMat, [0, 0, 0]);
+
+    // Front and back wall panels
+    addDecor(makeQuadGeo(
+      [x0, 0, z0 - clad], [x0, eaveH, z0 - clad],
+      [x1, eaveH, z0 - clad], [x1, 0, z0 - clad]
+    ), wallPanelMat, [0, 0, 0]);
+    addDecor(makeTriGeo(
+      [ox, apexH, z0 - clad], [x0, eaveH, z0 - clad], [x1, eaveH, z0 - clad]
+    ), wallPanelMat, [0, 0, 0]);
+    addDecor(makeQuadGeo(
+      [x0, 0, z1 + clad], [x1, 0, z1 + clad],
+      [x1, eaveH, z1 + clad], [x0, eaveH, z1 + clad]
+    ), wallPanelMat, [0, 0, 0]);
+    addDecor(makeTriGeo(
+      [ox, apexH, z1 + clad], [x1, eaveH, z1 + clad], [x0, eaveH, z1 + clad]
+    ), wallPanelMat, [0, 0, 0]);
+
+    // Roof panels (transparent sheathing)
+    const roofOverhang = roof.overhang;
+    addDecor(makeQuadGeo(
+      [x0 - roofOverhang, eaveH, z0 - roofOverhang],
+      [x0 - roofOverhang, eaveH, z1 + roofOverhang],
+      [ox, apexH + 0.1, z1 + roofOverhang],
+      [ox, apexH + 0.1, z0 - roofOverhang]
+    ), roofPanelMat, [0, 0, 0]);
+    addDecor(makeQuadGeo(
+      [ox, apexH + 0.1, z0 - roofOverhang],
+      [ox, apexH + 0.1, z1 + roofOverhang],
+      [x1 + roofOverhang, eaveH, z1 + roofOverhang],
+      [x1 + roofOverhang, eaveH, z0 - roofOverhang]
+    ), roofPanelMat, [0, 0, 0]);
+  };
+
+  // ═══════════════════════════════════════════════════════════════════
+  // CURVED SECTION
+  // ═══════════════════════════════════════════════════════════════════
+  const buildCurvedSection = (section) => {
+    const [cx, cz] = section.center;
+    const curveRadius = section.radius;
+    const curveStartAngle = section.startAngle * Math.PI / 180;
+    const curveEndAngle = section.endAngle * Math.PI / 180;
+    const curveSegments = section.segments;
+    const curveHeight = section.height;
+    const curveRoofRise = section.roofRise;
+    const angleAt = (frac) => curveStartAngle + (curveEndAngle - curveStartAngle) * frac;
+
+    // Floor
+    const curveFloorShape = new THREE.Shape();
+    for (let i = 0; i <= curveSegments; i++) {
+      const angle = angleAt(i / curveSegments);
+      const x = cx + Math.sin(angle) * curveRadius;
+      const z = cz + Math.cos(angle) * curveRadius;
+      if (i === 0) curveFloorShape.moveTo(x, z);
+      else curveFloorShape.lineTo(x, z);
+    }
+    curveFloorShape.lineTo(cx, cz + Math.cos(curveStartAngle) * curveRadius);
+    const curveFloorGeo = new THREE.ExtrudeGeometry(curveFloorShape, { depth: 0.15, bevelEnabled: false });
+    const curveFloor = new THREE.Mesh(curveFloorGeo, floorMat);
+    curveFloor.rotation.x = -Math.PI / 2;
+    curveFloor.position.y = -0.08;
+    curveFloor.receiveShadow = true;
+    group.add(curveFloor);
+
+    // Curved wall studs
+    for (let i = 0; i <= curveSegments; i++) {
+      const angle = angleAt(i / curveSegments);
+      const x = cx + Math.sin(angle) * curveRadius;
+      const z = cz + Math.cos(angle) * curveRadius;
+
+      // Full-height stud
+      const studGeo = new THREE.BoxGeometry(studS, curveHeight, studS);
+      const stud = addSilentFraming(studGeo, framingMat, [x, curveHeight / 2, z]);
+      // Rotate stud to face center
+      stud.rotation.y = -angle;
+    }
+
+    // Curved top and bottom plates (segmented)
+    for (let i = 0; i < curveSegments; i++) {
+      const a1 = angleAt(i / curveSegments);
+      const a2 = angleAt((i + 1) / curveSegments);
+      const x1 = cx + Math.sin(a1) * curveRadius;
+      const z1 = cz + Math.cos(a1) * curveRadius;
+      const x2 = cx + Math.sin(a2) * curveRadius;
+      const z2 = cz + Math.cos(a2) * curveRadius;
+      const segLen = Math.sqrt((x2 - x1) ** 2 + (z2 - z1) ** 2);
+      const segAngle = Math.atan2(x2 - x1, z2 - z1);
+      const mx = (x1 + x2) / 2;
+      const mz = (z1 + z2) / 2;
+
+      // Top plate segment
+      const tpSeg = addSilentFraming(
+        new THREE.BoxGeometry(bS * 0.7, bS * 0.7, segLen), framingMat,
+        [mx, curveHeight, mz]
+      );
+      tpSeg.rotation.y = -segAngle + Math.PI;
+
+      // Bottom plate segment
+      const bpSeg = addSilentFraming(
+        new THREE.BoxGeometry(bS * 0.6, bS * 0.6, segLen), framingMat,
+        [mx, bS * 0.3, mz]
+      );
+      bpSeg.rotation.y = -segAngle + Math.PI;
+    }
+
+    // Curved roof ribs (barrel vault)
+    const curveRibCount = section.ribs;
+    for (let i = 0; i <= curveRibCount; i++) {
+      const ribAngle = angleAt(i / curveRibCount);
+      const outerX = cx + Math.sin(ribAngle) * curveRadius;
+      const outerZ = cz + Math.cos(ribAngle) * curveRadius;
+      // Rib from wall top to barrel center ridge
+      const ridgeX = cx + Math.sin(ribAngle) * (curveRadius * 0.02);
+      const ridgeZ = cz + Math.cos(ribAngle) * (curveRadius * 0.02);
+
+      addRod(
+        [outerX, curveHeight, outerZ],
+        [ridgeX, curveHeight + curveRoofRise, ridgeZ],
+        0.015, framingMat
+      );
+    }
+
+    // Barrel vault ridge beam (follows the curve at top)
+    for (let i = 0; i < curveRibCount; i++) {
+      const a1 = angleAt(i / curveRibCount);
+      const a2 = angleAt((i + 1) / curveRibCount);
+      const x1 = cx + Math.sin(a1) * (curveRadius * 0.02);
+      const z1 = cz + Math.cos(a1) * (curveRadius * 0.02);
+      const x2 = cx + Math.sin(a2) * (curveRadius * 0.02);
+      const z2 = cz + Math.cos(a2) * (curveRadius * 0.02);
+      addRod(
+        [x1, curveHeight + curveRoofRise, z1],
+        [x2, curveHeight + curveRoofRise, z2],
+        0.015, heavyFramingMat
+      );
+    }
+
+    // Curved wing horizontal rings (purlins on barrel vault)
+    const curveRingCount = section.rings;
+    for (let ri = 1; ri <= curveRingCount; ri++) {
+      const ringFrac = ri / (curveRingCount + 1);
+      const ringR = curveRadius * (1 - ringFrac) + curveRadius * 0.02 * ringFrac;
+      const ringY = curveHeight + curveRoofRise * ringFrac;
+      for (let i = 0; i < curveSegments; i++) {
+        const a1 = angleAt(i / curveSegments);
+        const a2 = angleAt((i + 1) / curveSegments);
+        const x1 = cx + Math.sin(a1) * ringR;
+        const z1 = cz + Math.cos(a1) * ringR;
+        const x2 = cx + Math.sin(a2) * ringR;
+        const z2 = cz + Math.cos(a2) * ringR;
+        addRod([x1, ringY, z1], [x2, ringY, z2], 0.01, framingMat);
+      }
+    }
+
+    // Connection columns where the wing meets the neighbouring wall
+    const connZ1 = cz + Math.cos(curveStartAngle) * curveRadius;
+    const connZ2 = cz + Math.cos(curveEndAngle) * curveRadius;
+    addFraming(
+      new THREE.BoxGeometry(bS * 1.2, curveHeight, bS * 1.2), heavyFramingMat,
+      [cx, curveHeight / 2, connZ1], 'Structural Column', nextId('COL'),
+      componentData('Structural Column', `HSS 4x4`, '30 kg', '1000 kN')
+    );
+    addFraming(
+      new THREE.BoxGeometry(bS * 1.2, curveHeight, bS * 1.2), heavyFramingMat,
+      [cx, curveHeight / 2, connZ2], 'Structural Column', nextId('COL'),
+      componentData('Structural Column', `HSS 4x4`, '30 kg', '1000 kN')
+    );
+  };
+
+  sections.forEach((section) => {
+    if (section.type === 'gable') buildGableSection(section);
+    else if (section.type === 'curved') {
+      const annexFrom = mark();
+      buildCurvedSection(section);
+      collect('annex', annexFrom);
+    }
+  });
+
+  group.userData.components = components;
+  group.userData.framing = framing;
+  group.userData.cladding = group.children.filter(c => c.material === wallPanelMat);
+  group.userData.roofPanels = group.children.filter(c => c.material === roofPanelMat);
+  group.userData.edgeLineMat = edgeLineMat;
+  group.userData.layers = layers;
+  group.userData.sections = sections;
+  // Storey levels of the section with the most floors: ground, each floor, eave
+  group.userData.levels = storeyLevels.length > 1 ? storeyLevels : null;
+  return group;
+}
@@ -0,0 +1,146 @@
+// Declarative building descriptions for the digital twin. Each Site record
+// may carry one as `building`; sites without one get DEFAULT_BUILDING.
+//
+// {
+//   members: { beam, stud, studSpacing }     steel cross-sections and stud pitch (m)
+//   sections: [
+//     {
+//       type: 'gable',                        rectangular bays under a gable roof
+//       id, center: [x, z],
+//       width (X), depth (Z), eaveHeight, bay,
+//       floors: [height, …]                   upper floor levels; storeys run
+//                                             ground → each floor → eave
+//       walls: { front, back, left, right }   openings per storey, e.g.
+//                                             front: [[…ground], […first floor]]
+//       partitions: [{ storey, axis: 'x' | 'z', at, from, to, openings }]
+//       bracing: [{ wall, bay, storey }]      X-braced bays
+//       roof: { rise, trussSpacing, purlins, overhang }   ridge runs along Z
+//     },
+//     {
+//       type: 'curved',                       arc-walled wing under a barrel roof
+//       id, center: [x, z], radius,
+//       startAngle, endAngle (degrees), height, roofRise,
+//       segments, ribs, rings
+//     }
+//   ]
+// }
+//
+// All positions are metres relative to the section centre. An opening is
+// { start, end, header, sill? } along its wall; header and sill heights are
+// measured from the storey's base, and openings with a sill are windows.
+// Front and back walls sit at -depth/2 and +depth/2, left and right at
+// -width/2 and +width/2.
+
+const windowAt = (start, end, header, sill) => ({ start, end, header, sill });
+const doorAt = (start, end, header) => ({ start, end, header });
+
+export const DEFAULT_BUILDING = {
+  members: { beam: 0.08, stud: 0.05, studSpacing: 0.45 },
+  sections: [
+    {
+      type: 'gable',
+      id: 'main',
+      center: [0, 0],
+      width: 14,
+      depth: 16,
+      eaveHeight: 5.2,
+      bay: 2,
+      floors: [2.8],
+      walls: {
+        front: [
+          [windowAt(-4, -2.2, 4.2, 1.0), doorAt(-0.5, 0.5, 4.6), windowAt(2.2, 4, 4.2, 1.0)],
+          [windowAt(-4, -2.5, 2.2, 0.8), windowAt(-0.8, 0.8, 2.2, 0.8), windowAt(2.5, 4, 2.2, 0.8)],
+        ],
+        back: [
+          [windowAt(-3, -1.5, 4.2, 1.2), windowAt(2, 3.5, 4.2, 1.2)],
+          [windowAt(-3, -1.5, 2.2, 0.8), windowAt(1.5, 3, 2.2, 0.8)],
+        ],
+        left: [
+          [windowAt(-5, -3.2, 4.2, 1.0), doorAt(-1, 1, 4.6), windowAt(3, 5, 4.2, 1.0)],
+          [windowAt(-5, -3.5, 2.2, 0.8), windowAt(1, 3, 2.2, 0.8)],
+        ],
+        right: [
+          [windowAt(-5, -3.5, 4.2, 1.0), windowAt(3.5, 5, 4.2, 1.0)],
+          [windowAt(-4, -2.5, 2.2, 0.8), windowAt(2.5, 4, 2.2, 0.8)],
+        ],
+      },
+      partitions: [
+        { storey: 0, axis: 'x', at: 0, from: -6.5, to: 6.5, openings: [doorAt(-1, 0, 2.5), doorAt(3, 4, 2.5)] },
+        { storey: 0, axis: 'z', at: -2, from: -7.5, to: 0, openings: [doorAt(-5, -4, 2.5)] },
+        { storey: 0, axis: 'z', at: 3, from: 0, to: 7.5, openings: [doorAt(2, 3, 2.5)] },
+        { storey: 1, axis: 'x', at: 0.5, from: -6.5, to: 6.5, openings: [doorAt(-1, 0, 2.3)] },
+        { storey: 1, axis: 'z', at: -3, from: -7.5, to: 0.5, openings: [doorAt(-4, -3, 2.3)] },
+      ],
+      bracing: [
+        { wall: 'left', bay: 0, storey: 0 },
+        { wall: 'left', bay: 7, storey: 0 },
+        { wall: 'right', bay: 0, storey: 0 },
+        { wall: 'right', bay: 7, storey: 0 },
+      ],
+      roof: { rise: 3.2, trussSpacing: 2, purlins: 4, overhang: 0.4 },
+    },
+    {
+      type: 'curved',
+      id: 'annex',
+      center: [7, 0],
+      radius: 7,
+      startAngle: -72,
+      endAngle: 72,
+      height: 4.8,
+      roofRise: 2.0,
+      segments: 28,
+      ribs: 12,
+      rings: 3,
+    },
+  ],
+};
+
+const SECTION_DEFAULTS = {
+  gable: {
+    center: [0, 0],
+    bay: 2,
+    floors: [],
+    walls: {},
+    partitions: [],
+    bracing: [],
+    roof: { rise: 2, trussSpacing: 2, purlins: 4, overhang: 0.4 },
+  },
+  curved: {
+    center: [0, 0],
+    segments: 28,
+    ribs: 12,
+    rings: 3,
+    roofRise: 2,
+  },
+};
+
+const REQUIRED_FIELDS = {
+  gable: ['width', 'depth', 'eaveHeight'],
+  curved: ['radius', 'startAngle', 'endAngle', 'height'],
+};
+
+// Fill defaults and drop sections that cannot be built. A description with
+// nothing buildable falls back to the default building.
+export function normalizeBuilding(description) {
+  const sections = (description?.sections || [])
+    .filter((section) => {
+      const required = REQUIRED_FIELDS[section?.type];
+      if (!required) return false;
+      return required.every(field => Number.isFinite(section[field]));
+    })
+    .map((section, i) => {
+      const defaults = SECTION_DEFAULTS[section.type];
+      return {
+        ...defaults,
+        ...section,
+        id: section.id || `${section.type}-${i + 1}`,
+        ...(section.type === 'gable' && { roof: { ...defaults.roof, ...section.roof } }),
+      };
+    });
+
+  if (sections.length === 0) return normalizeBuilding(DEFAULT_BUILDING);
+  return {
+    members: { ...DEFAULT_BUILDING.members, ...description.members },
+    sections,
+  };
+}
@@ -0,0 +1,203 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { MAX_DISTANCE, MIN_DISTANCE } from './cameraFocus';
+
+// Camera controls for the digital twin, built on three's OrbitControls:
+//   mouse   left drag orbits, right drag pans, the wheel zooms toward the cursor
+//   touch   one finger orbits; two fingers pinch to zoom, drag to pan and
+//           twist to turn the view
+//   keys    see cameraKeyAction
+//
+// Camera bookmarks are saved views, stored per site in SiteSettings under
+// settings.camera.bookmarks:
+//   { id, name, position: [x, y, z], target: [x, y, z] }
+
+export const MAX_BOOKMARKS = 9;
+
+// Roughly two minutes per turn, the pace of the old fixed orbit
+const AUTO_ROTATE_SPEED = 0.46;
+// Keep the camera above the ground plane
+const MAX_POLAR_ANGLE = Math.PI * 0.49;
+// Per key press
+const KEY_ORBIT_STEP = THREE.MathUtils.degToRad(5);
+const KEY_PAN_STEP = 0.04;
+const KEY_ZOOM_STEP = 0.9;
+
+export const CAMERA_SHORTCUTS = [
+  { keys: 'Drag · one finger', action: 'Orbit' },
+  { keys: 'Right drag · two fingers', action: 'Pan' },
+  { keys: 'Scroll · pinch', action: 'Zoom' },
+  { keys: 'Two-finger twist', action: 'Turn' },
+  { keys: '← → ↑ ↓', action: 'Orbit' },
+  { keys: 'Shift + arrows', action: 'Pan' },
+  { keys: '+ −', action: 'Zoom' },
+  { keys: 'F', action: 'Frame selection' },
+  { keys: 'R · Home', action: 'Reset view' },
+  { keys: '1–9', action: 'Go to bookmark' },
+  { keys: '?', action: 'Show shortcuts' },
+];
+
+// OrbitControls around `target` (kept by reference, so flights can move it)
+export function createCameraControls(camera, element, target) {
+  const controls = new OrbitControls(camera, element);
+  controls.target = target;
+  controls.enableDamping = true;
+  controls.dampingFactor = 0.08;
+  controls.screenSpacePanning = true;
+  controls.zoomToCursor = true;
+  controls.minDistance = MIN_DISTANCE;
+  controls.maxDistance = MAX_DISTANCE;
+  controls.maxPolarAngle = MAX_POLAR_ANGLE;
+  controls.autoRotateSpeed = AUTO_ROTATE_SPEED;
+  controls.update();
+  return controls;
+}
+
+// Turn the camera around the target; azimuth is about the vertical axis,
+// polar tips it up or down within the controls' limits
+export function orbitBy(controls, azimuth, polar) {
+  const { object: camera, target } = controls;
+  const offset = camera.position.clone().sub(target);
+  const spherical = new THREE.Spherical().setFromVector3(offset);
+  spherical.theta += azimuth;
+  spherical.phi = THREE.MathUtils.clamp(
+    spherical.phi + polar,
+    Math.max(controls.minPolarAngle, 0.01),
+    Math.min(controls.maxPolarAngle, Math.PI - 0.01)
+  );
+  offset.setFromSpherical(spherical);
+  camera.position.copy(target).add(offset);
+  camera.lookAt(target);
+}
+
+// Slide camera and target across the screen; x and y are fractions of the
+// distance to the target, so steps feel the same close up and far away
+export function panBy(controls, x, y) {
+  const { object: camera, target } = controls;
+  const distance = camera.position.distanceTo(target);
+  const right = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0);
+  const up = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1);
+  const move = right.multiplyScalar(x * distance).addScaledVector(up, y * distance);
+  camera.position.add(move);
+  target.add(move);
+}
+
+// Move the camera toward (factor < 1) or away from the target, within the distance limits
+export function dollyBy(controls, factor) {
+  const { object: camera, target } = controls;
+  const offset = camera.position.clone().sub(target).multiplyScalar(factor);
+  offset.setLength(THREE.MathUtils.clamp(offset.length(), controls.minDistance, controls.maxDistance));
+  camera.position.copy(target).add(offset);
+}
+
+// Two-finger twist turns the view about the target. OrbitControls already
+// pinches and pans with two fingers; this only adds the rotation between
+// them. Returns a function that detaches it.
+export function attachTwistRotate(controls) {
+  const element = controls.domElement;
+  const touches = new Map();
+  let lastAngle = null;
+
+  const twistAngle = () => {
+    const [a, b] = [...touches.values()];
+    return Math.atan2(b.y - a.y, b.x - a.x);
+  };
+
+  const onPointerDown = (event) => {
+    if (event.pointerType !== 'touch') return;
+    touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    lastAngle = touches.size === 2 ? twistAngle() : null;
+  };
+
+  const onPointerMove = (event) => {
+    if (!touches.has(event.pointerId)) return;
+    touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (touches.size !== 2 || lastAngle === null || !controls.enabled) return;
+    const angle = twistAngle();
+    // Shortest way round, so crossing ±π does not spin the view
+    const delta = Math.atan2(Math.sin(angle - lastAngle), Math.cos(angle - lastAngle));
+    lastAngle = angle;
+    orbitBy(controls, delta, 0);
+  };
+
+  const onPointerUp = (event) => {
+    touches.delete(event.pointerId);
+    lastAngle = touches.size === 2 ? twistAngle() : null;
+  };
+
+  element.addEventListener('pointerdown', onPointerDown);
+  element.addEventListener('pointermove', onPointerMove);
+  element.addEventListener('pointerup', onPointerUp);
+  element.addEventListener('pointercancel', onPointerUp);
+  return () => {
+    element.removeEventListener('pointerdown', onPointerDown);
+    element.removeEventListener('pointermove', onPointerMove);
+    element.removeEventListener('pointerup', onPointerUp);
+    element.removeEventListener('pointercancel', onPointerUp);
+  };
+}
+
+const isEditable = (element) => Boolean(element) && (
+  element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+);
+
+// Dialogs, drawers, selects and menus use arrows and letters for their own navigation
+const OVERLAY_SELECTOR = '[role="dialog"], [role="alertdialog"], [role="listbox"], [role="menu"]';
+
+const inOverlay = (element) => typeof element?.closest === 'function' && Boolean(element.closest(OVERLAY_SELECTOR));
+
+/**
+ * What a key press asks of the camera, or null when it is not a shortcut:
+ *   { type: 'orbit', azimuth, polar } | { type: 'pan', x, y } | { type: 'zoom', factor }
+ *   { type: 'frame' } | { type: 'reset' } | { type: 'bookmark', index } | { type: 'help' }
+ * Keys typed into form fields or pressed inside an open dialog, select or menu,
+ * and browser shortcuts (Ctrl, ⌘, Alt) are left alone.
+ */
+export function cameraKeyAction(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey || isEditable(event.target) || inOverlay(event.target)) return null;
+  const pan = event.shiftKey;
+  switch (event.key) {
+    case 'ArrowLeft':
+      return pan ? { type: 'pan', x: -KEY_PAN_STEP, y: 0 } : { type: 'orbit', azimuth: -KEY_ORBIT_STEP, polar: 0 };
+    case 'ArrowRight':
+      return pan ? { type: 'pan', x: KEY_PAN_STEP, y: 0 } : { type: 'orbit', azimuth: KEY_ORBIT_STEP, polar: 0 };
+    case 'ArrowUp':
+      return pan ? { type: 'pan', x: 0, y: KEY_PAN_STEP } : { type: 'orbit', azimuth: 0, polar: -KEY_ORBIT_STEP };
+    case 'ArrowDown':
+      return pan ? { type: 'pan', x: 0, y: -KEY_PAN_STEP } : { type: 'orbit', azimuth: 0, polar: KEY_ORBIT_STEP };
+    case '+':
+    case '=':
+      return { type: 'zoom', factor: KEY_ZOOM_STEP };
+    case '-':
+    case '_':
+      return { type: 'zoom', factor: 1 / KEY_ZOOM_STEP };
+    case 'f':
+    case 'F':
+      return { type: 'frame' };
+    case 'r':
+    case 'R':
+    case 'Home':
+      return { type: 'reset' };
+    case '?':
+      return { type: 'help' };
+    default:
+      return /^[1-9]$/.test(event.key) ? { type: 'bookmark', index: Number(event.key) - 1 } : null;
+  }
+}
+
+// ── Bookmarks ──────────────────────────
+
+const roundCoord = (value) => Math.round(value * 1000) / 1000;
+
+export const createBookmark = (camera, target, name) => ({
+  id: `bm-${Date.now().toString(36)}`,
+  name,
+  position: camera.position.toArray().map(roundCoord),
+  target: target.toArray().map(roundCoord),
+});
+
+// Bookmark → pose for createFlight
+export const bookmarkPose = (bookmark) => ({
+  position: new THREE.Vector3(...bookmark.position),
+  target: new THREE.Vector3(...bookmark.target),
+});
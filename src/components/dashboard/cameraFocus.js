@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+
+// Camera focus for the digital twin: where to put the camera to frame an
+// object, and the animated flight that gets it there.
+//
+// A focus target names one thing in the scene:
+//   { kind: 'sensor' | 'panel' | 'member' | 'alert', id }
+// member ids are building component ids (userData.id); alert ids are the
+// engine alert id (alert-<sensor_id>) or the Alert record id.
+//
+// Deep links carry a target as ?focus=<kind>:<id>, e.g. ?focus=sensor:TMP-014.
+
+export const FOCUS_PARAM = 'focus';
+export const FOCUS_KINDS = ['sensor', 'panel', 'member', 'alert'];
+
+// Orbit centre and camera position of the default overview
+export const DEFAULT_TARGET = [2, 3, 0];
+export const DEFAULT_POSITION = [20, 12, 18];
+
+// Camera distance limits from the orbit target
+export const MIN_DISTANCE = 2;
+export const MAX_DISTANCE = 45;
+
+// Smallest radius framed, so a sensor bead is not filling the screen
+const MIN_FRAME_RADIUS = 0.9;
+// Breathing room around the framed object
+const FRAME_MARGIN = 1.35;
+// Angle the camera looks down on the object from
+const FRAME_ELEVATION = THREE.MathUtils.degToRad(28);
+
+export const focusParamValue = ({ kind, id }) => `${kind}:${id}`;
+
+// ?focus value → target, or null when it does not name one
+export function parseFocusParam(value) {
+  const match = /^([a-z]+):(.+)$/.exec(`${value || ''}`.trim());
+  if (!match || !FOCUS_KINDS.includes(match[1])) return null;
+  return { kind: match[1], id: match[2] };
+}
+
+// Distance at which a bounding sphere fits the narrower of the two fields of view
+function fitDistance(sphere, camera) {
+  const radius = Math.max(sphere.radius, MIN_FRAME_RADIUS);
+  const verticalFov = THREE.MathUtils.degToRad(camera.fov);
+  const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * camera.aspect);
+  const fov = Math.min(verticalFov, horizontalFov);
+  return (radius / Math.sin(fov / 2)) * FRAME_MARGIN;
+}
+
+/**
+ * Camera position and orbit target that frame a bounding box.
+ *
+ * The camera approaches from outside the building (away from its centre,
+ * buildingCenter) so the object is not hidden behind the far walls; objects
+ * near the centre keep the current viewing direction instead.
+ */
+export function framePose(box, camera, currentTarget, buildingCenter) {
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const distance = THREE.MathUtils.clamp(fitDistance(sphere, camera), MIN_DISTANCE, MAX_DISTANCE);
+
+  const outward = new THREE.Vector2(sphere.center.x - buildingCenter.x, sphere.center.z - buildingCenter.z);
+  if (outward.length() < 1) {
+    outward.set(camera.position.x - currentTarget.x, camera.position.z - currentTarget.z);
+  }
+  if (outward.lengthSq() === 0) outward.set(1, 0);
+  outward.normalize();
+
+  const direction = new THREE.Vector3(
+    outward.x * Math.cos(FRAME_ELEVATION),
+    Math.sin(FRAME_ELEVATION),
+    outward.y * Math.cos(FRAME_ELEVATION)
+  );
+  const position = sphere.center.clone().addScaledVector(direction, distance);
+  // Stay above the ground plane
+  position.y = Math.max(position.y, 0.5);
+
+  return { position, target: sphere.center.clone() };
+}
+
+/**
+ * Pose that shows the whole of a bounding box from a fixed station: angle is
+ * degrees from +X around the vertical axis, elevation degrees above the
+ * horizon. Unlike framePose the distance is not capped, so large buildings
+ * still fit.
+ */
+export function stationPose(box, camera, { angle, elevation }) {
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const distance = Math.max(fitDistance(sphere, camera), MIN_DISTANCE);
+  const theta = THREE.MathUtils.degToRad(angle);
+  const phi = THREE.MathUtils.degToRad(elevation);
+  const direction = new THREE.Vector3(
+    Math.cos(theta) * Math.cos(phi),
+    Math.sin(phi),
+    Math.sin(theta) * Math.cos(phi)
+  );
+  return { position: sphere.center.clone().addScaledVector(direction, distance), target: sphere.center.clone() };
+}
+
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2);
+
+// Flight from the camera's current pose to `to`; longer trips take longer
+export function createFlight(camera, currentTarget, to, options) {
+  const { now = performance.now(), onLand = null } = options || {};
+  const travel = camera.position.distanceTo(to.position) + currentTarget.distanceTo(to.target);
+  return {
+    fromPosition: camera.position.clone(),
+    fromTarget: currentTarget.clone(),
+    toPosition: to.position.clone(),
+    toTarget: to.target.clone(),
+    start: now,
+    duration: THREE.MathUtils.clamp(500 + travel * 30, 600, 1600),
+    onLand,
+  };
+}
+
+// Advance a flight; moves the camera and target in place. Returns true once it has landed.
+export function stepFlight(flight, camera, target, now = performance.now()) {
+  const t = Math.min(1, Math.max(0, (now - flight.start) / flight.duration));
+  const eased = easeInOutCubic(t);
+  camera.position.lerpVectors(flight.fromPosition, flight.toPosition, eased);
+  target.lerpVectors(flight.fromTarget, flight.toTarget, eased);
+  camera.lookAt(target);
+  return t >= 1;
+}
+
+// The default overview, seen from whichever side of the building the camera is on
+export function overviewPose(camera) {
+  const target = new THREE.Vector3(...DEFAULT_TARGET);
+  const radius = Math.hypot(DEFAULT_POSITION[0] - target.x, DEFAULT_POSITION[2] - target.z);
+  const angle = Math.atan2(camera.position.z - target.z, camera.position.x - target.x);
+  return {
+    position: new THREE.Vector3(target.x + radius * Math.cos(angle), DEFAULT_POSITION[1], target.z + radius * Math.sin(angle)),
+    target,
+  };
+}
+
+// Page URL with a focus target for the dashboard to fly to
+export const withFocus = (url, target) =>
+  `${url}${url.includes('?') ? '&' : '?'}${FOCUS_PARAM}=${encodeURIComponent(focusParamValue(target))}`;
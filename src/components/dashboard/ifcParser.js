@@ -0,0 +1,583 @@
+import * as THREE from 'three';
+
+// Minimal IFC (ISO 10303-21 / STEP) reader for steel framing models.
+//
+// Covers what structural CAD exports use for members and envelopes:
+//   placements   IfcLocalPlacement chains, IfcAxis2Placement2D/3D
+//   solids       IfcExtrudedAreaSolid, IfcFacetedBrep, IfcTriangulatedFaceSet,
+//                IfcPolygonalFaceSet, IfcMappedItem, boolean results (first
+//                operand only — clipping cuts are not applied)
+//   profiles     rectangle (hollow), I, C, U, L, circle (hollow), arbitrary
+//                polylines with voids
+//   data         property sets, element quantities, associated material name
+//
+// Geometry comes out in metres, Y up, like the rest of the scene.
+
+// Building elements imported from the file; everything else (spaces,
+// openings, annotations) is left out
+const ELEMENT_TYPES = {
+  IFCCOLUMN: 'IfcColumn',
+  IFCBEAM: 'IfcBeam',
+  IFCMEMBER: 'IfcMember',
+  IFCPLATE: 'IfcPlate',
+  IFCFOOTING: 'IfcFooting',
+  IFCSLAB: 'IfcSlab',
+  IFCWALL: 'IfcWall',
+  IFCWALLSTANDARDCASE: 'IfcWall',
+  IFCROOF: 'IfcRoof',
+  IFCCOVERING: 'IfcCovering',
+  IFCCURTAINWALL: 'IfcCurtainWall',
+  IFCWINDOW: 'IfcWindow',
+  IFCDOOR: 'IfcDoor',
+  IFCBUILDINGELEMENTPROXY: 'IfcBuildingElementProxy',
+};
+
+const LENGTH_PREFIXES = { MILLI: 0.001, CENTI: 0.01, DECI: 0.1, KILO: 1000 };
+
+const CIRCLE_SEGMENTS = 24;
+
+// ── STEP text ────────────────────────────────────────────────────────
+
+const decodeString = (raw) => raw
+  .replace(/''/g, "'")
+  .replace(/\\X2\\((?:[0-9A-F]{4})+)\\X0\\/gi, (_, hex) =>
+    hex.match(/.{4}/g).map(code => String.fromCharCode(parseInt(code, 16))).join(''))
+  .replace(/\\X\\([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+  .replace(/\\S\\(.)/g, (_, ch) => String.fromCharCode(ch.charCodeAt(0) + 128))
+  .replace(/\\\\/g, '\\');
+
+// Parse one attribute list: refs become { ref }, enumerations { enum },
+// typed values such as IFCLABEL('x') { type, value }, $ and * null
+function parseArgs(text) {
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    const ch = text[i];
+    if (ch === '(') {
+      i++;
+      const list = [];
+      skipSpace();
+      if (text[i] === ')') {
+        i++;
+        return list;
+      }
+      for (;;) {
+        list.push(parseValue());
+        skipSpace();
+        if (text[i] === ',') i++;
+        else if (text[i] === ')') {
+          i++;
+          return list;
+        } else throw new Error(`Unexpected "${text[i]}" in attribute list`);
+      }
+    }
+    if (ch === "'") {
+      let end = i + 1;
+      for (;;) {
+        end = text.indexOf("'", end);
+        if (end === -1) throw new Error('Unterminated string');
+        if (text[end + 1] === "'") end += 2;
+        else break;
+      }
+      const value = decodeString(text.slice(i + 1, end));
+      i = end + 1;
+      return value;
+    }
+    if (ch === '#') {
+      const match = /^#(\d+)/.exec(text.slice(i, i + 20));
+      i += match[0].length;
+      return { ref: Number(match[1]) };
+    }
+    if (ch === '.') {
+      const end = text.indexOf('.', i + 1);
+      const value = text.slice(i + 1, end);
+      i = end + 1;
+      return { enum: value };
+    }
+    if (ch === '$' || ch === '*') {
+      i++;
+      return null;
+    }
+    if (ch === '"') {
+      const end = text.indexOf('"', i + 1);
+      const value = text.slice(i + 1, end);
+      i = end + 1;
+      return value;
+    }
+    const typed = /^([A-Z][A-Z0-9_]*)\s*\(/i.exec(text.slice(i, i + 64));
+    if (typed) {
+      i += typed[0].length - 1;
+      const [value] = parseValue();
+      return { type: typed[1].toUpperCase(), value };
+    }
+    const number = /^[-+]?(\d+\.?\d*|\.\d+)(E[-+]?\d+)?/i.exec(text.slice(i, i + 64));
+    if (!number) throw new Error(`Unexpected "${ch}" in attribute list`);
+    i += number[0].length;
+    return parseFloat(number[0]);
+  };
+
+  return parseValue();
+}
+
+// Split the DATA section into entity instances keyed by their #id
+export function parseStep(text) {
+  const dataStart = text.search(/\bDATA\s*;/);
+  if (dataStart === -1) throw new Error('Not an IFC file: no DATA section');
+
+  const entities = new Map();
+  let start = text.indexOf(';', dataStart) + 1;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "'") inString = !inString;
+    if (ch !== ';' || inString) continue;
+
+    const statement = text.slice(start, i).trim();
+    start = i + 1;
+    if (/^ENDSEC$/i.test(statement)) break;
+    const match = /^#(\d+)\s*=\s*([A-Z0-9_]+)\s*(\([\s\S]*\))$/i.exec(statement);
+    // Complex (multi-type) instances are not needed for framing geometry
+    if (!match) continue;
+    entities.set(Number(match[1]), {
+      id: Number(match[1]),
+      type: match[2].toUpperCase(),
+      args: parseArgs(match[3]),
+    });
+  }
+  return entities;
+}
+
+// ── Model ─────────────────────────────────────────────────────────────
+
+export function parseIfc(text) {
+  const entities = parseStep(text);
+  const get = (value) => (value && value.ref ? entities.get(value.ref) || null : null);
+  const ofType = (...types) => [...entities.values()].filter(e => types.includes(e.type));
+
+  // ── Units ──────────────────────────────────────────────────────────
+  const lengthScale = (() => {
+    for (const assignment of ofType('IFCUNITASSIGNMENT')) {
+      for (const unit of (assignment.args[0] || []).map(get)) {
+        if (!unit || unit.args[1]?.enum !== 'LENGTHUNIT') continue;
+        if (unit.type === 'IFCSIUNIT') return LENGTH_PREFIXES[unit.args[2]?.enum] || 1;
+        if (unit.type === 'IFCCONVERSIONBASEDUNIT') {
+          const factor = get(unit.args[3])?.args[0]?.value;
+          if (Number.isFinite(factor)) return factor;
+        }
+      }
+    }
+    return 1;
+  })();
+
+  // ── Points and placements ──────────────────────────────────────────
+  const coords = (ref) => get(ref)?.args[0] || [0, 0, 0];
+  const vec3 = (ref, fallback) => {
+    const c = get(ref)?.args[0];
+    return c ? new THREE.Vector3(c[0] || 0, c[1] || 0, c[2] || 0) : fallback.clone();
+  };
+
+  const axisPlacement3D = (ref) => {
+    const placement = get(ref);
+    if (!placement) return new THREE.Matrix4();
+    const [location, axis, refDirection] = placement.args;
+    const origin = vec3(location, new THREE.Vector3());
+    const z = vec3(axis, new THREE.Vector3(0, 0, 1)).normalize();
+    const x = vec3(refDirection, new THREE.Vector3(1, 0, 0));
+    x.sub(z.clone().multiplyScalar(x.dot(z))).normalize();
+    const y = new THREE.Vector3().crossVectors(z, x);
+    return new THREE.Matrix4().makeBasis(x, y, z).setPosition(origin);
+  };
+
+  const placementCache = new Map();
+  const objectPlacement = (ref) => {
+    const placement = get(ref);
+    if (!placement || placement.type !== 'IFCLOCALPLACEMENT') return new THREE.Matrix4();
+    if (!placementCache.has(placement.id)) {
+      // Guard against cyclic placement references in broken files
+      placementCache.set(placement.id, new THREE.Matrix4());
+      const [relativeTo, relative] = placement.args;
+      placementCache.set(placement.id, objectPlacement(relativeTo).multiply(axisPlacement3D(relative)));
+    }
+    return placementCache.get(placement.id).clone();
+  };
+
+  const transformOperator = (ref) => {
+    const op = get(ref);
+    if (!op) return new THREE.Matrix4();
+    const [axis1, axis2, localOrigin, scale, axis3, scale2, scale3] = op.args;
+    const s = Number.isFinite(scale) ? scale : 1;
+    const x = vec3(axis1, new THREE.Vector3(1, 0, 0)).normalize().multiplyScalar(s);
+    const y = vec3(axis2, new THREE.Vector3(0, 1, 0)).normalize().multiplyScalar(Number.isFinite(scale2) ? scale2 : s);
+    const z = vec3(axis3, new THREE.Vector3(0, 0, 1)).normalize().multiplyScalar(Number.isFinite(scale3) ? scale3 : s);
+    return new THREE.Matrix4().makeBasis(x, y, z).setPosition(vec3(localOrigin, new THREE.Vector3()));
+  };
+
+  // ── Profiles (2D loops in the profile's own placement) ─────────────
+  const rect = (w, h) => [[-w / 2, -h / 2], [w / 2, -h / 2], [w / 2, h / 2], [-w / 2, h / 2]];
+  const circle = (r) => Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+    const a = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+    return [Math.cos(a) * r, Math.sin(a) * r];
+  });
+
+  const curvePoints = (ref) => {
+    const curve = get(ref);
+    if (!curve) return [];
+    let points = [];
+    if (curve.type === 'IFCPOLYLINE') {
+      points = (curve.args[0] || []).map(p => coords(p));
+    } else if (curve.type === 'IFCINDEXEDPOLYCURVE') {
+      // Arc segments are approximated by their control points
+      points = get(curve.args[0])?.args[0] || [];
+    } else if (curve.type === 'IFCCOMPOSITECURVE') {
+      points = (curve.args[0] || []).flatMap(segment => curvePoints(get(segment)?.args[2]));
+    } else if (curve.type === 'IFCCIRCLE') {
+      const [position, radius] = curve.args;
+      const offset = coords(get(position)?.args[0]);
+      points = circle(radius).map(([x, y]) => [x + offset[0], y + offset[1]]);
+    }
+    const loop = points.map(p => [p[0], p[1]]);
+    const first = loop[0];
+    const last = loop[loop.length - 1];
+    if (loop.length > 1 && first[0] === last[0] && first[1] === last[1]) loop.pop();
+    return loop;
+  };
+
+  const profileLoops = (ref) => {
+    const profile = get(ref);
+    if (!profile) return null;
+    const a = profile.args;
+    let outer = null;
+    let holes = [];
+    const name = typeof a[1] === 'string' ? a[1] : null;
+
+    switch (profile.type) {
+      case 'IFCRECTANGLEPROFILEDEF':
+        outer = rect(a[3], a[4]);
+        break;
+      case 'IFCRECTANGLEHOLLOWPROFILEDEF':
+        outer = rect(a[3], a[4]);
+        holes = [rect(a[3] - a[5] * 2, a[4] - a[5] * 2)];
+        break;
+      case 'IFCISHAPEPROFILEDEF': {
+        const [w, d, web, flange] = [a[3] / 2, a[4] / 2, a[5] / 2, a[6]];
+        outer = [
+          [-w, -d], [w, -d], [w, -d + flange], [web, -d + flange], [web, d - flange], [w, d - flange],
+          [w, d], [-w, d], [-w, d - flange], [-web, d - flange], [-web, -d + flange], [-w, -d + flange],
+        ];
+        break;
+      }
+      case 'IFCCSHAPEPROFILEDEF': {
+        const [d, w, t, girth] = [a[3] / 2, a[4] / 2, a[5], a[6]];
+        outer = girth > t
+          ? [
+            [-w, -d], [w, -d], [w, -d + girth], [w - t, -d + girth], [w - t, -d + t], [-w + t, -d + t],
+            [-w + t, d - t], [w - t, d - t], [w - t, d - girth], [w, d - girth], [w, d], [-w, d],
+          ]
+          : [[-w, -d], [w, -d], [w, -d + t], [-w + t, -d + t], [-w + t, d - t], [w, d - t], [w, d], [-w, d]];
+        break;
+      }
+      case 'IFCUSHAPEPROFILEDEF': {
+        const [d, w, web, flange] = [a[3] / 2, a[4] / 2, a[5], a[6]];
+        outer = [[-w, -d], [w, -d], [w, -d + flange], [-w + web, -d + flange], [-w + web, d - flange], [w, d - flange], [w, d], [-w, d]];
+        break;
+      }
+      case 'IFCLSHAPEPROFILEDEF': {
+        const d = a[3] / 2;
+        const w = (Number.isFinite(a[4]) ? a[4] : a[3]) / 2;
+        const t = a[5];
+        outer = [[-w, -d], [w, -d], [w, -d + t], [-w + t, -d + t], [-w + t, d], [-w, d]];
+        break;
+      }
+      case 'IFCCIRCLEPROFILEDEF':
+        outer = circle(a[3]);
+        break;
+      case 'IFCCIRCLEHOLLOWPROFILEDEF':
+        outer = circle(a[3]);
+        holes = [circle(a[3] - a[4])];
+        break;
+      case 'IFCARBITRARYCLOSEDPROFILEDEF':
+        outer = curvePoints(a[2]);
+        break;
+      case 'IFCARBITRARYPROFILEDEFWITHVOIDS':
+        outer = curvePoints(a[2]);
+        holes = (a[3] || []).map(curvePoints);
+        break;
+      default:
+        return null;
+    }
+    if (!outer || outer.length < 3 || outer.some(p => !p.every(Number.isFinite))) return null;
+
+    // Parametrized profiles carry an optional 2D placement
+    const placement = profile.type.startsWith('IFCARBITRARY') ? null : get(a[2]);
+    if (placement) {
+      const [ox, oy] = coords(placement.args[0]);
+      const dir = get(placement.args[1])?.args[0] || [1, 0];
+      const angle = Math.atan2(dir[1], dir[0]);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const place = ([x, y]) => [ox + x * cos - y * sin, oy + x * sin + y * cos];
+      outer = outer.map(place);
+      holes = holes.map(hole => hole.map(place));
+    }
+    return { outer, holes, name };
+  };
+
+  // ── Solids ─────────────────────────────────────────────────────────
+  // Triangulate a planar polygon (with optional holes) given in 3D
+  const triangulateFace = (outer, holes = []) => {
+    if (outer.length < 3) return [];
+    const normal = new THREE.Vector3();
+    outer.forEach((p, i) => {
+      const q = outer[(i + 1) % outer.length];
+      normal.x += (p.y - q.y) * (p.z + q.z);
+      normal.y += (p.z - q.z) * (p.x + q.x);
+      normal.z += (p.x - q.x) * (p.y + q.y);
+    });
+    const ax = Math.abs(normal.x);
+    const ay = Math.abs(normal.y);
+    const az = Math.abs(normal.z);
+    const project = az >= ax && az >= ay
+      ? p => new THREE.Vector2(p.x, p.y)
+      : ax >= ay ? p => new THREE.Vector2(p.y, p.z) : p => new THREE.Vector2(p.z, p.x);
+    const all = [...outer, ...holes.flat()];
+    const triangles = THREE.ShapeUtils.triangulateShape(outer.map(project), holes.map(h => h.map(project)));
+    return triangles.flatMap(([a, b, c]) => {
+      // Keep the original winding so normals face out of the solid
+      const [pa, pb, pc] = [all[a], all[b], all[c]];
+      const facing = new THREE.Vector3().subVectors(pb, pa).cross(new THREE.Vector3().subVectors(pc, pa));
+      return facing.dot(normal) >= 0 ? [pa, pb, pc] : [pa, pc, pb];
+    });
+  };
+
+  const positionsGeometry = (points) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(points.flatMap(p => [p.x, p.y, p.z]), 3));
+    return geometry;
+  };
+
+  // Returns [{ geometry, profileName, length }] in the item's coordinates
+  const itemGeometries = (ref) => {
+    const item = get(ref);
+    if (!item) return [];
+    const a = item.args;
+
+    switch (item.type) {
+      case 'IFCEXTRUDEDAREASOLID': {
+        const profile = profileLoops(a[0]);
+        const depth = a[3];
+        if (!profile || !(depth > 0)) return [];
+        const shape = new THREE.Shape(profile.outer.map(([x, y]) => new THREE.Vector2(x, y)));
+        shape.holes = profile.holes.map(hole => new THREE.Path(hole.map(([x, y]) => new THREE.Vector2(x, y))));
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth, bevelEnabled: false });
+        // Extrusion runs along +Z; shear it onto the extrusion direction
+        const dir = vec3(a[2], new THREE.Vector3(0, 0, 1)).normalize();
+        geometry.applyMatrix4(new THREE.Matrix4().set(
+          1, 0, dir.x, 0,
+          0, 1, dir.y, 0,
+          0, 0, dir.z, 0,
+          0, 0, 0, 1
+        ));
+        geometry.applyMatrix4(axisPlacement3D(a[1]));
+        return [{ geometry, profileName: profile.name, length: depth }];
+      }
+      case 'IFCFACETEDBREP':
+      case 'IFCFACETEDBREPWITHVOIDS': {
+        const faces = get(a[0])?.args[0] || [];
+        const points = faces.flatMap((faceRef) => {
+          const bounds = (get(faceRef)?.args[0] || []).map(get).filter(Boolean);
+          const loops = bounds.map((bound) => {
+            const polygon = (get(bound.args[0])?.args[0] || []).map(p => vec3(p, new THREE.Vector3()));
+            return bound.args[1]?.enum === 'F' ? polygon.reverse() : polygon;
+          });
+          const outerIndex = Math.max(0, bounds.findIndex(b => b.type === 'IFCFACEOUTERBOUND'));
+          const outer = loops[outerIndex];
+          return outer ? triangulateFace(outer, loops.filter((_, i) => i !== outerIndex)) : [];
+        });
+        return points.length ? [{ geometry: positionsGeometry(points) }] : [];
+      }
+      case 'IFCTRIANGULATEDFACESET': {
+        const list = get(a[0])?.args[0] || [];
+        const points = (a[3] || []).flatMap(tri => tri.map(index => {
+          const c = list[index - 1] || [0, 0, 0];
+          return new THREE.Vector3(c[0], c[1], c[2]);
+        }));
+        return points.length ? [{ geometry: positionsGeometry(points) }] : [];
+      }
+      case 'IFCPOLYGONALFACESET': {
+        const list = get(a[0])?.args[0] || [];
+        const toPoint = (index) => {
+          const c = list[index - 1] || [0, 0, 0];
+          return new THREE.Vector3(c[0], c[1], c[2]);
+        };
+        const points = (a[2] || []).flatMap((faceRef) => {
+          const face = get(faceRef);
+          if (!face) return [];
+          const holes = face.type === 'IFCINDEXEDPOLYGONALFACEWITHVOIDS' ? face.args[1] || [] : [];
+          return triangulateFace(face.args[0].map(toPoint), holes.map(hole => hole.map(toPoint)));
+        });
+        return points.length ? [{ geometry: positionsGeometry(points) }] : [];
+      }
+      case 'IFCBOOLEANRESULT':
+      case 'IFCBOOLEANCLIPPINGRESULT':
+        return itemGeometries(a[1]);
+      case 'IFCMAPPEDITEM': {
+        const source = get(a[0]);
+        if (!source) return [];
+        const matrix = transformOperator(a[1]).multiply(
+          source.args[0] && get(source.args[0])?.type === 'IFCAXIS2PLACEMENT3D'
+            ? axisPlacement3D(source.args[0])
+            : new THREE.Matrix4()
+        );
+        return representationGeometries(source.args[1]).map((part) => {
+          part.geometry.applyMatrix4(matrix);
+          return part;
+        });
+      }
+      default:
+        return [];
+    }
+  };
+
+  function representationGeometries(ref) {
+    const representation = get(ref);
+    if (!representation) return [];
+    return (representation.args[3] || []).flatMap(itemGeometries);
+  }
+
+  // Body representation of a product, or the first one that yields geometry
+  const productGeometries = (ref) => {
+    const shape = get(ref);
+    if (!shape) return [];
+    const representations = (shape.args[2] || []).map(get).filter(Boolean);
+    const ordered = [
+      ...representations.filter(r => r.args[1] === 'Body'),
+      ...representations.filter(r => r.args[1] !== 'Body'),
+    ];
+    for (const representation of ordered) {
+      const parts = representationGeometries({ ref: representation.id });
+      if (parts.length) return parts;
+    }
+    return [];
+  };
+
+  // ── Properties and materials ───────────────────────────────────────
+  const plainValue = (value) => {
+    if (value == null) return null;
+    if (Array.isArray(value)) return value.map(plainValue).join(', ');
+    if (typeof value === 'object') {
+      if ('enum' in value) {
+        if (value.enum === 'T') return true;
+        if (value.enum === 'F') return false;
+        return value.enum;
+      }
+      if ('value' in value) return plainValue(value.value);
+      return null;
+    }
+    return value;
+  };
+
+  const propertyValue = (property) => {
+    switch (property.type) {
+      case 'IFCPROPERTYSINGLEVALUE':
+        return plainValue(property.args[2]);
+      case 'IFCPROPERTYENUMERATEDVALUE':
+      case 'IFCPROPERTYLISTVALUE':
+        return plainValue(property.args[2]);
+      case 'IFCQUANTITYLENGTH':
+      case 'IFCQUANTITYAREA':
+      case 'IFCQUANTITYVOLUME':
+      case 'IFCQUANTITYWEIGHT':
+      case 'IFCQUANTITYCOUNT':
+        return property.args[3];
+      default:
+        return null;
+    }
+  };
+
+  const propertiesByElement = new Map();
+  ofType('IFCRELDEFINESBYPROPERTIES').forEach((rel) => {
+    const definition = get(rel.args[5]);
+    if (!definition) return;
+    const setName = definition.args[2] || 'Properties';
+    const members = definition.type === 'IFCELEMENTQUANTITY' ? definition.args[5] : definition.args[4];
+    const values = {};
+    (members || []).map(get).filter(Boolean).forEach((property) => {
+      const value = propertyValue(property);
+      if (property.args[0] && value != null && value !== '') values[`${setName}.${property.args[0]}`] = value;
+    });
+    (rel.args[4] || []).forEach((object) => {
+      propertiesByElement.set(object.ref, { ...propertiesByElement.get(object.ref), ...values });
+    });
+  });
+
+  // First IfcMaterial reachable from a material selection (layer sets,
+  // profile sets and their usages all end in one)
+  const materialName = (ref, depth = 0) => {
+    const material = get(ref);
+    if (!material || depth > 4) return null;
+    if (material.type === 'IFCMATERIAL') return material.args[0] || null;
+    for (const arg of material.args) {
+      const candidates = Array.isArray(arg) ? arg : [arg];
+      for (const candidate of candidates) {
+        const name = candidate?.ref ? materialName(candidate, depth + 1) : null;
+        if (name) return name;
+      }
+    }
+    return null;
+  };
+
+  const materialByElement = new Map();
+  ofType('IFCRELASSOCIATESMATERIAL').forEach((rel) => {
+    const name = materialName(rel.args[5]);
+    if (name) (rel.args[4] || []).forEach(object => materialByElement.set(object.ref, name));
+  });
+
+  // ── Elements ───────────────────────────────────────────────────────
+  // IFC is Z up in model units; the scene is Y up in metres
+  const toScene = new THREE.Matrix4()
+    .makeRotationX(-Math.PI / 2)
+    .multiply(new THREE.Matrix4().makeScale(lengthScale, lengthScale, lengthScale));
+
+  const elements = [];
+  entities.forEach((entity) => {
+    const ifcType = ELEMENT_TYPES[entity.type];
+    if (!ifcType) return;
+    const [globalId, , name, description, objectType, placement, representation, tag, predefinedType] = entity.args;
+    const parts = productGeometries(representation);
+    if (!parts.length) return;
+
+    const matrix = toScene.clone().multiply(objectPlacement(placement));
+    const positions = parts.flatMap((part) => {
+      const geometry = part.geometry.index ? part.geometry.toNonIndexed() : part.geometry;
+      geometry.applyMatrix4(matrix);
+      return Array.from(geometry.attributes.position.array);
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+
+    const profiled = parts.find(p => p.length);
+    elements.push({
+      expressId: entity.id,
+      globalId,
+      ifcType,
+      predefinedType: predefinedType?.enum || null,
+      name: name || null,
+      description: description || null,
+      objectType: objectType || null,
+      tag: tag || null,
+      material: materialByElement.get(entity.id) || null,
+      properties: propertiesByElement.get(entity.id) || {},
+      profileName: profiled?.profileName || null,
+      length: profiled ? profiled.length * lengthScale : null,
+      geometry,
+    });
+  });
+
+  return { elements, lengthScale };
+}
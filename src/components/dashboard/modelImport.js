@@ -0,0 +1,325 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { createBuildingMaterials } from './buildingGeometry';
+import { parseIfc } from './ifcParser';
+
+// Imported BIM/CAD models. A glTF/GLB or IFC file is read entirely in the
+// browser and turned into a building group with the same userData as
+// createBuilding(), so selection, the Thermal/Stress views and Model View
+// work unchanged.
+//
+// Every element keeps the properties it had in the source file (IFC property
+// sets and quantities, glTF node extras) on userData.sourceProperties. The
+// component fields are read from them where present:
+//   type         Type / ComponentType, else the IFC class, else the element name
+//   weight       Weight / Mass / GrossWeight / NetWeight, else steel volume
+//   loadRating   LoadRating / LoadBearingCapacity
+//   dimensions   Dimensions / Profile, else profile and length, else the bounding box
+// Coordinates are kept as authored (metres, Y up) so sensor positions line
+// up with the model.
+
+export const MODEL_FILE_ACCEPT = '.ifc,.glb,.gltf';
+
+const STEEL_DENSITY = 7850; // kg/m³
+
+// IFC class (and predefined type) to component type
+const IFC_COMPONENT_TYPES = {
+  IfcColumn: { default: 'Structural Column' },
+  IfcBeam: { JOIST: 'Floor Joist', LINTEL: 'Header', default: 'Floor Beam' },
+  IfcMember: {
+    STUD: 'Wall Stud',
+    RAFTER: 'Roof Rafter',
+    PURLIN: 'Purlin',
+    BRACE: 'Brace',
+    CHORD: 'Truss Chord',
+    PLATE: 'Top Plate',
+    POST: 'Structural Column',
+  },
+  IfcFooting: { default: 'Footing' },
+};
+
+// Envelope classes are drawn like the generated cladding, roof and floor
+const IFC_ENVELOPE = {
+  IfcWall: 'cladding',
+  IfcCurtainWall: 'cladding',
+  IfcWindow: 'cladding',
+  IfcDoor: 'cladding',
+  IfcCovering: 'cladding',
+  IfcPlate: 'cladding',
+  IfcRoof: 'roof',
+};
+
+// Element names, checked in order when the file gives no type
+const NAME_TYPES = [
+  { pattern: /ridge/i, value: 'Ridge Board' },
+  { pattern: /rafter/i, value: 'Roof Rafter' },
+  { pattern: /ceiling.?joist|tie.?beam/i, value: 'Ceiling Joist' },
+  { pattern: /joist/i, value: 'Floor Joist' },
+  { pattern: /stud/i, value: 'Wall Stud' },
+  { pattern: /top.?plate/i, value: 'Top Plate' },
+  { pattern: /column|post|pillar/i, value: 'Structural Column' },
+  { pattern: /purlin/i, value: 'Purlin' },
+  { pattern: /brac/i, value: 'Brace' },
+  { pattern: /beam|girder|header|lintel/i, value: 'Floor Beam' },
+];
+
+const NAME_ENVELOPE = [
+  { pattern: /roof|sheathing/i, value: 'roof' },
+  { pattern: /wall|clad|panel|glaz|window|door/i, value: 'cladding' },
+  { pattern: /floor|slab|ground|foundation/i, value: 'floor' },
+];
+
+const normalizeKey = (key) => `${key}`.toLowerCase().replace(/[\s_-]/g, '');
+
+// Property by name regardless of case, separators or property set prefix
+const findProperty = (properties, names) => {
+  const wanted = names.map(normalizeKey);
+  const key = Object.keys(properties).find(k => wanted.includes(normalizeKey(k.split('.').pop())));
+  return key ? properties[key] : null;
+};
+
+const withUnit = (value, unit) => {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return `${Math.round(value * 100) / 100} ${unit}`;
+  return /^[-+]?[\d.]+$/.test(`${value}`.trim()) ? `${value} ${unit}` : `${value}`;
+};
+
+// glTF extras may nest; flatten them to dotted keys like IFC property sets
+const flattenProperties = (value, prefix = '', out = {}) => {
+  Object.entries(value || {}).forEach(([key, v]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (v && typeof v === 'object' && !Array.isArray(v)) flattenProperties(v, path, out);
+    else if (v != null) out[path] = Array.isArray(v) ? v.join(', ') : v;
+  });
+  return out;
+};
+
+const typeFromName = (...names) => {
+  for (const name of names.filter(Boolean)) {
+    const match = NAME_TYPES.find(({ pattern }) => pattern.test(name));
+    if (match) return match.value;
+  }
+  return null;
+};
+
+const envelopeFromName = (...names) => {
+  for (const name of names.filter(Boolean)) {
+    const match = NAME_ENVELOPE.find(({ pattern }) => pattern.test(name));
+    if (match) return match.value;
+  }
+  return null;
+};
+
+// Enclosed volume of a triangle soup; only meaningful for closed meshes
+const meshVolume = (geometry) => {
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  const p = source.attributes.position.array;
+  let volume = 0;
+  for (let i = 0; i + 8 < p.length; i += 9) {
+    volume += (
+      p[i] * (p[i + 4] * p[i + 8] - p[i + 5] * p[i + 7])
+      - p[i + 1] * (p[i + 3] * p[i + 8] - p[i + 5] * p[i + 6])
+      + p[i + 2] * (p[i + 3] * p[i + 7] - p[i + 4] * p[i + 6])
+    ) / 6;
+  }
+  return Math.abs(volume);
+};
+
+const boundingDimensions = (geometry) => {
+  const size = geometry.boundingBox.getSize(new THREE.Vector3());
+  return `${size.x.toFixed(2)} × ${size.y.toFixed(2)} × ${size.z.toFixed(2)} m`;
+};
+
+// ── Readers ──────────────────────────────────────────────────────────
+// Both produce { name, type, category, geometry, properties, material,
+// profileName, length } with geometry in scene coordinates.
+
+function readIfc(text) {
+  const { elements } = parseIfc(text);
+  return elements.map((el) => {
+    const properties = flattenProperties({
+      Class: el.ifcType,
+      PredefinedType: el.predefinedType,
+      GlobalId: el.globalId,
+      Tag: el.tag,
+      ObjectType: el.objectType,
+      Description: el.description,
+      ...el.properties,
+    });
+    const classTypes = IFC_COMPONENT_TYPES[el.ifcType];
+    const envelope = el.ifcType === 'IfcSlab'
+      ? (el.predefinedType === 'ROOF' ? 'roof' : 'floor')
+      : IFC_ENVELOPE[el.ifcType];
+    const type = findProperty(el.properties, ['Type', 'ComponentType'])
+      || classTypes?.[el.predefinedType]
+      || classTypes?.default
+      || (envelope ? null : typeFromName(el.name, el.objectType));
+    const category = type ? 'member' : (envelope || envelopeFromName(el.name, el.objectType) || 'member');
+
+    return {
+      name: el.name || el.tag || el.globalId,
+      type: type || 'Structural Member',
+      category,
+      geometry: el.geometry,
+      properties,
+      material: el.material,
+      profileName: el.profileName || el.objectType,
+      length: el.length,
+    };
+  });
+}
+
+async function readGltf(file, extension) {
+  let gltf;
+  try {
+    gltf = await new GLTFLoader().parseAsync(await file.arrayBuffer(), '');
+  } catch (error) {
+    // A .gltf that references .bin or texture files cannot be read on its own
+    throw new Error(extension === 'gltf'
+      ? 'Could not read the glTF file; export it as a single .glb or with embedded buffers'
+      : `Could not read the GLB file: ${error.message}`);
+  }
+
+  const { scene } = gltf;
+  scene.updateMatrixWorld(true);
+  const elements = [];
+  scene.traverse((object) => {
+    if (!object.isMesh) return;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', object.geometry.attributes.position.clone());
+    if (object.geometry.index) geometry.setIndex(object.geometry.index.clone());
+    geometry.applyMatrix4(object.matrixWorld);
+    geometry.computeVertexNormals();
+
+    // Extras from the mesh up to the root; the nearest node wins
+    let properties = {};
+    let name = null;
+    for (let node = object; node && node !== scene; node = node.parent) {
+      const { name: originalName, ...extras } = node.userData || {};
+      properties = { ...flattenProperties(extras), ...properties };
+      name = name || originalName || node.name || null;
+    }
+
+    const explicitType = findProperty(properties, ['Type', 'ComponentType']);
+    const ifcClass = findProperty(properties, ['IfcType', 'IfcClass', 'IfcEntity']);
+    const classTypes = IFC_COMPONENT_TYPES[ifcClass];
+    const type = explicitType || classTypes?.default || typeFromName(name, object.material?.name);
+    const category = type ? 'member' : (IFC_ENVELOPE[ifcClass] || envelopeFromName(name, object.material?.name) || 'member');
+
+    elements.push({
+      name,
+      type: type || 'Structural Member',
+      category,
+      geometry,
+      properties,
+      material: findProperty(properties, ['Material']) || object.material?.name || null,
+      profileName: findProperty(properties, ['Profile', 'ProfileName', 'Section']),
+      length: findProperty(properties, ['Length']),
+    });
+  });
+  return elements;
+}
+
+// ── Building ─────────────────────────────────────────────────────────
+
+// Member types that belong to the section view's stud and truss layers
+const STUD_TYPES = ['Wall Stud'];
+const TRUSS_TYPES = ['Roof Rafter', 'Purlin', 'Truss Chord', 'Ceiling Joist', 'Ridge Board'];
+
+export function createImportedBuilding(elements) {
+  const group = new THREE.Group();
+  const components = [];
+  const framing = [];
+  const {
+    framingMat, wallPanelMat, roofPanelMat, floorMat, edgeLineMat,
+  } = createBuildingMaterials();
+  const materials = { member: framingMat, cladding: wallPanelMat, roof: roofPanelMat, floor: floorMat };
+
+  const usedIds = new Set();
+  const uniqueId = (base) => {
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  elements.forEach((el, index) => {
+    const { geometry } = el;
+    if (!geometry.attributes.position?.count) return;
+
+    // Centre each mesh on its own bounds so member positions are meaningful
+    geometry.computeBoundingBox();
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+    geometry.translate(-center.x, -center.y, -center.z);
+    geometry.computeBoundingBox();
+
+    const mesh = new THREE.Mesh(geometry, materials[el.category]);
+    mesh.position.copy(center);
+    mesh.castShadow = el.category === 'member';
+    mesh.receiveShadow = true;
+    group.add(mesh);
+    if (el.category !== 'member') return;
+
+    const { properties } = el;
+    const volume = meshVolume(geometry);
+    const length = typeof el.length === 'number' ? `${el.length.toFixed(1)}m` : el.length;
+    const weight = findProperty(properties, ['Weight', 'Mass', 'GrossWeight', 'NetWeight']);
+
+    mesh.userData = {
+      id: uniqueId(el.name || `MBR-${index + 1}`),
+      type: el.type,
+      material: el.material || 'Steel Framing',
+      position: { x: center.x, y: center.y, z: center.z },
+      selectable: true,
+      dimensions: findProperty(properties, ['Dimensions', 'Profile'])
+        || (el.profileName && length ? `${el.profileName} (${length})` : null)
+        || boundingDimensions(geometry),
+      weight: withUnit(weight, 'kg') || (volume > 0 ? `${Math.round(volume * STEEL_DENSITY)} kg (est.)` : '—'),
+      loadRating: withUnit(findProperty(properties, ['LoadRating', 'LoadBearingCapacity', 'LoadCapacity']), 'kN') || '—',
+      status: findProperty(properties, ['Status', 'Condition']) || 'Good',
+      sensors: findProperty(properties, ['Sensors', 'SensorCount']) ?? 0,
+      lastInspection: findProperty(properties, ['LastInspection', 'InspectionDate']) || '—',
+      installDate: findProperty(properties, ['InstallDate', 'InstallationDate']) || '—',
+      sourceProperties: properties,
+    };
+    components.push(mesh);
+    framing.push(mesh);
+    mesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(geometry, 20), edgeLineMat));
+  });
+
+  group.userData.components = components;
+  group.userData.framing = framing;
+  group.userData.cladding = group.children.filter(c => c.material === wallPanelMat);
+  group.userData.roofPanels = group.children.filter(c => c.material === roofPanelMat);
+  group.userData.edgeLineMat = edgeLineMat;
+  // Imported models have no storey levels; their layers come from member types
+  const ofTypes = (types) => components.filter(mesh => types.includes(mesh.userData.type));
+  group.userData.layers = {
+    studs: ofTypes(STUD_TYPES),
+    trusses: ofTypes(TRUSS_TYPES),
+    annex: [],
+  };
+  return group;
+}
+
+// Read an uploaded model file into a building group
+export async function loadModelFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  let elements;
+  if (extension === 'ifc') {
+    elements = readIfc(await file.text());
+  } else if (extension === 'glb' || extension === 'gltf') {
+    elements = await readGltf(file, extension);
+  } else {
+    throw new Error('Unsupported file type; use IFC, glTF or GLB');
+  }
+
+  const group = createImportedBuilding(elements);
+  if (group.children.length === 0) throw new Error('No building geometry found in the file');
+  return {
+    name: file.name,
+    format: extension.toUpperCase(),
+    memberCount: group.userData.components.length,
+    group,
+  };
+}
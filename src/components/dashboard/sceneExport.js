@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+
+// GLB snapshot of the digital twin: the building group, panel markers and
+// sensor markers, each node carrying its metadata in glTF `extras`.
+//
+// With bakeView the members keep the colors of the active Thermal/Stress
+// overlay and cladding hidden in Model View stays out; otherwise the model's
+// own materials are written and all cladding is included.
+
+// Component fields written to extras (the rest of userData is scene state)
+const COMPONENT_FIELDS = [
+  'id', 'type', 'material', 'position', 'dimensions', 'weight', 'loadRating', 'status',
+  'sensors', 'lastInspection', 'installDate', 'utilization', 'thermalValue', 'sourceProperties',
+];
+
+const SENSOR_FIELDS = [
+  'sensor_id', 'sensor_type', 'status', 'last_reading', 'reading_unit',
+  'battery_level', 'last_ping', 'panel_id', 'position',
+];
+
+const PANEL_FIELDS = [
+  'panel_id', 'panel_name', 'panel_type', 'status', 'location', 'material',
+  'dimensions', 'install_date', 'position',
+];
+
+const pick = (record, fields) => fields.reduce((out, field) => {
+  const value = record?.[field];
+  if (value !== undefined && value !== null && typeof value !== 'function') out[field] = value;
+  return out;
+}, {});
+
+export async function exportSceneToGlb({
+  building,
+  panelMarkers = [],
+  sensorMarkers = [],
+  panelsById = new Map(),
+  sensorsById = new Map(),
+  view = 'live',
+  bakeView = false,
+  siteName = null,
+}) {
+  const root = new THREE.Scene();
+  root.name = siteName || 'Digital Twin';
+  root.userData = {
+    exportedAt: new Date().toISOString(),
+    site: siteName,
+    view,
+    bakedView: bakeView,
+  };
+
+  // Export copies of materials without hover/selection glow, shared per source
+  const materialCopies = new Map();
+  const exportMaterial = (material) => {
+    if (!materialCopies.has(material)) {
+      const copy = material.clone();
+      if (copy.emissive) copy.emissive.setHex(0x000000);
+      materialCopies.set(material, copy);
+    }
+    return materialCopies.get(material);
+  };
+
+  // X-ray fading is a viewing aid, never part of the export
+  const sourceMaterial = (mesh) => {
+    const shown = mesh.userData.xrayBase || mesh.material;
+    return bakeView ? shown : mesh.userData.baseMaterial || shown;
+  };
+
+  // ── Building ───────────────────────────────────────────────────────
+  const buildingNode = new THREE.Group();
+  buildingNode.name = 'Building';
+  building.updateMatrixWorld(true);
+  buildingNode.applyMatrix4(building.matrixWorld);
+  building.children.forEach((child, index) => {
+    if (!child.isMesh || (bakeView && !child.visible)) return;
+    const mesh = new THREE.Mesh(child.geometry, exportMaterial(sourceMaterial(child)));
+    mesh.applyMatrix4(child.matrix);
+    if (child.userData.selectable) {
+      mesh.name = child.userData.id;
+      mesh.userData = { kind: 'component', ...pick(child.userData, COMPONENT_FIELDS) };
+    } else {
+      mesh.name = `element-${index}`;
+    }
+    buildingNode.add(mesh);
+  });
+  root.add(buildingNode);
+
+  // ── Markers (with their current status colors and glow) ───────────
+  const panelsNode = new THREE.Group();
+  panelsNode.name = 'Panels';
+  panelMarkers.forEach(({ group, panel, indicator }) => {
+    const current = panelsById.get(panel.panel_id) || panel;
+    const mesh = new THREE.Mesh(indicator.geometry, sourceMaterial(indicator).clone());
+    mesh.position.copy(group.position);
+    mesh.name = `panel:${panel.panel_id}`;
+    mesh.userData = { kind: 'panel', ...pick(current, PANEL_FIELDS) };
+    panelsNode.add(mesh);
+  });
+  root.add(panelsNode);
+
+  const sensorsNode = new THREE.Group();
+  sensorsNode.name = 'Sensors';
+  sensorMarkers.forEach(({ group, sensor, mesh: marker }) => {
+    const current = sensorsById.get(sensor.sensor_id) || sensor;
+    const mesh = new THREE.Mesh(marker.geometry, marker.material.clone());
+    mesh.position.copy(group.position);
+    mesh.name = `sensor:${sensor.sensor_id}`;
+    mesh.userData = { kind: 'sensor', ...pick(current, SENSOR_FIELDS) };
+    sensorsNode.add(mesh);
+  });
+  root.add(sensorsNode);
+
+  const result = await new GLTFExporter().parseAsync(root, { binary: true });
+  return new Blob([result], { type: 'model/gltf-binary' });
+}
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+import { setHidden } from './viewOverlay';
+import { getStoreys, storeyAt } from './sectionView';
+
+// Scene tree for the digital twin: the building's selectable members grouped
+// by type, floor or wall, with per-group show/hide and isolate.
+//
+// Visibility state:
+//   hiddenIds  Set of component ids hidden from the tree
+//   isolate    { key, label, ids } while one group is isolated, else null;
+//              everything outside it (cladding and unselectable framing
+//              included) is hidden
+//
+// Floors come from the building's storey levels and walls from its gable
+// sections, so imported models are grouped by type only.
+
+export const TREE_GROUPINGS = { type: 'Type', floor: 'Floor', wall: 'Wall' };
+
+export const EMPTY_TREE_VISIBILITY = { hiddenIds: new Set(), isolate: null };
+
+export const COMPONENT_TYPE_COLORS = {
+  'Structural Column': 'bg-red-500/20 text-red-400 border-red-500/30',
+  'Floor Beam': 'bg-blue-500/20 text-blue-400 border-blue-500/30',
+  'Wall Stud': 'bg-purple-500/20 text-purple-400 border-purple-500/30',
+  'Top Plate': 'bg-green-500/20 text-green-400 border-green-500/30',
+  'Roof Rafter': 'bg-orange-500/20 text-orange-400 border-orange-500/30',
+  'Floor Joist': 'bg-cyan-500/20 text-cyan-400 border-cyan-500/30',
+  'Ceiling Joist': 'bg-teal-500/20 text-teal-400 border-teal-500/30',
+  'Ridge Beam': 'bg-pink-500/20 text-pink-400 border-pink-500/30',
+  'Ridge Board': 'bg-pink-500/20 text-pink-400 border-pink-500/30',
+  'Interior Stud': 'bg-indigo-500/20 text-indigo-400 border-indigo-500/30',
+};
+
+export const getTypeColor = (type) => COMPONENT_TYPE_COLORS[type] || 'bg-slate-500/20 text-slate-400 border-slate-500/30';
+
+// Members within this distance of a wall line belong to that wall
+const WALL_TOLERANCE = 0.3;
+
+const WALL_ORDER = ['Front wall', 'Back wall', 'Left wall', 'Right wall', 'Interior', 'Roof', 'Curved annex'];
+
+function wallOf(mesh, box, building, annex) {
+  if (annex.has(mesh)) return 'Curved annex';
+  const center = box.getCenter(new THREE.Vector3());
+  const near = (a, b) => Math.abs(a - b) <= WALL_TOLERANCE;
+  const section = (building.userData.sections || []).find(s => s.type === 'gable'
+    && Math.abs(center.x - s.center[0]) <= s.width / 2 + WALL_TOLERANCE
+    && Math.abs(center.z - s.center[1]) <= s.depth / 2 + WALL_TOLERANCE);
+  if (!section) return null;
+
+  const [ox, oz] = section.center;
+  if (box.min.y >= section.eaveHeight - WALL_TOLERANCE) return 'Roof';
+  if (near(center.z, oz - section.depth / 2)) return 'Front wall';
+  if (near(center.z, oz + section.depth / 2)) return 'Back wall';
+  if (near(center.x, ox - section.width / 2)) return 'Left wall';
+  if (near(center.x, ox + section.width / 2)) return 'Right wall';
+  return 'Interior';
+}
+
+// One entry per selectable member: { id, type, floor, wall, mesh }; floor is
+// a storey label and wall a wall name, null where the building has no such data
+export function describeComponents(building) {
+  const storeys = getStoreys(building);
+  const annex = new Set(building.userData.layers?.annex || []);
+  return (building.userData.components || []).map((mesh) => {
+    const box = new THREE.Box3().setFromObject(mesh);
+    return {
+      id: mesh.userData.id,
+      type: mesh.userData.type || 'Unknown',
+      floor: storeyAt(storeys, box.min.y)?.label || null,
+      wall: wallOf(mesh, box, building, annex),
+      mesh,
+    };
+  });
+}
+
+// Groupings the components carry data for
+export const availableGroupings = (components) => Object.keys(TREE_GROUPINGS)
+  .filter(grouping => components.some(c => c[grouping]));
+
+const groupOrder = (grouping, label, storeyLabels) => {
+  if (grouping === 'floor') return storeyLabels.indexOf(label);
+  if (grouping === 'wall') return WALL_ORDER.indexOf(label);
+  return 0;
+};
+
+/**
+ * Components grouped for the tree: [{ key, label, components }], with only
+ * the components whose id contains the query (case-insensitive) and
+ * without groups left empty by it. Members with no value for the grouping
+ * land in 'Other'.
+ */
+export function groupComponents(components, grouping, query = '', storeyLabels = []) {
+  const needle = query.trim().toLowerCase();
+  const groups = new Map();
+  components.forEach((component) => {
+    if (needle && !component.id.toLowerCase().includes(needle)) return;
+    const label = component[grouping] || 'Other';
+    if (!groups.has(label)) groups.set(label, { key: `${grouping}:${label}`, label, components: [] });
+    groups.get(label).components.push(component);
+  });
+  return [...groups.values()]
+    .sort((a, b) => (groupOrder(grouping, a.label, storeyLabels) - groupOrder(grouping, b.label, storeyLabels))
+      || a.label.localeCompare(b.label))
+    .map(group => ({
+      ...group,
+      components: group.components.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true })),
+    }));
+}
+
+export const isComponentShown = (visibility, id) =>
+  !visibility.hiddenIds.has(id) && (!visibility.isolate || visibility.isolate.ids.has(id));
+
+// Hide the group if any of it is showing, else show all of it
+export function toggleGroup(visibility, group) {
+  const ids = group.components.map(c => c.id);
+  const anyShown = ids.some(id => !visibility.hiddenIds.has(id));
+  const hiddenIds = new Set(visibility.hiddenIds);
+  ids.forEach(id => (anyShown ? hiddenIds.add(id) : hiddenIds.delete(id)));
+  return { ...visibility, hiddenIds };
+}
+
+// Isolate a group, or stop isolating it
+export const toggleIsolate = (visibility, group) => ({
+  ...visibility,
+  isolate: visibility.isolate?.key === group.key
+    ? null
+    : { key: group.key, label: group.label, ids: new Set(group.components.map(c => c.id)) },
+});
+
+export function applyTreeVisibility(building, visibility) {
+  const components = new Set(building.userData.components || []);
+  building.children.forEach((child) => {
+    if (components.has(child)) setHidden(child, 'tree', !isComponentShown(visibility, child.userData.id));
+    else setHidden(child, 'tree', Boolean(visibility.isolate));
+  });
+}
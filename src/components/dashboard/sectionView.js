@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+import { setHidden } from './viewOverlay';
+
+// Section view for seeing inside the building: clipping-plane cuts, floor
+// isolation, layer toggles and X-ray. The state is one object:
+//   cuts    { x, y, z }: { enabled, at, flip }   at is 0–1 across the
+//           building's bounds; the far side is cut away, or the near side
+//           when flipped
+//   floor   'all' or a storey id from getStoreys
+//   layers  { cladding, roofPanels, studs, trusses, annex }   false hides it
+//   xray    fade everything but sensors, panels and the selected member
+//
+// Cuts and the floor band are clipping planes on the building's materials
+// (the renderer needs localClippingEnabled); sensor and panel markers outside
+// the kept region are hidden with them.
+
+export const SECTION_AXES = ['x', 'y', 'z'];
+
+export const SECTION_LAYERS = {
+  cladding: 'Cladding',
+  roofPanels: 'Roof panels',
+  studs: 'Studs',
+  trusses: 'Trusses',
+  annex: 'Curved annex',
+};
+
+export const DEFAULT_SECTION = {
+  cuts: {
+    x: { enabled: false, at: 0.5, flip: false },
+    y: { enabled: false, at: 0.5, flip: false },
+    z: { enabled: false, at: 0.5, flip: false },
+  },
+  floor: 'all',
+  layers: { cladding: true, roofPanels: true, studs: true, trusses: true, annex: true },
+  xray: false,
+};
+
+// Storey bands keep what sits on their floor; members at the band's top
+// level belong to the storey above
+const LEVEL_TOLERANCE = 0.1;
+const XRAY_OPACITY = 0.08;
+const XRAY_LINE_OPACITY = 0.12;
+
+export const isSectionActive = (section) =>
+  SECTION_AXES.some(axis => section.cuts[axis].enabled)
+  || section.floor !== 'all'
+  || Object.values(section.layers).some(shown => !shown)
+  || section.xray;
+
+// Floor choices for a building: ground, each upper floor, roof. Empty when
+// the building has no storey levels (imported models).
+export function getStoreys(building) {
+  const levels = building?.userData.levels;
+  if (!levels) return [];
+  const eave = levels[levels.length - 1];
+  const upper = levels.length > 3;
+  return [
+    ...levels.slice(0, -1).map((min, i) => ({
+      id: i === 0 ? 'ground' : `upper${upper ? `-${i}` : ''}`,
+      label: i === 0 ? 'Ground' : `Upper${upper ? ` ${i}` : ''}`,
+      min,
+      max: levels[i + 1],
+    })),
+    { id: 'roof', label: 'Roof', min: eave, max: Infinity },
+  ];
+}
+
+// Storey a height falls in, using the same bands as floor isolation
+export const storeyAt = (storeys, y) =>
+  storeys.find(s => y >= s.min - LEVEL_TOLERANCE && y < s.max - LEVEL_TOLERANCE) || null;
+
+// Layers the building has meshes for
+export const getAvailableLayers = (building) => Object.keys(SECTION_LAYERS)
+  .filter(layer => layerMeshes(building, layer).length > 0);
+
+function layerMeshes(building, layer) {
+  if (layer === 'cladding') return building.userData.cladding || [];
+  if (layer === 'roofPanels') return building.userData.roofPanels || [];
+  return building.userData.layers?.[layer] || [];
+}
+
+const getBounds = (building) => {
+  if (!building.userData.bounds) building.userData.bounds = new THREE.Box3().setFromObject(building);
+  return building.userData.bounds;
+};
+
+// Clipping planes for the cuts and the floor band; a point is kept when it
+// is on the positive side of every plane
+export function sectionPlanes(building, section) {
+  const bounds = getBounds(building);
+  const planes = SECTION_AXES
+    .filter(axis => section.cuts[axis].enabled)
+    .map((axis) => {
+      const { at, flip } = section.cuts[axis];
+      const value = THREE.MathUtils.lerp(bounds.min[axis], bounds.max[axis], at);
+      const normal = new THREE.Vector3().setComponent(SECTION_AXES.indexOf(axis), flip ? 1 : -1);
+      return new THREE.Plane(normal, flip ? -value : value);
+    });
+
+  const storey = getStoreys(building).find(s => s.id === section.floor);
+  if (storey) {
+    if (storey.min > 0) planes.push(new THREE.Plane(new THREE.Vector3(0, 1, 0), -(storey.min - LEVEL_TOLERANCE)));
+    if (Number.isFinite(storey.max)) planes.push(new THREE.Plane(new THREE.Vector3(0, -1, 0), storey.max - LEVEL_TOLERANCE));
+  }
+  return planes;
+}
+
+export const isCutAway = (point, planes) => planes.some(plane => plane.distanceToPoint(point) < 0);
+
+const isShown = (object) => {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+};
+
+// First raycast hit on something that is actually on screen
+export const firstVisibleHit = (intersects, planes) =>
+  intersects.find(hit => isShown(hit.object) && !isCutAway(hit.point, planes)) || null;
+
+// Faded copy of a material, shared by everything that uses the original.
+// Repainted from the original on every pass, since overlay materials change
+// color in place.
+function xrayMaterial(building, material) {
+  if (!building.userData.xrayMaterials) building.userData.xrayMaterials = new WeakMap();
+  const cache = building.userData.xrayMaterials;
+  if (!cache.has(material)) cache.set(material, material.clone());
+  const faded = cache.get(material).copy(material);
+  faded.transparent = true;
+  faded.opacity = Math.min(material.opacity, material.isLineBasicMaterial ? XRAY_LINE_OPACITY : XRAY_OPACITY);
+  faded.depthWrite = false;
+  // Hover and selection glow from a previous pass
+  if (faded.emissive) faded.emissive.setHex(0x000000);
+  return faded;
+}
+
+// Put back the materials X-ray swapped out. Run before any other overlay
+// changes materials, so nothing restores a faded copy.
+export function clearSectionView(building) {
+  building.traverse((object) => {
+    if (!object.userData.xrayBase) return;
+    object.material = object.userData.xrayBase;
+    delete object.userData.xrayBase;
+  });
+}
+
+/**
+ * Apply a section state to the building and markers ({ group } entries).
+ * selected is the member X-ray leaves solid. Returns the clipping planes,
+ * for picking with firstVisibleHit.
+ */
+export function applySectionView(building, markers, section, options) {
+  const { selected = null } = options || {};
+  clearSectionView(building);
+
+  Object.keys(SECTION_LAYERS).forEach((layer) => {
+    layerMeshes(building, layer).forEach(mesh => setHidden(mesh, 'section', !section.layers[layer]));
+  });
+
+  const planes = sectionPlanes(building, section);
+  building.traverse((object) => {
+    if (!object.material) return;
+    if (section.xray && !isWithin(object, selected)) {
+      object.userData.xrayBase = object.material;
+      object.material = xrayMaterial(building, object.material);
+    }
+    object.material.clippingPlanes = planes;
+    object.material.clipShadows = true;
+  });
+
+  markers.forEach(({ group }) => { group.visible = !isCutAway(group.position, planes); });
+  return planes;
+}
+
+const isWithin = (object, ancestor) => {
+  if (!ancestor) return false;
+  for (let o = object; o; o = o.parent) {
+    if (o === ancestor) return true;
+  }
+  return false;
+};
@@ -11,33 +11,7 @@ export const sensorData = {
     status: "Stable",
     value: "8.42kN",
     label: "NOMINAL"
-  },
-  alerts: [
-    {
-      id: "alert-1",
-      type: "moisture",
-      severity: "critical",
-      title: "Moisture Detected",
-      locationId: "panel-a-104",
-      locationName: "Bath Wall | Section A4",
-      metric: "HUMIDITY",
-      value: "88.4%",
-      status: "Active Leak",
-      coordinates: { x: -4, y: 2, z: 3 }
-    },
-    {
-      id: "alert-2",
-      type: "thermal",
-      severity: "warning",
-      title: "Critical Heat Rise",
-      locationId: "junction-j-022",
-      locationName: "J-Box 4 | Electrical Hub",
-      metric: "TEMP",
-      value: "135.2°F",
-      status: "Warning",
-      coordinates: { x: 3, y: 1.5, z: -2 }
-    }
-  ]
+  }
 };
 
 export const viewModes = [
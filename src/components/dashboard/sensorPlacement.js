@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+
+// Placing a sensor in the digital twin while commissioning it. A click on a
+// framing member puts the sensor on the face that was hit; a click on a
+// panel marker puts it just below the panel.
+//
+// A placement is { position: { x, y, z }, memberId, memberType, panelId }:
+// memberId and memberType name the building component hit (null for a
+// panel), panelId the panel clicked (null for a member). Positions are in
+// scene metres, rounded to the centimetre.
+
+// Radius of a sensor marker; placements sit this far off the surface so the
+// bead rests on it rather than in it
+export const SENSOR_RADIUS = 0.08;
+
+// Below the panel marker (radius 0.15) with a gap
+const PANEL_OFFSET = 0.3;
+
+const PLACEMENT_COLOR = 0x38bdf8;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toPosition = (vector) => ({ x: round(vector.x), y: round(vector.y), z: round(vector.z) });
+
+/**
+ * Placement for a raycaster hit on a member. The face normal is turned to
+ * face the ray, so a click on the inside of a wall places on the inside.
+ */
+export function surfacePlacement(hit, ray) {
+  const normal = hit.face
+    ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+    : ray.direction.clone().negate();
+  if (normal.dot(ray.direction) > 0) normal.negate();
+  const point = hit.point.clone().addScaledVector(normal, SENSOR_RADIUS);
+  return {
+    position: toPosition(point),
+    memberId: hit.object.userData.id ?? null,
+    memberType: hit.object.userData.type ?? null,
+    panelId: null,
+  };
+}
+
+export function panelPlacement(panel) {
+  const { x, y, z } = panel.position;
+  return {
+    position: toPosition(new THREE.Vector3(x, y - PANEL_OFFSET, z)),
+    memberId: null,
+    memberType: null,
+    panelId: panel.panel_id,
+  };
+}
+
+// Translucent bead and halo showing where the sensor will go
+export function createPlacementMarker() {
+  const group = new THREE.Group();
+  const bead = new THREE.Mesh(
+    new THREE.SphereGeometry(SENSOR_RADIUS, 16, 16),
+    new THREE.MeshStandardMaterial({ color: PLACEMENT_COLOR, emissive: PLACEMENT_COLOR, emissiveIntensity: 0.9 })
+  );
+  group.add(bead);
+  const halo = new THREE.Mesh(
+    new THREE.SphereGeometry(SENSOR_RADIUS * 2.5, 16, 16),
+    new THREE.MeshBasicMaterial({ color: PLACEMENT_COLOR, transparent: true, opacity: 0.25, depthWrite: false })
+  );
+  group.add(halo);
+  group.visible = false;
+  group.userData = { type: 'placement', halo };
+  return group;
+}
+
+// Show the marker at a position, or hide it for null
+export function movePlacementMarker(marker, position) {
+  marker.visible = Boolean(position);
+  if (position) marker.position.set(position.x, position.y, position.z);
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { getOverlayMaterial, getMutedMaterial, setOverlayMaterial } from './viewOverlay';
+
+// Utilization color stops — green (unloaded) → amber → red (at or over rating)
+export const UTILIZATION_STOPS = ['#10b981', '#84cc16', '#facc15', '#f97316', '#ef4444'];
+
+export const UTILIZATION_LEVELS = [
+  { max: 0.5, label: 'Nominal', color: 'text-green-400', bar: 'bg-green-500' },
+  { max: 0.8, label: 'Elevated', color: 'text-yellow-400', bar: 'bg-yellow-500' },
+  { max: 1, label: 'High', color: 'text-orange-400', bar: 'bg-orange-500' },
+  { max: Infinity, label: 'Overloaded', color: 'text-red-400', bar: 'bg-red-500' },
+];
+
+// Nearest sensors blended into each member's measured load
+const NEAREST_SENSORS = 3;
+
+// Dynamic load amplification per mm/s of measured vibration velocity.
+// A member next to a 10 mm/s vibration reading carries 20% more than its
+// static stress reading.
+const VIBRATION_FACTOR_PER_MMS = 0.02;
+
+const LBF_TO_KN = 0.00444822;
+
+export function getUtilizationLevel(utilization) {
+  return UTILIZATION_LEVELS.find(l => utilization <= l.max);
+}
+
+// Parse a reading such as "1200 kN" or 850 with unit "lbf" into kN
+export function toKilonewtons(value, unit = '') {
+  const amount = parseFloat(value);
+  if (!Number.isFinite(amount)) return null;
+  const u = `${unit || value}`.toLowerCase();
+  return u.includes('lbf') ? amount * LBF_TO_KN : amount;
+}
+
+const toSamples = (sensors, type, convert) => sensors
+  .filter(s => s.sensor_type === type && s.position)
+  .map(s => ({
+    id: s.sensor_id,
+    value: convert(s),
+    point: new THREE.Vector3(s.position.x, s.position.y, s.position.z),
+  }))
+  .filter(s => Number.isFinite(s.value));
+
+export function getLoadSamples(sensors = []) {
+  return {
+    stress: toSamples(sensors, 'stress', s => toKilonewtons(s.last_reading, s.reading_unit)),
+    vibration: toSamples(sensors, 'vibration', s => parseFloat(s.last_reading)),
+  };
+}
+
+// Inverse-distance blend of the k nearest samples to a point
+const nearestBlend = (point, samples, k) => {
+  if (samples.length === 0) return null;
+  const nearest = samples
+    .map(s => ({ sample: s, d: point.distanceTo(s.point) }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, k);
+  if (nearest[0].d < 1e-3) return { value: nearest[0].sample.value, sources: [nearest[0].sample.id] };
+  let weighted = 0;
+  let total = 0;
+  nearest.forEach(({ sample, d }) => {
+    weighted += sample.value / d;
+    total += 1 / d;
+  });
+  return { value: weighted / total, sources: nearest.map(n => n.sample.id) };
+};
+
+// Utilization (measured load ÷ rated load) for every rated member
+export function computeUtilization(building, { stress, vibration }) {
+  const components = building.userData.components || [];
+  const worldPos = new THREE.Vector3();
+  building.updateMatrixWorld(true);
+
+  return components.reduce((results, mesh) => {
+    const rated = toKilonewtons(mesh.userData.loadRating);
+    if (!rated) return results;
+    mesh.getWorldPosition(worldPos);
+
+    const load = nearestBlend(worldPos, stress, NEAREST_SENSORS);
+    if (!load) return results;
+    const vib = nearestBlend(worldPos, vibration, 1);
+    const dynamicFactor = vib ? 1 + Math.max(0, vib.value) * VIBRATION_FACTOR_PER_MMS : 1;
+    const measured = load.value * dynamicFactor;
+
+    results.push({
+      mesh,
+      id: mesh.userData.id,
+      type: mesh.userData.type,
+      rated,
+      measured,
+      dynamicFactor,
+      utilization: measured / rated,
+      sources: [...load.sources, ...(vib ? vib.sources : [])],
+    });
+    return results;
+  }, []);
+}
+
+// Color rated members by utilization; everything else is muted for contrast
+export function applyStressView(building, results) {
+  const framing = building.userData.framing || [];
+  const muted = getMutedMaterial(building);
+  framing.forEach(mesh => setOverlayMaterial(mesh, muted));
+
+  results.forEach(({ mesh, utilization }) => {
+    mesh.userData.utilization = utilization;
+    setOverlayMaterial(mesh, getOverlayMaterial(building, 'utilization', UTILIZATION_STOPS, utilization));
+  });
+}
@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+import { sampleStops, gradientCss, getOverlayMaterial, setOverlayMaterial } from './viewOverlay';
+
+// Color scales for the Thermal view — stops run cold → hot
+export const THERMAL_SCALES = {
+  spectrum: {
+    label: 'Spectrum',
+    stops: ['#1e3a8a', '#0ea5e9', '#10b981', '#facc15', '#f97316', '#ef4444'],
+  },
+  inferno: {
+    label: 'Inferno',
+    stops: ['#000004', '#420a68', '#932667', '#dd513a', '#fca50a', '#fcffa4'],
+  },
+  coolwarm: {
+    label: 'Cool / Warm',
+    stops: ['#3b4cc0', '#8db0fe', '#dddddd', '#f49a7b', '#b40426'],
+  },
+};
+
+export const DEFAULT_THERMAL_SCALE = 'spectrum';
+
+export function scaleGradientCss(scaleId) {
+  return gradientCss(getScaleStops(scaleId));
+}
+
+export function getScaleStops(scaleId) {
+  return (THERMAL_SCALES[scaleId] || THERMAL_SCALES[DEFAULT_THERMAL_SCALE]).stops;
+}
+
+// Sample a color scale at t ∈ [0, 1]
+export function sampleScale(scaleId, t, target = new THREE.Color()) {
+  return sampleStops(getScaleStops(scaleId), t, target);
+}
+
+// Latest temperature readings with a usable position
+export function getTemperatureSamples(sensors = []) {
+  return sensors
+    .filter(s => s.sensor_type === 'temperature' && s.position)
+    .map(s => ({
+      id: s.sensor_id,
+      value: parseFloat(s.last_reading),
+      unit: s.reading_unit,
+      point: new THREE.Vector3(s.position.x, s.position.y, s.position.z),
+    }))
+    .filter(s => Number.isFinite(s.value));
+}
+
+// Inverse-distance-weighted interpolation of readings at a point in 3D space
+export function interpolateAt(point, samples, power = 2) {
+  if (samples.length === 0) return null;
+  let weighted = 0;
+  let total = 0;
+  for (const sample of samples) {
+    const d = point.distanceTo(sample.point);
+    if (d < 1e-3) return sample.value;
+    const w = 1 / d ** power;
+    weighted += w * sample.value;
+    total += w;
+  }
+  return weighted / total;
+}
+
+export function getReadingRange(samples) {
+  if (samples.length === 0) return { min: 0, max: 1 };
+  const values = samples.map(s => s.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return min === max ? { min: min - 1, max: max + 1 } : { min, max };
+}
+
+// Recolor every framing mesh and panel indicator by interpolated temperature
+export function applyThermalView(building, panelMarkers, samples, { scale, min, max }) {
+  const framing = building.userData.framing || [];
+  const stops = getScaleStops(scale);
+  const span = max - min || 1;
+  const worldPos = new THREE.Vector3();
+  building.updateMatrixWorld(true);
+
+  framing.forEach((mesh) => {
+    mesh.getWorldPosition(worldPos);
+    const value = interpolateAt(worldPos, samples);
+    if (value === null) return;
+    mesh.userData.thermalValue = value;
+    setOverlayMaterial(mesh, getOverlayMaterial(building, scale, stops, (value - min) / span));
+  });
+
+  panelMarkers.forEach(({ group, indicator }) => {
+    const value = interpolateAt(group.position, samples);
+    if (value === null) return;
+    setOverlayMaterial(indicator, getOverlayMaterial(building, scale, stops, (value - min) / span));
+  });
+}
@@ -0,0 +1,68 @@
+import { toKilonewtons } from './stressMap';
+
+// Readings are evaluated in canonical units (°F, kN) and converted only for display
+
+export const DEFAULT_UNITS = { temperature: '°F', force: 'kN' };
+
+export const UNIT_OPTIONS = {
+  temperature: ['°F', '°C'],
+  force: ['kN', 'lbf'],
+};
+
+const LBF_PER_KN = 224.809;
+
+export const getDisplayUnit = (sensorType, canonicalUnit, units = DEFAULT_UNITS) => {
+  if (sensorType === 'temperature') return units.temperature;
+  if (sensorType === 'stress') return units.force;
+  return canonicalUnit;
+};
+
+export function toDisplayValue(sensorType, value, units = DEFAULT_UNITS) {
+  if (sensorType === 'temperature' && units.temperature === '°C') return (value - 32) * 5 / 9;
+  if (sensorType === 'stress' && units.force === 'lbf') return value * LBF_PER_KN;
+  return value;
+}
+
+export function fromDisplayValue(sensorType, value, units = DEFAULT_UNITS) {
+  if (sensorType === 'temperature' && units.temperature === '°C') return value * 9 / 5 + 32;
+  if (sensorType === 'stress' && units.force === 'lbf') return value / LBF_PER_KN;
+  return value;
+}
+
+// Temperature differences (hysteresis bands) scale without the offset
+export function toDisplayDelta(sensorType, value, units = DEFAULT_UNITS) {
+  if (sensorType === 'temperature' && units.temperature === '°C') return value * 5 / 9;
+  return toDisplayValue(sensorType, value, units);
+}
+
+export function fromDisplayDelta(sensorType, value, units = DEFAULT_UNITS) {
+  if (sensorType === 'temperature' && units.temperature === '°C') return value * 9 / 5;
+  return fromDisplayValue(sensorType, value, units);
+}
+
+// Raw sensor reading → canonical value, or null when it is not numeric
+export function toCanonicalReading(sensorType, reading, unit = '') {
+  if (sensorType === 'stress') return toKilonewtons(reading, unit);
+  const value = parseFloat(reading);
+  if (!Number.isFinite(value)) return null;
+  if (sensorType === 'temperature' && /c$/i.test(`${unit || ''}`.trim())) return value * 9 / 5 + 32;
+  return value;
+}
+
+// Raw sensor reading → display value, or null when it is not numeric
+export function toDisplayReading(sensorType, reading, unit, units = DEFAULT_UNITS) {
+  const canonical = toCanonicalReading(sensorType, reading, unit);
+  return canonical === null ? null : toDisplayValue(sensorType, canonical, units);
+}
+
+export const formatMeasurement = (value, unit) =>
+  `${Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(1)}${unit === '%' ? '%' : ` ${unit}`}`;
+
+// A sensor's last reading in display units; non-convertible types pass through
+export function formatSensorReading(sensor, units = DEFAULT_UNITS) {
+  const value = toDisplayReading(sensor.sensor_type, sensor.last_reading, sensor.reading_unit, units);
+  if (value === null || !['temperature', 'stress'].includes(sensor.sensor_type)) {
+    return `${sensor.last_reading ?? '—'} ${sensor.reading_unit || ''}`.trim();
+  }
+  return formatMeasurement(value, getDisplayUnit(sensor.sensor_type, null, units));
+}
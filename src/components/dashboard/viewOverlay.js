@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+
+// Scene presentation helpers for the view modes (Thermal, Stress, Model).
+// Overlay materials are swapped in per mesh; the original is kept on
+// userData.baseMaterial so any view can restore the model's own look. The
+// material cache lives on the building, so a rebuilt scene starts with clean
+// hover/selection emissive state.
+
+// Number of discrete color buckets; meshes in the same bucket share a material
+const BUCKETS = 48;
+
+// Sample a list of color stops at t ∈ [0, 1]
+export function sampleStops(stops, t, target = new THREE.Color()) {
+  const clamped = Math.min(1, Math.max(0, t));
+  const scaled = clamped * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(scaled));
+  return target.lerpColors(new THREE.Color(stops[i]), new THREE.Color(stops[i + 1]), scaled - i);
+}
+
+export function gradientCss(stops) {
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+const getCache = (building) => {
+  if (!building.userData.overlayMaterials) building.userData.overlayMaterials = new Map();
+  return building.userData.overlayMaterials;
+};
+
+export function getOverlayMaterial(building, scaleId, stops, t) {
+  const cache = getCache(building);
+  const bucket = Math.round(Math.min(1, Math.max(0, t)) * (BUCKETS - 1));
+  const key = `${scaleId}:${bucket}`;
+  if (!cache.has(key)) {
+    cache.set(key, new THREE.MeshStandardMaterial({
+      color: sampleStops(stops, bucket / (BUCKETS - 1)),
+      metalness: 0.2,
+      roughness: 0.6,
+    }));
+  }
+  return cache.get(key);
+}
+
+// Dimmed material for members that carry no data in the active view
+export function getMutedMaterial(building) {
+  const cache = getCache(building);
+  if (!cache.has('muted')) {
+    cache.set('muted', new THREE.MeshStandardMaterial({
+      color: 0x334155,
+      transparent: true,
+      opacity: 0.35,
+      metalness: 0.2,
+      roughness: 0.8,
+    }));
+  }
+  return cache.get('muted');
+}
+
+// Selectable members get their own copy so hover/selection emissive only
+// lights up that member, not every member sharing the color bucket. The copy
+// is made once per mesh (userData.overlayMaterial) and repainted on later
+// passes, then disposed when the base material comes back.
+export function setOverlayMaterial(mesh, material) {
+  if (!mesh.userData.baseMaterial) mesh.userData.baseMaterial = mesh.material;
+  if (!mesh.userData.selectable) {
+    mesh.material = material;
+    return;
+  }
+  let overlay = mesh.userData.overlayMaterial;
+  if (overlay?.type === material.type) {
+    const { transparent } = overlay;
+    overlay.copy(material);
+    // Switching blending needs a different shader program
+    if (overlay.transparent !== transparent) overlay.needsUpdate = true;
+  } else {
+    overlay?.dispose();
+    overlay = mesh.userData.overlayMaterial = material.clone();
+  }
+  mesh.material = overlay;
+}
+
+export function restoreBaseMaterials(meshes = []) {
+  meshes.forEach((mesh) => {
+    if (mesh.userData.baseMaterial) {
+      mesh.material = mesh.userData.baseMaterial;
+      delete mesh.userData.baseMaterial;
+    }
+    if (mesh.userData.overlayMaterial) {
+      mesh.userData.overlayMaterial.dispose();
+      delete mesh.userData.overlayMaterial;
+    }
+  });
+}
+
+// Remove every analysis overlay from the building and panel markers
+export function clearOverlays(building, panelMarkers) {
+  const framing = building.userData.framing || [];
+  framing.forEach((mesh) => {
+    delete mesh.userData.thermalValue;
+    delete mesh.userData.utilization;
+  });
+  restoreBaseMaterials(framing);
+  restoreBaseMaterials(panelMarkers.map(p => p.indicator));
+}
+
+// Hide or show an object for one reason (Model View, a section view layer…);
+// it is only visible again once every reason has been cleared
+export function setHidden(object, reason, hidden) {
+  if (!object.userData.hiddenBy) object.userData.hiddenBy = new Set();
+  const reasons = object.userData.hiddenBy;
+  if (hidden) reasons.add(reason);
+  else reasons.delete(reason);
+  object.visible = reasons.size === 0;
+}
+
+// Model View — cladding and roof sheathing hidden, edge lines emphasized
+export function setModelPresentation(building, enabled) {
+  const panels = [...(building.userData.cladding || []), ...(building.userData.roofPanels || [])];
+  panels.forEach((mesh) => setHidden(mesh, 'model', enabled));
+
+  const edgeMat = building.userData.edgeLineMat;
+  if (!edgeMat) return;
+  if (!edgeMat.userData.base) {
+    edgeMat.userData.base = { color: edgeMat.color.getHex(), opacity: edgeMat.opacity };
+  }
+  const { base } = edgeMat.userData;
+  edgeMat.color.setHex(enabled ? 0xe2e8f0 : base.color);
+  edgeMat.opacity = enabled ? 0.95 : base.opacity;
+}
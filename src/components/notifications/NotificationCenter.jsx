@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { X, Bell, AlertTriangle, CheckCircle, WifiOff, Wifi, BatteryLow, Zap, Crosshair, Inbox, CheckCheck } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { formatDistanceToNow } from 'date-fns';
+import { NOTIFICATION_FILTERS } from './notificationFeed';
+
+const getItemConfig = (item) => {
+  if (item.kind === 'alert') {
+    if (item.severity === 'resolved') return { icon: CheckCircle, color: 'text-green-400', bg: 'bg-green-500/20' };
+    if (item.severity === 'critical') return { icon: AlertTriangle, color: 'text-red-400', bg: 'bg-red-500/20' };
+    return { icon: AlertTriangle, color: 'text-orange-400', bg: 'bg-orange-500/20' };
+  }
+  if (item.kind === 'status') {
+    return item.status === 'offline'
+      ? { icon: WifiOff, color: 'text-slate-300', bg: 'bg-slate-500/20' }
+      : { icon: Wifi, color: 'text-green-400', bg: 'bg-green-500/20' };
+  }
+  if (item.kind === 'battery') return { icon: BatteryLow, color: 'text-yellow-400', bg: 'bg-yellow-500/20' };
+  return { icon: Zap, color: 'text-blue-400', bg: 'bg-blue-500/20' };
+};
+
+export default function NotificationCenter({ open, items = [], unreadCount = 0, outstandingAlerts = 0, onClose, onMarkRead, onMarkAllRead, onJump, onOpenInbox }) {
+  const [filter, setFilter] = useState('all');
+  const activeFilter = NOTIFICATION_FILTERS.find(f => f.id === filter);
+  const visible = items.filter(activeFilter.match);
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ x: 480 }}
+            animate={{ x: 0 }}
+            exit={{ x: 480 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 200 }}
+            className="absolute top-0 right-0 h-full w-full max-w-md bg-slate-800 border-l border-slate-600/50 shadow-2xl flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+            role="dialog"
+            aria-modal="true"
+          >
+            {/* Header */}
+            <div className="p-5 border-b border-slate-700/50">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                  <Bell className="w-5 h-5 text-blue-400" />
+                  <h2 className="text-lg font-semibold text-white">Notifications</h2>
+                  {unreadCount > 0 && (
+                    <span className="px-2 py-0.5 rounded-full bg-red-500/20 text-red-400 text-xs font-semibold">
+                      {unreadCount} new
+                    </span>
+                  )}
+                </div>
+                <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg transition-colors">
+                  <X className="w-5 h-5 text-slate-400" />
+                </button>
+              </div>
+
+              <div className="flex items-center justify-between mb-3">
+                <button
+                  onClick={onOpenInbox}
+                  className="flex items-center gap-1.5 text-sm text-slate-300 hover:text-white"
+                >
+                  <Inbox className="w-4 h-4" />
+                  Alert inbox
+                  {outstandingAlerts > 0 && <span className="text-red-400 font-semibold">{outstandingAlerts} outstanding</span>}
+                </button>
+                <button
+                  onClick={onMarkAllRead}
+                  disabled={unreadCount === 0}
+                  className="flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300 disabled:text-slate-600"
+                >
+                  <CheckCheck className="w-3.5 h-3.5" />
+                  Mark all read
+                </button>
+              </div>
+
+              <div className="flex gap-1 flex-wrap">
+                {NOTIFICATION_FILTERS.map(f => (
+                  <button
+                    key={f.id}
+                    onClick={() => setFilter(f.id)}
+                    className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+                      filter === f.id ? 'bg-blue-600 text-white' : 'bg-slate-700/60 text-slate-400 hover:text-white'
+                    }`}
+                  >
+                    {f.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Feed */}
+            <div className="flex-1 overflow-y-auto p-3 space-y-1">
+              {visible.length === 0 && (
+                <p className="text-slate-500 text-sm text-center py-12">No notifications</p>
+              )}
+              {visible.map(item => {
+                const config = getItemConfig(item);
+                const Icon = config.icon;
+                return (
+                  <div
+                    key={item.id}
+                    onClick={() => !item.read && onMarkRead([item.id])}
+                    className={`flex gap-3 rounded-lg p-3 transition-colors cursor-default ${
+                      item.read ? 'hover:bg-slate-700/30' : 'bg-slate-700/40 hover:bg-slate-700/60'
+                    }`}
+                  >
+                    <div className={`w-8 h-8 rounded-lg flex items-center justify-center flex-shrink-0 ${config.bg}`}>
+                      <Icon className={`w-4 h-4 ${config.color}`} />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-start justify-between gap-2">
+                        <p className={`text-sm truncate ${item.read ? 'text-slate-300' : 'text-white font-medium'}`}>
+                          {item.title}
+                        </p>
+                        {!item.read && <span className="mt-1.5 w-2 h-2 rounded-full bg-blue-500 flex-shrink-0" />}
+                      </div>
+                      {item.detail && <p className="text-slate-400 text-xs truncate">{item.detail}</p>}
+                      <div className="flex items-center justify-between mt-1">
+                        <span className="text-slate-500 text-xs">
+                          {formatDistanceToNow(new Date(item.at), { addSuffix: true })}
+                        </span>
+                        {(item.sensorId || item.panelId) && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              onJump(item);
+                            }}
+                            className="flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300"
+                          >
+                            <Crosshair className="w-3 h-3" />
+                            Jump to in 3D
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
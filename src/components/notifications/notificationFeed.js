@@ -0,0 +1,144 @@
+// Notifications merge two sources:
+//  - Alert records (raised and resolved events), derived on the fly
+//  - the Notification entity, written when something else happens:
+//      event_key    string  deterministic key, so repeated writes collapse
+//      kind         'status' | 'battery' | 'action'
+//      sensor_id, panel_id
+//      status       new sensor status, for status events
+//      title, detail
+//      occurred_at  string  ISO timestamp
+//      actor        string  email of the user behind an action
+//
+// Read state is per user, stored on the user profile as
+//   notification_state: { read_before: ISO, read_ids: [keys] }
+//
+// Which kinds show up at all is a site preference (settings.notifications).
+
+import { DEFAULT_SETTINGS } from '../settings/siteSettings';
+
+export const NOTIFICATION_FILTERS = [
+  { id: 'all', label: 'All', match: () => true },
+  { id: 'unread', label: 'Unread', match: (n) => !n.read },
+  { id: 'alerts', label: 'Alerts', match: (n) => n.kind === 'alert' },
+  { id: 'sensors', label: 'Sensors', match: (n) => n.kind === 'status' || n.kind === 'battery' },
+  { id: 'actions', label: 'Actions', match: (n) => n.kind === 'action' },
+];
+
+const FEED_LIMIT = 100;
+
+// Most recent Notification records are all the feed ever shows
+export const listRecentNotifications = (source) => source.list('-occurred_at', FEED_LIMIT);
+const READ_IDS_LIMIT = 300;
+
+// Status changes and low battery crossings between two snapshots of a sensor
+// batteryLow is the site's low battery level, the red band of the battery bars
+export function detectSensorEvents(before, after, batteryLow = DEFAULT_SETTINGS.battery.low, now = new Date()) {
+  if (!before || before === after) return [];
+  const occurred = after.updated_date || now.toISOString();
+  const events = [];
+
+  if (before.status !== after.status && (after.status === 'offline' || before.status === 'offline')) {
+    const wentOffline = after.status === 'offline';
+    events.push({
+      event_key: `status:${after.sensor_id}:${after.status}:${occurred}`,
+      kind: 'status',
+      sensor_id: after.sensor_id,
+      panel_id: after.panel_id,
+      status: after.status,
+      title: wentOffline ? `${after.sensor_id} went offline` : `${after.sensor_id} is back online`,
+      detail: `Status changed from ${before.status} to ${after.status}`,
+      occurred_at: occurred,
+    });
+  }
+
+  if (before.battery_level > batteryLow && after.battery_level <= batteryLow) {
+    events.push({
+      event_key: `battery:${after.sensor_id}:${occurred}`,
+      kind: 'battery',
+      sensor_id: after.sensor_id,
+      panel_id: after.panel_id,
+      title: `${after.sensor_id} battery low`,
+      detail: `Battery at ${after.battery_level}%`,
+      occurred_at: occurred,
+    });
+  }
+
+  return events;
+}
+
+const alertEvents = (record) => {
+  const events = [{
+    id: `alert:${record.id}:raised`,
+    kind: 'alert',
+    severity: record.severity,
+    title: record.title,
+    detail: `${record.location_name} • ${record.metric} ${record.value}`,
+    at: record.raised_at,
+    sensorId: record.sensor_id,
+    panelId: record.panel_id,
+    alertId: record.id,
+  }];
+  if (record.state === 'resolved' && record.resolved_at) {
+    events.push({
+      id: `alert:${record.id}:resolved`,
+      kind: 'alert',
+      severity: 'resolved',
+      title: `Resolved: ${record.title}`,
+      detail: [record.resolution_reason, record.resolved_by && `by ${record.resolved_by}`].filter(Boolean).join(' '),
+      at: record.resolved_at,
+      sensorId: record.sensor_id,
+      panelId: record.panel_id,
+      alertId: record.id,
+    });
+  }
+  return events;
+};
+
+export const isRead = (item, readState) => {
+  if (!readState) return false;
+  if (readState.read_before && Date.parse(item.at) <= Date.parse(readState.read_before)) return true;
+  return (readState.read_ids || []).includes(item.id);
+};
+
+const wantsAlert = (record, preferences) =>
+  preferences.alerts === 'all' || (preferences.alerts === 'critical' && record.severity === 'critical');
+
+// Newest first, one entry per event key, with read flags for this user.
+// Kinds the site has switched off in its preferences are left out.
+export function buildFeed(alertRecords = [], notificationRecords = [], readState = null, preferences = DEFAULT_SETTINGS.notifications) {
+  const seen = new Set();
+  const items = [];
+
+  notificationRecords.forEach((n) => {
+    if (preferences[n.kind] === false) return;
+    const id = n.event_key || n.id;
+    if (seen.has(id)) return;
+    seen.add(id);
+    items.push({
+      id,
+      kind: n.kind,
+      status: n.status,
+      title: n.title,
+      detail: [n.detail, n.actor && `by ${n.actor}`].filter(Boolean).join(' '),
+      at: n.occurred_at || n.created_date,
+      sensorId: n.sensor_id,
+      panelId: n.panel_id,
+    });
+  });
+  alertRecords
+    .filter(record => wantsAlert(record, preferences))
+    .forEach(record => items.push(...alertEvents(record)));
+
+  return items
+    .filter(item => item.at)
+    .sort((a, b) => Date.parse(b.at) - Date.parse(a.at))
+    .slice(0, FEED_LIMIT)
+    .map(item => ({ ...item, read: isRead(item, readState) }));
+}
+
+export const markRead = (readState, ids) => ({
+  read_before: readState?.read_before || null,
+  read_ids: [...new Set([...ids, ...(readState?.read_ids || [])])].slice(0, READ_IDS_LIMIT),
+});
+
+export const markAllRead = (now = new Date()) => ({ read_before: now.toISOString(), read_ids: [] });
@@ -1,7 +1,14 @@
-import React from 'react';
-import { X, Activity, Calendar, Layers, MapPin, AlertTriangle, CheckCircle, WifiOff } from 'lucide-react';
+import React, { useState } from 'react';
+import { X, Activity, Calendar, Layers, MapPin, AlertTriangle, CheckCircle, WifiOff, Pencil } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { format } from 'date-fns';
+import SensorHistoryChart from '../sensors/SensorHistoryChart';
+import RecordEditForm from '../sensors/RecordEditForm';
+import { formatSensorReading } from '../dashboard/units';
+import { getBatteryBarColor } from '../settings/siteSettings';
+import { useSettings } from '@/lib/SettingsContext';
+import { useBatteryForecasts } from '@/hooks/use-battery-forecasts';
+import { FORECAST_STATUS, describeForecast } from '../sensors/batteryForecast';
 
 const getSensorIcon = (type) => {
   const icons = {
@@ -26,8 +33,15 @@ const getStatusConfig = (status) => {
 };
 
 export default function PanelDetailView({ panel, sensors, onClose, onSensorClick }) {
+  const [historySensorId, setHistorySensorId] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const { settings } = useSettings();
+  const batteryForecasts = useBatteryForecasts(sensors);
+
   if (!panel) return null;
 
+  const historySensor = sensors.find(s => s.sensor_id === historySensorId) || sensors[0];
+
   const panelStatus = getStatusConfig(panel.status);
   const StatusIcon = panelStatus.icon;
 
@@ -46,6 +60,8 @@ export default function PanelDetailView({ panel, sensors, onClose, onSensorClick
           exit={{ scale: 0.9, opacity: 0 }}
           className="bg-slate-800 rounded-xl border border-slate-600/50 max-w-4xl w-full max-h-[90vh] overflow-hidden shadow-2xl"
           onClick={(e) => e.stopPropagation()}
+          role="dialog"
+          aria-modal="true"
         >
           {/* Header */}
           <div className="bg-gradient-to-r from-slate-700/50 to-slate-800/50 p-6 border-b border-slate-600/50">
@@ -59,12 +75,23 @@ export default function PanelDetailView({ panel, sensors, onClose, onSensorClick
                   <p className="text-slate-400 text-sm mt-1">{panel.panel_id} • {panel.location}</p>
                 </div>
               </div>
-              <button
-                onClick={onClose}
-                className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
-              >
-                <X className="w-5 h-5 text-slate-400" />
-              </button>
+              <div className="flex items-center gap-2">
+                {!editing && (
+                  <button
+                    onClick={() => setEditing(true)}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm transition-colors"
+                  >
+                    <Pencil className="w-4 h-4" />
+                    Edit
+                  </button>
+                )}
+                <button
+                  onClick={onClose}
+                  className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  <X className="w-5 h-5 text-slate-400" />
+                </button>
+              </div>
             </div>
 
             {/* Status Badge */}
@@ -79,41 +106,47 @@ export default function PanelDetailView({ panel, sensors, onClose, onSensorClick
           {/* Content */}
           <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)]">
             {/* Panel Info */}
-            <div className="grid grid-cols-2 gap-4 mb-6">
-              <div className="bg-slate-700/30 rounded-lg p-4">
-                <div className="flex items-center gap-2 text-slate-400 text-sm mb-2">
-                  <Layers className="w-4 h-4" />
-                  <span>Type</span>
-                </div>
-                <p className="text-white font-medium capitalize">{panel.panel_type}</p>
+            {editing ? (
+              <div className="bg-slate-700/30 rounded-lg p-4 mb-6">
+                <RecordEditForm kind="panel" record={panel} onDone={() => setEditing(false)} />
               </div>
+            ) : (
+              <div className="grid grid-cols-2 gap-4 mb-6">
+                <div className="bg-slate-700/30 rounded-lg p-4">
+                  <div className="flex items-center gap-2 text-slate-400 text-sm mb-2">
+                    <Layers className="w-4 h-4" />
+                    <span>Type</span>
+                  </div>
+                  <p className="text-white font-medium capitalize">{panel.panel_type}</p>
+                </div>
               
-              <div className="bg-slate-700/30 rounded-lg p-4">
-                <div className="flex items-center gap-2 text-slate-400 text-sm mb-2">
-                  <MapPin className="w-4 h-4" />
-                  <span>Dimensions</span>
+                <div className="bg-slate-700/30 rounded-lg p-4">
+                  <div className="flex items-center gap-2 text-slate-400 text-sm mb-2">
+                    <MapPin className="w-4 h-4" />
+                    <span>Dimensions</span>
+                  </div>
+                  <p className="text-white font-medium">{panel.dimensions}</p>
                 </div>
-                <p className="text-white font-medium">{panel.dimensions}</p>
-              </div>
               
-              <div className="bg-slate-700/30 rounded-lg p-4">
-                <div className="flex items-center gap-2 text-slate-400 text-sm mb-2">
-                  <Activity className="w-4 h-4" />
-                  <span>Material</span>
+                <div className="bg-slate-700/30 rounded-lg p-4">
+                  <div className="flex items-center gap-2 text-slate-400 text-sm mb-2">
+                    <Activity className="w-4 h-4" />
+                    <span>Material</span>
+                  </div>
+                  <p className="text-white font-medium text-sm">{panel.material}</p>
                 </div>
-                <p className="text-white font-medium text-sm">{panel.material}</p>
-              </div>
               
-              <div className="bg-slate-700/30 rounded-lg p-4">
-                <div className="flex items-center gap-2 text-slate-400 text-sm mb-2">
-                  <Calendar className="w-4 h-4" />
-                  <span>Installed</span>
+                <div className="bg-slate-700/30 rounded-lg p-4">
+                  <div className="flex items-center gap-2 text-slate-400 text-sm mb-2">
+                    <Calendar className="w-4 h-4" />
+                    <span>Installed</span>
+                  </div>
+                  <p className="text-white font-medium">
+                    {panel.install_date ? format(new Date(panel.install_date), 'MMM d, yyyy') : 'N/A'}
+                  </p>
                 </div>
-                <p className="text-white font-medium">
-                  {panel.install_date ? format(new Date(panel.install_date), 'MMM d, yyyy') : 'N/A'}
-                </p>
               </div>
-            </div>
+            )}
 
             {/* Sensors Section */}
             <div>
@@ -126,6 +159,7 @@ export default function PanelDetailView({ panel, sensors, onClose, onSensorClick
                 {sensors.map((sensor) => {
                   const sensorStatus = getStatusConfig(sensor.status);
                   const SensorStatusIcon = sensorStatus.icon;
+                  const forecast = batteryForecasts.get(sensor.sensor_id);
                   
                   return (
                     <motion.button
@@ -150,7 +184,7 @@ export default function PanelDetailView({ panel, sensors, onClose, onSensorClick
                         <div>
                           <p className="text-slate-500 text-xs mb-1">Reading</p>
                           <p className={`font-semibold ${sensorStatus.color}`}>
-                            {sensor.last_reading} {sensor.reading_unit}
+                            {formatSensorReading(sensor, settings.units)}
                           </p>
                         </div>
                         <div>
@@ -158,15 +192,15 @@ export default function PanelDetailView({ panel, sensors, onClose, onSensorClick
                           <div className="flex items-center gap-2">
                             <div className="flex-1 h-2 bg-slate-600 rounded-full overflow-hidden">
                               <div
-                                className={`h-full rounded-full ${
-                                  sensor.battery_level > 70 ? 'bg-green-500' :
-                                  sensor.battery_level > 30 ? 'bg-yellow-500' : 'bg-red-500'
-                                }`}
+                                className={`h-full rounded-full ${getBatteryBarColor(sensor.battery_level, settings.battery)}`}
                                 style={{ width: `${sensor.battery_level}%` }}
                               />
                             </div>
                             <span className="text-white text-xs font-medium">{sensor.battery_level}%</span>
                           </div>
+                          <p className={`text-[10px] mt-1 ${FORECAST_STATUS[forecast.status].color}`}>
+                            {describeForecast(forecast)}
+                          </p>
                         </div>
                       </div>
                     </motion.button>
@@ -174,6 +208,27 @@ export default function PanelDetailView({ panel, sensors, onClose, onSensorClick
                 })}
               </div>
             </div>
+
+            {/* Reading History */}
+            {historySensor && (
+              <div className="mt-6">
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-lg font-semibold text-white">Sensor History</h3>
+                  <select
+                    value={historySensor.sensor_id}
+                    onChange={(e) => setHistorySensorId(e.target.value)}
+                    className="bg-slate-700 border border-slate-600 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:border-blue-500"
+                  >
+                    {sensors.map((sensor) => (
+                      <option key={sensor.sensor_id} value={sensor.sensor_id}>
+                        {getSensorIcon(sensor.sensor_type)} {sensor.sensor_id}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <SensorHistoryChart sensor={historySensor} />
+              </div>
+            )}
           </div>
         </motion.div>
       </motion.div>
@@ -0,0 +1,488 @@
+import { jsPDF } from 'jspdf';
+import { format } from 'date-fns';
+import { ALERT_STATES, isOutstanding } from '../alerts/alertLifecycle';
+import { SEVERITY_RANK } from '../dashboard/alertEngine';
+import { formatMeasurement, formatSensorReading, getDisplayUnit } from '../dashboard/units';
+import { HEALTH_LEVELS, summarizeSiteHealth } from '../sites/siteDirectory';
+import { mergeSettings } from '../settings/siteSettings';
+
+// Multi-page A4 inspection report for one site, drawn with jsPDF primitives
+// so text stays selectable and pages stay small. Sections, in order:
+//
+//   Status summary    the dashboard status cards plus the site health score
+//   Active alerts     outstanding Alert records, most severe first
+//   Digital twin      snapshots from captureViews() in the viewer
+//   Panels            one sensor table per panel, unassigned sensors last
+//   Battery levels    every sensor, lowest first, against the site thresholds
+//   Reading charts    24 h avg line with min/max envelope per sensor
+//
+// histories maps sensor_id → bucketed points from bucketReadings(), already
+// converted to display units. Sensors without history get no chart.
+
+const PAGE = { width: 210, height: 297, margin: 15 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const FOOTER_Y = PAGE.height - 8;
+
+const COLORS = {
+  text: [15, 23, 42],
+  muted: [100, 116, 139],
+  rule: [203, 213, 225],
+  band: [241, 245, 249],
+  accent: [37, 99, 235],
+  envelope: [147, 197, 253],
+  critical: [220, 38, 38],
+  warning: [217, 119, 6],
+  healthy: [22, 163, 74],
+};
+
+const HEALTH_COLORS = {
+  healthy: COLORS.healthy,
+  degraded: COLORS.warning,
+  critical: COLORS.critical,
+  unknown: COLORS.muted,
+};
+
+const STATUS_COLORS = {
+  online: COLORS.healthy,
+  warning: COLORS.warning,
+  critical: COLORS.critical,
+  offline: COLORS.muted,
+};
+
+const formatStamp = (iso, pattern = 'MMM d, HH:mm') => (iso ? format(new Date(iso), pattern) : '—');
+
+const batteryColor = (level, battery) =>
+  level > battery.warning ? COLORS.healthy : level > battery.low ? COLORS.warning : COLORS.critical;
+
+const sortAlerts = (records) => [...records].sort((a, b) =>
+  ((SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0)) ||
+  (Date.parse(b.raised_at) - Date.parse(a.raised_at))
+);
+
+// ── Page writer ──────────────────────────────────────────────────────
+// Tracks the cursor and starts a new page when a block does not fit.
+
+function createWriter(doc) {
+  const writer = {
+    y: PAGE.margin,
+
+    ensureSpace(height) {
+      if (writer.y + height <= FOOTER_Y - 6) return false;
+      doc.addPage();
+      writer.y = PAGE.margin;
+      return true;
+    },
+
+    heading(text) {
+      writer.ensureSpace(16);
+      writer.y += 4;
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(13);
+      doc.setTextColor(...COLORS.text);
+      doc.text(text, PAGE.margin, writer.y);
+      doc.setDrawColor(...COLORS.accent);
+      doc.setLineWidth(0.6);
+      doc.line(PAGE.margin, writer.y + 2, PAGE.margin + CONTENT_WIDTH, writer.y + 2);
+      writer.y += 8;
+    },
+
+    subheading(text, detail = '') {
+      writer.ensureSpace(18);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(10);
+      doc.setTextColor(...COLORS.text);
+      doc.text(text, PAGE.margin, writer.y);
+      if (detail) {
+        const offset = doc.getTextWidth(text) + 3;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(...COLORS.muted);
+        doc.text(fit(doc, detail, CONTENT_WIDTH - offset), PAGE.margin + offset, writer.y);
+      }
+      writer.y += 5;
+    },
+
+    note(text) {
+      writer.ensureSpace(8);
+      doc.setFont('helvetica', 'italic');
+      doc.setFontSize(9);
+      doc.setTextColor(...COLORS.muted);
+      doc.text(text, PAGE.margin, writer.y);
+      writer.y += 7;
+    },
+
+    /**
+     * columns: [{ label, width (share of the content width), align? }]
+     * rows:    [[cell, …]] where a cell is a string or { text, color }
+     */
+    table(columns, rows) {
+      const rowHeight = 6;
+      const widths = columns.map(column => column.width * CONTENT_WIDTH);
+
+      const drawRow = (cells, { header = false, shaded = false } = {}) => {
+        if (shaded || header) {
+          doc.setFillColor(...(header ? COLORS.rule : COLORS.band));
+          doc.rect(PAGE.margin, writer.y - 4.2, CONTENT_WIDTH, rowHeight, 'F');
+        }
+        doc.setFont('helvetica', header ? 'bold' : 'normal');
+        doc.setFontSize(8);
+        let x = PAGE.margin;
+        cells.forEach((cell, i) => {
+          const { text, color } = typeof cell === 'object' && cell !== null ? cell : { text: cell };
+          const width = widths[i];
+          const value = fit(doc, `${text ?? '—'}`, width - 3);
+          doc.setTextColor(...(color || COLORS.text));
+          if (columns[i].align === 'right') doc.text(value, x + width - 1.5, writer.y, { align: 'right' });
+          else doc.text(value, x + 1.5, writer.y);
+          x += width;
+        });
+        writer.y += rowHeight;
+      };
+
+      const header = columns.map(column => column.label);
+      writer.ensureSpace(rowHeight * 2);
+      drawRow(header, { header: true });
+      rows.forEach((row, i) => {
+        if (writer.ensureSpace(rowHeight)) drawRow(header, { header: true });
+        drawRow(row, { shaded: i % 2 === 1 });
+      });
+      writer.y += 4;
+    },
+  };
+  return writer;
+}
+
+// Trim text with an ellipsis until it fits the given width
+function fit(doc, text, width) {
+  if (doc.getTextWidth(text) <= width) return text;
+  let trimmed = text;
+  while (trimmed.length > 1 && doc.getTextWidth(`${trimmed}…`) > width) trimmed = trimmed.slice(0, -1);
+  return `${trimmed}…`;
+}
+
+// ── Sections ─────────────────────────────────────────────────────────
+
+function drawCover(doc, writer, { site, generatedAt, generatedBy }) {
+  doc.setFillColor(...COLORS.text);
+  doc.rect(0, 0, PAGE.width, 34, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.setTextColor(255, 255, 255);
+  doc.text('Structural Inspection Report', PAGE.margin, 16);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.text(site?.name || 'All sensors', PAGE.margin, 25);
+
+  const address = [site?.address, site?.city].filter(Boolean).join(', ');
+  const details = [
+    ['Generated', format(generatedAt, 'MMMM d, yyyy HH:mm')],
+    ...(address ? [['Address', address]] : []),
+    ...(site?.building_type ? [['Building type', site.building_type]] : []),
+    ...(generatedBy ? [['Prepared by', generatedBy]] : []),
+  ];
+
+  writer.y = 44;
+  doc.setFontSize(9);
+  details.forEach(([label, value]) => {
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...COLORS.muted);
+    doc.text(label, PAGE.margin, writer.y);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...COLORS.text);
+    doc.text(value, PAGE.margin + 30, writer.y);
+    writer.y += 5;
+  });
+  writer.y += 2;
+}
+
+function drawStatusSummary(doc, writer, { statusData, health, units }) {
+  writer.heading('Status Summary');
+
+  const load = formatSensorReading({ sensor_type: 'stress', last_reading: statusData.currentLoad.value }, units);
+  const cards = [
+    { label: 'SYSTEM STATUS', value: statusData.systemStatus, detail: statusData.systemStatusCode, color: COLORS.critical },
+    {
+      label: 'ACTIVE SENSORS',
+      value: `${statusData.activeSensors.online}/${statusData.activeSensors.total} Online`,
+      detail: `${statusData.activeSensors.signalStrength}% SIGNAL`,
+      color: COLORS.healthy,
+    },
+    { label: 'CURRENT LOAD', value: statusData.currentLoad.status, detail: `${load} ${statusData.currentLoad.label}`, color: COLORS.accent },
+  ];
+
+  const gap = 4;
+  const cardWidth = (CONTENT_WIDTH - gap * (cards.length - 1)) / cards.length;
+  writer.ensureSpace(26);
+  cards.forEach((card, i) => {
+    const x = PAGE.margin + i * (cardWidth + gap);
+    doc.setDrawColor(...COLORS.rule);
+    doc.setLineWidth(0.3);
+    doc.roundedRect(x, writer.y, cardWidth, 22, 2, 2, 'S');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.muted);
+    doc.text(card.label, x + 4, writer.y + 6);
+    doc.setFontSize(12);
+    doc.setTextColor(...COLORS.text);
+    doc.text(fit(doc, `${card.value}`, cardWidth - 8), x + 4, writer.y + 13);
+    doc.setFontSize(7);
+    doc.setTextColor(...card.color);
+    doc.text(fit(doc, `${card.detail}`, cardWidth - 8), x + 4, writer.y + 18.5);
+  });
+  writer.y += 30;
+
+  const level = HEALTH_LEVELS[health.level];
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.setTextColor(...HEALTH_COLORS[health.level]);
+  doc.text(health.score === null ? level.label : `Health score ${health.score} — ${level.label}`, PAGE.margin, writer.y);
+  writer.y += 5;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(...COLORS.text);
+  doc.text([
+    `${health.critical} critical and ${health.warning} warning alerts outstanding`,
+    `${health.online} of ${health.sensors} sensors online, ${health.offline} offline, ${health.lowBattery} at or below the low battery level`,
+  ], PAGE.margin, writer.y);
+  writer.y += 14;
+}
+
+function drawAlerts(doc, writer, { alertRecords, now }) {
+  writer.heading('Active Alerts');
+  const outstanding = sortAlerts(alertRecords.filter(record => isOutstanding(record, now)));
+  if (outstanding.length === 0) {
+    writer.note('No outstanding alerts.');
+    return;
+  }
+
+  writer.table(
+    [
+      { label: 'Severity', width: 0.1 },
+      { label: 'Alert', width: 0.24 },
+      { label: 'Location', width: 0.17 },
+      { label: 'Reading', width: 0.13 },
+      { label: 'State', width: 0.12 },
+      { label: 'Raised', width: 0.1 },
+      { label: 'Assignee', width: 0.14 },
+    ],
+    outstanding.map(record => [
+      { text: record.severity === 'critical' ? 'Critical' : 'Warning', color: COLORS[record.severity] || COLORS.warning },
+      record.title,
+      record.location_name,
+      [record.metric, record.value].filter(part => part !== undefined && part !== null && part !== '').join(' '),
+      ALERT_STATES[record.state]?.label || record.state,
+      formatStamp(record.raised_at),
+      record.assignee || 'Unassigned',
+    ])
+  );
+}
+
+function drawSnapshots(doc, writer, snapshots) {
+  writer.heading('Digital Twin');
+  if (snapshots.length === 0) {
+    writer.note('3D snapshots unavailable — the viewer could not be captured.');
+    return;
+  }
+
+  const gap = 4;
+  const width = (CONTENT_WIDTH - gap) / 2;
+  snapshots.forEach((shot, i) => {
+    const height = width * (shot.height / shot.width);
+    const column = i % 2;
+    if (column === 0) writer.ensureSpace(height + 8);
+    const x = PAGE.margin + column * (width + gap);
+    doc.addImage(shot.dataUrl, 'JPEG', x, writer.y, width, height);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...COLORS.muted);
+    doc.text(shot.label, x, writer.y + height + 4);
+    if (column === 1 || i === snapshots.length - 1) writer.y += height + 9;
+  });
+}
+
+function drawPanels(doc, writer, { panels, sensors, units }) {
+  writer.heading('Panels & Sensors');
+  const columns = [
+    { label: 'Sensor', width: 0.18 },
+    { label: 'Type', width: 0.16 },
+    { label: 'Status', width: 0.12 },
+    { label: 'Reading', width: 0.2 },
+    { label: 'Battery', width: 0.12, align: 'right' },
+    { label: 'Last ping', width: 0.22 },
+  ];
+  const sensorRows = (list) => list.map(sensor => [
+    sensor.sensor_id,
+    `${sensor.sensor_type || ''}`.replace('_', ' '),
+    { text: sensor.status, color: STATUS_COLORS[sensor.status] },
+    formatSensorReading(sensor, units),
+    Number.isFinite(sensor.battery_level) ? `${sensor.battery_level}%` : '—',
+    formatStamp(sensor.last_ping, 'MMM d, yyyy HH:mm'),
+  ]);
+
+  const panelIds = new Set(panels.map(panel => panel.panel_id));
+  panels.forEach((panel) => {
+    const attached = sensors.filter(sensor => sensor.panel_id === panel.panel_id);
+    writer.subheading(panel.panel_name || panel.panel_id, [panel.panel_id, panel.location, panel.status].filter(Boolean).join(' • '));
+    if (attached.length === 0) writer.note('No sensors attached.');
+    else writer.table(columns, sensorRows(attached));
+  });
+
+  const unassigned = sensors.filter(sensor => !panelIds.has(sensor.panel_id));
+  if (unassigned.length > 0) {
+    writer.subheading('Unassigned sensors');
+    writer.table(columns, sensorRows(unassigned));
+  }
+  if (panels.length === 0 && sensors.length === 0) writer.note('No panels or sensors at this site.');
+}
+
+function drawBatteryLevels(doc, writer, { sensors, battery }) {
+  writer.heading('Battery Levels');
+  const levels = sensors
+    .filter(sensor => Number.isFinite(sensor.battery_level))
+    .sort((a, b) => a.battery_level - b.battery_level);
+  if (levels.length === 0) {
+    writer.note('No battery readings.');
+    return;
+  }
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(...COLORS.muted);
+  doc.text(`Warning at ${battery.warning}% or below, low at ${battery.low}% or below`, PAGE.margin, writer.y);
+  writer.y += 6;
+
+  const labelWidth = 36;
+  const barWidth = CONTENT_WIDTH - labelWidth - 14;
+  levels.forEach((sensor) => {
+    writer.ensureSpace(5);
+    const level = Math.max(0, Math.min(100, sensor.battery_level));
+    doc.setTextColor(...COLORS.text);
+    doc.text(fit(doc, sensor.sensor_id, labelWidth - 2), PAGE.margin, writer.y);
+    doc.setFillColor(...COLORS.band);
+    doc.rect(PAGE.margin + labelWidth, writer.y - 2.6, barWidth, 3, 'F');
+    doc.setFillColor(...batteryColor(level, battery));
+    doc.rect(PAGE.margin + labelWidth, writer.y - 2.6, barWidth * level / 100, 3, 'F');
+    doc.text(`${sensor.battery_level}%`, PAGE.margin + CONTENT_WIDTH, writer.y, { align: 'right' });
+    writer.y += 5;
+  });
+  writer.y += 4;
+}
+
+function drawChart(doc, { x, y, width, height }, points) {
+  const values = points.flatMap(point => [point.min, point.max]);
+  let low = Math.min(...values);
+  let high = Math.max(...values);
+  if (high === low) {
+    low -= 1;
+    high += 1;
+  }
+  const start = points[0].time;
+  const span = Math.max(points[points.length - 1].time - start, 1);
+  const toX = (time) => x + ((time - start) / span) * width;
+  const toY = (value) => y + height - ((value - low) / (high - low)) * height;
+
+  doc.setDrawColor(...COLORS.rule);
+  doc.setLineWidth(0.2);
+  doc.rect(x, y, width, height, 'S');
+
+  const polyline = (key) => {
+    for (let i = 1; i < points.length; i++) {
+      doc.line(toX(points[i - 1].time), toY(points[i - 1][key]), toX(points[i].time), toY(points[i][key]));
+    }
+  };
+  doc.setDrawColor(...COLORS.envelope);
+  polyline('min');
+  polyline('max');
+  doc.setDrawColor(...COLORS.accent);
+  doc.setLineWidth(0.4);
+  polyline('avg');
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(6);
+  doc.setTextColor(...COLORS.muted);
+  doc.text(formatMeasurement(high, ''), x - 1, y + 2, { align: 'right' });
+  doc.text(formatMeasurement(low, ''), x - 1, y + height, { align: 'right' });
+  doc.text(format(start, 'HH:mm'), x, y + height + 3);
+  doc.text(format(points[points.length - 1].time, 'HH:mm'), x + width, y + height + 3, { align: 'right' });
+}
+
+function drawReadingCharts(doc, writer, { sensors, histories, units }) {
+  writer.heading('Reading Charts — Last 24 Hours');
+  const charted = sensors.filter(sensor => histories.get(sensor.sensor_id)?.length > 1);
+  if (charted.length === 0) {
+    writer.note('No reading history in the last 24 hours.');
+    return;
+  }
+
+  const gap = 12;
+  const width = (CONTENT_WIDTH - gap) / 2;
+  const chartHeight = 28;
+  const blockHeight = chartHeight + 16;
+  charted.forEach((sensor, i) => {
+    const column = i % 2;
+    if (column === 0) writer.ensureSpace(blockHeight);
+    const points = histories.get(sensor.sensor_id);
+    const unit = getDisplayUnit(sensor.sensor_type, sensor.reading_unit, units) || '';
+    const x = PAGE.margin + column * (width + gap) + 8;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    doc.setTextColor(...COLORS.text);
+    doc.text(fit(doc, `${sensor.sensor_id} · ${`${sensor.sensor_type || ''}`.replace('_', ' ')}${unit ? ` (${unit})` : ''}`, width - 8), x, writer.y);
+    drawChart(doc, { x, y: writer.y + 2, width: width - 8, height: chartHeight }, points);
+    if (column === 1 || i === charted.length - 1) writer.y += blockHeight;
+  });
+}
+
+function drawFooters(doc, { site, generatedAt }) {
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.muted);
+    doc.text(`${site?.name || 'All sensors'} — ${format(generatedAt, 'yyyy-MM-dd HH:mm')}`, PAGE.margin, FOOTER_Y);
+    doc.text(`Page ${page} of ${pages}`, PAGE.width - PAGE.margin, FOOTER_Y, { align: 'right' });
+  }
+}
+
+// ── Report ───────────────────────────────────────────────────────────
+
+/**
+ * Build the inspection report and return it as a PDF Blob.
+ *
+ * statusData is the object the dashboard hands StatusCards; settings are the
+ * site's merged settings (units and battery thresholds).
+ */
+export function buildInspectionReport({
+  site = null,
+  statusData,
+  sensors = [],
+  panels = [],
+  alertRecords = [],
+  snapshots = [],
+  histories = new Map(),
+  settings = mergeSettings(null),
+  generatedBy = null,
+  generatedAt = new Date(),
+}) {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  doc.setProperties({
+    title: `Inspection Report — ${site?.name || 'All sensors'}`,
+    subject: 'Structural inspection report',
+    creator: 'Steel-IQ',
+  });
+  const writer = createWriter(doc);
+  const health = summarizeSiteHealth(site, sensors, alertRecords, settings, generatedAt);
+
+  drawCover(doc, writer, { site, generatedAt, generatedBy });
+  drawStatusSummary(doc, writer, { statusData, health, units: settings.units });
+  drawAlerts(doc, writer, { alertRecords, now: generatedAt });
+  drawSnapshots(doc, writer, snapshots);
+  drawPanels(doc, writer, { panels, sensors, units: settings.units });
+  drawBatteryLevels(doc, writer, { sensors, battery: settings.battery });
+  drawReadingCharts(doc, writer, { sensors, histories, units: settings.units });
+  drawFooters(doc, { site, generatedAt });
+
+  return doc.output('blob');
+}
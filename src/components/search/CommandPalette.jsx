@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { Activity, AlertTriangle, Columns3, CornerDownLeft, FileText, Square } from 'lucide-react';
+import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, CommandList } from '@/components/ui/command';
+import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog';
+import { siteEntitySource } from '@/api/entitySources';
+import { createPageUrl } from '@/utils';
+import { useSite } from '@/lib/SiteContext';
+import { useCommandPalette } from '@/lib/CommandPaletteContext';
+import { useAlertRecords } from '@/hooks/use-alert-records';
+import { withSite } from '@/components/sites/siteDirectory';
+import { withFocus } from '@/components/dashboard/cameraFocus';
+import { SEARCH_SUGGESTIONS, buildSearchIndex, searchItems } from './globalSearch';
+
+const KIND_ICONS = {
+  page: FileText,
+  sensor: Activity,
+  panel: Square,
+  member: Columns3,
+  alert: AlertTriangle,
+};
+
+const STATUS_COLORS = {
+  online: 'text-green-400',
+  warning: 'text-yellow-400',
+  critical: 'text-red-400',
+  offline: 'text-slate-400',
+};
+
+// Status and battery shown on the right of a result
+function ResultMeta({ item }) {
+  if (item.kind === 'alert') {
+    const [state, severity] = item.facets.status;
+    return <span className={`text-xs capitalize ${STATUS_COLORS[severity] || 'text-slate-400'}`}>{state?.replace('_', ' ')}</span>;
+  }
+  if (item.kind !== 'sensor' && item.kind !== 'panel') return null;
+  const { status, battery } = item.facets;
+  return (
+    <span className="flex items-center gap-2 text-xs shrink-0">
+      {Number.isFinite(battery) && <span className="text-slate-400">{battery}%</span>}
+      {status && <span className={`capitalize ${STATUS_COLORS[status] || 'text-slate-400'}`}>{status}</span>}
+    </span>
+  );
+}
+
+// Mounted only while the palette is open, so the site's records are only
+// fetched when someone searches
+function SearchResults({ onClose }) {
+  const [query, setQuery] = useState('');
+  const { siteId, isReady } = useSite();
+  const { members } = useCommandPalette();
+  const navigate = useNavigate();
+
+  const { data: sensors = [] } = useQuery({
+    queryKey: ['sensors', siteId],
+    queryFn: () => siteEntitySource('Sensor', siteId).list(),
+    enabled: isReady,
+  });
+  const { data: panels = [] } = useQuery({
+    queryKey: ['panels', siteId],
+    queryFn: () => siteEntitySource('Panel', siteId).list(),
+    enabled: isReady,
+  });
+  const { data: alerts = [] } = useAlertRecords();
+
+  const index = useMemo(
+    () => buildSearchIndex({ sensors, panels, members, alerts }),
+    [sensors, panels, members, alerts]
+  );
+  const groups = useMemo(() => searchItems(index, query), [index, query]);
+
+  const addFacet = (token) => setQuery(prev => `${prev.trim()} ${token} `.trimStart());
+
+  // Pages open directly; everything else opens the twin focused on it
+  const choose = (item) => {
+    onClose();
+    navigate(item.target.page
+      ? withSite(createPageUrl(item.target.page), siteId)
+      : withFocus(withSite(createPageUrl('Dashboard'), siteId), item.target));
+  };
+
+  return (
+    <Command shouldFilter={false} className="bg-slate-900 text-white">
+      <CommandInput
+        value={query}
+        onValueChange={setQuery}
+        placeholder="Search sensors, panels, members, alerts…"
+        className="text-white placeholder:text-slate-500"
+      />
+      <div className="flex flex-wrap gap-1.5 px-3 py-2 border-b border-slate-700/50">
+        {SEARCH_SUGGESTIONS.map(suggestion => (
+          <button
+            key={suggestion.token}
+            onClick={() => addFacet(suggestion.token)}
+            className="px-2 py-0.5 rounded-full bg-slate-800 border border-slate-700 text-xs text-slate-300 hover:text-white hover:border-blue-500 transition-all"
+          >
+            {suggestion.label}
+          </button>
+        ))}
+      </div>
+
+      <CommandList className="max-h-[420px]">
+        <CommandEmpty className="py-6 text-center text-sm text-slate-400">
+          Nothing matches &ldquo;{query.trim()}&rdquo;
+        </CommandEmpty>
+        {groups.map(group => (
+          <CommandGroup key={group.kind} heading={group.label} className="text-white [&_[cmdk-group-heading]]:text-slate-500">
+            {group.items.map((item) => {
+              const Icon = KIND_ICONS[item.kind];
+              return (
+                <CommandItem
+                  key={`${item.kind}:${item.id}`}
+                  value={`${item.kind}:${item.id}`}
+                  onSelect={() => choose(item)}
+                  className="cursor-pointer data-[selected=true]:bg-slate-800 data-[selected=true]:text-white"
+                >
+                  <Icon className="text-slate-400" />
+                  <div className="flex-1 min-w-0">
+                    <p className={`truncate ${item.kind === 'page' ? '' : 'font-mono'}`}>{item.title}</p>
+                    {item.subtitle && <p className="text-xs text-slate-500 truncate capitalize">{item.subtitle}</p>}
+                  </div>
+                  <ResultMeta item={item} />
+                </CommandItem>
+              );
+            })}
+            {group.total > group.items.length && (
+              <p className="px-2 py-1 text-xs text-slate-500">
+                {group.total - group.items.length} more, add a filter to narrow down
+              </p>
+            )}
+          </CommandGroup>
+        ))}
+      </CommandList>
+
+      <div className="flex items-center justify-between gap-3 px-3 py-2 border-t border-slate-700/50 text-[11px] text-slate-500">
+        <span className="truncate">
+          Filters: <span className="font-mono">is: status: type: panel: floor: wall: battery&lt;30 ping&gt;2h</span>
+        </span>
+        <span className="flex items-center gap-1 shrink-0">
+          <CornerDownLeft className="w-3 h-3" />
+          open
+        </span>
+      </div>
+    </Command>
+  );
+}
+
+export default function CommandPalette() {
+  const { open, setOpen } = useCommandPalette();
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogContent className="max-w-xl overflow-hidden p-0 gap-0 bg-slate-900 border-slate-700 text-white">
+        <DialogTitle className="sr-only">Search</DialogTitle>
+        <SearchResults onClose={() => setOpen(false)} />
+      </DialogContent>
+    </Dialog>
+  );
+}
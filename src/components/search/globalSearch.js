@@ -0,0 +1,215 @@
+// Search across a site for the command palette. Every searchable thing is an
+// item:
+//   kind      'page' | 'sensor' | 'panel' | 'member' | 'alert'
+//   id        sensor_id, panel_id, component id, Alert record id or page name
+//   title, subtitle
+//   text      lower-case haystack for free-text terms
+//   facets    { status, type, panelType, battery, lastPing, floor, wall }
+//             whichever apply to the kind
+//   target    where choosing it goes: { page } or a focus target { kind, id }
+//
+// A query is free text plus facet tokens, all of which must match:
+//   is:sensor       kind (sensor, panel, member, alert, page; plurals work)
+//   status:offline  sensor or panel status, alert state or severity
+//   type:stress     sensor type or member type
+//   panel:sip       panel type; sensors match on the panel they sit on
+//   floor:ground    member storey, wall:front member wall
+//   battery<30      battery level in %, with <, <=, > or >=
+//   ping>2h         time since the last ping (s, m, h or d); sensors that
+//                   never pinged count as older than any age
+
+export const SEARCH_KINDS = {
+  page: 'Pages',
+  sensor: 'Sensors',
+  panel: 'Panels',
+  member: 'Framing members',
+  alert: 'Alerts',
+};
+
+export const SEARCH_PAGES = [
+  { page: 'Dashboard', title: 'Dashboard', subtitle: 'Live monitor and digital twin' },
+  { page: 'Portfolio', title: 'Portfolio', subtitle: 'All sites ranked by health' },
+  { page: 'Sensors', title: 'Sensors', subtitle: 'Sensor list and details' },
+  { page: 'Batteries', title: 'Battery Planner', subtitle: 'Battery forecasts and replacement visits' },
+  { page: 'Settings', title: 'Settings', subtitle: 'Alert rules, units and thresholds' },
+];
+
+// Facet chips offered under the search box
+export const SEARCH_SUGGESTIONS = [
+  { label: 'Offline sensors', token: 'is:sensor status:offline' },
+  { label: 'Battery below 20%', token: 'battery<20' },
+  { label: 'No ping for 1h', token: 'ping>1h' },
+  { label: 'Critical alerts', token: 'is:alert status:critical' },
+  { label: 'Framing members', token: 'is:member' },
+];
+
+const TEXT_FACETS = ['is', 'status', 'type', 'panel', 'floor', 'wall'];
+const NUMBER_FACETS = ['battery', 'ping'];
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+const FACET_PATTERN = /^([a-z]+)(:|<=|>=|<|>)(.+)$/;
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)([smhd])?$/;
+
+const normalize = (value) => String(value ?? '').toLowerCase().replace(/[_-]+/g, ' ').trim();
+
+const parseDuration = (value) => {
+  const match = DURATION_PATTERN.exec(value);
+  return match ? Number(match[1]) * DURATION_UNITS[match[2] || 'h'] : null;
+};
+
+/**
+ * Query string → { terms, facets }. facets is a list of { key, op, value };
+ * tokens that look like facets but are not valid ones stay free text.
+ */
+export function parseQuery(query) {
+  const terms = [];
+  const facets = [];
+  String(query || '').trim().toLowerCase().split(/\s+/).filter(Boolean).forEach((token) => {
+    const match = FACET_PATTERN.exec(token);
+    if (match) {
+      const [, key, op, raw] = match;
+      if (op === ':' && TEXT_FACETS.includes(key)) {
+        facets.push({ key, op, value: key === 'is' ? raw.replace(/s$/, '') : normalize(raw) });
+        return;
+      }
+      if (op !== ':' && NUMBER_FACETS.includes(key)) {
+        const value = key === 'ping' ? parseDuration(raw) : Number(raw);
+        if (value !== null && Number.isFinite(value)) {
+          facets.push({ key, op, value });
+          return;
+        }
+      }
+    }
+    terms.push(token);
+  });
+  return { terms, facets };
+}
+
+export const isEmptyQuery = ({ terms, facets }) => terms.length === 0 && facets.length === 0;
+
+// ── Index ──────────────────────────────────────────────
+
+const item = (kind, id, title, subtitle, facets, target, extra = []) => ({
+  kind,
+  id,
+  title,
+  subtitle,
+  text: [id, title, subtitle, ...extra].map(normalize).join(' '),
+  facets,
+  target,
+});
+
+const sensorItem = (sensor, panelsById) => {
+  const panel = panelsById.get(sensor.panel_id);
+  return item('sensor', sensor.sensor_id, sensor.sensor_id,
+    [normalize(sensor.sensor_type), panel?.panel_name || sensor.panel_id].filter(Boolean).join(' · '),
+    {
+      status: sensor.status,
+      type: sensor.sensor_type,
+      panelType: panel?.panel_type,
+      battery: sensor.battery_level,
+      lastPing: sensor.last_ping ? Date.parse(sensor.last_ping) : null,
+    },
+    { kind: 'sensor', id: sensor.sensor_id },
+    [sensor.panel_id, panel?.location]);
+};
+
+const panelItem = panel => item('panel', panel.panel_id, panel.panel_name || panel.panel_id,
+  [panel.panel_id, normalize(panel.panel_type), panel.location].filter(Boolean).join(' · '),
+  { status: panel.status, panelType: panel.panel_type },
+  { kind: 'panel', id: panel.panel_id },
+  [panel.material]);
+
+const memberItem = member => item('member', member.id, member.id,
+  [member.type, member.floor, member.wall].filter(Boolean).join(' · '),
+  { type: member.type, floor: member.floor, wall: member.wall },
+  { kind: 'member', id: member.id });
+
+const alertItem = record => item('alert', record.id, record.title || record.alert_key || 'Alert',
+  [record.sensor_id, record.location_name, record.state].filter(Boolean).join(' · '),
+  { status: [record.state, record.severity] },
+  { kind: 'alert', id: record.alert_key || record.id },
+  [record.panel_id, record.metric]);
+
+const pageItem = page => item('page', page.page, page.title, page.subtitle, {}, { page: page.page });
+
+/**
+ * Items for everything on the site. members are the twin's framing members
+ * ({ id, type, floor, wall } from describeComponents).
+ */
+export function buildSearchIndex({ sensors = [], panels = [], members = [], alerts = [] }) {
+  const panelsById = new Map(panels.map(p => [p.panel_id, p]));
+  return [
+    ...SEARCH_PAGES.map(pageItem),
+    ...sensors.map(sensor => sensorItem(sensor, panelsById)),
+    ...panels.map(panelItem),
+    ...members.map(memberItem),
+    ...alerts.map(alertItem),
+  ];
+}
+
+// ── Matching ───────────────────────────────────────────
+
+const compare = (value, op, limit) => {
+  if (op === '<') return value < limit;
+  if (op === '<=') return value <= limit;
+  if (op === '>') return value > limit;
+  return value >= limit;
+};
+
+const textFacetMatches = (actual, value) =>
+  [].concat(actual ?? []).some(v => normalize(v).includes(value));
+
+function facetMatches(entry, { key, op, value }, now) {
+  const { facets } = entry;
+  switch (key) {
+    case 'is': return entry.kind === value;
+    case 'panel': return textFacetMatches(facets.panelType, value);
+    case 'battery': return Number.isFinite(facets.battery) && compare(facets.battery, op, value);
+    case 'ping': {
+      if (entry.kind !== 'sensor') return false;
+      const age = Number.isFinite(facets.lastPing) ? now - facets.lastPing : Infinity;
+      return compare(age, op, value);
+    }
+    default: return textFacetMatches(facets[key], value);
+  }
+}
+
+// Exact id first, then id prefix, then anywhere
+const score = (entry, terms) => {
+  const id = normalize(entry.id);
+  return terms.reduce((total, term) => {
+    const t = normalize(term);
+    if (id === t) return total + 3;
+    if (id.startsWith(t)) return total + 2;
+    return total + 1;
+  }, 0);
+};
+
+// Whether an item matches every term and facet of a parsed query
+export const matchesQuery = (entry, parsed, now = Date.now()) =>
+  parsed.terms.every(term => entry.text.includes(normalize(term)))
+  && parsed.facets.every(facet => facetMatches(entry, facet, now));
+
+/**
+ * Items matching a query, grouped by kind in SEARCH_KINDS order:
+ * [{ kind, label, items, total }]. Each group keeps its best `limit` items.
+ * With an empty query only pages are listed.
+ */
+export function searchItems(items, query, options) {
+  const { now = Date.now(), limit = 8 } = options || {};
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  const empty = isEmptyQuery(parsed);
+
+  const matches = items
+    .filter(entry => (empty ? entry.kind === 'page' : matchesQuery(entry, parsed, now)))
+    .map(entry => ({ entry, score: score(entry, parsed.terms) }))
+    .sort((a, b) => (b.score - a.score) || a.entry.id.localeCompare(b.entry.id, undefined, { numeric: true }));
+
+  return Object.entries(SEARCH_KINDS)
+    .map(([kind, label]) => {
+      const inKind = matches.filter(m => m.entry.kind === kind).map(m => m.entry);
+      return { kind, label, items: inKind.slice(0, limit), total: inKind.length };
+    })
+    .filter(group => group.total > 0);
+}
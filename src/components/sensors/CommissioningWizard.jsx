@@ -0,0 +1,409 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { X, ScanLine, MapPin, Radio, Loader2, CheckCircle, AlertTriangle, Info, Crosshair } from 'lucide-react';
+import { toast } from 'sonner';
+import { SENSOR_TYPES } from './fleetSheets';
+import { COMMAND_STATES, commandState, describeCommand, isPending } from './sensorCommands';
+import {
+  COMMISSION_STEPS,
+  checkSensorId,
+  defaultPanelId,
+  formatDistance,
+  formatPosition,
+  rankPanels,
+  sensorIdFromCode,
+  suggestedPanels,
+} from './commissioning';
+import { useCommissionSensor } from '@/hooks/use-commission-sensor';
+import { useSensorCommands } from '@/hooks/use-sensor-commands';
+import { canScanBarcodes, useBarcodeScanner } from '@/hooks/use-barcode-scanner';
+
+const TYPE_LABELS = {
+  temperature: '🌡️ Temperature',
+  moisture: '💧 Moisture',
+  stress: '⚡ Structural load',
+  vibration: '〰️ Vibration',
+  air_quality: '🌫️ Air quality',
+  smoke: '🔥 Smoke',
+};
+
+const panelLabel = (panel) => panel.panel_name || panel.panel_id;
+
+function StepTrail({ step }) {
+  const current = COMMISSION_STEPS.findIndex(s => s.id === step);
+  return (
+    <div className="flex items-center gap-1.5">
+      {COMMISSION_STEPS.map((s, i) => (
+        <div key={s.id} className="flex-1">
+          <div className={`h-1 rounded-full ${i <= current ? 'bg-blue-500' : 'bg-slate-700'}`} />
+          <p className={`mt-1 text-[10px] uppercase tracking-wide ${i === current ? 'text-blue-300' : 'text-slate-500'}`}>
+            {s.label}
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Commission a sensor against the digital twin: identify it, place it by
+ * clicking in the viewer, confirm its panel, then save it and ping it.
+ *
+ * The dashboard owns the placement so the viewer can show and pick it:
+ * placing turns the viewer's clicks into placements, which come back as
+ * placement through onPlacementChange.
+ */
+export default function CommissioningWizard({
+  sensors,
+  panels,
+  initialSensorId = '',
+  placing,
+  placement,
+  onPlacingChange,
+  onPlacementChange,
+  onLocate = null,
+  onClose,
+}) {
+  const [step, setStep] = useState('identify');
+  const [sensorId, setSensorId] = useState(initialSensorId);
+  const [sensorType, setSensorType] = useState(
+    () => sensors.find(s => s.sensor_id === initialSensorId)?.sensor_type || null
+  );
+  const [panelId, setPanelId] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(null);
+  const [pingId, setPingId] = useState(null);
+  const videoRef = useRef(null);
+  const commission = useCommissionSensor();
+  const { commands, send } = useSensorCommands(saved);
+
+  const trimmedId = sensorId.trim();
+  const idCheck = useMemo(
+    () => (trimmedId ? checkSensorId(trimmedId, sensors) : { error: null, existing: null }),
+    [trimmedId, sensors]
+  );
+  // The record as it was before this commissioning
+  const existing = saved ? null : idCheck.existing;
+  const ranked = useMemo(() => rankPanels(panels, placement?.position), [panels, placement]);
+  const panel = panels.find(p => p.panel_id === panelId) || null;
+  const suggested = suggestedPanels(ranked, panelId);
+
+  const ping = commands.find(c => c.id === pingId) || null;
+  const pingState = ping ? commandState(ping) : null;
+  const pingPending = ping && isPending(ping) && pingState !== 'timed_out';
+
+  const enterId = (value) => {
+    setSensorId(value);
+    const { existing: match } = checkSensorId(value.trim(), sensors);
+    if (match?.sensor_type) setSensorType(match.sensor_type);
+  };
+
+  const { error: scanError } = useBarcodeScanner(videoRef, scanning, (code) => {
+    setScanning(false);
+    enterId(sensorIdFromCode(code));
+  });
+
+  const canIdentify = Boolean(trimmedId) && !idCheck.error && Boolean(sensorType);
+
+  const goTo = (next) => {
+    setScanning(false);
+    onPlacingChange(next === 'place');
+    if (next === 'panel') setPanelId(current => current || defaultPanelId(placement, existing, ranked));
+    setStep(next);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const record = await commission({ sensorId: trimmedId, sensorType, placement, panelId }, existing);
+      setSaved(record);
+      setPingId(null);
+      // The sensor's own marker takes over from the placement preview
+      onPlacementChange(null);
+      goTo('test');
+      toast.success(`${record.sensor_id} ${existing ? 'moved' : 'added'}`);
+    } catch (error) {
+      toast.error(`Could not save ${trimmedId}: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sendPing = async () => {
+    try {
+      const created = await send('ping');
+      setPingId(created.id);
+    } catch (error) {
+      toast.error(`Could not send ping: ${error.message}`);
+    }
+  };
+
+  const startOver = () => {
+    setSensorId('');
+    setSensorType(null);
+    setPanelId(null);
+    setSaved(null);
+    setPingId(null);
+    onPlacementChange(null);
+    goTo('identify');
+  };
+
+  return (
+    <motion.div
+      initial={{ x: 300, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      transition={{ type: 'spring', damping: 25, stiffness: 200 }}
+      className="absolute top-4 right-4 w-80 max-h-[calc(100%-2rem)] flex flex-col bg-slate-800/95 backdrop-blur-md rounded-xl border border-slate-600/50 shadow-2xl overflow-hidden z-40"
+    >
+      {/* Header */}
+      <div className="p-4 border-b border-slate-600/50 space-y-3">
+        <div className="flex items-start justify-between">
+          <div className="flex items-center gap-2">
+            <div className="w-8 h-8 rounded-lg bg-blue-500/20 flex items-center justify-center">
+              <Crosshair className="w-4 h-4 text-blue-400" />
+            </div>
+            <div>
+              <h3 className="text-white font-semibold text-sm">Commission sensor</h3>
+              <p className="text-slate-400 text-xs font-mono">{trimmedId || 'New sensor'}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded-lg transition-colors">
+            <X className="w-4 h-4 text-slate-400" />
+          </button>
+        </div>
+        <StepTrail step={step} />
+      </div>
+
+      <div className="p-4 space-y-4 overflow-y-auto text-sm">
+        {/* Identify */}
+        {step === 'identify' && (
+          <>
+            <div>
+              <label className="text-slate-300 text-xs font-semibold uppercase tracking-wider">Sensor ID</label>
+              <div className="flex gap-2 mt-2">
+                <input
+                  autoFocus
+                  value={sensorId}
+                  onChange={(e) => enterId(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && canIdentify) goTo('place');
+                  }}
+                  placeholder="Scan the label or type, e.g. TMP-014"
+                  className="flex-1 min-w-0 bg-slate-900/60 border border-slate-600 rounded-lg px-3 py-1.5 text-sm text-white font-mono placeholder:text-slate-600 focus:outline-none focus:border-blue-500"
+                />
+                {canScanBarcodes() && (
+                  <button
+                    onClick={() => setScanning(on => !on)}
+                    title="Scan with the camera"
+                    className={`px-2.5 rounded-lg transition-colors ${
+                      scanning ? 'bg-blue-600 text-white' : 'bg-slate-700/60 text-slate-300 hover:text-white hover:bg-slate-700'
+                    }`}
+                  >
+                    <ScanLine className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+              {scanning && (
+                <video ref={videoRef} muted playsInline className="mt-2 w-full rounded-lg bg-black aspect-video object-cover" />
+              )}
+              {scanError && <p className="mt-1.5 text-xs text-red-400">{scanError}</p>}
+              {idCheck.error && <p className="mt-1.5 text-xs text-red-400">{idCheck.error}</p>}
+              {idCheck.existing && (
+                <p className="mt-1.5 text-xs text-yellow-300 flex gap-1.5">
+                  <Info className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                  Already on this site at {formatPosition(idCheck.existing.position)}. Commissioning moves it and keeps its readings.
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label className="text-slate-300 text-xs font-semibold uppercase tracking-wider">Type</label>
+              <div className="grid grid-cols-2 gap-1.5 mt-2">
+                {SENSOR_TYPES.map(type => (
+                  <button
+                    key={type}
+                    onClick={() => setSensorType(type)}
+                    className={`px-2.5 py-1.5 rounded-lg text-left text-xs transition-colors ${
+                      sensorType === type ? 'bg-blue-600 text-white' : 'bg-slate-700/60 text-slate-300 hover:text-white hover:bg-slate-700'
+                    }`}
+                  >
+                    {TYPE_LABELS[type] || type}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <button
+              onClick={() => goTo('place')}
+              disabled={!canIdentify}
+              className="w-full py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white font-medium transition-colors"
+            >
+              Place in the twin
+            </button>
+          </>
+        )}
+
+        {/* Place */}
+        {step === 'place' && (
+          <>
+            <p className="text-slate-300">
+              Click the framing member or panel the sensor is fixed to. It snaps to the face you click; click again to move it.
+            </p>
+            {placement ? (
+              <div className="rounded-lg bg-slate-900/60 border border-slate-700/50 p-3 space-y-1">
+                <p className="text-white flex items-center gap-1.5">
+                  <MapPin className="w-3.5 h-3.5 text-blue-400" />
+                  {placement.panelId
+                    ? `Beside panel ${panelLabel(panels.find(p => p.panel_id === placement.panelId) || { panel_id: placement.panelId })}`
+                    : `On ${placement.memberId}`}
+                </p>
+                {placement.memberType && <p className="text-slate-400 text-xs">{placement.memberType}</p>}
+                <p className="text-slate-400 text-xs font-mono">{formatPosition(placement.position)}</p>
+              </div>
+            ) : (
+              <p className="text-slate-500 text-xs">{placing ? 'Waiting for a click in the twin…' : 'Nothing placed yet'}</p>
+            )}
+            <div className="flex gap-2">
+              <button
+                onClick={() => goTo('identify')}
+                className="flex-1 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-white transition-colors"
+              >
+                Back
+              </button>
+              <button
+                onClick={() => goTo('panel')}
+                disabled={!placement}
+                className="flex-1 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white font-medium transition-colors"
+              >
+                Next
+              </button>
+            </div>
+          </>
+        )}
+
+        {/* Panel */}
+        {step === 'panel' && (
+          <>
+            <p className="text-slate-300">Which panel does the sensor report through?</p>
+            {panels.length === 0 ? (
+              <p className="text-yellow-300 text-xs">This site has no panels yet; add one before commissioning sensors.</p>
+            ) : (
+              <div className="space-y-1.5">
+                {suggested.map(({ panel: p, distance }) => (
+                  <button
+                    key={p.panel_id}
+                    onClick={() => setPanelId(p.panel_id)}
+                    className={`w-full flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-left transition-colors ${
+                      panelId === p.panel_id ? 'bg-blue-600 text-white' : 'bg-slate-700/60 text-slate-300 hover:text-white hover:bg-slate-700'
+                    }`}
+                  >
+                    <span className="truncate">{panelLabel(p)}</span>
+                    <span className="text-xs opacity-75 flex-shrink-0">{formatDistance(distance)}</span>
+                  </button>
+                ))}
+                {ranked.length > suggested.length && (
+                  <select
+                    value={panelId || ''}
+                    onChange={(e) => setPanelId(e.target.value || null)}
+                    className="w-full bg-slate-900/60 border border-slate-600 rounded-lg px-3 py-1.5 text-sm text-slate-300 focus:outline-none focus:border-blue-500"
+                  >
+                    <option value="">Other panel…</option>
+                    {ranked.map(({ panel: p }) => (
+                      <option key={p.panel_id} value={p.panel_id}>{panelLabel(p)}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            )}
+
+            <div className="rounded-lg bg-slate-900/60 border border-slate-700/50 p-3 text-xs space-y-1">
+              <p className="text-slate-400">Sensor <span className="text-white font-mono">{trimmedId}</span></p>
+              <p className="text-slate-400">Type <span className="text-white">{TYPE_LABELS[sensorType] || sensorType}</span></p>
+              <p className="text-slate-400">Position <span className="text-white font-mono">{formatPosition(placement?.position)}</span></p>
+              {existing?.panel_id && existing.panel_id !== panelId && (
+                <p className="text-yellow-300">Moves from panel {existing.panel_id}</p>
+              )}
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => goTo('place')}
+                disabled={saving}
+                className="flex-1 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white transition-colors"
+              >
+                Back
+              </button>
+              <button
+                onClick={save}
+                disabled={!panelId || saving}
+                className="flex-1 flex items-center justify-center gap-2 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white font-medium transition-colors"
+              >
+                {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                Save sensor
+              </button>
+            </div>
+          </>
+        )}
+
+        {/* Test */}
+        {step === 'test' && saved && (
+          <>
+            <p className="text-slate-300">
+              {saved.sensor_id} is saved on {panel ? panelLabel(panel) : saved.panel_id}. Ping it to check it answers: the sensor chimes when the ping arrives.
+            </p>
+
+            {ping && (
+              <div className={`rounded-lg border p-3 ${COMMAND_STATES[pingState].bg} ${COMMAND_STATES[pingState].border}`}>
+                <p className={`font-medium flex items-center gap-1.5 ${COMMAND_STATES[pingState].color}`}>
+                  {pingPending && <Loader2 className="w-4 h-4 animate-spin" />}
+                  {pingState === 'acked' && <CheckCircle className="w-4 h-4" />}
+                  {(pingState === 'failed' || pingState === 'timed_out') && <AlertTriangle className="w-4 h-4" />}
+                  {describeCommand(ping).title}
+                </p>
+                {describeCommand(ping).detail && <p className="text-slate-300 text-xs mt-1">{describeCommand(ping).detail}</p>}
+                {(pingState === 'failed' || pingState === 'timed_out') && (
+                  <p className="text-slate-400 text-xs mt-1">Check the sensor has power and is in range of its panel, then ping again.</p>
+                )}
+              </div>
+            )}
+
+            {pingState !== 'acked' && (
+              <button
+                onClick={sendPing}
+                disabled={pingPending}
+                className="w-full flex items-center justify-center gap-2 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white font-medium transition-colors"
+              >
+                <Radio className="w-4 h-4" />
+                {ping ? 'Ping again' : 'Send test ping'}
+              </button>
+            )}
+
+            <div className="flex gap-2">
+              {onLocate && (
+                <button
+                  onClick={() => onLocate(saved)}
+                  className="flex-1 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-white transition-colors"
+                >
+                  Show in twin
+                </button>
+              )}
+              <button
+                onClick={startOver}
+                className="flex-1 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-white transition-colors"
+              >
+                Next sensor
+              </button>
+            </div>
+            <button
+              onClick={onClose}
+              className="w-full py-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700 transition-colors"
+            >
+              {pingState === 'acked' ? 'Done' : ping ? 'Finish anyway' : 'Finish without a test'}
+            </button>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,347 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Upload, FileSpreadsheet, Download, AlertCircle, AlertTriangle, ArrowRight, Loader2, CheckCircle } from 'lucide-react';
+import { SPREADSHEET_ACCEPT, readSpreadsheetFile } from '@/lib/spreadsheet';
+import { downloadFile } from '@/lib/utils';
+import { useFleetImport, useImportLookup } from '@/hooks/use-fleet-import';
+import {
+  EXPORT_FORMATS,
+  IMPORT_KINDS,
+  formatImportValue,
+  planImport,
+  readImportSheet,
+  sheetBlob,
+  summarizePlan,
+  templateRows,
+  validateImport,
+} from './fleetSheets';
+
+// Rows listed in the review; the rest are only counted
+const REVIEW_LIMIT = 200;
+
+const ACTION_STYLES = {
+  create: { label: 'New', className: 'bg-green-500/20 text-green-400 border-green-500/30' },
+  update: { label: 'Update', className: 'bg-blue-500/20 text-blue-400 border-blue-500/30' },
+  unchanged: { label: 'Unchanged', className: 'bg-slate-500/20 text-slate-400 border-slate-500/30' },
+  invalid: { label: 'Error', className: 'bg-red-500/20 text-red-400 border-red-500/30' },
+};
+
+function ReviewRow({ row }) {
+  const style = ACTION_STYLES[row.action];
+  return (
+    <div className="px-4 py-2.5 border-b border-slate-700/40 text-sm">
+      <div className="flex items-center gap-3">
+        <span className="w-12 text-slate-500 text-xs">Row {row.line}</span>
+        <span className="font-mono text-white">{row.key || '—'}</span>
+        <span className={`px-2 py-0.5 rounded-full border text-[10px] font-semibold uppercase tracking-wide ${style.className}`}>
+          {style.label}
+        </span>
+      </div>
+      {row.errors.map((error, i) => (
+        <p key={`e${i}`} className="mt-1 flex items-center gap-1.5 text-xs text-red-400 pl-[60px]">
+          <AlertCircle className="w-3 h-3 shrink-0" />
+          {error.field && <span className="font-mono">{error.field}</span>} {error.message}
+        </p>
+      ))}
+      {row.warnings.map((warning, i) => (
+        <p key={`w${i}`} className="mt-1 flex items-center gap-1.5 text-xs text-yellow-400 pl-[60px]">
+          <AlertTriangle className="w-3 h-3 shrink-0" />
+          {warning.message}
+        </p>
+      ))}
+      {row.action === 'update' && row.changes.map(change => (
+        <p key={change.field} className="mt-1 flex items-center gap-1.5 text-xs text-slate-400 pl-[60px]">
+          <span className="font-mono text-slate-300">{change.field}</span>
+          <span className="line-through text-slate-500">{formatImportValue(change.from)}</span>
+          <ArrowRight className="w-3 h-3" />
+          <span className="text-white">{formatImportValue(change.to)}</span>
+        </p>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Upload a CSV or Excel sheet of sensors or panels, review what it would
+ * create and change row by row, then write it to the site.
+ */
+export default function ImportWizard({ panels, onClose }) {
+  const [kind, setKind] = useState('sensor');
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState(null);
+  const [sheet, setSheet] = useState(null);
+  const [readError, setReadError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [outcome, setOutcome] = useState(null);
+  const fileInputRef = useRef(null);
+  const applyImport = useFleetImport();
+  const lookupExisting = useImportLookup();
+
+  // sheet.existing holds the records the sheet's keys match on the server
+  const plan = useMemo(
+    () => (sheet ? planImport(validateImport(sheet.records, kind, { panels }), sheet.existing, kind) : []),
+    [sheet, kind, panels]
+  );
+  const counts = summarizePlan(plan);
+  const pending = counts.create + counts.update;
+  const listed = plan.filter(row => (problemsOnly
+    ? row.errors.length > 0 || row.warnings.length > 0
+    : row.action !== 'unchanged'));
+
+  const readFile = async (file) => {
+    setReadError(null);
+    setIsReading(true);
+    try {
+      const parsed = readImportSheet(await readSpreadsheetFile(file), kind);
+      if (parsed.records.length === 0) throw new Error('The sheet has no rows under its header');
+      const keys = validateImport(parsed.records, kind).map(row => row.key);
+      const existing = await lookupExisting(kind, keys);
+      setFileName(file.name);
+      setSheet({ ...parsed, existing });
+      setProblemsOnly(false);
+      setStep('review');
+    } catch (error) {
+      setReadError(error.message);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const downloadTemplate = (format) => {
+    const { extension } = EXPORT_FORMATS[format];
+    downloadFile(sheetBlob(templateRows(kind), format, IMPORT_KINDS[kind].label), `${kind}-import-template.${extension}`);
+  };
+
+  const runImport = async () => {
+    setStep('importing');
+    setProgress({ done: 0, total: pending });
+    const result = await applyImport(kind, plan, (done, total) => setProgress({ done, total }));
+    setOutcome(result);
+    setStep('done');
+  };
+
+  const startOver = () => {
+    setSheet(null);
+    setFileName(null);
+    setOutcome(null);
+    setStep('upload');
+  };
+
+  const label = IMPORT_KINDS[kind].label.toLowerCase();
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+        onClick={step === 'importing' ? undefined : onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.9, y: 20 }}
+          animate={{ scale: 1, y: 0 }}
+          exit={{ scale: 0.9, y: 20 }}
+          className="bg-slate-800 rounded-xl border border-slate-600/50 max-w-3xl w-full max-h-[90vh] flex flex-col shadow-2xl"
+          onClick={(e) => e.stopPropagation()}
+          role="dialog"
+          aria-modal="true"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-5 border-b border-slate-600/50">
+            <div className="flex items-center gap-3">
+              <FileSpreadsheet className="w-6 h-6 text-blue-400" />
+              <div>
+                <h3 className="text-lg font-bold text-white">Import {label}</h3>
+                <p className="text-slate-400 text-sm">
+                  {fileName || 'CSV or Excel, one row per record; existing ids are updated'}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              disabled={step === 'importing'}
+              className="p-2 hover:bg-slate-700 rounded-lg transition-colors disabled:opacity-50"
+            >
+              <X className="w-5 h-5 text-slate-400" />
+            </button>
+          </div>
+
+          {/* Upload */}
+          {step === 'upload' && (
+            <div className="p-6 space-y-5">
+              <div className="flex gap-1 p-1 bg-slate-900/60 rounded-lg w-fit">
+                {Object.entries(IMPORT_KINDS).map(([id, config]) => (
+                  <button
+                    key={id}
+                    onClick={() => setKind(id)}
+                    className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all ${
+                      kind === id ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                    }`}
+                  >
+                    {config.label}
+                  </button>
+                ))}
+              </div>
+
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={SPREADSHEET_ACCEPT}
+                className="hidden"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  if (file) readFile(file);
+                  e.target.value = '';
+                }}
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  const file = e.dataTransfer.files?.[0];
+                  if (file && !isReading) readFile(file);
+                }}
+                disabled={isReading}
+                className="w-full flex flex-col items-center gap-2 py-10 rounded-xl border-2 border-dashed border-slate-600 hover:border-blue-500 text-slate-400 hover:text-white transition-colors disabled:opacity-60"
+              >
+                {isReading ? <Loader2 className="w-8 h-8 animate-spin" /> : <Upload className="w-8 h-8" />}
+                <span className="font-medium">
+                  {isReading ? `Checking the sheet against the site's ${label}…` : 'Drop a .csv or .xlsx file, or click to choose'}
+                </span>
+              </button>
+              {readError && (
+                <p className="flex items-center gap-2 text-sm text-red-400">
+                  <AlertCircle className="w-4 h-4" />
+                  {readError}
+                </p>
+              )}
+
+              <div className="bg-slate-700/30 rounded-lg p-4 text-sm">
+                <p className="text-slate-300 mb-2">Columns</p>
+                <p className="font-mono text-xs text-slate-400 leading-relaxed">{IMPORT_KINDS[kind].columns.join(', ')}</p>
+                <p className="text-slate-500 text-xs mt-2">
+                  {IMPORT_KINDS[kind].key} is required on every row. New {label} also need{' '}
+                  {IMPORT_KINDS[kind].required.map(field => (field === 'position' ? 'position_x/y/z' : field)).join(' and ')}.
+                  Blank cells leave the current value alone.
+                </p>
+                <div className="flex gap-2 mt-3">
+                  {Object.entries(EXPORT_FORMATS).map(([format, config]) => (
+                    <button
+                      key={format}
+                      onClick={() => downloadTemplate(format)}
+                      className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 text-xs transition-colors"
+                    >
+                      <Download className="w-3.5 h-3.5" />
+                      {config.label} template
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Review */}
+          {step === 'review' && (
+            <>
+              <div className="flex flex-wrap items-center gap-2 px-5 py-3 border-b border-slate-700/50 text-xs">
+                {Object.entries(counts).map(([action, count]) => (
+                  <span key={action} className={`px-2 py-1 rounded-full border font-medium ${ACTION_STYLES[action].className}`}>
+                    {count} {ACTION_STYLES[action].label.toLowerCase()}
+                  </span>
+                ))}
+                {sheet.ignored.length > 0 && (
+                  <span className="text-slate-500">Not imported: {sheet.ignored.join(', ')}</span>
+                )}
+                <label className="ml-auto flex items-center gap-1.5 text-slate-400 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={problemsOnly}
+                    onChange={(e) => setProblemsOnly(e.target.checked)}
+                    className="accent-blue-600"
+                  />
+                  Errors and warnings only
+                </label>
+              </div>
+              <div className="flex-1 overflow-y-auto">
+                {listed.length === 0 && (
+                  <p className="p-6 text-center text-slate-400 text-sm">
+                    {problemsOnly ? 'No errors or warnings' : `Every row matches the current ${label}`}
+                  </p>
+                )}
+                {listed.slice(0, REVIEW_LIMIT).map(row => <ReviewRow key={row.line} row={row} />)}
+                {listed.length > REVIEW_LIMIT && (
+                  <p className="p-3 text-center text-slate-500 text-xs">{listed.length - REVIEW_LIMIT} more rows not shown</p>
+                )}
+              </div>
+              <div className="flex items-center justify-between gap-3 p-4 border-t border-slate-700/50">
+                <p className="text-xs text-slate-500">
+                  {counts.invalid > 0 ? `${counts.invalid} row${counts.invalid === 1 ? '' : 's'} with errors will be skipped` : ''}
+                </p>
+                <div className="flex gap-2">
+                  <button onClick={startOver} className="px-4 py-2 rounded-lg text-sm text-slate-300 hover:text-white hover:bg-slate-700">
+                    Choose another file
+                  </button>
+                  <button
+                    onClick={runImport}
+                    disabled={pending === 0}
+                    className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white text-sm font-medium transition-colors"
+                  >
+                    Import {pending} {pending === 1 ? 'change' : 'changes'}
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+
+          {/* Importing */}
+          {step === 'importing' && (
+            <div className="p-8 flex flex-col items-center gap-4">
+              <Loader2 className="w-8 h-8 text-blue-400 animate-spin" />
+              <p className="text-white">Saving {progress.done} of {progress.total}…</p>
+              <div className="w-full h-2 bg-slate-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-500 transition-all"
+                  style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Done */}
+          {step === 'done' && outcome && (
+            <div className="p-6 space-y-4">
+              <div className="flex items-center gap-3">
+                <CheckCircle className="w-6 h-6 text-green-400" />
+                <p className="text-white">
+                  {outcome.created} created, {outcome.updated} updated
+                  {outcome.failed.length > 0 && <span className="text-red-400">, {outcome.failed.length} failed</span>}
+                </p>
+              </div>
+              {outcome.failed.length > 0 && (
+                <div className="bg-slate-700/30 rounded-lg p-3 max-h-48 overflow-y-auto space-y-1">
+                  {outcome.failed.map(failure => (
+                    <p key={failure.line} className="text-xs text-red-400">
+                      Row {failure.line} <span className="font-mono">{failure.key}</span>: {failure.message}
+                    </p>
+                  ))}
+                </div>
+              )}
+              <div className="flex justify-end gap-2">
+                <button onClick={startOver} className="px-4 py-2 rounded-lg text-sm text-slate-300 hover:text-white hover:bg-slate-700">
+                  Import another file
+                </button>
+                <button onClick={onClose} className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium">
+                  Done
+                </button>
+              </div>
+            </div>
+          )}
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
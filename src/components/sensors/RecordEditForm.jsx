@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { toast } from 'sonner';
+import { AlertCircle, AlertTriangle, ArrowRight, Loader2, RotateCcw, Save } from 'lucide-react';
+import { useRecordEditor } from '@/hooks/use-record-editor';
+import {
+  EDIT_FORMS,
+  editedFields,
+  followUpValues,
+  formValues,
+  formatFieldValue,
+} from './recordEdits';
+
+const INPUT_CLASS = 'w-full bg-slate-900/60 border rounded-lg px-3 py-1.5 text-sm text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500 [color-scheme:dark]';
+
+function FieldControl({ field, register, values, onFollowUp, invalid }) {
+  const props = {
+    id: `edit-${field.name}`,
+    placeholder: field.placeholder,
+    className: `${INPUT_CLASS} ${invalid ? 'border-red-500/70' : 'border-slate-600'}`,
+    ...register(field.name, { onChange: () => onFollowUp(field.name) }),
+  };
+  if (field.input === 'select') {
+    return (
+      <select {...props}>
+        {field.options(values).map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    );
+  }
+  if (field.input === 'textarea') return <textarea rows={3} {...props} />;
+  return <input type={field.input} step={field.input === 'number' ? 'any' : undefined} {...props} />;
+}
+
+// Fields someone else changed that the user changed too: theirs against the user's
+function ConflictList({ kind, conflicts, saving, onUseTheirs, onKeepMine }) {
+  return (
+    <div className="rounded-lg border border-yellow-500/30 bg-yellow-500/10 p-3 space-y-2">
+      <p className="flex items-center gap-2 text-sm font-semibold text-yellow-300">
+        <AlertTriangle className="w-4 h-4 shrink-0" />
+        Someone else changed this {EDIT_FORMS[kind].label.toLowerCase()} while you were editing
+      </p>
+      {conflicts.map(conflict => (
+        <div key={conflict.field} className="grid grid-cols-[7rem_1fr] gap-x-3 text-xs">
+          <span className="text-slate-400">{conflict.label}</span>
+          <span className="flex flex-wrap items-center gap-1.5">
+            <span className="text-slate-500 line-through">{formatFieldValue(kind, conflict.field, conflict.base)}</span>
+            <ArrowRight className="w-3 h-3 text-slate-500" />
+            <span className="text-yellow-200" title="Their value">{formatFieldValue(kind, conflict.field, conflict.theirs)}</span>
+            <span className="text-slate-500">vs yours</span>
+            <span className="text-white">{formatFieldValue(kind, conflict.field, conflict.yours)}</span>
+          </span>
+        </div>
+      ))}
+      <div className="flex justify-end gap-2 pt-1">
+        <button
+          type="button"
+          onClick={onUseTheirs}
+          disabled={saving}
+          className="px-3 py-1.5 rounded-lg bg-slate-700/60 text-slate-300 hover:text-white hover:bg-slate-700 disabled:opacity-50 text-xs font-medium transition-colors"
+        >
+          Use theirs
+        </button>
+        <button
+          type="button"
+          onClick={onKeepMine}
+          disabled={saving}
+          className="px-3 py-1.5 rounded-lg bg-yellow-600 hover:bg-yellow-500 disabled:opacity-50 text-white text-xs font-medium transition-colors"
+        >
+          Overwrite with mine
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Metadata form for a panel or sensor (kind is a key of EDIT_FORMS). record
+ * is the live record: edits that arrive while the form is open are pointed
+ * out, and a save over someone else's change asks which value to keep.
+ */
+export default function RecordEditForm({ kind, record, onDone }) {
+  const config = EDIT_FORMS[kind];
+  // The record as it was when editing began; conflicts are judged against it
+  const [base, setBase] = useState(record);
+  const [conflicts, setConflicts] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const save = useRecordEditor(kind);
+
+  const { register, handleSubmit, watch, getValues, setValue, reset, formState: { errors, isDirty } } = useForm({
+    resolver: zodResolver(config.schema),
+    defaultValues: formValues(kind, record),
+  });
+  const values = watch();
+
+  const editedElsewhere = saving || conflicts ? [] : editedFields(kind, base, record);
+
+  const applyFollowUp = (name) => {
+    Object.entries(followUpValues(kind, name, getValues())).forEach(([field, value]) => {
+      setValue(field, value, { shouldDirty: true, shouldValidate: true });
+    });
+  };
+
+  const submit = async (parsed, options) => {
+    setSaving(true);
+    try {
+      const result = await save(base, parsed, options);
+      if (result.conflicts.length) {
+        setConflicts({ items: result.conflicts, latest: result.latest, parsed });
+        return;
+      }
+      toast.success(`${config.label} updated`);
+      onDone(result.saved);
+    } catch (error) {
+      toast.error(`Could not save the ${config.label.toLowerCase()}: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Take the stored values for the conflicting fields and keep the rest of the edit
+  const takeTheirs = () => {
+    const theirs = formValues(kind, conflicts.latest);
+    conflicts.items.forEach(conflict => {
+      setValue(conflict.field, theirs[conflict.field], { shouldDirty: true, shouldValidate: true });
+    });
+    setBase(conflicts.latest);
+    setConflicts(null);
+  };
+
+  const keepMine = () => submit(conflicts.parsed, { force: true });
+
+  // Start again from the record as it is now
+  const reload = () => {
+    reset(formValues(kind, record));
+    setBase(record);
+    setConflicts(null);
+  };
+
+  return (
+    <form onSubmit={handleSubmit(parsed => submit(parsed))} className="space-y-4" noValidate>
+      {editedElsewhere.length > 0 && (
+        <div className="flex items-center gap-3 rounded-lg border border-blue-500/30 bg-blue-500/10 px-3 py-2 text-xs text-blue-200">
+          <AlertCircle className="w-4 h-4 shrink-0" />
+          <span className="flex-1">
+            Changed by someone else since you started: {config.fields
+              .filter(field => editedElsewhere.includes(field.name))
+              .map(field => field.label)
+              .join(', ')}
+          </span>
+          <button
+            type="button"
+            onClick={reload}
+            className="flex items-center gap-1 text-blue-300 hover:text-white font-medium"
+          >
+            <RotateCcw className="w-3 h-3" />
+            Reload
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        {config.fields.map(field => (
+          <div key={field.name} className={field.wide ? 'col-span-2' : ''}>
+            <label htmlFor={`edit-${field.name}`} className="block text-slate-400 text-xs mb-1">{field.label}</label>
+            <FieldControl
+              field={field}
+              register={register}
+              values={values}
+              onFollowUp={applyFollowUp}
+              invalid={Boolean(errors[field.name])}
+            />
+            {errors[field.name] && (
+              <p className="mt-1 flex items-center gap-1 text-xs text-red-400">
+                <AlertCircle className="w-3 h-3 shrink-0" />
+                {String(errors[field.name].message)}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {conflicts && (
+        <ConflictList
+          kind={kind}
+          conflicts={conflicts.items}
+          saving={saving}
+          onUseTheirs={takeTheirs}
+          onKeepMine={keepMine}
+        />
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={() => onDone(null)}
+          className="px-4 py-2 rounded-lg bg-slate-700/60 text-slate-300 hover:text-white hover:bg-slate-700 text-sm font-medium transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || !isDirty || Boolean(conflicts)}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 disabled:cursor-not-allowed text-white text-sm font-medium transition-colors"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          {saving ? 'Saving…' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
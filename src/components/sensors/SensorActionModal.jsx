@@ -1,52 +1,98 @@
-import React, { useState } from 'react';
-import { X, Power, Radio, RefreshCw, CheckCircle } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { X, Power, Radio, RefreshCw, CheckCircle, Crosshair, Gauge, XCircle, Clock, Box, MapPin, Pencil } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { toast } from 'sonner';
+import { formatDistanceToNow } from 'date-fns';
+import SensorHistoryChart from './SensorHistoryChart';
+import RecordEditForm from './RecordEditForm';
+import {
+  COMMAND_STATES,
+  SAMPLE_RATES,
+  commandState,
+  describeCommand,
+  formatSampleRate,
+  isPending,
+} from './sensorCommands';
+import { useSensorCommands } from '@/hooks/use-sensor-commands';
+import { isDeviceSimulator } from '@/api/entitySources';
+import { useSettings } from '@/lib/SettingsContext';
+import { formatSensorReading } from '../dashboard/units';
 
-export default function SensorActionModal({ sensor, panel, onClose, onPing }) {
-  const [isRebooting, setIsRebooting] = useState(false);
-  const [isPinging, setIsPinging] = useState(false);
-  const [actionComplete, setActionComplete] = useState(null);
+const HISTORY_LIMIT = 5;
 
-  if (!sensor) return null;
+// Button copy while a command is in flight and once the device has answered
+const COMMAND_BUTTONS = [
+  {
+    command: 'ping',
+    icon: Radio,
+    idle: { title: 'Ping Sensor', detail: 'Generates a low chime to locate the sensor' },
+    done: 'Ping Successful',
+    className: 'bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600',
+    detailColor: 'text-blue-200',
+  },
+  {
+    command: 'reboot',
+    icon: Power,
+    idle: { title: 'Reboot Sensor', detail: 'Restart the sensor to clear errors' },
+    done: 'Reboot Complete',
+    className: 'bg-slate-700 hover:bg-slate-600 disabled:bg-slate-700/50',
+    detailColor: 'text-slate-300',
+  },
+  {
+    command: 'recalibrate',
+    icon: Crosshair,
+    idle: { title: 'Recalibrate Sensor', detail: 'Re-zero against the sensor\'s reference reading' },
+    done: 'Recalibration Complete',
+    className: 'bg-slate-700 hover:bg-slate-600 disabled:bg-slate-700/50',
+    detailColor: 'text-slate-300',
+  },
+];
 
-  const handleReboot = async () => {
-    setIsRebooting(true);
-    toast.info(`Rebooting sensor ${sensor.sensor_id}...`);
-    
-    // Simulate reboot
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    setIsRebooting(false);
-    setActionComplete('reboot');
-    toast.success(`Sensor ${sensor.sensor_id} rebooted successfully`);
-    
-    setTimeout(() => {
-      setActionComplete(null);
-    }, 2000);
-  };
+const PENDING_DETAIL = {
+  queued: 'Queued for the gateway',
+  sent: 'Sent, waiting for the device',
+};
+
+function CommandStateBadge({ state }) {
+  const config = COMMAND_STATES[state] || COMMAND_STATES.queued;
+  return (
+    <span className={`px-2 py-0.5 rounded-full border text-[10px] font-semibold uppercase tracking-wide ${config.bg} ${config.border} ${config.color}`}>
+      {config.label}
+    </span>
+  );
+}
+
+export default function SensorActionModal({ sensor, panel, onClose, onPing, onLocate = null, onMove = null }) {
+  const [sampleRate, setSampleRate] = useState(SAMPLE_RATES[2]);
+  const [editing, setEditing] = useState(false);
+  // Commands sent from this modal; their outcome is shown on the buttons
+  const [sessionIds, setSessionIds] = useState([]);
+  const { units } = useSettings().settings;
+  const { commands, send } = useSensorCommands(sensor);
 
-  const handlePing = async () => {
-    setIsPinging(true);
-    toast.info(`Pinging sensor ${sensor.sensor_id}...`);
-    
-    // Trigger visual effect on 3D model
-    if (onPing) {
-      onPing(sensor);
+  useEffect(() => {
+    if (Number.isFinite(sensor?.sample_rate_hz) && SAMPLE_RATES.includes(sensor.sample_rate_hz)) {
+      setSampleRate(sensor.sample_rate_hz);
+    }
+  }, [sensor?.sensor_id]);
+
+  if (!sensor) return null;
+
+  const sendCommand = async (command, params) => {
+    try {
+      const created = await send(command, params);
+      setSessionIds(ids => [...ids, created.id]);
+      if (command === 'ping' && onPing) onPing(sensor);
+    } catch (error) {
+      toast.error(`Could not send command: ${error.message}`);
     }
-    
-    // Simulate ping
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    setIsPinging(false);
-    setActionComplete('ping');
-    toast.success(`Sensor ${sensor.sensor_id} pinged successfully`);
-    
-    setTimeout(() => {
-      setActionComplete(null);
-    }, 2000);
   };
 
+  // Latest command of a type sent from this modal
+  const latestSent = (command) => commands.find(c => c.command === command && sessionIds.includes(c.id));
+  const inFlight = (command) => commands.some(c => c.command === command && isPending(c) && commandState(c) !== 'timed_out');
+  const pendingCount = commands.filter(c => isPending(c) && commandState(c) !== 'timed_out').length;
+
   const getSensorIcon = (type) => {
     const icons = {
       temperature: '🌡️',
@@ -72,8 +118,10 @@ export default function SensorActionModal({ sensor, panel, onClose, onPing }) {
           initial={{ scale: 0.9, y: 20 }}
           animate={{ scale: 1, y: 0 }}
           exit={{ scale: 0.9, y: 20 }}
-          className="bg-slate-800 rounded-xl border border-slate-600/50 max-w-lg w-full shadow-2xl"
+          className="bg-slate-800 rounded-xl border border-slate-600/50 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl"
           onClick={(e) => e.stopPropagation()}
+          role="dialog"
+          aria-modal="true"
         >
           {/* Header */}
           <div className="bg-gradient-to-r from-slate-700/50 to-slate-800/50 p-5 border-b border-slate-600/50">
@@ -85,12 +133,42 @@ export default function SensorActionModal({ sensor, panel, onClose, onPing }) {
                   <p className="text-slate-400 text-sm capitalize">{sensor.sensor_type.replace('_', ' ')}</p>
                 </div>
               </div>
-              <button
-                onClick={onClose}
-                className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
-              >
-                <X className="w-5 h-5 text-slate-400" />
-              </button>
+              <div className="flex items-center gap-2">
+                {onLocate && (
+                  <button
+                    onClick={() => onLocate(sensor)}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm transition-colors"
+                  >
+                    <Box className="w-4 h-4" />
+                    Show in 3D
+                  </button>
+                )}
+                {onMove && (
+                  <button
+                    onClick={() => onMove(sensor)}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm transition-colors"
+                    title="Place the sensor again in the digital twin"
+                  >
+                    <MapPin className="w-4 h-4" />
+                    Move
+                  </button>
+                )}
+                {!editing && (
+                  <button
+                    onClick={() => setEditing(true)}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm transition-colors"
+                  >
+                    <Pencil className="w-4 h-4" />
+                    Edit
+                  </button>
+                )}
+                <button
+                  onClick={onClose}
+                  className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  <X className="w-5 h-5 text-slate-400" />
+                </button>
+              </div>
             </div>
           </div>
 
@@ -98,104 +176,178 @@ export default function SensorActionModal({ sensor, panel, onClose, onPing }) {
           <div className="p-6">
             {/* Sensor Info */}
             <div className="bg-slate-700/30 rounded-lg p-4 mb-6">
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <p className="text-slate-400 text-xs mb-1">Location</p>
-                  <p className="text-white text-sm font-medium">{panel?.panel_name || 'Unknown'}</p>
+              {editing ? (
+                <RecordEditForm kind="sensor" record={sensor} onDone={() => setEditing(false)} />
+              ) : (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <p className="text-slate-400 text-xs mb-1">Location</p>
+                    <p className="text-white text-sm font-medium">{panel?.panel_name || 'Unknown'}</p>
+                  </div>
+                  <div>
+                    <p className="text-slate-400 text-xs mb-1">Status</p>
+                    <p className={`text-sm font-semibold capitalize ${
+                      sensor.status === 'online' ? 'text-green-400' :
+                      sensor.status === 'warning' ? 'text-yellow-400' :
+                      sensor.status === 'critical' ? 'text-red-400' : 'text-slate-400'
+                    }`}>
+                      {sensor.status}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-slate-400 text-xs mb-1">Current Reading</p>
+                    <p className="text-white text-sm font-medium">
+                      {formatSensorReading(sensor, units)}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-slate-400 text-xs mb-1">Battery</p>
+                    <p className="text-white text-sm font-medium">{sensor.battery_level}%</p>
+                  </div>
+                  {Number.isFinite(sensor.calibration_offset) && sensor.calibration_offset !== 0 && (
+                    <div>
+                      <p className="text-slate-400 text-xs mb-1">Calibration Offset</p>
+                      <p className="text-white text-sm font-medium">
+                        {sensor.calibration_offset > 0 ? '+' : ''}{sensor.calibration_offset} {sensor.reading_unit}
+                      </p>
+                    </div>
+                  )}
+                  {sensor.notes && (
+                    <div className="col-span-2">
+                      <p className="text-slate-400 text-xs mb-1">Notes</p>
+                      <p className="text-slate-200 text-sm whitespace-pre-wrap">{sensor.notes}</p>
+                    </div>
+                  )}
                 </div>
-                <div>
-                  <p className="text-slate-400 text-xs mb-1">Status</p>
-                  <p className={`text-sm font-semibold capitalize ${
-                    sensor.status === 'online' ? 'text-green-400' :
-                    sensor.status === 'warning' ? 'text-yellow-400' :
-                    sensor.status === 'critical' ? 'text-red-400' : 'text-slate-400'
-                  }`}>
-                    {sensor.status}
-                  </p>
+              )}
+            </div>
+
+            {/* History */}
+            <div className="mb-6">
+              <SensorHistoryChart sensor={sensor} />
+            </div>
+
+            {/* Actions */}
+            <div className="space-y-3">
+              <div className="flex items-center justify-between mb-3">
+                <h4 className="text-slate-300 font-semibold text-sm">Sensor Actions</h4>
+                <div className="flex items-center gap-2 text-xs text-slate-500">
+                  {pendingCount > 0 && <span>{pendingCount} pending</span>}
+                  {isDeviceSimulator && (
+                    <span className="px-2 py-0.5 rounded-full border border-purple-500/30 bg-purple-500/20 text-purple-300 font-semibold uppercase tracking-wide text-[10px]">
+                      Simulated devices
+                    </span>
+                  )}
                 </div>
-                <div>
-                  <p className="text-slate-400 text-xs mb-1">Current Reading</p>
-                  <p className="text-white text-sm font-medium">
-                    {sensor.last_reading} {sensor.reading_unit}
+              </div>
+
+              {COMMAND_BUTTONS.map(({ command, icon: Icon, idle, done, className, detailColor }) => {
+                const latest = latestSent(command);
+                const state = latest ? commandState(latest) : null;
+                const busy = inFlight(command);
+                const outcome = latest && !busy ? describeCommand(latest) : null;
+                return (
+                  <button
+                    key={command}
+                    onClick={() => sendCommand(command)}
+                    disabled={busy}
+                    className={`w-full ${className} disabled:cursor-not-allowed text-white rounded-lg p-4 flex items-center gap-3 transition-all`}
+                  >
+                    {busy ? (
+                      <>
+                        <RefreshCw className="w-5 h-5 animate-spin" />
+                        <div className="text-left flex-1">
+                          <p className="font-semibold">{idle.title}...</p>
+                          <p className={`text-sm ${detailColor}`}>{PENDING_DETAIL[latest?.state] || PENDING_DETAIL.queued}</p>
+                        </div>
+                      </>
+                    ) : state === 'acked' ? (
+                      <>
+                        <CheckCircle className="w-5 h-5" />
+                        <div className="text-left flex-1">
+                          <p className="font-semibold">{done}</p>
+                          <p className={`text-sm ${detailColor}`}>{outcome.detail || 'Acknowledged by the device'}</p>
+                        </div>
+                      </>
+                    ) : state === 'failed' || state === 'timed_out' ? (
+                      <>
+                        {state === 'failed' ? <XCircle className="w-5 h-5 text-red-300" /> : <Clock className="w-5 h-5 text-yellow-300" />}
+                        <div className="text-left flex-1">
+                          <p className="font-semibold">{outcome.title}</p>
+                          <p className={`text-sm ${detailColor}`}>{outcome.detail} — click to retry</p>
+                        </div>
+                      </>
+                    ) : (
+                      <>
+                        <Icon className="w-5 h-5" />
+                        <div className="text-left flex-1">
+                          <p className="font-semibold">{idle.title}</p>
+                          <p className={`text-sm ${detailColor}`}>{idle.detail}</p>
+                        </div>
+                      </>
+                    )}
+                  </button>
+                );
+              })}
+
+              {/* Sample Rate */}
+              <div className="bg-slate-700 rounded-lg p-4 flex items-center gap-3 text-white">
+                {inFlight('set_sample_rate') ? <RefreshCw className="w-5 h-5 animate-spin" /> : <Gauge className="w-5 h-5" />}
+                <div className="text-left flex-1">
+                  <p className="font-semibold">Sample Rate</p>
+                  <p className="text-sm text-slate-300">
+                    {inFlight('set_sample_rate')
+                      ? PENDING_DETAIL[latestSent('set_sample_rate')?.state] || PENDING_DETAIL.queued
+                      : Number.isFinite(sensor.sample_rate_hz)
+                        ? `Currently ${formatSampleRate(sensor.sample_rate_hz)}`
+                        : 'How often the sensor takes a reading'}
                   </p>
                 </div>
-                <div>
-                  <p className="text-slate-400 text-xs mb-1">Battery</p>
-                  <p className="text-white text-sm font-medium">{sensor.battery_level}%</p>
-                </div>
+                <select
+                  value={sampleRate}
+                  onChange={(e) => setSampleRate(parseFloat(e.target.value))}
+                  className="bg-slate-800 border border-slate-600 rounded-lg px-2 py-1.5 text-sm text-white"
+                >
+                  {SAMPLE_RATES.map(rate => (
+                    <option key={rate} value={rate}>{formatSampleRate(rate)}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => sendCommand('set_sample_rate', { rate_hz: sampleRate })}
+                  disabled={inFlight('set_sample_rate')}
+                  className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 disabled:cursor-not-allowed text-sm font-medium transition-colors"
+                >
+                  Apply
+                </button>
               </div>
             </div>
 
-            {/* Actions */}
-            <div className="space-y-3">
-              <h4 className="text-slate-300 font-semibold text-sm mb-3">Sensor Actions</h4>
-              
-              {/* Ping Sensor */}
-              <button
-                onClick={handlePing}
-                disabled={isPinging || isRebooting}
-                className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 disabled:cursor-not-allowed text-white rounded-lg p-4 flex items-center gap-3 transition-all group"
-              >
-                {isPinging ? (
-                  <>
-                    <RefreshCw className="w-5 h-5 animate-spin" />
-                    <div className="text-left flex-1">
-                      <p className="font-semibold">Pinging Sensor...</p>
-                      <p className="text-sm text-blue-200">Generating audio chime</p>
-                    </div>
-                  </>
-                ) : actionComplete === 'ping' ? (
-                  <>
-                    <CheckCircle className="w-5 h-5" />
-                    <div className="text-left flex-1">
-                      <p className="font-semibold">Ping Successful</p>
-                      <p className="text-sm text-blue-200">Sensor located</p>
-                    </div>
-                  </>
-                ) : (
-                  <>
-                    <Radio className="w-5 h-5" />
-                    <div className="text-left flex-1">
-                      <p className="font-semibold">Ping Sensor</p>
-                      <p className="text-sm text-blue-200">Generates a low chime to locate the sensor</p>
-                    </div>
-                  </>
-                )}
-              </button>
-
-              {/* Reboot Sensor */}
-              <button
-                onClick={handleReboot}
-                disabled={isRebooting || isPinging}
-                className="w-full bg-slate-700 hover:bg-slate-600 disabled:bg-slate-700/50 disabled:cursor-not-allowed text-white rounded-lg p-4 flex items-center gap-3 transition-all"
-              >
-                {isRebooting ? (
-                  <>
-                    <RefreshCw className="w-5 h-5 animate-spin" />
-                    <div className="text-left flex-1">
-                      <p className="font-semibold">Rebooting Sensor...</p>
-                      <p className="text-sm text-slate-300">Please wait</p>
-                    </div>
-                  </>
-                ) : actionComplete === 'reboot' ? (
-                  <>
-                    <CheckCircle className="w-5 h-5" />
-                    <div className="text-left flex-1">
-                      <p className="font-semibold">Reboot Complete</p>
-                      <p className="text-sm text-slate-300">Sensor is online</p>
-                    </div>
-                  </>
-                ) : (
-                  <>
-                    <Power className="w-5 h-5" />
-                    <div className="text-left flex-1">
-                      <p className="font-semibold">Reboot Sensor</p>
-                      <p className="text-sm text-slate-300">Restart the sensor to clear errors</p>
-                    </div>
-                  </>
-                )}
-              </button>
-            </div>
+            {/* Command History */}
+            {commands.length > 0 && (
+              <div className="mt-6">
+                <h4 className="text-slate-300 font-semibold text-sm mb-3">Recent Commands</h4>
+                <div className="divide-y divide-slate-700/60 bg-slate-700/30 rounded-lg">
+                  {commands.slice(0, HISTORY_LIMIT).map((command) => {
+                    const { title, detail } = describeCommand(command);
+                    return (
+                      <div key={command.id} className="flex items-center justify-between gap-3 px-4 py-2.5">
+                        <div className="min-w-0">
+                          <p className="text-white text-sm truncate">{title}</p>
+                          <p className="text-slate-400 text-xs truncate">
+                            {[
+                              command.requested_by,
+                              command.requested_at && formatDistanceToNow(new Date(command.requested_at), { addSuffix: true }),
+                              detail,
+                            ].filter(Boolean).join(' • ')}
+                          </p>
+                        </div>
+                        <CommandStateBadge state={commandState(command)} />
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
           </div>
         </motion.div>
       </motion.div>
@@ -0,0 +1,173 @@
+import React, { useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { ResponsiveContainer, ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Brush } from 'recharts';
+import { format } from 'date-fns';
+import { LineChart as LineChartIcon, RefreshCw } from 'lucide-react';
+import { HISTORY_RANGES, fetchSensorReadings, bucketReadings, summarizeReadings } from './readingHistory';
+import { getDisplayUnit, toDisplayReading } from '../dashboard/units';
+import { useSettings } from '@/lib/SettingsContext';
+
+const TICK_FORMATS = {
+  '1h': 'HH:mm',
+  '24h': 'HH:mm',
+  '7d': 'EEE HH:mm',
+  '30d': 'MMM d',
+};
+
+const formatValue = (value) => (Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(1));
+
+function HistoryTooltip({ active = false, payload = [], unit }) {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="bg-slate-900/95 border border-slate-700 rounded-lg px-3 py-2 text-xs shadow-xl">
+      <p className="text-slate-400 mb-1">{format(point.time, 'MMM d, HH:mm')}</p>
+      <p className="text-white">
+        Avg <span className="font-mono">{formatValue(point.avg)} {unit}</span>
+      </p>
+      <p className="text-slate-400">
+        Range <span className="font-mono">{formatValue(point.min)} – {formatValue(point.max)}</span>
+      </p>
+      <p className="text-slate-500">{point.count} samples</p>
+    </div>
+  );
+}
+
+export default function SensorHistoryChart({ sensor, height = 220 }) {
+  const [range, setRange] = useState('24h');
+  const { units } = useSettings().settings;
+  const sensorId = sensor?.sensor_id;
+  const sensorType = sensor?.sensor_type;
+
+  const { data: readings = [], isLoading, isError, isFetching, refetch } = useQuery({
+    queryKey: ['sensor-readings', sensorId, range],
+    queryFn: () => fetchSensorReadings(sensorId, range),
+    enabled: !!sensorId,
+    refetchInterval: range === '1h' ? 60000 : false,
+  });
+
+  const points = useMemo(
+    () => bucketReadings(readings, range, (r) => toDisplayReading(sensorType, r.value, r.unit || sensor?.reading_unit, units)),
+    [readings, range, sensorType, sensor?.reading_unit, units]
+  );
+  const summary = useMemo(() => summarizeReadings(points), [points]);
+  const unit = getDisplayUnit(sensorType, sensor?.reading_unit || '', units);
+  const tickFormat = TICK_FORMATS[range];
+
+  return (
+    <div className="bg-slate-700/30 rounded-lg p-4">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2 text-slate-300 text-sm font-semibold">
+          <LineChartIcon className="w-4 h-4 text-blue-400" />
+          Reading History
+          {isFetching && !isLoading && <RefreshCw className="w-3 h-3 text-slate-500 animate-spin" />}
+        </div>
+        <div className="flex gap-1">
+          {HISTORY_RANGES.map((r) => (
+            <button
+              key={r.id}
+              onClick={() => setRange(r.id)}
+              className={`px-2 py-0.5 rounded text-xs font-medium transition-colors ${
+                range === r.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-400 hover:text-white'
+              }`}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Chart */}
+      {isLoading ? (
+        <div className="flex items-center justify-center text-slate-500 text-sm" style={{ height }}>
+          <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+          Loading readings…
+        </div>
+      ) : isError ? (
+        <div className="flex flex-col items-center justify-center gap-2 text-sm" style={{ height }}>
+          <span className="text-red-400">Could not load reading history</span>
+          <button onClick={() => refetch()} className="text-blue-400 hover:text-blue-300 text-xs">
+            Try again
+          </button>
+        </div>
+      ) : points.length === 0 ? (
+        <div className="flex items-center justify-center text-slate-500 text-sm" style={{ height }}>
+          No readings recorded in this range
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={height}>
+          <ComposedChart data={points} margin={{ top: 5, right: 5, bottom: 0, left: -10 }}>
+            <CartesianGrid stroke="#334155" strokeDasharray="3 3" vertical={false} />
+            <XAxis
+              dataKey="time"
+              type="number"
+              scale="time"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(t) => format(t, tickFormat)}
+              stroke="#64748b"
+              fontSize={11}
+              tickLine={false}
+            />
+            <YAxis
+              domain={['auto', 'auto']}
+              tickFormatter={formatValue}
+              stroke="#64748b"
+              fontSize={11}
+              tickLine={false}
+              axisLine={false}
+            />
+            <Tooltip content={<HistoryTooltip unit={unit} />} />
+            <Area
+              dataKey="band"
+              stroke="none"
+              fill="#3b82f6"
+              fillOpacity={0.2}
+              isAnimationActive={false}
+            />
+            <Line
+              dataKey="avg"
+              stroke="#60a5fa"
+              strokeWidth={2}
+              dot={false}
+              isAnimationActive={false}
+            />
+            {points.length > 10 && (
+              <Brush
+                key={range}
+                dataKey="time"
+                height={20}
+                stroke="#475569"
+                fill="#1e293b"
+                travellerWidth={8}
+                tickFormatter={(t) => format(t, tickFormat)}
+              />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+
+      {/* Summary */}
+      {summary && (
+        <div className="grid grid-cols-4 gap-2 mt-3 text-center">
+          <div>
+            <p className="text-slate-500 text-xs">Min</p>
+            <p className="text-white text-sm font-mono">{formatValue(summary.min)}</p>
+          </div>
+          <div>
+            <p className="text-slate-500 text-xs">Avg</p>
+            <p className="text-white text-sm font-mono">{formatValue(summary.avg)}</p>
+          </div>
+          <div>
+            <p className="text-slate-500 text-xs">Max</p>
+            <p className="text-white text-sm font-mono">{formatValue(summary.max)}</p>
+          </div>
+          <div>
+            <p className="text-slate-500 text-xs">Samples</p>
+            <p className="text-white text-sm font-mono">{summary.count}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
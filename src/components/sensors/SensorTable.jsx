@@ -0,0 +1,351 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { format } from 'date-fns';
+import {
+  ArrowUp, ArrowDown, ChevronLeft, ChevronRight, Columns3, Download, Power, Radio, Wrench, Loader2,
+} from 'lucide-react';
+import { MAX_LIST_RECORDS } from '@/api/entitySources';
+import { formatSensorReading } from '../dashboard/units';
+import { getBatteryBarColor } from '../settings/siteSettings';
+import {
+  DEFAULT_FLEET_COLUMNS,
+  DEFAULT_FLEET_SORT,
+  FLEET_COLUMNS,
+  PAGE_SIZES,
+  ROW_HEIGHT,
+  nextSort,
+  pageCount,
+  pageSlice,
+  sortSensors,
+  toggleAllSelected,
+  toggleSelected,
+  visibleRows,
+} from './sensorFleet';
+import { EXPORT_FORMATS } from './fleetSheets';
+
+const MAX_VIEWPORT_HEIGHT = 560;
+
+const COLUMN_WIDTHS = {
+  sensor_id: 'w-32',
+  type: 'w-32',
+  status: 'w-28',
+  reading: 'w-28',
+  battery: 'w-36',
+  last_ping: 'w-36',
+  panel: 'flex-1 min-w-0',
+  firmware: 'w-24',
+  sample_rate: 'w-24',
+};
+
+const STATUS_COLORS = {
+  online: { text: 'text-green-400', dot: 'bg-green-500' },
+  warning: { text: 'text-yellow-400', dot: 'bg-yellow-500' },
+  critical: { text: 'text-red-400', dot: 'bg-red-500' },
+  offline: { text: 'text-slate-400', dot: 'bg-slate-500' },
+};
+
+function Cell({ column, sensor, panel, units, battery }) {
+  switch (column) {
+    case 'sensor_id':
+      return (
+        <span className="flex items-center gap-1.5 font-mono text-white">
+          {sensor.sensor_id}
+          {sensor.maintenance && (
+            <span title="Marked for maintenance">
+              <Wrench className="w-3 h-3 text-amber-400" />
+            </span>
+          )}
+        </span>
+      );
+    case 'type':
+      return <span className="text-slate-300 capitalize">{sensor.sensor_type?.replace('_', ' ')}</span>;
+    case 'status': {
+      const colors = STATUS_COLORS[sensor.status] || STATUS_COLORS.offline;
+      return (
+        <span className={`flex items-center gap-1.5 text-xs font-semibold uppercase ${colors.text}`}>
+          <span className={`w-2 h-2 rounded-full ${colors.dot}`} />
+          {sensor.status}
+        </span>
+      );
+    }
+    case 'reading':
+      return <span className="text-white">{formatSensorReading(sensor, units)}</span>;
+    case 'battery':
+      return (
+        <span className="flex items-center gap-2">
+          <span className="w-14 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+            <span
+              className={`block h-full rounded-full ${getBatteryBarColor(sensor.battery_level, battery)}`}
+              style={{ width: `${sensor.battery_level}%` }}
+            />
+          </span>
+          <span className="text-white text-xs">{sensor.battery_level}%</span>
+        </span>
+      );
+    case 'last_ping':
+      return <span className="text-slate-300">{sensor.last_ping ? format(new Date(sensor.last_ping), 'MMM d, HH:mm:ss') : 'N/A'}</span>;
+    case 'panel':
+      return <span className="text-slate-300 truncate block">{panel?.panel_name || sensor.panel_id || 'Unknown'}</span>;
+    case 'firmware':
+      return <span className="text-slate-300 font-mono text-xs">{sensor.firmware_version || '—'}</span>;
+    case 'sample_rate':
+      return <span className="text-slate-300">{sensor.sample_rate_hz ? `${sensor.sample_rate_hz} Hz` : '—'}</span>;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sensors as a sortable, paged table with a virtualized body. Selection is
+ * owned by the page so it survives switching views; bulk actions are
+ * reported as onAction(action, sensors, options) with action 'ping' |
+ * 'reboot' | 'maintenance' | 'clear_maintenance' | 'export'; export passes
+ * { format } from EXPORT_FORMATS. isPartial marks a sensor list that was cut
+ * off before the end, so counts and sorting only cover what was loaded.
+ */
+export default function SensorTable({
+  sensors,
+  panelsById,
+  units,
+  battery,
+  selection,
+  onSelectionChange,
+  onOpen,
+  onAction,
+  busyAction = null,
+  isPartial = false,
+}) {
+  const [sort, setSort] = useState(DEFAULT_FLEET_SORT);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [columns, setColumns] = useState(DEFAULT_FLEET_COLUMNS);
+  const [columnMenuOpen, setColumnMenuOpen] = useState(false);
+  const [confirmReboot, setConfirmReboot] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+  const viewportRef = useRef(null);
+
+  const sorted = useMemo(() => sortSensors(sensors, sort, panelsById), [sensors, sort, panelsById]);
+  const pages = pageCount(sorted.length, pageSize);
+  const currentPage = Math.min(page, pages - 1);
+  const rows = pageSlice(sorted, currentPage, pageSize);
+  const viewportHeight = Math.min(MAX_VIEWPORT_HEIGHT, Math.max(rows.length, 1) * ROW_HEIGHT);
+  const { start, end } = visibleRows(scrollTop, viewportHeight, rows.length);
+
+  const selected = sorted.filter(sensor => selection.has(sensor.sensor_id));
+  const pageIds = rows.map(sensor => sensor.sensor_id);
+  const pageSelected = pageIds.length > 0 && pageIds.every(id => selection.has(id));
+  const shownColumns = FLEET_COLUMNS.filter(c => columns.includes(c.id));
+
+  // A new page or sort starts at the top
+  useLayoutEffect(() => {
+    if (viewportRef.current) viewportRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [currentPage, pageSize, sort]);
+
+  useEffect(() => {
+    setConfirmReboot(false);
+  }, [selection]);
+
+  const toggleColumn = (id) => setColumns(prev => (prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]));
+
+  const reboot = () => {
+    if (!confirmReboot) {
+      setConfirmReboot(true);
+      return;
+    }
+    setConfirmReboot(false);
+    onAction('reboot', selected);
+  };
+
+  const actionButton = (action, icon, label, targets, onClick = () => onAction(action, targets)) => {
+    const Icon = busyAction === action ? Loader2 : icon;
+    return (
+      <button
+        onClick={onClick}
+        disabled={targets.length === 0 || Boolean(busyAction)}
+        className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-slate-700/60 text-sm text-slate-200 hover:text-white hover:bg-slate-700 disabled:opacity-50 transition-colors"
+      >
+        <Icon className={`w-4 h-4 ${busyAction === action ? 'animate-spin' : ''}`} />
+        {label}
+      </button>
+    );
+  };
+
+  return (
+    <div className="bg-slate-800/60 rounded-xl border border-slate-700/50">
+      {/* Bulk actions */}
+      <div className="flex flex-wrap items-center gap-2 p-3 border-b border-slate-700/50">
+        <span className="text-sm text-slate-400 mr-2">
+          {selected.length > 0 ? `${selected.length} selected` : `${sorted.length}${isPartial ? '+' : ''} sensors`}
+        </span>
+        {isPartial && (
+          <span className="text-xs text-yellow-400 mr-2" title={`Only the first ${MAX_LIST_RECORDS.toLocaleString()} sensors were loaded`}>
+            Partial list
+          </span>
+        )}
+        {selected.length > 0 && selected.length < sorted.length && pageSelected && (
+          <button
+            onClick={() => onSelectionChange(new Set(sorted.map(s => s.sensor_id)))}
+            className="text-sm text-blue-400 hover:text-blue-300 mr-2"
+          >
+            Select all {sorted.length}
+          </button>
+        )}
+        {selected.length > 0 ? (
+          <>
+            {actionButton('ping', Radio, 'Ping', selected)}
+            {actionButton('reboot', Power, confirmReboot ? `Confirm reboot of ${selected.length}` : 'Reboot', selected, reboot)}
+            {selected.every(s => s.maintenance)
+              ? actionButton('clear_maintenance', Wrench, 'Clear maintenance', selected)
+              : actionButton('maintenance', Wrench, 'Mark for maintenance', selected)}
+            {Object.entries(EXPORT_FORMATS).map(([format, config]) => (
+              <React.Fragment key={format}>
+                {actionButton('export', Download, config.label, selected, () => onAction('export', selected, { format }))}
+              </React.Fragment>
+            ))}
+            <button onClick={() => onSelectionChange(new Set())} className="text-sm text-slate-400 hover:text-white ml-1">
+              Clear
+            </button>
+          </>
+        ) : (
+          actionButton('ping', Radio, `Ping all ${sorted.length}`, sorted)
+        )}
+
+        {/* Column chooser */}
+        <div className="relative ml-auto">
+          <button
+            onClick={() => setColumnMenuOpen(open => !open)}
+            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm text-slate-300 hover:text-white hover:bg-slate-700 transition-colors"
+          >
+            <Columns3 className="w-4 h-4" />
+            Columns
+          </button>
+          {columnMenuOpen && (
+            <>
+              <div className="fixed inset-0 z-40" onClick={() => setColumnMenuOpen(false)} />
+              <div className="absolute right-0 top-full mt-2 w-48 bg-slate-800 border border-slate-600/50 rounded-lg shadow-2xl z-50 p-2 space-y-1">
+                {FLEET_COLUMNS.map(column => (
+                  <label
+                    key={column.id}
+                    className={`flex items-center gap-2 px-2 py-1 rounded-md text-sm text-slate-300 ${
+                      column.required ? 'opacity-50' : 'cursor-pointer hover:bg-slate-700/60'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={columns.includes(column.id)}
+                      disabled={column.required}
+                      onChange={() => toggleColumn(column.id)}
+                      className="accent-blue-600"
+                    />
+                    {column.label}
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Header */}
+      <div className="flex items-center gap-3 px-4 h-10 border-b border-slate-700/50 text-xs text-slate-400">
+        <input
+          type="checkbox"
+          checked={pageSelected}
+          onChange={() => onSelectionChange(toggleAllSelected(selection, pageIds))}
+          className="accent-blue-600"
+          title="Select this page"
+        />
+        {shownColumns.map(column => (
+          <button
+            key={column.id}
+            onClick={() => setSort(prev => nextSort(prev, column.id))}
+            className={`flex items-center gap-1 text-left font-medium uppercase tracking-wide hover:text-white ${COLUMN_WIDTHS[column.id]} ${
+              sort.column === column.id ? 'text-white' : ''
+            }`}
+          >
+            {column.label}
+            {sort.column === column.id && (sort.direction === 'asc'
+              ? <ArrowUp className="w-3 h-3" />
+              : <ArrowDown className="w-3 h-3" />)}
+          </button>
+        ))}
+      </div>
+
+      {/* Rows — only the ones in view are rendered */}
+      <div
+        ref={viewportRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="overflow-y-auto"
+        style={{ height: viewportHeight }}
+      >
+        <div className="relative" style={{ height: rows.length * ROW_HEIGHT }}>
+          {rows.slice(start, end).map((sensor, i) => {
+            const checked = selection.has(sensor.sensor_id);
+            return (
+              <div
+                key={sensor.id}
+                onClick={() => onOpen(sensor)}
+                className={`absolute inset-x-0 flex items-center gap-3 px-4 text-sm border-b border-slate-700/30 cursor-pointer transition-colors ${
+                  checked ? 'bg-blue-600/15' : 'hover:bg-slate-700/40'
+                }`}
+                style={{ top: (start + i) * ROW_HEIGHT, height: ROW_HEIGHT }}
+              >
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={() => onSelectionChange(toggleSelected(selection, sensor.sensor_id))}
+                  className="accent-blue-600"
+                />
+                {shownColumns.map(column => (
+                  <div key={column.id} className={COLUMN_WIDTHS[column.id]}>
+                    <Cell
+                      column={column.id}
+                      sensor={sensor}
+                      panel={panelsById.get(sensor.panel_id)}
+                      units={units}
+                      battery={battery}
+                    />
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Paging */}
+      <div className="flex items-center justify-between gap-4 px-4 py-2 border-t border-slate-700/50 text-sm text-slate-400">
+        <label className="flex items-center gap-2">
+          Rows per page
+          <select
+            value={pageSize}
+            onChange={(e) => setPageSize(Number(e.target.value))}
+            className="bg-slate-700/50 border border-slate-600 rounded-md px-2 py-1 text-white text-sm"
+          >
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </label>
+        <div className="flex items-center gap-2">
+          <span>
+            {sorted.length === 0 ? '0' : `${currentPage * pageSize + 1}–${currentPage * pageSize + rows.length}`} of {sorted.length}{isPartial ? '+' : ''}
+          </span>
+          <button
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            className="p-1 rounded-md hover:text-white hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pages - 1}
+            className="p-1 rounded-md hover:text-white hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+import { format } from 'date-fns';
+import { listAll, siteQuery } from '@/api/entitySources';
+import { DEFAULT_SETTINGS, DEFAULT_SITE_ID, mergeSettings } from '../settings/siteSettings';
+import { MAX_READINGS } from './readingHistory';
+import { toCsv } from '@/lib/spreadsheet';
+
+// Battery drain history comes from the SensorReading rows that carry the
+// battery level the device reported (see readingHistory.js), so it builds
+// up whether or not anyone has the app open. Each sensor's history is its
+// newest MAX_READINGS such readings within HISTORY_WINDOW_DAYS. Histories are
+// read for HISTORY_BATCH sensors of one site at a time and kept in a Map
+// keyed by historyKey(site_id, sensor_id), since sensor ids repeat across
+// sites.
+//
+// A forecast fits a straight line through the readings of the sensor's
+// current battery (a jump up of REPLACEMENT_JUMP points or more means the
+// battery was replaced, and older readings are dropped) and projects when
+// the level reaches the site's low level and when it runs out.
+//
+// Forecast status:
+//   low        already at or below the site's low level
+//   draining   a measurable drain; days to low and to empty are known
+//   steady     enough history, but no measurable drain
+//   unknown    not enough history yet
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// History that forecasts are fitted on
+export const HISTORY_WINDOW_DAYS = 30;
+
+// Sensors whose history is read in one request
+export const HISTORY_BATCH = 25;
+
+const REPLACEMENT_JUMP = 15;
+
+// A forecast needs this much history, and drains slower than this count as steady
+const MIN_READINGS = 2;
+const MIN_SPAN = 0.5 * DAY;
+const STEADY_RATE = 0.05;
+
+// Planner look-ahead choices, in days
+export const PLANNER_HORIZONS = [7, 14, 30, 60];
+
+// A low battery forecast within this many days goes to the notification feed
+export const FORECAST_NOTICE_DAYS = 14;
+
+export const FORECAST_STATUS = {
+  low: { label: 'Low now', color: 'text-red-400', bg: 'bg-red-500/20', border: 'border-red-500/30' },
+  draining: { label: 'Draining', color: 'text-yellow-400', bg: 'bg-yellow-500/20', border: 'border-yellow-500/30' },
+  steady: { label: 'Steady', color: 'text-green-400', bg: 'bg-green-500/20', border: 'border-green-500/30' },
+  unknown: { label: 'No history', color: 'text-slate-400', bg: 'bg-slate-500/20', border: 'border-slate-500/30' },
+};
+
+// ── History ────────────────────────────────────────────
+
+export const historyKey = (siteId, sensorId) => `${siteId || ''}:${sensorId}`;
+
+// Battery readings over the forecast window for some of one site's sensors,
+// newest first: a Map of historyKey → readings, with every sensor present
+export async function fetchBatteryHistories(siteId, sensorIds, now = Date.now()) {
+  const since = new Date(now - HISTORY_WINDOW_DAYS * DAY).toISOString();
+  const readings = await listAll(
+    'SensorReading',
+    { ...siteQuery(siteId), sensor_id: { $in: sensorIds }, battery: { $gte: 0 }, recorded_at: { $gte: since } },
+    '-recorded_at'
+  );
+  const histories = new Map(sensorIds.map(sensorId => [historyKey(siteId, sensorId), []]));
+  readings.forEach((reading) => {
+    const history = histories.get(historyKey(siteId, reading.sensor_id));
+    if (history && history.length < MAX_READINGS) history.push(reading);
+  });
+  return histories;
+}
+
+// Readings with a usable battery level and time, oldest first
+const batteryReadings = (readings = []) => readings
+  .filter(reading => Number.isFinite(reading.battery) && Number.isFinite(Date.parse(reading.recorded_at)))
+  .sort((a, b) => Date.parse(a.recorded_at) - Date.parse(b.recorded_at));
+
+// ── Forecasts ──────────────────────────────────────────
+
+// Readings since the last battery replacement
+function currentBattery(history) {
+  let start = 0;
+  history.forEach((reading, i) => {
+    if (i > 0 && reading.battery - history[i - 1].battery >= REPLACEMENT_JUMP) start = i;
+  });
+  return history.slice(start);
+}
+
+// Least-squares slope of level over time, in points per day
+function drainSlope(history) {
+  const origin = Date.parse(history[0].recorded_at);
+  const points = history.map(reading => ({ x: (Date.parse(reading.recorded_at) - origin) / DAY, y: reading.battery }));
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const spread = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  return spread > 0 ? points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / spread : 0;
+}
+
+/**
+ * Forecast for one sensor from its SensorReading history: { level, status,
+ * rate (points per day), daysToLow, daysToEmpty, lowAt, emptyAt (Dates) }.
+ * Unknown values are null.
+ */
+export function forecastBattery(sensor, history = [], battery = DEFAULT_SETTINGS.battery, now = new Date()) {
+  const level = Number.isFinite(sensor.battery_level) ? sensor.battery_level : null;
+  const forecast = { level, status: 'unknown', rate: null, daysToLow: null, daysToEmpty: null, lowAt: null, emptyAt: null };
+  if (level === null) return forecast;
+  const isLow = level <= battery.low;
+
+  const readings = currentBattery(batteryReadings(history));
+  const span = readings.length ? Date.parse(readings[readings.length - 1].recorded_at) - Date.parse(readings[0].recorded_at) : 0;
+  if (readings.length < MIN_READINGS || span < MIN_SPAN) return { ...forecast, status: isLow ? 'low' : 'unknown' };
+
+  const rate = -drainSlope(readings);
+  if (rate < STEADY_RATE) return { ...forecast, status: isLow ? 'low' : 'steady' };
+
+  const daysToLow = Math.max(0, (level - battery.low) / rate);
+  const daysToEmpty = level / rate;
+  return {
+    ...forecast,
+    status: isLow ? 'low' : 'draining',
+    rate,
+    daysToLow,
+    daysToEmpty,
+    lowAt: new Date(now.getTime() + daysToLow * DAY),
+    emptyAt: new Date(now.getTime() + daysToEmpty * DAY),
+  };
+}
+
+// Forecasts keyed by sensor_id, for one site's sensors
+export function forecastSensors(sensors, histories, battery = DEFAULT_SETTINGS.battery, now = new Date()) {
+  return new Map(sensors.map(sensor => [
+    sensor.sensor_id,
+    forecastBattery(sensor, histories.get(historyKey(sensor.site_id, sensor.sensor_id)), battery, now),
+  ]));
+}
+
+// A site's battery levels from the SiteSettings records
+export const siteBattery = (settingsRecords, siteId) => {
+  const stored = settingsRecords.find(record => record.site_id === (siteId ?? DEFAULT_SITE_ID));
+  return mergeSettings(stored?.settings).battery;
+};
+
+/**
+ * Every site's sensors with their forecasts: [{ sensor, forecast }]. Each
+ * sensor is forecast against its own site's low battery level.
+ */
+export function forecastPortfolio(sensors, histories, settingsRecords = [], now = new Date()) {
+  return sensors.map(sensor => ({
+    sensor,
+    forecast: forecastBattery(
+      sensor,
+      histories.get(historyKey(sensor.site_id, sensor.sensor_id)),
+      siteBattery(settingsRecords, sensor.site_id),
+      now
+    ),
+  }));
+}
+
+// One-line forecast for cards and lists
+export function describeForecast(forecast) {
+  switch (forecast?.status) {
+    case 'low': return forecast.daysToEmpty === null ? 'Low now' : `Low now, empty in ${formatDaysLeft(forecast.daysToEmpty)}`;
+    case 'draining': return `Low in ${formatDaysLeft(forecast.daysToLow)}`;
+    case 'steady': return 'No measurable drain';
+    default: return 'Not enough history';
+  }
+}
+
+// Days until the battery needs service: 0 when already low, null when unknown
+export const serviceDueInDays = (forecast) => {
+  if (forecast?.status === 'low') return 0;
+  return forecast?.status === 'draining' ? forecast.daysToLow : null;
+};
+
+const FORECAST_EVENT_PREFIX = 'battery-forecast:';
+
+/**
+ * Notification for a sensor forecast to reach the low level within
+ * FORECAST_NOTICE_DAYS, or null. Pair it with forecastAnnounced, so a
+ * sensor is announced once per notice period rather than on every change.
+ */
+export function forecastNotification(sensor, forecast, battery = DEFAULT_SETTINGS.battery, now = new Date()) {
+  if (forecast?.status !== 'draining' || forecast.daysToLow > FORECAST_NOTICE_DAYS) return null;
+  return {
+    event_key: `${FORECAST_EVENT_PREFIX}${sensor.sensor_id}:${now.toISOString()}`,
+    kind: 'battery',
+    sensor_id: sensor.sensor_id,
+    panel_id: sensor.panel_id,
+    title: `${sensor.sensor_id} battery low in ${formatDaysLeft(forecast.daysToLow)}`,
+    detail: `At ${forecast.level}%, using ${formatDrainRate(forecast.rate)}; reaches ${battery.low}% around ${format(forecast.lowAt, 'MMM d')}`,
+    occurred_at: now.toISOString(),
+  };
+}
+
+// Whether a sensor's notifications include a forecast from the last FORECAST_NOTICE_DAYS
+export const forecastAnnounced = (notifications, now = new Date()) => notifications.some(n =>
+  n.event_key?.startsWith(FORECAST_EVENT_PREFIX) && now.getTime() - Date.parse(n.occurred_at) < FORECAST_NOTICE_DAYS * DAY);
+
+// ── Replacement planner ────────────────────────────────
+
+const earliest = (items) => Math.min(...items.map(item => item.due));
+
+/**
+ * Sensors due for a battery within horizonDays, grouped for a visit:
+ * [{ siteId, due, count, panels: [{ panelId, due, entries: [{ sensor,
+ * forecast, due }] }] }], soonest first at every level. entries is every
+ * sensor with its forecast: [{ sensor, forecast }].
+ */
+export function planReplacements(entries, horizonDays) {
+  const sites = new Map();
+  entries.forEach(({ sensor, forecast }) => {
+    const due = serviceDueInDays(forecast);
+    if (due === null || due > horizonDays) return;
+    const siteId = sensor.site_id ?? null;
+    const panels = sites.get(siteId) || new Map();
+    const list = panels.get(sensor.panel_id ?? null) || [];
+    list.push({ sensor, forecast, due });
+    panels.set(sensor.panel_id ?? null, list);
+    sites.set(siteId, panels);
+  });
+
+  return [...sites.entries()]
+    .map(([siteId, panels]) => {
+      const panelGroups = [...panels.entries()]
+        .map(([panelId, list]) => ({ panelId, entries: list.sort((a, b) => a.due - b.due), due: earliest(list) }))
+        .sort((a, b) => a.due - b.due);
+      return {
+        siteId,
+        due: earliest(panelGroups),
+        count: panelGroups.reduce((sum, group) => sum + group.entries.length, 0),
+        panels: panelGroups,
+      };
+    })
+    .sort((a, b) => a.due - b.due);
+}
+
+// The plan as a spreadsheet for the visit, one sensor per row
+export function planToCsv(plan, { siteName, panelName }) {
+  const rows = [['site', 'panel', 'sensor_id', 'sensor_type', 'battery_level', 'drain_per_day', 'low_by', 'empty_by']];
+  plan.forEach(site => site.panels.forEach(panel => panel.entries.forEach(({ sensor, forecast }) => {
+    rows.push([
+      siteName(site.siteId),
+      panelName(site.siteId, panel.panelId),
+      sensor.sensor_id,
+      sensor.sensor_type,
+      forecast.level,
+      forecast.rate === null ? '' : Math.round(forecast.rate * 100) / 100,
+      forecast.lowAt ? format(forecast.lowAt, 'yyyy-MM-dd') : forecast.status === 'low' ? 'now' : '',
+      forecast.emptyAt ? format(forecast.emptyAt, 'yyyy-MM-dd') : '',
+    ]);
+  })));
+  return toCsv(rows);
+}
+
+export function formatDaysLeft(days) {
+  if (days === null) return '—';
+  if (days <= 0) return 'now';
+  if (days < 1) return 'under a day';
+  if (days < 14) return `${Math.round(days)} day${Math.round(days) === 1 ? '' : 's'}`;
+  if (days < 60) return `${Math.round(days / 7)} weeks`;
+  return `${Math.round(days / 30)} months`;
+}
+
+export const formatDrainRate = (rate) => (rate === null ? '—' : `${rate < 1 ? rate.toFixed(2) : rate.toFixed(1)}% a day`);
@@ -0,0 +1,128 @@
+import { DEFAULT_ALERT_RULES } from '../dashboard/alertEngine';
+import { IMPORT_KINDS } from './fleetSheets';
+
+// Commissioning a sensor: the dashboard wizard that takes a device from its
+// ID to a placed, tested Sensor record, instead of hand-edited coordinates.
+//
+// Steps:
+//   identify   scan or type the sensor ID and choose its type
+//   place      click a framing member or panel in the twin (see
+//              dashboard/sensorPlacement for what a placement is)
+//   panel      confirm the panel the sensor reports through; the nearest
+//              panels are offered first
+//   test       save the record, then ping the device through the command
+//              queue — the gateway only delivers to sensors it has a record for
+//
+// An ID that is already on the site re-commissions that sensor: the save
+// moves it and keeps its readings. Commissioned sensors carry:
+//   commissioned_at  string  ISO timestamp of the last commissioning
+//   commissioned_by  string  email of the person who commissioned it
+//
+// The dashboard opens the wizard for ?commission (any value), or for
+// ?commission=<sensor_id> with that ID filled in.
+
+export const COMMISSION_PARAM = 'commission';
+
+export const COMMISSION_STEPS = [
+  { id: 'identify', label: 'Identify' },
+  { id: 'place', label: 'Place' },
+  { id: 'panel', label: 'Panel' },
+  { id: 'test', label: 'Test' },
+];
+
+// Panels offered first on the panel step
+const SUGGESTED_PANELS = 3;
+
+// Page URL that opens the wizard, for a sensor ID when given
+export const withCommission = (url, sensorId = null) =>
+  `${url}${url.includes('?') ? '&' : '?'}${COMMISSION_PARAM}=${encodeURIComponent(sensorId || 'new')}`;
+
+// ?commission value → the sensor ID to fill in, or '' for a blank wizard
+export const commissionParamId = (value) => (value && value !== 'new' ? value.trim() : '');
+
+/**
+ * Sensor ID from a scanned code. Labels may encode a URL or URN around the
+ * ID (https://…/sensors/TMP-014, urn:sensor:TMP-014); the ID is the last
+ * path or URN segment.
+ */
+export function sensorIdFromCode(code) {
+  const text = String(code ?? '').trim();
+  const segment = text.split(/[/:?#]/).filter(Boolean).pop() || '';
+  try {
+    return decodeURIComponent(segment).trim();
+  } catch {
+    return segment.trim();
+  }
+}
+
+/**
+ * Check an entered sensor ID against the import rules and the site's
+ * sensors: { error, existing } where existing is the sensor with that ID,
+ * if any.
+ */
+export function checkSensorId(sensorId, sensors) {
+  const result = IMPORT_KINDS.sensor.schema.shape.sensor_id.safeParse(sensorId);
+  const existing = sensors.find(s => s.sensor_id === sensorId.trim()) || null;
+  return { error: result.success ? null : `Sensor ID ${result.error.issues[0].message}`, existing };
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+/**
+ * Panels by distance from a position: [{ panel, distance }], nearest first.
+ * Panels without a position come last.
+ */
+export function rankPanels(panels, position) {
+  return panels
+    .map(panel => ({ panel, distance: position && panel.position ? distance(panel.position, position) : null }))
+    .sort((a, b) => {
+      if (a.distance === null || b.distance === null) return a.distance === null ? 1 : -1;
+      return a.distance - b.distance;
+    });
+}
+
+// Nearest panels, plus the chosen one when it is further away
+export function suggestedPanels(ranked, panelId) {
+  const nearest = ranked.slice(0, SUGGESTED_PANELS);
+  const chosen = ranked.find(r => r.panel.panel_id === panelId);
+  return chosen && !nearest.includes(chosen) ? [...nearest, chosen] : nearest;
+}
+
+// The panel to preselect: the one clicked on, else the sensor's own, else the nearest
+export function defaultPanelId(placement, existing, ranked) {
+  return placement?.panelId || existing?.panel_id || ranked[0]?.panel.panel_id || null;
+}
+
+/**
+ * Fields to save for a commissioning draft { sensorId, sensorType, placement,
+ * panelId }. A new sensor is powered up in front of whoever commissions it,
+ * so it starts online with its type's reading unit and the live feed takes
+ * over from its first reading; an existing one keeps its status and readings.
+ */
+export function commissionRecord(draft, existing, options) {
+  const { user, now = new Date() } = options || {};
+  const data = {
+    sensor_type: draft.sensorType,
+    panel_id: draft.panelId,
+    position: draft.placement.position,
+    commissioned_at: now.toISOString(),
+    commissioned_by: user?.email || null,
+  };
+  if (existing) {
+    return existing.sensor_type === draft.sensorType
+      ? data
+      : { ...data, reading_unit: DEFAULT_ALERT_RULES[draft.sensorType]?.unit };
+  }
+  return {
+    sensor_id: draft.sensorId,
+    ...data,
+    status: 'online',
+    reading_unit: DEFAULT_ALERT_RULES[draft.sensorType]?.unit,
+  };
+}
+
+export const formatPosition = (position) => (position
+  ? ['x', 'y', 'z'].map(axis => position[axis].toFixed(2)).join(', ')
+  : '—');
+
+export const formatDistance = (metres) => (metres === null ? 'no position' : `${metres.toFixed(1)} m`);
@@ -0,0 +1,295 @@
+import { z } from 'zod';
+import { DEFAULT_ALERT_RULES } from '../dashboard/alertEngine';
+import { SAMPLE_RATES } from './sensorCommands';
+import { XLSX_MIME, toCsv, writeXlsx } from '@/lib/spreadsheet';
+
+// Spreadsheet import and export for a site's sensors and panels.
+//
+// An import sheet has a header row naming columns (see IMPORT_KINDS; common
+// aliases such as x, type or battery are accepted) and one record per row.
+// Rows are upserted on sensor_id / panel_id: new ids are created, existing
+// ones get only the cells that are filled in, so a sheet with just ids and a
+// status column updates statuses and nothing else.
+//
+// The import runs in three steps:
+//   readImportSheet   rows → { records: [{ line, values }], ignored }
+//   validateImport    values checked against the kind's zod schema; each row
+//                     gets { line, key, data, errors, warnings }
+//   planImport        rows compared with the site's records: action is
+//                     'create' | 'update' | 'unchanged' | 'invalid', with
+//                     changes [{ field, from, to }]
+//
+// Exports use the same columns, so an exported sheet imports back unchanged.
+
+export const SENSOR_TYPES = Object.keys(DEFAULT_ALERT_RULES);
+export const RECORD_STATUSES = ['online', 'warning', 'critical', 'offline'];
+
+const POSITION_FIELDS = ['position_x', 'position_y', 'position_z'];
+
+// ── Schemas ────────────────────────────────────────────
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const cell = (schema) => z.preprocess(
+  value => (isBlank(value) ? undefined : typeof value === 'string' ? value.trim() : value),
+  schema.optional()
+);
+
+const text = (max = 120) => cell(z.coerce.string().max(max, `must be at most ${max} characters`));
+
+const number = (schema = null) => cell(schema || z.coerce.number({ invalid_type_error: 'must be a number' }));
+
+// "Air quality" → air_quality
+const choice = (values) => z.preprocess(
+  value => (isBlank(value) ? undefined : String(value).trim().toLowerCase().replace(/[\s-]+/g, '_')),
+  z.enum(values, { errorMap: () => ({ message: `must be one of ${values.join(', ')}` }) }).optional()
+);
+
+const recordId = z.preprocess(
+  value => (isBlank(value) ? undefined : String(value).trim()),
+  z.string({ required_error: 'is required' })
+    .max(40, 'must be at most 40 characters')
+    .regex(/^[A-Za-z0-9][A-Za-z0-9_.-]*$/, 'may only use letters, digits, - _ and .')
+);
+
+const position = {
+  position_x: number(),
+  position_y: number(),
+  position_z: number(),
+};
+
+const sensorSchema = z.object({
+  sensor_id: recordId,
+  sensor_type: choice(SENSOR_TYPES),
+  panel_id: text(40),
+  ...position,
+  reading_unit: text(16),
+  sample_rate_hz: number(z.coerce.number({ invalid_type_error: 'must be a number' })
+    .refine(rate => SAMPLE_RATES.includes(rate), `must be one of ${SAMPLE_RATES.join(', ')}`)),
+  firmware_version: text(40),
+  status: choice(RECORD_STATUSES),
+  battery_level: number(z.coerce.number({ invalid_type_error: 'must be a number' })
+    .min(0, 'must be 0–100')
+    .max(100, 'must be 0–100')),
+});
+
+const panelSchema = z.object({
+  panel_id: recordId,
+  panel_name: text(),
+  panel_type: text(40),
+  location: text(),
+  material: text(),
+  dimensions: text(60),
+  install_date: cell(z.coerce.string().refine(value => !Number.isNaN(Date.parse(value)), 'must be a date, e.g. 2024-05-31')),
+  status: choice(RECORD_STATUSES),
+  ...position,
+});
+
+/**
+ * key         column records are matched on
+ * columns     import and export columns, in order
+ * aliases     other header names accepted for a column
+ * required    fields a new record must have
+ * readOnly    exported for reference, ignored on import
+ */
+export const IMPORT_KINDS = {
+  sensor: {
+    label: 'Sensors',
+    entity: 'Sensor',
+    queryKey: 'sensors',
+    key: 'sensor_id',
+    schema: sensorSchema,
+    columns: ['sensor_id', 'sensor_type', 'panel_id', ...POSITION_FIELDS, 'reading_unit', 'sample_rate_hz', 'firmware_version', 'status', 'battery_level'],
+    aliases: {
+      id: 'sensor_id', sensor: 'sensor_id', type: 'sensor_type', panel: 'panel_id',
+      unit: 'reading_unit', sample_rate: 'sample_rate_hz', firmware: 'firmware_version', battery: 'battery_level',
+    },
+    required: ['sensor_type', 'position'],
+    readOnly: ['last_reading', 'last_ping', 'maintenance'],
+  },
+  panel: {
+    label: 'Panels',
+    entity: 'Panel',
+    queryKey: 'panels',
+    key: 'panel_id',
+    schema: panelSchema,
+    columns: ['panel_id', 'panel_name', 'panel_type', 'location', 'material', 'dimensions', 'install_date', 'status', ...POSITION_FIELDS],
+    aliases: { id: 'panel_id', panel: 'panel_id', name: 'panel_name', type: 'panel_type' },
+    required: ['position'],
+    readOnly: [],
+  },
+};
+
+// ── Reading ────────────────────────────────────────────
+
+const normalizeHeader = (header) => String(header ?? '').trim().toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+const columnFor = (header, kind) => {
+  const name = normalizeHeader(header);
+  const { columns, aliases } = IMPORT_KINDS[kind];
+  if (columns.includes(name)) return name;
+  if (aliases[name]) return aliases[name];
+  const axis = /^(?:pos(?:ition)?_)?([xyz])$/.exec(name);
+  return axis ? `position_${axis[1]}` : null;
+};
+
+/**
+ * Sheet rows → { records: [{ line, values }], ignored } where line is the
+ * spreadsheet row number and ignored the header names that are not import
+ * columns. Blank rows are skipped. Throws when the key column is missing.
+ */
+export function readImportSheet(rows, kind) {
+  const [header = [], ...body] = rows;
+  const columns = header.map(name => columnFor(name, kind));
+  const { key } = IMPORT_KINDS[kind];
+  if (!columns.includes(key)) throw new Error(`The first row needs a ${key} column`);
+
+  const records = body
+    .map((row, i) => {
+      const values = {};
+      columns.forEach((column, c) => {
+        if (column && !isBlank(row[c])) values[column] = row[c];
+      });
+      return { line: i + 2, values };
+    })
+    .filter(record => Object.keys(record.values).length > 0);
+
+  const ignored = header.filter((name, c) => !columns[c] && !isBlank(name)).map(String);
+  return { records, ignored };
+}
+
+// Parsed row values → the record fields they set
+function toFields(row) {
+  const data = { ...row };
+  POSITION_FIELDS.forEach(field => delete data[field]);
+  if (row.position_x !== undefined) data.position = { x: row.position_x, y: row.position_y, z: row.position_z };
+  Object.keys(data).forEach((field) => {
+    if (data[field] === undefined) delete data[field];
+  });
+  return data;
+}
+
+/**
+ * Check records against the kind's schema. panels are the site's panels, to
+ * warn about sensors pointing at a panel the site does not have.
+ */
+export function validateImport(records, kind, options) {
+  const { panels = [] } = options || {};
+  const { schema, key } = IMPORT_KINDS[kind];
+  const panelIds = new Set(panels.map(p => p.panel_id));
+  const firstLine = new Map();
+
+  return records.map(({ line, values }) => {
+    const result = schema.safeParse(values);
+    const errors = result.success
+      ? []
+      : result.error.issues.map(issue => ({ field: String(issue.path[0] ?? ''), message: issue.message }));
+    const givenAxes = POSITION_FIELDS.filter(field => values[field] !== undefined);
+    if (givenAxes.length > 0 && givenAxes.length < POSITION_FIELDS.length) {
+      POSITION_FIELDS.filter(field => !givenAxes.includes(field))
+        .forEach(field => errors.push({ field, message: 'is needed with the other position columns' }));
+    }
+    const data = result.success ? toFields(result.data) : null;
+    const id = result.success ? result.data[key] : (isBlank(values[key]) ? null : String(values[key]).trim());
+
+    if (id && firstLine.has(id)) errors.push({ field: key, message: `repeats row ${firstLine.get(id)}` });
+    else if (id) firstLine.set(id, line);
+
+    const warnings = [];
+    if (data?.panel_id && kind === 'sensor' && panels.length > 0 && !panelIds.has(data.panel_id)) {
+      warnings.push({ field: 'panel_id', message: `panel ${data.panel_id} is not on this site` });
+    }
+    return { line, key: id, data: errors.length > 0 ? null : data, errors, warnings };
+  });
+}
+
+// ── Planning ───────────────────────────────────────────
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Defaults for fields a new record would otherwise lack
+const createDefaults = (kind, data) => (kind === 'sensor'
+  ? { status: 'offline', reading_unit: DEFAULT_ALERT_RULES[data.sensor_type]?.unit }
+  : { status: 'online' });
+
+/**
+ * Validated rows against the site's existing records. Each row gets an
+ * action and its changes; creates missing a required field become invalid.
+ */
+export function planImport(validated, existing, kind) {
+  const { key, required } = IMPORT_KINDS[kind];
+  const byKey = new Map(existing.map(record => [record[key], record]));
+
+  return validated.map((row) => {
+    if (row.errors.length > 0) return { ...row, action: 'invalid', changes: [] };
+    const current = byKey.get(row.key);
+
+    if (!current) {
+      const missing = required.filter(field => row.data[field] === undefined);
+      if (missing.length > 0) {
+        return {
+          ...row,
+          action: 'invalid',
+          changes: [],
+          errors: missing.map(field => ({ field, message: `is required for a new ${kind}` })),
+        };
+      }
+      const data = { ...row.data };
+      Object.entries(createDefaults(kind, data)).forEach(([field, value]) => {
+        if (data[field] === undefined && value !== undefined) data[field] = value;
+      });
+      return { ...row, data, action: 'create', changes: Object.entries(data).map(([field, to]) => ({ field, from: undefined, to })) };
+    }
+
+    const changes = Object.entries(row.data)
+      .filter(([field, to]) => field !== key && !sameValue(current[field], to))
+      .map(([field, to]) => ({ field, from: current[field], to }));
+    return { ...row, id: current.id, action: changes.length > 0 ? 'update' : 'unchanged', changes };
+  });
+}
+
+export const summarizePlan = (plan) => plan.reduce(
+  (counts, row) => ({ ...counts, [row.action]: counts[row.action] + 1 }),
+  { create: 0, update: 0, unchanged: 0, invalid: 0 }
+);
+
+// Patch for an update: only the changed fields
+export const updatePatch = (row) => Object.fromEntries(row.changes.map(({ field, to }) => [field, to]));
+
+export const formatImportValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return ['x', 'y', 'z'].map(axis => value[axis]).join(', ');
+  return String(value);
+};
+
+// ── Export ─────────────────────────────────────────────
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+  xlsx: { label: 'Excel', extension: 'xlsx', mime: XLSX_MIME },
+};
+
+const exportValue = (record, column) => {
+  const axis = /^position_([xyz])$/.exec(column);
+  if (axis) return record.position?.[axis[1]] ?? '';
+  if (column === 'maintenance') return record.maintenance ? 'yes' : '';
+  const value = record[column];
+  return value === undefined || value === null ? '' : value;
+};
+
+// Header row and one row per record
+export function exportRows(kind, records) {
+  const { columns, readOnly } = IMPORT_KINDS[kind];
+  const header = [...columns, ...readOnly];
+  return [header, ...records.map(record => header.map(column => exportValue(record, column)))];
+}
+
+// Import template: the header row only
+export const templateRows = (kind) => [IMPORT_KINDS[kind].columns];
+
+export function sheetBlob(rows, format, sheetName) {
+  const { mime } = EXPORT_FORMATS[format];
+  return new Blob([format === 'xlsx' ? writeXlsx(rows, sheetName) : toCsv(rows)], { type: mime });
+}
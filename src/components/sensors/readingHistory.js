@@ -0,0 +1,77 @@
+import { entitySource } from '@/api/entitySources';
+
+// Reading history lives in the SensorReading entity — one timestamped
+// sample per row:
+//   site_id      string  the site the sensor belongs to
+//   sensor_id    string  matches Sensor.sensor_id
+//   value        number  reading in the sensor's reading_unit
+//   unit         string  unit at the time of the reading
+//   recorded_at  string  ISO 8601 timestamp from the device
+//   battery      number  battery percentage the device reported with the
+//                        reading, when it reports one
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+export const HISTORY_RANGES = [
+  { id: '1h', label: '1H', span: HOUR, bucket: MINUTE },
+  { id: '24h', label: '24H', span: 24 * HOUR, bucket: 15 * MINUTE },
+  { id: '7d', label: '7D', span: 7 * 24 * HOUR, bucket: HOUR },
+  { id: '30d', label: '30D', span: 30 * 24 * HOUR, bucket: 6 * HOUR },
+];
+
+export const getHistoryRange = (id) => HISTORY_RANGES.find(r => r.id === id) || HISTORY_RANGES[1];
+
+// The entity API caps a request at 5,000 rows
+export const MAX_READINGS = 5000;
+
+export async function fetchSensorReadings(sensorId, rangeId, now = Date.now()) {
+  const range = getHistoryRange(rangeId);
+  const since = new Date(now - range.span).toISOString();
+  return entitySource('SensorReading').filter(
+    { sensor_id: sensorId, recorded_at: { $gte: since } },
+    '-recorded_at',
+    MAX_READINGS
+  );
+}
+
+// Aggregate raw samples into fixed buckets with min / max / avg per bucket
+export function bucketReadings(readings, rangeId, toValue = (reading) => parseFloat(reading.value)) {
+  const { bucket } = getHistoryRange(rangeId);
+  const buckets = new Map();
+
+  readings.forEach((reading) => {
+    const value = toValue(reading);
+    const time = Date.parse(reading.recorded_at);
+    if (!Number.isFinite(value) || !Number.isFinite(time)) return;
+    const key = Math.floor(time / bucket) * bucket;
+    const entry = buckets.get(key) || { time: key, min: value, max: value, sum: 0, count: 0 };
+    entry.min = Math.min(entry.min, value);
+    entry.max = Math.max(entry.max, value);
+    entry.sum += value;
+    entry.count += 1;
+    buckets.set(key, entry);
+  });
+
+  return [...buckets.values()]
+    .sort((a, b) => a.time - b.time)
+    .map(({ time, min, max, sum, count }) => ({
+      time,
+      min,
+      max,
+      avg: sum / count,
+      band: [min, max],
+      count,
+    }));
+}
+
+export function summarizeReadings(points) {
+  if (points.length === 0) return null;
+  const count = points.reduce((n, p) => n + p.count, 0);
+  return {
+    min: Math.min(...points.map(p => p.min)),
+    max: Math.max(...points.map(p => p.max)),
+    avg: points.reduce((sum, p) => sum + p.avg * p.count, 0) / count,
+    count,
+  };
+}
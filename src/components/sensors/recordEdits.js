@@ -0,0 +1,185 @@
+import { z } from 'zod';
+import { format, isValid, parse } from 'date-fns';
+import { DEFAULT_ALERT_RULES } from '../dashboard/alertEngine';
+import { UNIT_OPTIONS } from '../dashboard/units';
+import { SENSOR_TYPES } from './fleetSheets';
+
+// Editing a panel's or sensor's metadata in place (see EDIT_FORMS for the
+// fields). The form holds every field as a string; its schema turns them
+// back into record values, with blanks saved as null.
+//
+// Saving only sends the fields the user changed, so edits someone else made
+// to other fields in the meantime are kept. A field is in conflict when the
+// stored record no longer has the value the form was opened with and the
+// user changed it to something else:
+//   base     the record as it was when the form was opened
+//   latest   the record as it is stored now
+//   values   the submitted form, parsed
+// Sensor records gain:
+//   calibration_offset  number  offset the device applies to raw readings,
+//                               in the reading unit
+//   notes               string  free text for the field team
+
+const CALIBRATION_LIMIT = 1000;
+
+const DAY_FORMAT = 'yyyy-MM-dd';
+
+const SENSOR_TYPE_LABELS = {
+  moisture: 'Moisture',
+  temperature: 'Temperature',
+  stress: 'Stress',
+  vibration: 'Vibration',
+  air_quality: 'Air quality',
+  smoke: 'Smoke',
+};
+
+// ── Values ─────────────────────────────────────────────
+
+// Stored install dates may be full timestamps; the form edits the day
+const toDay = (value) => {
+  if (!value) return '';
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const date = new Date(value);
+  return isValid(date) ? format(date, DAY_FORMAT) : '';
+};
+
+const isDay = (value) => isValid(parse(value, DAY_FORMAT, new Date()));
+
+// Reading units offered for a sensor type; the convertible types have two
+export function unitOptions(sensorType, current = null) {
+  const units = sensorType === 'temperature' ? UNIT_OPTIONS.temperature
+    : sensorType === 'stress' ? UNIT_OPTIONS.force
+      : [DEFAULT_ALERT_RULES[sensorType]?.unit].filter(Boolean);
+  return current && !units.includes(current) ? [...units, current] : units;
+}
+
+// ── Schemas ────────────────────────────────────────────
+
+const optionalText = (max) => z.string()
+  .trim()
+  .max(max, `Must be at most ${max} characters`)
+  .transform(value => value || null);
+
+const requiredText = (max) => z.string()
+  .trim()
+  .min(1, 'Required')
+  .max(max, `Must be at most ${max} characters`);
+
+const panelSchema = z.object({
+  panel_name: requiredText(120),
+  panel_type: optionalText(40),
+  material: optionalText(120),
+  dimensions: optionalText(60),
+  install_date: z.string()
+    .refine(value => !value || isDay(value), 'Enter a date, e.g. 2024-05-31')
+    .transform(value => value || null),
+  location: optionalText(120),
+});
+
+const sensorSchema = z.object({
+  sensor_type: z.string().refine(value => SENSOR_TYPES.includes(value), 'Choose a sensor type'),
+  reading_unit: requiredText(16),
+  calibration_offset: z.string()
+    .trim()
+    .refine(value => !value || Number.isFinite(Number(value)), 'Must be a number')
+    .transform(value => (value ? Number(value) : null))
+    .refine(value => value === null || Math.abs(value) <= CALIBRATION_LIMIT,
+      `Must be between -${CALIBRATION_LIMIT} and ${CALIBRATION_LIMIT}`),
+  notes: optionalText(1000),
+});
+
+/**
+ * input        'text' | 'date' | 'number' | 'select' | 'textarea'
+ * options      for a select, (values) → [{ value, label }] from the current form
+ * wide         spans both columns of the form
+ * format       record value → display text, where String() is not enough
+ */
+export const EDIT_FORMS = {
+  panel: {
+    label: 'Panel',
+    entity: 'Panel',
+    queryKey: 'panels',
+    schema: panelSchema,
+    fields: [
+      { name: 'panel_name', label: 'Name', input: 'text' },
+      { name: 'panel_type', label: 'Type', input: 'text', placeholder: 'e.g. wall' },
+      { name: 'material', label: 'Material', input: 'text', placeholder: 'e.g. CLT 5-ply' },
+      { name: 'dimensions', label: 'Dimensions', input: 'text', placeholder: 'e.g. 2.4 × 1.2 m' },
+      { name: 'install_date', label: 'Installed', input: 'date',
+        format: value => format(parse(toDay(value), DAY_FORMAT, new Date()), 'MMM d, yyyy') },
+      { name: 'location', label: 'Location', input: 'text', placeholder: 'e.g. Level 2, north wall' },
+    ],
+  },
+  sensor: {
+    label: 'Sensor',
+    entity: 'Sensor',
+    queryKey: 'sensors',
+    schema: sensorSchema,
+    fields: [
+      { name: 'sensor_type', label: 'Type', input: 'select',
+        options: () => SENSOR_TYPES.map(type => ({ value: type, label: SENSOR_TYPE_LABELS[type] || type })),
+        format: value => SENSOR_TYPE_LABELS[value] || value },
+      { name: 'reading_unit', label: 'Units', input: 'select',
+        options: values => unitOptions(values.sensor_type, values.reading_unit).map(unit => ({ value: unit, label: unit })) },
+      { name: 'calibration_offset', label: 'Calibration offset', input: 'number', placeholder: '0' },
+      { name: 'notes', label: 'Notes', input: 'textarea', wide: true, placeholder: 'Anything the next visit should know' },
+    ],
+  },
+};
+
+// ── Comparing ──────────────────────────────────────────
+
+// A record value as the form shows it, so stored and submitted values compare alike
+const formValue = (name, value) => {
+  if (value === null || value === undefined) return '';
+  return name === 'install_date' ? toDay(value) : String(value).trim();
+};
+
+const sameValue = (name, a, b) => formValue(name, a) === formValue(name, b);
+
+const fieldNames = (kind) => EDIT_FORMS[kind].fields.map(field => field.name);
+
+// Form defaults for a record
+export const formValues = (kind, record) =>
+  Object.fromEntries(fieldNames(kind).map(name => [name, formValue(name, record?.[name])]));
+
+// Fields of values that differ from base: { [field]: value }
+export const changedFields = (kind, base, values) => Object.fromEntries(fieldNames(kind)
+  .filter(name => !sameValue(name, base[name], values[name]))
+  .map(name => [name, values[name]]));
+
+// Fields that differ between two copies of a record, e.g. edits that arrived while the form was open
+export const editedFields = (kind, base, latest) =>
+  fieldNames(kind).filter(name => !sameValue(name, base[name], latest[name]));
+
+/**
+ * Fields both the user and someone else changed since base, to different
+ * values: [{ field, label, base, theirs, yours }].
+ */
+export function findConflicts(kind, base, latest, values) {
+  const changed = changedFields(kind, base, values);
+  return EDIT_FORMS[kind].fields
+    .filter(field => field.name in changed
+      && !sameValue(field.name, base[field.name], latest[field.name])
+      && !sameValue(field.name, latest[field.name], values[field.name]))
+    .map(field => ({
+      field: field.name,
+      label: field.label,
+      base: base[field.name] ?? null,
+      theirs: latest[field.name] ?? null,
+      yours: values[field.name] ?? null,
+    }));
+}
+
+// Follow-up form changes for an edit: a new sensor type takes its own reading unit
+export function followUpValues(kind, name, values) {
+  if (kind !== 'sensor' || name !== 'sensor_type') return {};
+  const units = unitOptions(values.sensor_type);
+  return units.length && !units.includes(values.reading_unit) ? { reading_unit: units[0] } : {};
+}
+
+export function formatFieldValue(kind, name, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  const field = EDIT_FORMS[kind].fields.find(f => f.name === name);
+  return field?.format ? field.format(value) : String(value);
+}
@@ -0,0 +1,107 @@
+// Device commands live in the SensorCommand entity — one record per command.
+// The app queues them; the device gateway (or the local simulator, see
+// lib/device-simulator.js) delivers them and writes back the outcome:
+//   sensor_id, panel_id
+//   command       'ping' | 'reboot' | 'recalibrate' | 'set_sample_rate'
+//   params        object, e.g. { rate_hz: 10 } for set_sample_rate
+//   state         'queued' | 'sent' | 'acked' | 'failed' | 'timed_out'
+//   requested_by  string  email of the person who sent it
+//   requested_at, sent_at, completed_at   ISO timestamps
+//   timeout_at    string  ISO; still unfinished by then means timed out
+//   result        object  what the device reported back on ack
+//   error         string  why the device or gateway failed it
+//   claimed_by    string  the gateway that took the command off the queue
+//
+// queued → sent is the gateway handing the command to the device; acked and
+// failed come from the device. timed_out is written by the app when nobody
+// answers before timeout_at.
+
+export const COMMAND_TYPES = {
+  ping: { label: 'Ping', timeoutMs: 15000 },
+  reboot: { label: 'Reboot', timeoutMs: 60000 },
+  recalibrate: { label: 'Recalibrate', timeoutMs: 45000 },
+  set_sample_rate: { label: 'Set sample rate', timeoutMs: 20000 },
+};
+
+export const COMMAND_STATES = {
+  queued: { label: 'Queued', color: 'text-slate-300', bg: 'bg-slate-500/20', border: 'border-slate-500/30' },
+  sent: { label: 'Sent', color: 'text-blue-400', bg: 'bg-blue-500/20', border: 'border-blue-500/30' },
+  acked: { label: 'Acknowledged', color: 'text-green-400', bg: 'bg-green-500/20', border: 'border-green-500/30' },
+  failed: { label: 'Failed', color: 'text-red-400', bg: 'bg-red-500/20', border: 'border-red-500/30' },
+  timed_out: { label: 'Timed out', color: 'text-yellow-400', bg: 'bg-yellow-500/20', border: 'border-yellow-500/30' },
+};
+
+// Sample rates offered for set_sample_rate, in Hz
+export const SAMPLE_RATES = [0.1, 0.5, 1, 10, 50, 100];
+
+const COMMANDS_LIMIT = 200;
+
+// Most recent commands across the site; older ones only matter as history
+export const listRecentCommands = (source) => source.list('-requested_at', COMMANDS_LIMIT);
+
+export const isPending = (command) => command.state === 'queued' || command.state === 'sent';
+
+// Pending past its deadline counts as timed out, whether or not that has been written yet
+export function commandState(command, now = new Date()) {
+  if (isPending(command) && command.timeout_at && Date.parse(command.timeout_at) <= now.getTime()) return 'timed_out';
+  return command.state;
+}
+
+// Throws when the command or its parameters are not valid
+export function validateCommand(command, params) {
+  if (!COMMAND_TYPES[command]) throw new Error(`Unknown command: ${command}`);
+  if (command === 'set_sample_rate' && !SAMPLE_RATES.includes(params?.rate_hz)) {
+    throw new Error(`Sample rate must be one of ${SAMPLE_RATES.join(', ')} Hz`);
+  }
+}
+
+// New SensorCommand record for a sensor
+export function buildCommand(sensor, command, params, options) {
+  validateCommand(command, params);
+  const { user, now = new Date() } = options || {};
+  return {
+    sensor_id: sensor.sensor_id,
+    panel_id: sensor.panel_id || null,
+    command,
+    params: params || {},
+    state: 'queued',
+    requested_by: user?.email || null,
+    requested_at: now.toISOString(),
+    timeout_at: new Date(now.getTime() + COMMAND_TYPES[command].timeoutMs).toISOString(),
+  };
+}
+
+export const timeoutPatch = (now = new Date()) => ({
+  state: 'timed_out',
+  completed_at: now.toISOString(),
+  error: 'No response from the device',
+});
+
+export const formatSampleRate = (hz) => `${hz} Hz`;
+
+// One-line summary of a command and its outcome, for toasts and history rows
+export function describeCommand(command, now = new Date()) {
+  const label = COMMAND_TYPES[command.command]?.label || command.command;
+  const target = command.command === 'set_sample_rate' ? `${label} to ${formatSampleRate(command.params?.rate_hz)}` : label;
+  const state = commandState(command, now);
+  if (state === 'acked') return { title: `${target} acknowledged`, detail: describeResult(command) };
+  if (state === 'failed') return { title: `${target} failed`, detail: command.error || 'The device rejected the command' };
+  if (state === 'timed_out') return { title: `${target} timed out`, detail: command.error || 'No response from the device' };
+  return { title: `${target} ${COMMAND_STATES[state].label.toLowerCase()}`, detail: '' };
+}
+
+function describeResult({ command, result }) {
+  if (!result) return '';
+  switch (command) {
+    case 'ping':
+      return Number.isFinite(result.round_trip_ms) ? `Round trip ${result.round_trip_ms} ms` : 'Sensor located';
+    case 'reboot':
+      return result.firmware ? `Back online on firmware ${result.firmware}` : 'Back online';
+    case 'recalibrate':
+      return Number.isFinite(result.offset) ? `New zero offset ${result.offset}` : 'Calibration stored';
+    case 'set_sample_rate':
+      return Number.isFinite(result.rate_hz) ? `Sampling at ${formatSampleRate(result.rate_hz)}` : '';
+    default:
+      return '';
+  }
+}
@@ -0,0 +1,127 @@
+import { toCanonicalReading } from '../dashboard/units';
+
+// Fleet table for the Sensors page: sortable columns, paging, a virtualized
+// row window and the bulk actions over selected sensors.
+//
+// Sort state is { column, direction } with direction 'asc' | 'desc'; sensors
+// with no value for the column always sort last. Selection is a Set of
+// sensor_id.
+//
+// Sensors marked for maintenance carry:
+//   maintenance     boolean
+//   maintenance_at  string  ISO timestamp it was marked
+//   maintenance_by  string  email of the person who marked it
+
+export const FLEET_COLUMNS = [
+  { id: 'sensor_id', label: 'Sensor', required: true },
+  { id: 'type', label: 'Type' },
+  { id: 'status', label: 'Status' },
+  { id: 'reading', label: 'Reading' },
+  { id: 'battery', label: 'Battery' },
+  { id: 'last_ping', label: 'Last ping' },
+  { id: 'panel', label: 'Panel' },
+  { id: 'firmware', label: 'Firmware', hidden: true },
+  { id: 'sample_rate', label: 'Sample rate', hidden: true },
+];
+
+export const DEFAULT_FLEET_COLUMNS = FLEET_COLUMNS.filter(c => !c.hidden).map(c => c.id);
+
+export const DEFAULT_FLEET_SORT = { column: 'status', direction: 'asc' };
+
+export const PAGE_SIZES = [50, 100, 250];
+
+export const ROW_HEIGHT = 44;
+
+// Worst first when sorting by status
+const STATUS_RANK = { critical: 0, warning: 1, offline: 2, online: 3 };
+
+const ROW_OVERSCAN = 6;
+
+const finiteOrNull = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Value a column sorts a sensor by, or null when it has none. Readings sort
+ * in canonical units, so one type reads in order whatever the display units.
+ */
+export function sortValue(sensor, column, panelsById = new Map()) {
+  switch (column) {
+    case 'sensor_id': return sensor.sensor_id;
+    case 'type': return sensor.sensor_type || null;
+    case 'status': return STATUS_RANK[sensor.status] ?? null;
+    case 'reading': return toCanonicalReading(sensor.sensor_type, sensor.last_reading, sensor.reading_unit);
+    case 'battery': return finiteOrNull(sensor.battery_level);
+    case 'last_ping': return sensor.last_ping ? finiteOrNull(Date.parse(sensor.last_ping)) : null;
+    case 'panel': return panelsById.get(sensor.panel_id)?.panel_name || sensor.panel_id || null;
+    case 'firmware': return sensor.firmware_version || null;
+    case 'sample_rate': return finiteOrNull(sensor.sample_rate_hz);
+    default: return null;
+  }
+}
+
+const compareValues = (a, b) => (typeof a === 'string' || typeof b === 'string'
+  ? String(a).localeCompare(String(b), undefined, { numeric: true })
+  : a - b);
+
+export function sortSensors(sensors, sort, panelsById) {
+  const { column, direction } = sort || DEFAULT_FLEET_SORT;
+  const sign = direction === 'desc' ? -1 : 1;
+  return sensors
+    .map(sensor => ({ sensor, value: sortValue(sensor, column, panelsById) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        if (a.value !== b.value) return a.value === null ? 1 : -1;
+      } else {
+        const order = compareValues(a.value, b.value);
+        if (order !== 0) return sign * order;
+      }
+      return a.sensor.sensor_id.localeCompare(b.sensor.sensor_id, undefined, { numeric: true });
+    })
+    .map(({ sensor }) => sensor);
+}
+
+// Clicking a column header sorts by it, or flips it when it already does
+export const nextSort = (sort, column) => (sort.column === column
+  ? { column, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+  : { column, direction: 'asc' });
+
+// ── Paging and virtualization ──────────────────────────
+
+export const pageCount = (total, pageSize) => Math.max(1, Math.ceil(total / pageSize));
+
+export const pageSlice = (items, page, pageSize) => items.slice(page * pageSize, (page + 1) * pageSize);
+
+// Rows to render for a scroll position: { start, end } with end exclusive
+export function visibleRows(scrollTop, viewportHeight, count, rowHeight = ROW_HEIGHT) {
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - ROW_OVERSCAN);
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + ROW_OVERSCAN);
+  return { start, end: Math.max(start, end) };
+}
+
+// ── Selection ──────────────────────────────────────────
+
+export function toggleSelected(selection, id) {
+  const next = new Set(selection);
+  if (next.has(id)) next.delete(id);
+  else next.add(id);
+  return next;
+}
+
+// Select all of ids, or clear them when they are all selected already
+export function toggleAllSelected(selection, ids) {
+  const next = new Set(selection);
+  const all = ids.length > 0 && ids.every(id => next.has(id));
+  ids.forEach(id => (all ? next.delete(id) : next.add(id)));
+  return next;
+}
+
+// ── Bulk actions ───────────────────────────────────────
+
+export function maintenancePatch(marked, options) {
+  const { user, now = new Date() } = options || {};
+  return marked
+    ? { maintenance: true, maintenance_at: now.toISOString(), maintenance_by: user?.email || null }
+    : { maintenance: false, maintenance_at: null, maintenance_by: null };
+}
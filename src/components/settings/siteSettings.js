@@ -0,0 +1,111 @@
+import { DEFAULT_ALERT_RULES } from '../dashboard/alertEngine';
+import { DEFAULT_UNITS, toDisplayValue, fromDisplayValue, toDisplayDelta, fromDisplayDelta } from '../dashboard/units';
+
+// Site configuration lives in the SiteSettings entity — one record per site:
+//   site_id   string
+//   settings  object shaped like DEFAULT_SETTINGS; missing keys fall back to it
+//
+// Thresholds are stored in the alert rules' own units (°F, kN, …) whatever
+// the display units are, so changing units never moves an alert.
+//
+// camera.bookmarks are the site's saved 3D views (see dashboard/cameraControls.js).
+
+export const DEFAULT_SITE_ID = 'default';
+
+const ruleThresholds = Object.fromEntries(
+  Object.entries(DEFAULT_ALERT_RULES).map(([type, rule]) => [
+    type,
+    { warning: rule.warning, critical: rule.critical, hysteresis: rule.hysteresis },
+  ])
+);
+
+export const DEFAULT_SETTINGS = {
+  thresholds: ruleThresholds,
+  units: DEFAULT_UNITS,
+  polling: { pollInterval: 10, reconcileInterval: 60 },
+  battery: { warning: 70, low: 30 },
+  notifications: { alerts: 'all', status: true, battery: true, actions: true },
+  camera: { bookmarks: [] },
+};
+
+// Fill any gaps in stored settings from the defaults, one section at a time
+export function mergeSettings(stored) {
+  const settings = stored || {};
+  const thresholds = Object.fromEntries(
+    Object.entries(DEFAULT_SETTINGS.thresholds).map(([type, defaults]) => [
+      type,
+      { ...defaults, ...(settings.thresholds?.[type] || {}) },
+    ])
+  );
+  return {
+    thresholds,
+    units: { ...DEFAULT_SETTINGS.units, ...settings.units },
+    polling: { ...DEFAULT_SETTINGS.polling, ...settings.polling },
+    battery: { ...DEFAULT_SETTINGS.battery, ...settings.battery },
+    notifications: { ...DEFAULT_SETTINGS.notifications, ...settings.notifications },
+    camera: { ...DEFAULT_SETTINGS.camera, ...settings.camera },
+  };
+}
+
+// Alert rules with this site's thresholds applied
+export const getAlertRules = (settings) => Object.fromEntries(
+  Object.entries(DEFAULT_ALERT_RULES).map(([type, rule]) => [type, { ...rule, ...settings.thresholds[type] }])
+);
+
+// ── Thresholds in display units ──────────────────────────
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Canonical thresholds → the numbers a user sees and edits in their units
+export const thresholdsToDisplay = (thresholds, units) => Object.fromEntries(
+  Object.entries(thresholds).map(([type, t]) => [type, {
+    warning: round(toDisplayValue(type, t.warning, units)),
+    critical: round(toDisplayValue(type, t.critical, units)),
+    hysteresis: round(toDisplayDelta(type, t.hysteresis, units)),
+  }])
+);
+
+// Edited values (numbers or input strings) → canonical thresholds. Fields that
+// still show what `base` rounds to keep their exact base value, so switching
+// units back and forth does not drift the stored thresholds.
+export function thresholdsFromDisplay(display, units, base = null) {
+  const shown = base ? thresholdsToDisplay(base, units) : null;
+  const convert = (type, field, value) => {
+    if (shown && parseFloat(value) === shown[type]?.[field]) return base[type][field];
+    const amount = parseFloat(value);
+    return field === 'hysteresis' ? fromDisplayDelta(type, amount, units) : fromDisplayValue(type, amount, units);
+  };
+  return Object.fromEntries(
+    Object.entries(display).map(([type, t]) => [type, {
+      warning: convert(type, 'warning', t.warning),
+      critical: convert(type, 'critical', t.critical),
+      hysteresis: convert(type, 'hysteresis', t.hysteresis),
+    }])
+  );
+}
+
+// Problems keyed by field path ("thresholds.smoke.critical"); empty when valid
+export function validateSettings(settings) {
+  const errors = {};
+  Object.entries(settings.thresholds).forEach(([type, t]) => {
+    ['warning', 'critical', 'hysteresis'].forEach((field) => {
+      if (!Number.isFinite(t[field])) errors[`thresholds.${type}.${field}`] = 'Enter a number';
+    });
+    if (t.critical <= t.warning) errors[`thresholds.${type}.critical`] = 'Must be above warning';
+    if (t.hysteresis < 0) errors[`thresholds.${type}.hysteresis`] = 'Cannot be negative';
+  });
+
+  const { pollInterval, reconcileInterval } = settings.polling;
+  if (!(pollInterval >= 1)) errors['polling.pollInterval'] = 'At least 1 second';
+  if (!(reconcileInterval >= pollInterval)) errors['polling.reconcileInterval'] = 'Cannot be shorter than polling';
+
+  const { warning, low } = settings.battery;
+  if (!(warning > 0 && warning <= 100)) errors['battery.warning'] = 'Between 1 and 100';
+  if (!(low >= 0 && low < warning)) errors['battery.low'] = 'Must be below the warning level';
+
+  return errors;
+}
+
+// Battery bar color against the site's warning and low levels
+export const getBatteryBarColor = (level, battery) =>
+  level > battery.warning ? 'bg-green-500' : level > battery.low ? 'bg-yellow-500' : 'bg-red-500';
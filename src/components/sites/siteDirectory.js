@@ -0,0 +1,84 @@
+import { isOutstanding } from '../alerts/alertLifecycle';
+import { mergeSettings } from '../settings/siteSettings';
+
+// Each monitored home or building is a Site record:
+//   site_id    string  stable slug, used in URLs (?site=<site_id>)
+//   name       string  e.g. "Riviera Lane - Unit 4B"
+//   address    string
+//   city       string
+//   building_type  'house' | 'apartment' | 'commercial'
+//   building   object  geometry for the digital twin (see dashboard/buildingModel.js);
+//                      omitted means the default house
+//
+// Sensor, Panel, Alert and Notification records carry the site_id they belong
+// to. With no Site records at all the app runs as a single unscoped site.
+
+export const SITE_PARAM = 'site';
+
+export const listSites = (source) => source.list('name');
+
+// The requested site when it exists, otherwise the first one
+export const resolveSite = (sites, requestedId) =>
+  sites.find(site => site.site_id === requestedId) || sites[0] || null;
+
+// Page URL that keeps the current site selected
+export const withSite = (url, siteId) => (siteId ? `${url}?${SITE_PARAM}=${encodeURIComponent(siteId)}` : url);
+
+export const HEALTH_LEVELS = {
+  healthy: { label: 'Healthy', color: 'text-green-400', bg: 'bg-green-500/20', bar: 'bg-green-500' },
+  degraded: { label: 'Degraded', color: 'text-yellow-400', bg: 'bg-yellow-500/20', bar: 'bg-yellow-500' },
+  critical: { label: 'Critical', color: 'text-red-400', bg: 'bg-red-500/20', bar: 'bg-red-500' },
+  unknown: { label: 'No sensors', color: 'text-slate-400', bg: 'bg-slate-500/20', bar: 'bg-slate-500' },
+};
+
+// Penalties taken off a perfect 100
+const HEALTH_PENALTY = { critical: 25, warning: 10, offlineShare: 40, lowBattery: 5 };
+
+/**
+ * Health summary for one site from its sensors and alert records.
+ * Outstanding critical alerts weigh most, then warnings, then the share of
+ * sensors offline and sensors at or below the site's low battery level.
+ */
+export function summarizeSiteHealth(site, sensors = [], alertRecords = [], settings = mergeSettings(null), now = new Date()) {
+  const outstanding = alertRecords.filter(record => isOutstanding(record, now));
+  const critical = outstanding.filter(record => record.severity === 'critical').length;
+  const warning = outstanding.length - critical;
+  const offline = sensors.filter(s => s.status === 'offline').length;
+  const lowBattery = sensors.filter(s => s.battery_level <= settings.battery.low).length;
+
+  if (sensors.length === 0) {
+    return { site, sensors: 0, online: 0, offline: 0, critical, warning, lowBattery, score: null, level: 'unknown' };
+  }
+
+  const score = Math.max(0, Math.round(100
+    - critical * HEALTH_PENALTY.critical
+    - warning * HEALTH_PENALTY.warning
+    - (offline / sensors.length) * HEALTH_PENALTY.offlineShare
+    - lowBattery * HEALTH_PENALTY.lowBattery));
+  const level = score >= 80 ? 'healthy' : score >= 50 ? 'degraded' : 'critical';
+
+  return { site, sensors: sensors.length, online: sensors.length - offline, offline, critical, warning, lowBattery, score, level };
+}
+
+// Every site's health, least healthy first; sites without sensors go last
+export function rankSitesByHealth(sites, sensors = [], alertRecords = [], settingsRecords = []) {
+  const bySite = (records) => records.reduce((groups, record) => {
+    const list = groups.get(record.site_id) || [];
+    list.push(record);
+    return groups.set(record.site_id, list);
+  }, new Map());
+  const sensorsBySite = bySite(sensors);
+  const alertsBySite = bySite(alertRecords);
+
+  return sites
+    .map((site) => {
+      const stored = settingsRecords.find(record => record.site_id === site.site_id);
+      return summarizeSiteHealth(
+        site,
+        sensorsBySite.get(site.site_id),
+        alertsBySite.get(site.site_id),
+        mergeSettings(stored?.settings)
+      );
+    })
+    .sort((a, b) => (a.score ?? Infinity) - (b.score ?? Infinity) || a.site.name.localeCompare(b.site.name));
+}
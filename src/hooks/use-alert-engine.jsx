@@ -0,0 +1,14 @@
+import { useMemo, useRef } from "react"
+import { evaluateAlerts, sortAlerts } from "@/components/dashboard/alertEngine"
+
+// Active alerts for the live sensor list. The previous evaluation is kept
+// between renders so hysteresis and raise times carry over.
+export function useAlertEngine(sensors, panels, options) {
+  const { rules, units } = options || {}
+  const stateRef = useRef(new Map())
+
+  return useMemo(() => {
+    stateRef.current = evaluateAlerts(sensors, panels, stateRef.current, { rules, units })
+    return sortAlerts(stateRef.current.values())
+  }, [sensors, panels, rules, units])
+}
@@ -0,0 +1,86 @@
+import { useCallback, useEffect, useRef } from "react"
+import { useQuery, useQueryClient } from "@tanstack/react-query"
+import { toast } from "sonner"
+import { siteEntitySource } from "@/api/entitySources"
+import { patchCachedList } from "@/lib/live-data"
+import { useAuth } from "@/lib/AuthContext"
+import { useSite } from "@/lib/SiteContext"
+import { alertActionPatch, latestRecordsByKey, needsNewRecord, planAlertSync } from "@/components/alerts/alertLifecycle"
+
+const ALERTS_KEY = "alerts"
+
+// Alert records for the selected site
+export function useAlertRecords() {
+  const { siteId, isReady } = useSite()
+  return useQuery({
+    queryKey: [ALERTS_KEY, siteId],
+    queryFn: () => siteEntitySource("Alert", siteId).list(),
+    enabled: isReady,
+  })
+}
+
+export function useAlertActions() {
+  const queryClient = useQueryClient()
+  const { user } = useAuth()
+  const { siteId } = useSite()
+
+  return useCallback(async (record, action, options = {}) => {
+    let patch
+    try {
+      patch = alertActionPatch(record, action, { user, ...options })
+    } catch (error) {
+      toast.error(error.message)
+      return
+    }
+
+    // Shown right away; the live feed confirms it
+    patchCachedList(queryClient, [ALERTS_KEY, siteId], { type: "update", id: record.id, data: patch })
+    try {
+      await siteEntitySource("Alert", siteId).update(record.id, patch)
+    } catch (error) {
+      toast.error(`Could not update alert: ${error.message}`)
+      queryClient.invalidateQueries({ queryKey: [ALERTS_KEY, siteId] })
+    }
+  }, [user, siteId, queryClient])
+}
+
+// Keep Alert records in step with the engine. Only runs once sensors and
+// records have loaded, so an empty first evaluation never clears anything.
+// Every open tab runs this, so a create first checks the stored records for
+// its alert_key and takes the one another tab already made.
+export function useAlertSync(engineAlerts, { enabled = true } = {}) {
+  const { data: records, isSuccess } = useAlertRecords()
+  const queryClient = useQueryClient()
+  const { siteId } = useSite()
+  const pendingRef = useRef(new Set())
+
+  useEffect(() => {
+    if (!enabled || !isSuccess) return
+    const { create, update } = planAlertSync(engineAlerts, records)
+    const store = siteEntitySource("Alert", siteId)
+
+    const createOnce = async (data) => {
+      const stored = await store.filter({ alert_key: data.alert_key })
+      const latest = latestRecordsByKey(stored).get(data.alert_key)
+      return needsNewRecord(latest, data.severity) ? store.create(data) : latest
+    }
+
+    create.forEach((data) => {
+      if (pendingRef.current.has(data.alert_key)) return
+      pendingRef.current.add(data.alert_key)
+      createOnce(data)
+        .then((record) => patchCachedList(queryClient, [ALERTS_KEY, siteId], { type: "create", id: record.id, data: record }))
+        .catch((error) => console.error("Failed to record alert:", error))
+        .finally(() => pendingRef.current.delete(data.alert_key))
+    })
+
+    update.forEach(({ id, data }) => {
+      if (pendingRef.current.has(id)) return
+      pendingRef.current.add(id)
+      patchCachedList(queryClient, [ALERTS_KEY, siteId], { type: "update", id, data })
+      store.update(id, data)
+        .catch((error) => console.error("Failed to update alert:", error))
+        .finally(() => pendingRef.current.delete(id))
+    })
+  }, [engineAlerts, records, isSuccess, enabled, siteId, queryClient])
+}
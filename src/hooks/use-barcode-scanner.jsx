@@ -0,0 +1,67 @@
+import { useEffect, useRef, useState } from "react"
+
+// How often the camera frame is checked for a code
+const SCAN_INTERVAL = 250
+
+/** Whether this browser can read QR codes and barcodes from a camera */
+export const canScanBarcodes = () => typeof window !== "undefined"
+  && "BarcodeDetector" in window
+  && Boolean(navigator.mediaDevices?.getUserMedia)
+
+/**
+ * Streams the rear camera into videoRef while active and calls
+ * onDetect(rawValue) for the first code it reads. Returns { error } when the
+ * camera cannot be opened (no camera, or permission denied).
+ */
+export function useBarcodeScanner(videoRef, active, onDetect) {
+  const [error, setError] = useState(null)
+  const onDetectRef = useRef(onDetect)
+  onDetectRef.current = onDetect
+
+  useEffect(() => {
+    if (!active || !canScanBarcodes()) return undefined
+    let stream = null
+    let timer = null
+    let stopped = false
+    // Not in every browser's typings yet, hence the lookup by name
+    const detector = new window["BarcodeDetector"]()
+
+    const scan = async () => {
+      if (stopped) return
+      try {
+        const [code] = await detector.detect(videoRef.current)
+        if (code && !stopped) {
+          onDetectRef.current(code.rawValue)
+          return
+        }
+      } catch {
+        // No frame yet; try again
+      }
+      timer = setTimeout(scan, SCAN_INTERVAL)
+    }
+
+    setError(null)
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } })
+      .then(async (media) => {
+        if (stopped) {
+          media.getTracks().forEach(track => track.stop())
+          return
+        }
+        stream = media
+        videoRef.current.srcObject = media
+        await videoRef.current.play()
+        scan()
+      })
+      .catch((cameraError) => {
+        if (!stopped) setError(cameraError.message || "Could not open the camera")
+      })
+
+    return () => {
+      stopped = true
+      clearTimeout(timer)
+      stream?.getTracks().forEach(track => track.stop())
+    }
+  }, [active, videoRef])
+
+  return { error }
+}
@@ -0,0 +1,57 @@
+import { useMemo } from "react"
+import { useQueries } from "@tanstack/react-query"
+import { useSettings } from "@/lib/SettingsContext"
+import { HISTORY_BATCH, fetchBatteryHistories, forecastSensors } from "@/components/sensors/batteryForecast"
+
+const HISTORY_KEY = "battery-history"
+
+// Batteries drain over days; a forecast does not need every new reading
+const HISTORY_STALE_TIME = 10 * 60 * 1000
+
+// Sensors split per site, then into HISTORY_BATCH sized runs of sorted ids
+function historyBatches(sensors) {
+  const bySite = new Map()
+  sensors.forEach((sensor) => {
+    const siteId = sensor.site_id || null
+    bySite.set(siteId, (bySite.get(siteId) || new Set()).add(sensor.sensor_id))
+  })
+  return [...bySite]
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .flatMap(([siteId, ids]) => {
+      const sorted = [...ids].sort()
+      return Array.from({ length: Math.ceil(sorted.length / HISTORY_BATCH) }, (_, i) => ({
+        siteId,
+        sensorIds: sorted.slice(i * HISTORY_BATCH, (i + 1) * HISTORY_BATCH),
+      }))
+    })
+}
+
+// One Map out of every batch that has loaded. Being stable, it only runs
+// again when a query result changes
+const mergeHistories = (results) => new Map(results.flatMap(result => (result.data ? [...result.data] : [])))
+
+/**
+ * Battery readings of each sensor over the forecast window, as a Map keyed
+ * by historyKey(site_id, sensor_id). Readings are read in batches of one
+ * site's sensors; sensors still loading have no entry yet.
+ */
+export function useBatteryHistory(sensors) {
+  const batchesKey = JSON.stringify(historyBatches(sensors))
+  const batches = useMemo(() => JSON.parse(batchesKey), [batchesKey])
+
+  return useQueries({
+    queries: batches.map(({ siteId, sensorIds }) => ({
+      queryKey: [HISTORY_KEY, siteId, sensorIds.join("|")],
+      queryFn: () => fetchBatteryHistories(siteId, sensorIds),
+      staleTime: HISTORY_STALE_TIME,
+    })),
+    combine: mergeHistories,
+  })
+}
+
+/** Battery forecasts keyed by sensor_id, against the site's low battery level */
+export function useBatteryForecasts(sensors) {
+  const histories = useBatteryHistory(sensors)
+  const battery = useSettings().settings.battery
+  return useMemo(() => forecastSensors(sensors, histories, battery), [sensors, histories, battery])
+}
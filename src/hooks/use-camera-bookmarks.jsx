@@ -0,0 +1,38 @@
+import { useCallback } from "react"
+import { toast } from "sonner"
+import { useSettings } from "@/lib/SettingsContext"
+import { MAX_BOOKMARKS } from "@/components/dashboard/cameraControls"
+
+/**
+ * The selected site's saved camera views, kept in its SiteSettings record.
+ * addBookmark and removeBookmark resolve to false when the change could not
+ * be saved; the error has already been shown.
+ */
+export function useCameraBookmarks() {
+  const { settings, saveSettings } = useSettings()
+  const bookmarks = settings.camera.bookmarks
+
+  const saveBookmarks = useCallback(async (next) => {
+    try {
+      await saveSettings({ ...settings, camera: { ...settings.camera, bookmarks: next } })
+      return true
+    } catch (error) {
+      toast.error(`Could not save bookmarks: ${error.message}`)
+      return false
+    }
+  }, [settings, saveSettings])
+
+  const addBookmark = useCallback(async (bookmark) => {
+    if (bookmarks.length >= MAX_BOOKMARKS) {
+      toast.error(`A site can keep up to ${MAX_BOOKMARKS} bookmarks`)
+      return false
+    }
+    const saved = await saveBookmarks([...bookmarks, bookmark])
+    if (saved) toast.success(`Saved view "${bookmark.name}"`)
+    return saved
+  }, [bookmarks, saveBookmarks])
+
+  const removeBookmark = useCallback((id) => saveBookmarks(bookmarks.filter(b => b.id !== id)), [bookmarks, saveBookmarks])
+
+  return { bookmarks, addBookmark, removeBookmark }
+}
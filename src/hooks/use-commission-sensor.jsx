@@ -0,0 +1,29 @@
+import { useCallback } from "react"
+import { useQueryClient } from "@tanstack/react-query"
+import { siteEntitySource } from "@/api/entitySources"
+import { patchCachedList } from "@/lib/live-data"
+import { useAuth } from "@/lib/AuthContext"
+import { useSite } from "@/lib/SiteContext"
+import { commissionRecord } from "@/components/sensors/commissioning"
+
+/**
+ * commission(draft, existing) saves a commissioning draft: creates the
+ * sensor, or moves existing when the ID is already on the site. Resolves to
+ * the saved sensor and patches the cached list right away; throws when the
+ * record cannot be stored.
+ */
+export function useCommissionSensor() {
+  const queryClient = useQueryClient()
+  const { user } = useAuth()
+  const { siteId } = useSite()
+
+  return useCallback(async (draft, existing) => {
+    const data = commissionRecord(draft, existing, { user })
+    const source = siteEntitySource("Sensor", siteId)
+    const saved = existing
+      ? { ...existing, ...data, ...(await source.update(existing.id, data)) }
+      : await source.create(data)
+    patchCachedList(queryClient, ["sensors", siteId], { type: existing ? "update" : "create", id: saved.id, data: existing ? data : saved })
+    return saved
+  }, [user, siteId, queryClient])
+}
@@ -0,0 +1,84 @@
+import { useCallback } from "react"
+import { useQueryClient } from "@tanstack/react-query"
+import { listAll, siteEntitySource, siteQuery } from "@/api/entitySources"
+import { patchCachedList } from "@/lib/live-data"
+import { useSite } from "@/lib/SiteContext"
+import { IMPORT_KINDS, updatePatch } from "@/components/sensors/fleetSheets"
+
+// Records written at a time, so a large sheet does not flood the API
+const IMPORT_BATCH = 10
+
+// Keys looked up per request
+const LOOKUP_BATCH = 100
+
+// The site's records of this kind whose key is one of keys, read from the server
+async function findExisting(kind, siteId, keys) {
+  const { entity, key } = IMPORT_KINDS[kind]
+  const unique = [...new Set(keys.filter(Boolean))]
+  const found = []
+  for (let i = 0; i < unique.length; i += LOOKUP_BATCH) {
+    found.push(...await listAll(entity, { ...siteQuery(siteId), [key]: { $in: unique.slice(i, i + LOOKUP_BATCH) } }))
+  }
+  return found
+}
+
+/**
+ * lookupExisting(kind, keys) resolves to the site's records with those keys.
+ * Imports are planned against these rather than the page's cached list, which
+ * may not hold every record.
+ */
+export function useImportLookup() {
+  const { siteId } = useSite()
+  return useCallback((kind, keys) => findExisting(kind, siteId, keys), [siteId])
+}
+
+/**
+ * applyImport(kind, plan, onProgress) writes a planned import: creates and
+ * updates in batches, patching the cached list as each lands. Resolves to
+ * { created, updated, failed: [{ line, key, message }] }. A create whose key
+ * is already on the server fails instead of writing a duplicate record.
+ */
+export function useFleetImport() {
+  const queryClient = useQueryClient()
+  const { siteId } = useSite()
+
+  return useCallback(async (kind, plan, onProgress) => {
+    const { entity, queryKey, key } = IMPORT_KINDS[kind]
+    const source = siteEntitySource(entity, siteId)
+    const outcome = { created: 0, updated: 0, failed: [] }
+
+    const creates = plan.filter(row => row.action === "create")
+    const taken = new Set((await findExisting(kind, siteId, creates.map(row => row.key))).map(record => record[key]))
+    const rows = plan.filter(row => {
+      if (row.action === "update") return true
+      if (row.action !== "create") return false
+      if (!taken.has(row.key)) return true
+      outcome.failed.push({ line: row.line, key: row.key, message: "Already exists; import the sheet again to update it" })
+      return false
+    })
+
+    for (let i = 0; i < rows.length; i += IMPORT_BATCH) {
+      const batch = rows.slice(i, i + IMPORT_BATCH)
+      const results = await Promise.allSettled(batch.map(row => (row.action === "create"
+        ? source.create(row.data)
+        : source.update(row.id, updatePatch(row)))))
+
+      const events = []
+      results.forEach((result, j) => {
+        const row = batch[j]
+        if (result.status === "rejected") {
+          outcome.failed.push({ line: row.line, key: row.key, message: result.reason?.message || "Could not save" })
+        } else if (row.action === "create") {
+          outcome.created++
+          events.push({ type: "create", id: result.value.id, data: result.value })
+        } else {
+          outcome.updated++
+          events.push({ type: "update", id: row.id, data: updatePatch(row) })
+        }
+      })
+      patchCachedList(queryClient, [queryKey, siteId], events)
+      onProgress?.(Math.min(i + IMPORT_BATCH, rows.length), rows.length)
+    }
+    return outcome
+  }, [queryClient, siteId])
+}
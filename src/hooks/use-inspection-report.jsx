@@ -0,0 +1,78 @@
+import { useCallback, useState } from "react"
+import { toast } from "sonner"
+import { format } from "date-fns"
+import { useAuth } from "@/lib/AuthContext"
+import { useSettings } from "@/lib/SettingsContext"
+import { useSite } from "@/lib/SiteContext"
+import { downloadFile } from "@/lib/utils"
+import { bucketReadings, fetchSensorReadings } from "@/components/sensors/readingHistory"
+import { toDisplayReading } from "@/components/dashboard/units"
+import { buildInspectionReport } from "@/components/reports/inspectionReport"
+
+const REPORT_RANGE = "24h"
+
+// Reading history requests in flight at once
+const FETCH_CONCURRENCY = 4
+
+// sensor_id → 24 h buckets in display units; sensors whose history fails to
+// load are left out rather than failing the whole report
+async function fetchHistories(sensors, units) {
+  const histories = new Map()
+  const queue = [...sensors]
+  const worker = async () => {
+    while (queue.length > 0) {
+      const sensor = queue.shift()
+      try {
+        const readings = await fetchSensorReadings(sensor.sensor_id, REPORT_RANGE)
+        const points = bucketReadings(readings, REPORT_RANGE, (reading) =>
+          toDisplayReading(sensor.sensor_type, reading.value, reading.unit || sensor.reading_unit, units))
+        histories.set(sensor.sensor_id, points)
+      } catch (error) {
+        console.error(`Reading history for ${sensor.sensor_id} unavailable:`, error)
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, sensors.length) }, worker))
+  return histories
+}
+
+/**
+ * Generate and download the inspection report PDF for the selected site.
+ * captureViews returns the viewer's 3D snapshots (see DigitalTwinViewer).
+ */
+export function useInspectionReport({ sensors, panels, alertRecords, statusData, captureViews }) {
+  const { user } = useAuth()
+  const { settings } = useSettings()
+  const { site } = useSite()
+  const [isGenerating, setIsGenerating] = useState(false)
+
+  const generate = useCallback(async () => {
+    setIsGenerating(true)
+    try {
+      const snapshots = captureViews?.() || []
+      const histories = await fetchHistories(sensors, settings.units)
+      const generatedAt = new Date()
+      const blob = buildInspectionReport({
+        site,
+        statusData,
+        sensors,
+        panels,
+        alertRecords,
+        snapshots,
+        histories,
+        settings,
+        generatedBy: user?.full_name || user?.email || null,
+        generatedAt,
+      })
+      const slug = (site?.name || "site").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")
+      downloadFile(blob, `${slug}-inspection-${format(generatedAt, "yyyyMMdd-HHmm")}.pdf`)
+      toast.success("Inspection report ready")
+    } catch (error) {
+      toast.error(`Report failed: ${error.message}`)
+    } finally {
+      setIsGenerating(false)
+    }
+  }, [sensors, panels, alertRecords, statusData, captureViews, settings, site, user])
+
+  return { generate, isGenerating }
+}
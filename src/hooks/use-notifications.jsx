@@ -0,0 +1,142 @@
+import { useCallback, useEffect, useMemo, useRef } from "react"
+import { useQuery, useQueryClient } from "@tanstack/react-query"
+import { base44 } from "@/api/base44Client"
+import { siteEntitySource } from "@/api/entitySources"
+import { patchCachedList } from "@/lib/live-data"
+import { useAuth } from "@/lib/AuthContext"
+import { useSettings } from "@/lib/SettingsContext"
+import { useSite } from "@/lib/SiteContext"
+import { useAlertRecords } from "@/hooks/use-alert-records"
+import {
+  buildFeed,
+  detectSensorEvents,
+  markAllRead,
+  markRead,
+  listRecentNotifications,
+} from "@/components/notifications/notificationFeed"
+import { forecastAnnounced, forecastNotification } from "@/components/sensors/batteryForecast"
+import { useBatteryForecasts } from "@/hooks/use-battery-forecasts"
+
+const NOTIFICATIONS_KEY = "notifications"
+const READ_STATE_KEY = ["notification-state"]
+
+// Recent Notification records for the selected site
+export function useNotificationRecords() {
+  const { siteId, isReady } = useSite()
+  return useQuery({
+    queryKey: [NOTIFICATIONS_KEY, siteId],
+    queryFn: () => listRecentNotifications(siteEntitySource("Notification", siteId)),
+    enabled: isReady,
+  })
+}
+
+function useCreateNotification() {
+  const queryClient = useQueryClient()
+  const { siteId } = useSite()
+  return useCallback(async (data) => {
+    const created = await siteEntitySource("Notification", siteId).create(data)
+    patchCachedList(queryClient, [NOTIFICATIONS_KEY, siteId], { type: "create", id: created.id, data: created })
+    return created
+  }, [queryClient, siteId])
+}
+
+// Record a completed action (reboot, ping…) for everyone's feed
+export function useRecordNotification() {
+  const create = useCreateNotification()
+  const { user } = useAuth()
+
+  return useCallback((data) => {
+    const occurred = new Date().toISOString()
+    return create({
+      kind: "action",
+      event_key: `action:${data.sensor_id || "system"}:${occurred}`,
+      occurred_at: occurred,
+      actor: user?.email || null,
+      ...data,
+    }).catch((error) => console.error("Failed to record notification:", error))
+  }, [create, user])
+}
+
+// Watch live sensors for status changes and low battery crossings. Every open
+// tab sees the same change, so the stored event_key is checked before creating
+export function useSensorEventRecorder(sensors) {
+  const create = useCreateNotification()
+  const queryClient = useQueryClient()
+  const batteryLow = useSettings().settings.battery.low
+  const { siteId } = useSite()
+  const previousRef = useRef(null)
+
+  useEffect(() => {
+    const previous = previousRef.current
+    previousRef.current = new Map(sensors.map(s => [s.sensor_id, s]))
+    // The first snapshot is only a baseline
+    if (!previous) return
+
+    const cached = queryClient.getQueryData([NOTIFICATIONS_KEY, siteId])
+    const known = new Set(Array.isArray(cached) ? cached.map(n => n.event_key) : [])
+    const source = siteEntitySource("Notification", siteId)
+    sensors.forEach((sensor) => {
+      detectSensorEvents(previous.get(sensor.sensor_id), sensor, batteryLow).forEach((event) => {
+        if (known.has(event.event_key)) return
+        source.filter({ event_key: event.event_key }, undefined, 1)
+          .then((existing) => (existing.length > 0 ? null : create(event)))
+          .catch((error) => console.error("Failed to record sensor event:", error))
+      })
+    })
+  }, [sensors, create, queryClient, batteryLow, siteId])
+}
+
+// Announce sensors whose battery is forecast to run low soon. The sensor's
+// earlier notifications are checked first, since the feed only holds the latest
+export function useBatteryForecastRecorder(sensors) {
+  const create = useCreateNotification()
+  const forecasts = useBatteryForecasts(sensors)
+  const battery = useSettings().settings.battery
+  const { siteId } = useSite()
+  const checkedRef = useRef(new Set())
+
+  useEffect(() => {
+    const source = siteEntitySource("Notification", siteId)
+    sensors.forEach((sensor) => {
+      const event = forecastNotification(sensor, forecasts.get(sensor.sensor_id), battery)
+      const checked = `${siteId}:${sensor.sensor_id}`
+      if (!event || checkedRef.current.has(checked)) return
+      checkedRef.current.add(checked)
+      source.filter({ sensor_id: sensor.sensor_id, kind: "battery" })
+        .then((existing) => (forecastAnnounced(existing) ? null : create(event)))
+        .catch((error) => console.error("Failed to record battery forecast:", error))
+    })
+  }, [sensors, forecasts, battery, create, siteId])
+}
+
+export function useNotificationFeed() {
+  const queryClient = useQueryClient()
+  const { user } = useAuth()
+  const preferences = useSettings().settings.notifications
+  const { data: alertRecords = [] } = useAlertRecords()
+  const { data: notificationRecords = [] } = useNotificationRecords()
+  const { data: readState = null } = useQuery({
+    queryKey: [...READ_STATE_KEY, user?.email],
+    queryFn: async () => (await base44.auth.me()).notification_state || null,
+    enabled: !!user,
+    initialData: user?.notification_state || null,
+  })
+
+  const items = useMemo(
+    () => buildFeed(alertRecords, notificationRecords, readState, preferences),
+    [alertRecords, notificationRecords, readState, preferences]
+  )
+
+  const saveReadState = useCallback((next) => {
+    queryClient.setQueryData([...READ_STATE_KEY, user?.email], next)
+    base44.auth.updateMe({ notification_state: next })
+      .catch((error) => console.error("Failed to save read state:", error))
+  }, [queryClient, user])
+
+  return {
+    items,
+    unreadCount: items.filter(item => !item.read).length,
+    markRead: (ids) => saveReadState(markRead(readState, ids)),
+    markAllRead: () => saveReadState(markAllRead()),
+  }
+}
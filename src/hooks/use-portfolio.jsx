@@ -0,0 +1,19 @@
+import { useQuery } from "@tanstack/react-query"
+import { isListTruncated, listAll } from "@/api/entitySources"
+
+const PORTFOLIO_KEY = "portfolio"
+const NO_RECORDS = []
+
+/**
+ * Every record of an entity across all sites, read a page at a time.
+ * isPartial is set when the list stopped at MAX_LIST_RECORDS, so totals
+ * built from it undercount.
+ */
+export function usePortfolioList(name, options = {}) {
+  const query = useQuery({
+    queryKey: [PORTFOLIO_KEY, name],
+    queryFn: () => listAll(name),
+    ...options,
+  })
+  return { ...query, data: query.data || NO_RECORDS, isPartial: Boolean(query.data) && isListTruncated(name) }
+}
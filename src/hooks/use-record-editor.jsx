@@ -0,0 +1,50 @@
+import { useCallback } from "react"
+import { useQueryClient } from "@tanstack/react-query"
+import { siteEntitySource } from "@/api/entitySources"
+import { patchCachedList } from "@/lib/live-data"
+import { useSite } from "@/lib/SiteContext"
+import { EDIT_FORMS, changedFields, findConflicts } from "@/components/sensors/recordEdits"
+
+/**
+ * save(base, values, { force }) stores an edit of a panel or sensor (kind
+ * is a key of EDIT_FORMS). base is the record the form was opened with and
+ * values the parsed form. The stored record is read first: when someone
+ * else changed a field the user also changed, nothing is saved and the
+ * result is { conflicts, latest } — pass force to save over them.
+ * Otherwise the cached list shows the edit right away and the result is
+ * { conflicts: [], saved }; a failed save puts the cache back and throws.
+ */
+export function useRecordEditor(kind) {
+  const queryClient = useQueryClient()
+  const { siteId } = useSite()
+
+  return useCallback(async (base, values, options) => {
+    const { force = false } = options || {}
+    const { entity, queryKey } = EDIT_FORMS[kind]
+    const source = siteEntitySource(entity, siteId)
+    const [latest = base] = await source.filter({ id: base.id })
+
+    const conflicts = force ? [] : findConflicts(kind, base, latest, values)
+    if (conflicts.length) return { conflicts, latest }
+
+    const changes = changedFields(kind, base, values)
+    if (!Object.keys(changes).length) return { conflicts: [], saved: latest }
+
+    const key = [queryKey, siteId]
+    const patchCache = (data) => patchCachedList(queryClient, key, { type: "update", id: base.id, data })
+    const list = queryClient.getQueryData(key)
+    const cached = (Array.isArray(list) && list.find(record => record.id === base.id)) || latest
+    const previous = Object.fromEntries(Object.keys(changes).map(field => [field, cached[field] ?? null]))
+
+    patchCache(changes)
+    try {
+      const response = await source.update(base.id, changes)
+      const saved = { ...latest, ...changes, ...response }
+      patchCache(saved)
+      return { conflicts: [], saved }
+    } catch (error) {
+      patchCache(previous)
+      throw error
+    }
+  }, [kind, siteId, queryClient])
+}
@@ -0,0 +1,161 @@
+import { useCallback, useEffect, useMemo, useRef } from "react"
+import { useQuery, useQueryClient } from "@tanstack/react-query"
+import { toast } from "sonner"
+import { siteEntitySource } from "@/api/entitySources"
+import { patchCachedList } from "@/lib/live-data"
+import { useAuth } from "@/lib/AuthContext"
+import { useSite } from "@/lib/SiteContext"
+import { useRecordNotification } from "@/hooks/use-notifications"
+import {
+  buildCommand,
+  commandState,
+  describeCommand,
+  isPending,
+  listRecentCommands,
+  timeoutPatch,
+} from "@/components/sensors/sensorCommands"
+
+const COMMANDS_KEY = "sensor-commands"
+
+// More commands settling at once than this get one summary toast
+const ANNOUNCE_LIMIT = 3
+
+// Recent SensorCommand records for the selected site
+export function useSensorCommandRecords() {
+  const { siteId, isReady } = useSite()
+  return useQuery({
+    queryKey: [COMMANDS_KEY, siteId],
+    queryFn: () => listRecentCommands(siteEntitySource("SensorCommand", siteId)),
+    enabled: isReady,
+  })
+}
+
+/**
+ * Commands for one sensor, newest first, and send(command, params) to queue
+ * another. send throws when the command is not valid or cannot be stored.
+ * Timeouts and outcome toasts are handled by useSensorCommandWatcher.
+ */
+export function useSensorCommands(sensor) {
+  const queryClient = useQueryClient()
+  const { user } = useAuth()
+  const { siteId } = useSite()
+  const { data: records = [] } = useSensorCommandRecords()
+  const sensorId = sensor?.sensor_id
+
+  const commands = useMemo(() => records
+    .filter(record => record.sensor_id === sensorId)
+    .sort((a, b) => Date.parse(b.requested_at) - Date.parse(a.requested_at)),
+  [records, sensorId])
+
+  const send = useCallback(async (command, params) => {
+    const data = buildCommand(sensor, command, params, { user })
+    const created = await siteEntitySource("SensorCommand", siteId).create(data)
+    patchCachedList(queryClient, [COMMANDS_KEY, siteId], { type: "create", id: created.id, data: created })
+    return created
+  }, [sensor, user, siteId, queryClient])
+
+  return { commands, send }
+}
+
+// One toast per settled command, or a summary when many settle together.
+// Acknowledged commands are also recorded in the notification feed.
+function announceCommands(settled, recordNotification) {
+  if (settled.length > ANNOUNCE_LIMIT) {
+    const acked = settled.filter(command => command.state === "acked")
+    const title = `${settled.length} commands finished`
+    const detail = `${acked.length} acknowledged, ${settled.length - acked.length} failed or timed out`
+    if (acked.length < settled.length) toast.error(title, { description: detail })
+    else toast.success(title, { description: detail })
+    if (acked.length > 0) recordNotification({ title, detail })
+    return
+  }
+
+  settled.forEach((command) => {
+    const { title, detail } = describeCommand(command)
+    if (commandState(command) !== "acked") {
+      toast.error(`${command.sensor_id}: ${title}`, { description: detail })
+      return
+    }
+    toast.success(`${command.sensor_id}: ${title}`, { description: detail || undefined })
+    recordNotification({
+      sensor_id: command.sensor_id,
+      panel_id: command.panel_id,
+      title: `${command.sensor_id}: ${title}`,
+      detail,
+    })
+  })
+}
+
+/**
+ * Upkeep of the site's commands wherever they were sent from, so it runs
+ * once for the whole app rather than in the modal that sent them. Pending
+ * commands that pass their deadline are written back as timed out, and the
+ * user's own commands are announced when they settle.
+ */
+export function useSensorCommandWatcher() {
+  const queryClient = useQueryClient()
+  const { user } = useAuth()
+  const { siteId } = useSite()
+  const recordNotification = useRecordNotification()
+  const { data: records = [] } = useSensorCommandRecords()
+  // Commands seen while pending; only those are announced when they settle
+  const pendingRef = useRef(new Set())
+
+  useEffect(() => {
+    const deadlines = records
+      .filter(isPending)
+      .map(command => Date.parse(command.timeout_at))
+      .filter(Number.isFinite)
+    if (deadlines.length === 0) return undefined
+
+    const timer = setTimeout(() => {
+      const now = new Date()
+      const expired = records.filter(command => isPending(command) && commandState(command, now) === "timed_out")
+      const patch = timeoutPatch(now)
+      patchCachedList(queryClient, [COMMANDS_KEY, siteId], expired.map(command => ({ type: "update", id: command.id, data: patch })))
+      expired.forEach((command) => {
+        siteEntitySource("SensorCommand", siteId).update(command.id, patch)
+          .catch((error) => console.error("Failed to time out command:", error))
+      })
+    }, Math.max(0, Math.min(...deadlines) - Date.now()))
+    return () => clearTimeout(timer)
+  }, [records, siteId, queryClient])
+
+  useEffect(() => {
+    const requester = user?.email || null
+    const settled = records.filter((command) => {
+      if (command.requested_by !== requester) return false
+      if (isPending(command)) {
+        pendingRef.current.add(command.id)
+        return false
+      }
+      return pendingRef.current.delete(command.id)
+    })
+    if (settled.length > 0) announceCommands(settled, recordNotification)
+  }, [records, user, recordNotification])
+}
+
+/**
+ * Queue one command for many sensors: sendToAll(sensors, command, params)
+ * resolves to { sent, failed } counts. Throws before queueing anything when
+ * the command is not valid. The watcher times them out and announces them
+ * like any other command.
+ */
+export function useBulkSensorCommands() {
+  const queryClient = useQueryClient()
+  const { user } = useAuth()
+  const { siteId } = useSite()
+
+  return useCallback(async (sensors, command, params) => {
+    const now = new Date()
+    const source = siteEntitySource("SensorCommand", siteId)
+    const records = sensors.map(sensor => buildCommand(sensor, command, params, { user, now }))
+    const results = await Promise.allSettled(records.map(data => source.create(data)))
+    const created = results.filter(result => result.status === "fulfilled").map(result => result.value)
+    patchCachedList(queryClient, [COMMANDS_KEY, siteId], created.map(record => ({ type: "create", id: record.id, data: record })))
+    results.forEach((result) => {
+      if (result.status === "rejected") console.error("Failed to queue command:", result.reason)
+    })
+    return { sent: created.length, failed: results.length - created.length }
+  }, [user, siteId, queryClient])
+}
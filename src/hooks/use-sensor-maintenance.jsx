@@ -0,0 +1,30 @@
+import { useCallback } from "react"
+import { useQueryClient } from "@tanstack/react-query"
+import { siteEntitySource } from "@/api/entitySources"
+import { patchCachedList } from "@/lib/live-data"
+import { useAuth } from "@/lib/AuthContext"
+import { useSite } from "@/lib/SiteContext"
+import { maintenancePatch } from "@/components/sensors/sensorFleet"
+
+/**
+ * setMaintenance(sensors, marked) marks sensors for maintenance or clears
+ * the mark, resolving to { updated, failed } counts. The cached sensor list
+ * is patched right away; the live feed confirms it.
+ */
+export function useSensorMaintenance() {
+  const queryClient = useQueryClient()
+  const { user } = useAuth()
+  const { siteId } = useSite()
+
+  return useCallback(async (sensors, marked) => {
+    const patch = maintenancePatch(marked, { user })
+    const source = siteEntitySource("Sensor", siteId)
+    const results = await Promise.allSettled(sensors.map(sensor => source.update(sensor.id, patch)))
+    const updated = sensors.filter((sensor, i) => results[i].status === "fulfilled")
+    patchCachedList(queryClient, ["sensors", siteId], updated.map(sensor => ({ type: "update", id: sensor.id, data: patch })))
+    results.forEach((result) => {
+      if (result.status === "rejected") console.error("Failed to update sensor:", result.reason)
+    })
+    return { updated: updated.length, failed: sensors.length - updated.length }
+  }, [user, siteId, queryClient])
+}
@@ -0,0 +1,45 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useSite } from '@/lib/SiteContext';
+
+const CommandPaletteContext = createContext({
+  open: false,
+  setOpen: (open) => {},
+  members: [],
+  publishMembers: (members) => {},
+});
+
+// Open state of the global search (Ctrl/Cmd+K anywhere) and the twin's
+// framing members, which only exist once the viewer has built the building.
+// Members are kept per site so another site's never show up.
+export const CommandPaletteProvider = ({ children }) => {
+  const { siteId } = useSite();
+  const [open, setOpen] = useState(false);
+  const [published, setPublished] = useState({ siteId: null, members: [] });
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key.toLowerCase() !== 'k' || !(event.metaKey || event.ctrlKey)) return;
+      event.preventDefault();
+      setOpen(prev => !prev);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const publishMembers = useCallback((members) => setPublished({ siteId, members }), [siteId]);
+
+  const value = useMemo(() => ({
+    open,
+    setOpen,
+    members: published.siteId === siteId ? published.members : [],
+    publishMembers,
+  }), [open, published, siteId, publishMembers]);
+
+  return (
+    <CommandPaletteContext.Provider value={value}>
+      {children}
+    </CommandPaletteContext.Provider>
+  );
+};
+
+export const useCommandPalette = () => useContext(CommandPaletteContext);
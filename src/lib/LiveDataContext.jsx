@@ -0,0 +1,55 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { siteEntitySource, isTelemetryReplay } from '@/api/entitySources';
+import { connectEntityFeed, combineFeedStatus, CONNECTION_STATUS } from '@/lib/live-data';
+import { listRecentNotifications } from '@/components/notifications/notificationFeed';
+import { listRecentCommands } from '@/components/sensors/sensorCommands';
+import { useSettings } from '@/lib/SettingsContext';
+import { useSite } from '@/lib/SiteContext';
+
+// Entities kept live across the app, the query each one feeds, and how to
+// list it when the query is not a plain list of everything. Each query is
+// scoped to the selected site: the site id is appended to its key.
+const LIVE_FEEDS = [
+  { entity: 'Sensor', queryKey: ['sensors'] },
+  { entity: 'Panel', queryKey: ['panels'] },
+  { entity: 'Alert', queryKey: ['alerts'] },
+  { entity: 'Notification', queryKey: ['notifications'], list: listRecentNotifications },
+  { entity: 'SensorCommand', queryKey: ['sensor-commands'], list: listRecentCommands },
+];
+
+const withList = (source, list) => ({
+  list: () => list(source),
+  subscribe: (callback) => source.subscribe(callback),
+});
+
+const LiveDataContext = createContext({ status: CONNECTION_STATUS.connecting, lastEventAt: null });
+
+export const LiveDataProvider = ({ children }) => {
+  const queryClient = useQueryClient();
+  const [feedStates, setFeedStates] = useState({});
+  const { pollInterval, reconcileInterval } = useSettings().settings.polling;
+  const { siteId, isReady } = useSite();
+
+  useEffect(() => {
+    if (!isReady) return undefined;
+    const disconnects = LIVE_FEEDS.map(({ entity, queryKey, list }) => connectEntityFeed({
+      source: list ? withList(siteEntitySource(entity, siteId), list) : siteEntitySource(entity, siteId),
+      queryClient,
+      queryKey: [...queryKey, siteId],
+      pollInterval: pollInterval * 1000,
+      reconcileInterval: reconcileInterval * 1000,
+      transport: isTelemetryReplay ? CONNECTION_STATUS.replay : undefined,
+      onStatus: (state) => setFeedStates(prev => ({ ...prev, [entity]: state })),
+    }));
+    return () => disconnects.forEach(disconnect => disconnect());
+  }, [queryClient, pollInterval, reconcileInterval, siteId, isReady]);
+
+  return (
+    <LiveDataContext.Provider value={combineFeedStatus(feedStates)}>
+      {children}
+    </LiveDataContext.Provider>
+  );
+};
+
+export const useLiveConnection = () => useContext(LiveDataContext);
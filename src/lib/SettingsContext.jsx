@@ -0,0 +1,50 @@
+import React, { createContext, useCallback, useContext, useMemo } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { entitySource } from '@/api/entitySources';
+import { useSite } from '@/lib/SiteContext';
+import { DEFAULT_SETTINGS, DEFAULT_SITE_ID, mergeSettings } from '@/components/settings/siteSettings';
+
+const SettingsContext = createContext({
+  settings: DEFAULT_SETTINGS,
+  isLoading: false,
+  saveSettings: async (settings) => settings,
+});
+
+export const SettingsProvider = ({ children }) => {
+  const queryClient = useQueryClient();
+  const { siteId: selectedSiteId, isReady } = useSite();
+  const siteId = selectedSiteId || DEFAULT_SITE_ID;
+  const queryKey = useMemo(() => ['site-settings', siteId], [siteId]);
+
+  const { data: record = null, isLoading } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const [found] = await entitySource('SiteSettings').filter({ site_id: siteId }, 'created_date', 1);
+      return found || null;
+    },
+    enabled: isReady,
+  });
+
+  const saveSettings = useCallback(async (settings) => {
+    const source = entitySource('SiteSettings');
+    const saved = record
+      ? await source.update(record.id, { settings })
+      : await source.create({ site_id: siteId, settings });
+    queryClient.setQueryData(queryKey, { ...record, ...saved, site_id: siteId, settings });
+    return settings;
+  }, [record, siteId, queryClient, queryKey]);
+
+  const value = useMemo(() => ({
+    settings: mergeSettings(record?.settings),
+    isLoading: !isReady || isLoading,
+    saveSettings,
+  }), [record, isReady, isLoading, saveSettings]);
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+export const useSettings = () => useContext(SettingsContext);
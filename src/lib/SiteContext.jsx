@@ -0,0 +1,57 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { entitySource } from '@/api/entitySources';
+import { SITE_PARAM, listSites, resolveSite } from '@/components/sites/siteDirectory';
+
+const SiteContext = createContext({
+  sites: [],
+  site: null,
+  siteId: null,
+  isReady: false,
+  selectSite: (siteId) => {},
+});
+
+// The selected site lives in the URL (?site=<site_id>) so links and reloads
+// land on the same site. Everything site-scoped waits for isReady.
+export const SiteProvider = ({ children }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { data: sites = [], isSuccess, isError } = useQuery({
+    queryKey: ['sites'],
+    queryFn: () => listSites(entitySource('Site')),
+  });
+
+  const requested = searchParams.get(SITE_PARAM);
+  const site = resolveSite(sites, requested);
+  const siteId = site?.site_id || null;
+
+  const selectSite = useCallback((id, options) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.set(SITE_PARAM, id);
+      return next;
+    }, options);
+  }, [setSearchParams]);
+
+  // Write the fallback site into the URL without adding a history entry
+  useEffect(() => {
+    if (siteId && requested !== siteId) selectSite(siteId, { replace: true });
+  }, [siteId, requested, selectSite]);
+
+  const value = useMemo(() => ({
+    sites,
+    site,
+    siteId,
+    // A failed site list falls back to the unscoped single-site view
+    isReady: isSuccess || isError,
+    selectSite,
+  }), [sites, site, siteId, isSuccess, isError, selectSite]);
+
+  return (
+    <SiteContext.Provider value={value}>
+      {children}
+    </SiteContext.Provider>
+  );
+};
+
+export const useSite = () => useContext(SiteContext);
@@ -0,0 +1,143 @@
+// Stand-in for the device gateway when there is no hardware to talk to.
+// Watches SensorCommand records through the app's entity sources, plays each
+// queued command out against its sensor with realistic delays and writes the
+// outcome back the way the gateway would (sent, then acked or failed).
+//
+// Commands for one sensor run one at a time, in the order they arrive.
+// Offline sensors never answer, so their commands time out in the app, and
+// a small share of the rest fail to exercise the error path. Every open
+// simulator sees the same queued commands, so each one claims a command
+// (queued → sent, stamped with its own id) and only runs it if the claim is
+// still on the record when read back.
+//
+// Returns a function that stops the simulator.
+
+const DEFAULTS = {
+  deliveryDelay: 400,
+  failureRate: 0.05,
+};
+
+// Typical time on the device and the error it reports when the command fails
+const EXECUTION = {
+  ping: { duration: 1200, error: 'Chime driver not responding' },
+  reboot: { duration: 6000, error: 'Watchdog reset during boot' },
+  recalibrate: { duration: 4000, error: 'Reference reading out of range' },
+  set_sample_rate: { duration: 800, error: 'Rate not supported by this firmware' },
+};
+
+// What the device reports on ack, and the sensor fields the command changes
+function execute(command, sensor, elapsed, random) {
+  const stamp = new Date().toISOString();
+  switch (command.command) {
+    case 'ping':
+      return { result: { round_trip_ms: Math.round(elapsed) }, sensorPatch: { last_ping: stamp } };
+    case 'reboot':
+      return {
+        result: { uptime_s: 0, ...(sensor.firmware_version && { firmware: sensor.firmware_version }) },
+        sensorPatch: { last_ping: stamp },
+      };
+    case 'recalibrate':
+      return {
+        result: { offset: Math.round((random() - 0.5) * 200) / 1000 },
+        sensorPatch: { calibrated_at: stamp, last_ping: stamp },
+      };
+    case 'set_sample_rate':
+      return {
+        result: { rate_hz: command.params.rate_hz },
+        sensorPatch: { sample_rate_hz: command.params.rate_hz, last_ping: stamp },
+      };
+    default:
+      return { result: null, sensorPatch: null };
+  }
+}
+
+export function startDeviceSimulator(sourceFor, options) {
+  const { deliveryDelay, failureRate, random = Math.random } = { ...DEFAULTS, ...options };
+  const commands = sourceFor('SensorCommand');
+  const sensors = sourceFor('Sensor');
+  const queues = new Map();
+  const seen = new Set();
+  const timers = new Set();
+  const instanceId = `simulator-${random().toString(36).slice(2, 10)}`;
+  let stopped = false;
+
+  const wait = (ms) => new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      resolve();
+    }, ms);
+    timers.add(timer);
+  });
+
+  const finish = (command, patch) => commands.update(command.id, { completed_at: new Date().toISOString(), ...patch });
+
+  const claim = async (command) => {
+    const [current] = await commands.filter({ id: command.id });
+    if (!current || current.state !== 'queued') return false;
+    await commands.update(command.id, { state: 'sent', sent_at: new Date().toISOString(), claimed_by: instanceId });
+    const [claimed] = await commands.filter({ id: command.id });
+    return claimed?.claimed_by === instanceId;
+  };
+
+  const run = async (command) => {
+    await wait(deliveryDelay);
+    // The app has already given up on it
+    if (stopped || Date.parse(command.timeout_at) <= Date.now()) return;
+    if (!await claim(command)) return;
+
+    // Sensor ids are only unique within a site
+    const [sensor] = await sensors.filter({
+      sensor_id: command.sensor_id,
+      ...(command.site_id && { site_id: command.site_id }),
+    });
+    if (!sensor) {
+      await finish(command, { state: 'failed', error: `Unknown sensor ${command.sensor_id}` });
+      return;
+    }
+    const execution = EXECUTION[command.command];
+    if (!execution) {
+      await finish(command, { state: 'failed', error: `Unsupported command ${command.command}` });
+      return;
+    }
+    if (sensor.status === 'offline') return;
+
+    const started = Date.now();
+    await wait(execution.duration * (0.75 + random() * 0.5));
+    if (stopped) return;
+    if (random() < failureRate) {
+      await finish(command, { state: 'failed', error: execution.error });
+      return;
+    }
+
+    const { result, sensorPatch } = execute(command, sensor, Date.now() - started, random);
+    if (sensorPatch) await sensors.update(sensor.id, sensorPatch);
+    await finish(command, { state: 'acked', result });
+  };
+
+  const enqueue = (command) => {
+    if (seen.has(command.id)) return;
+    seen.add(command.id);
+    const queue = `${command.site_id || ''}:${command.sensor_id}`;
+    const previous = queues.get(queue) || Promise.resolve();
+    queues.set(queue, previous
+      .then(() => run(command))
+      .catch(error => console.error('Device simulator:', error)));
+  };
+
+  const unsubscribe = commands.subscribe((event) => {
+    if (event?.type === 'create' && event.data?.state === 'queued') enqueue({ ...event.data, id: event.id });
+  });
+
+  // Pick up whatever was already waiting when the simulator started
+  commands.filter({ state: 'queued' })
+    .then(queued => queued
+      .sort((a, b) => Date.parse(a.requested_at) - Date.parse(b.requested_at))
+      .forEach(enqueue))
+    .catch(error => console.error('Device simulator:', error));
+
+  return () => {
+    stopped = true;
+    unsubscribe();
+    timers.forEach(clearTimeout);
+  };
+}
@@ -0,0 +1,180 @@
+// Live entity feeds — keep react-query lists in sync with realtime changes.
+//
+// A feed prefers the entity's realtime subscription and reconciles with a
+// slow full list so missed events heal. When subscribing is not available,
+// or the reconcile fails, it polls with exponential backoff instead.
+// Every change is patched into the cached list by item, so unchanged records
+// keep their identity and components only re-render what actually changed.
+
+export const CONNECTION_STATUS = {
+  connecting: 'connecting',
+  live: 'live',
+  polling: 'polling',
+  reconnecting: 'reconnecting',
+  replay: 'replay',
+};
+
+const DEFAULTS = {
+  pollInterval: 10000,
+  reconcileInterval: 60000,
+  maxBackoff: 120000,
+};
+
+const sameRecord = (a, b) => {
+  if (a === b) return true;
+  if (a.updated_date && b.updated_date) return a.updated_date === b.updated_date;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+// Apply one realtime event ({ type, id, data }) to a cached list
+export function patchEntityList(list = [], event) {
+  const index = list.findIndex(item => item.id === event.id);
+  if (event.type === 'delete') {
+    return index === -1 ? list : list.filter(item => item.id !== event.id);
+  }
+  const record = { ...(index === -1 ? {} : list[index]), ...event.data, id: event.id };
+  if (index === -1) return [...list, record];
+  // A partial update without updated_date (e.g. a local edit) keeps the old
+  // stamp, so only its content can tell whether anything changed
+  const unchanged = event.data?.updated_date
+    ? sameRecord(list[index], record)
+    : JSON.stringify(list[index]) === JSON.stringify(record);
+  if (unchanged) return list;
+  const next = list.slice();
+  next[index] = record;
+  return next;
+}
+
+// Apply one or more events ({ type, id, data }) to a list in the query cache,
+// e.g. a local write before the feed confirms it. A query that has not loaded
+// yet is left alone.
+export function patchCachedList(queryClient, queryKey, events) {
+  const list = [].concat(events);
+  queryClient.setQueryData(queryKey, (prev) => (Array.isArray(prev)
+    ? list.reduce((next, event) => patchEntityList(next, event), prev)
+    : prev));
+}
+
+// Merge a freshly listed result into the cache, reusing unchanged records
+export function mergeEntityList(previous = [], fresh = []) {
+  const byId = new Map(previous.map(item => [item.id, item]));
+  let changed = previous.length !== fresh.length;
+  const merged = fresh.map((item, i) => {
+    const existing = byId.get(item.id);
+    if (existing && sameRecord(existing, item)) {
+      if (previous[i] !== existing) changed = true;
+      return existing;
+    }
+    changed = true;
+    return item;
+  });
+  return changed ? merged : previous;
+}
+
+/**
+ * Connect one entity source to a react-query cache entry.
+ *
+ * source: { list(): Promise<record[]>, subscribe?(callback): unsubscribe }
+ * onStatus: called with { status, lastEventAt, error } whenever it changes
+ *
+ * Returns a function that disconnects the feed.
+ */
+export function connectEntityFeed({ source, queryClient, queryKey, onStatus, transport, ...options }) {
+  const { pollInterval, reconcileInterval, maxBackoff } = { ...DEFAULTS, ...options };
+  let stopped = false;
+  let timer = null;
+  let unsubscribe = null;
+  let delay = pollInterval;
+  let realtimeAvailable = typeof source.subscribe === 'function';
+  let state = { status: CONNECTION_STATUS.connecting, lastEventAt: null, error: null };
+
+  const report = (patch) => {
+    state = { ...state, ...patch };
+    onStatus?.(state);
+  };
+
+  const schedule = (fn, ms) => {
+    clearTimeout(timer);
+    if (!stopped) timer = setTimeout(fn, ms);
+  };
+
+  const handleEvent = (event) => {
+    if (stopped || !event?.id) return;
+    queryClient.setQueryData(queryKey, prev => (prev ? patchEntityList(prev, event) : prev));
+    report({ lastEventAt: event.timestamp ? new Date(event.timestamp) : new Date() });
+  };
+
+  const refresh = async () => {
+    const fresh = await source.list();
+    if (stopped) return;
+    queryClient.setQueryData(queryKey, prev => mergeEntityList(prev, fresh));
+  };
+
+  const poll = async () => {
+    try {
+      await refresh();
+      delay = pollInterval;
+      // The backend answers again — go back to realtime if we can
+      if (realtimeAvailable && !unsubscribe) return connect();
+      report({ status: CONNECTION_STATUS.polling, lastEventAt: new Date(), error: null });
+    } catch (error) {
+      delay = Math.min(maxBackoff, delay * 2);
+      report({ status: CONNECTION_STATUS.reconnecting, error });
+    }
+    schedule(poll, delay);
+  };
+
+  const reconcile = async () => {
+    try {
+      await refresh();
+      report({ status: transport || CONNECTION_STATUS.live, error: null });
+      schedule(reconcile, reconcileInterval);
+    } catch (error) {
+      // Realtime is likely down too — fall back to polling until it recovers
+      unsubscribe?.();
+      unsubscribe = null;
+      delay = pollInterval;
+      report({ status: CONNECTION_STATUS.reconnecting, error });
+      schedule(poll, delay);
+    }
+  };
+
+  const connect = () => {
+    try {
+      unsubscribe = source.subscribe(handleEvent);
+      report({ status: transport || CONNECTION_STATUS.live, error: null });
+      schedule(reconcile, reconcileInterval);
+    } catch (error) {
+      // Subscriptions are not supported here — stay on polling
+      unsubscribe = null;
+      realtimeAvailable = false;
+      report({ status: CONNECTION_STATUS.reconnecting, error });
+      schedule(poll, 0);
+    }
+  };
+
+  if (realtimeAvailable) connect();
+  else schedule(poll, 0);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    unsubscribe?.();
+  };
+}
+
+// Worst status across feeds decides what the header shows
+const STATUS_RANK = ['reconnecting', 'connecting', 'polling', 'replay', 'live'];
+
+export function combineFeedStatus(states) {
+  const list = Object.values(states);
+  if (list.length === 0) return { status: CONNECTION_STATUS.connecting, lastEventAt: null };
+  const status = list
+    .map(s => s.status)
+    .sort((a, b) => STATUS_RANK.indexOf(a) - STATUS_RANK.indexOf(b))[0];
+  const lastEventAt = list
+    .map(s => s.lastEventAt)
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0] || null;
+  return { status, lastEventAt };
+}
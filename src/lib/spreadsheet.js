@@ -0,0 +1,219 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+// Minimal CSV and XLSX reading and writing for tabular imports and exports.
+// A sheet is an array of rows, each an array of cell values (strings or
+// numbers). XLSX support covers the first worksheet's values — no formulas,
+// styles or dates beyond their stored number.
+
+export const SPREADSHEET_ACCEPT = '.csv,.xlsx';
+
+// Spreadsheet apps run text starting with = + - @ (or a tab or carriage
+// return) as a formula, so written text cells get a leading apostrophe and
+// readSpreadsheetFile drops it again. Numbers are written as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeFormula = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+
+const unescapeFormula = (value) =>
+  (typeof value === 'string' && value[0] === "'" && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value);
+
+// ── CSV ────────────────────────────────────────────────
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : typeof value === 'string' ? escapeFormula(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+
+// ── XLSX ───────────────────────────────────────────────
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+const encodeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const attribute = (attrs, name) => new RegExp(`\\b${name}="([^"]*)"`).exec(attrs)?.[1] ?? null;
+
+// Concatenated <t> runs of a shared or inline string
+const textOf = (xml) => decodeXml([...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => m[1]).join(''));
+
+// "AB12" → 27 (zero-based column)
+const columnIndex = (ref) => {
+  const letters = /^[A-Z]+/.exec(ref)?.[0] || 'A';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Path of the workbook's first sheet, falling back to the usual name
+function firstSheetPath(files) {
+  const workbook = files['xl/workbook.xml'] && strFromU8(files['xl/workbook.xml']);
+  const rels = files['xl/_rels/workbook.xml.rels'] && strFromU8(files['xl/_rels/workbook.xml.rels']);
+  const sheetId = workbook && attribute(/<sheet\s[^>]*>/.exec(workbook)?.[0] || '', 'r:id');
+  if (sheetId && rels) {
+    const rel = [...rels.matchAll(/<Relationship\s[^>]*>/g)].find(m => attribute(m[0], 'Id') === sheetId);
+    const target = rel && attribute(rel[0], 'Target');
+    if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+// Value of a <c> element by its t attribute; untyped cells are numbers
+function cellValue(type, body, shared) {
+  const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+  if (type === 's') return shared[Number(raw)] ?? '';
+  if (type === 'inlineStr') return textOf(body);
+  if (type === 'str' || type === 'e') return decodeXml(raw ?? '');
+  if (type === 'b') return raw === '1';
+  return raw === undefined ? '' : Number(raw);
+}
+
+/**
+ * Rows of the first worksheet of an .xlsx file (ArrayBuffer or Uint8Array).
+ * Throws when the file is not a readable workbook.
+ */
+export function readXlsx(data) {
+  let files;
+  try {
+    files = unzipSync(data instanceof Uint8Array ? data : new Uint8Array(data));
+  } catch {
+    throw new Error('Not a valid .xlsx file');
+  }
+  const sheet = files[firstSheetPath(files)];
+  if (!sheet) throw new Error('The workbook has no worksheet');
+
+  const shared = files['xl/sharedStrings.xml']
+    ? [...strFromU8(files['xl/sharedStrings.xml']).matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textOf(m[1]))
+    : [];
+
+  const rows = [];
+  for (const rowMatch of strFromU8(sheet).matchAll(/<row(\s[^>]*)?>([\s\S]*?)<\/row>/g)) {
+    const rowNumber = Number(attribute(rowMatch[1] || '', 'r')) || rows.length + 1;
+    const row = [];
+    for (const cell of rowMatch[2].matchAll(/<c(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cell[1] || '';
+      const body = cell[2] || '';
+      const ref = attribute(attrs, 'r');
+      row[ref ? columnIndex(ref) : row.length] = cellValue(attribute(attrs, 't'), body, shared);
+    }
+    rows[rowNumber - 1] = Array.from(row, v => v ?? '');
+  }
+  return Array.from(rows, r => r || []);
+}
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '</Types>';
+
+const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+  + '</Relationships>';
+
+const WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+  + '</Relationships>';
+
+const workbookXml = (sheetName) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+  + `<sheets><sheet name="${encodeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+  + '</workbook>';
+
+const cellXml = (value, ref) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(escapeFormula(String(value)))}</t></is></c>`;
+};
+
+// Rows as a single-sheet .xlsx file
+export function writeXlsx(rows, sheetName = 'Sheet1') {
+  const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${
+    row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`)).join('')
+  }</row>`).join('');
+  const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`;
+
+  return zipSync({
+    '[Content_Types].xml': strToU8(CONTENT_TYPES),
+    '_rels/.rels': strToU8(ROOT_RELS),
+    'xl/workbook.xml': strToU8(workbookXml(sheetName)),
+    'xl/_rels/workbook.xml.rels': strToU8(WORKBOOK_RELS),
+    'xl/worksheets/sheet1.xml': strToU8(sheet),
+  });
+}
+
+export const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Rows of a .csv or .xlsx File
+export async function readSpreadsheetFile(file) {
+  let rows;
+  if (/\.xlsx$/i.test(file.name)) rows = readXlsx(await file.arrayBuffer());
+  else if (/\.csv$/i.test(file.name) || file.type === 'text/csv') rows = parseCsv(await file.text());
+  else throw new Error('Choose a .csv or .xlsx file');
+  return rows.map(row => row.map(unescapeFormula));
+}
@@ -0,0 +1,162 @@
+import { patchEntityList } from './live-data';
+
+// Local mock stream that replays recorded telemetry through the same
+// { list, filter, subscribe, create, update } interface the app uses for base44
+// entities. filter matches fields by equality, with $gt / $gte / $lt / $lte
+// ranges (e.g. { recorded_at: { $gte: since } }) or with $in lists; any other
+// operator throws.
+// list and filter take the same sort ('field' or '-field'), limit and skip
+// arguments.
+//
+// Recording format:
+// {
+//   "records": { "Sensor": [ ...initial records ], "Panel": [ ... ] },
+//   "events": [
+//     { "entity": "Sensor", "type": "update", "id": "abc", "data": { ... },
+//       "timestamp": "2024-12-15T10:00:00Z" }
+//   ]
+// }
+//
+// Events are replayed with their original spacing divided by `speed` and
+// re-stamped with the current time. With `loop`, the recording restarts
+// from its initial records once the last event has played.
+//
+// Returns `(entityName) => source`.
+
+const RANGE_OPERATORS = {
+  $gt: (a, b) => a > b,
+  $gte: (a, b) => a >= b,
+  $lt: (a, b) => a < b,
+  $lte: (a, b) => a <= b,
+  $in: (a, list) => list.includes(a),
+};
+
+const isOperatorQuery = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+  && Object.keys(value).some(key => key.startsWith('$'));
+
+function matchesField(actual, expected) {
+  if (!isOperatorQuery(expected)) return actual === expected;
+  return Object.entries(expected).every(([operator, bound]) => {
+    const compare = RANGE_OPERATORS[operator];
+    if (!compare) throw new Error(`Telemetry replay does not support the ${operator} filter`);
+    return actual !== null && actual !== undefined && compare(actual, bound);
+  });
+}
+
+function sortAndLimit(records, sort, limit, skip = 0) {
+  let result = records;
+  if (sort) {
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+    result = [...records].sort((a, b) => {
+      if (a[field] === b[field]) return 0;
+      return (a[field] > b[field] ? 1 : -1) * (descending ? -1 : 1);
+    });
+  }
+  return limit ? result.slice(skip, skip + limit) : result.slice(skip);
+}
+
+export function createReplaySources(recording, { speed = 1, loop = true } = {}) {
+  const initial = recording.records || {};
+  const events = [...(recording.events || [])].sort(
+    (a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp)
+  );
+  const listeners = {};
+  let state = {};
+  let timer = null;
+  let cursor = 0;
+
+  const reset = () => {
+    state = Object.fromEntries(Object.entries(initial).map(([name, list]) => [name, [...list]]));
+    cursor = 0;
+  };
+
+  const emit = (event) => {
+    const stamped = { ...event, timestamp: new Date().toISOString() };
+    state[event.entity] = patchEntityList(state[event.entity], stamped);
+    (listeners[event.entity] || []).forEach(cb => cb(stamped));
+  };
+
+  const scheduleNext = () => {
+    if (cursor >= events.length) {
+      if (!loop || events.length === 0) return;
+      reset();
+      timer = setTimeout(scheduleNext, 1000 / speed);
+      return;
+    }
+    const event = events[cursor];
+    const previous = events[cursor - 1];
+    const gap = previous ? Date.parse(event.timestamp) - Date.parse(previous.timestamp) : 0;
+    timer = setTimeout(() => {
+      cursor += 1;
+      emit(event);
+      scheduleNext();
+    }, Math.max(0, gap) / speed);
+  };
+
+  const hasListeners = () => Object.values(listeners).some(l => l.length > 0);
+
+  // Writes made during a replay stay local and last until the recording loops
+  let localId = 0;
+  const write = (name, type, id, data) => {
+    emit({ entity: name, type, id, data });
+    return state[name].find(item => item.id === id);
+  };
+
+  const sourceFor = (name) => ({
+    list: async (sort, limit, skip) => sortAndLimit(state[name] || [], sort, limit, skip),
+    filter: async (query, sort, limit, skip) => sortAndLimit((state[name] || []).filter(item =>
+      Object.entries(query).every(([key, value]) => matchesField(item[key], value))
+    ), sort, limit, skip),
+    create: async (data) => {
+      localId += 1;
+      return write(name, 'create', `replay-${localId}`, { ...data, created_date: new Date().toISOString() });
+    },
+    update: async (id, data) => write(name, 'update', id, data),
+    subscribe: (callback) => {
+      const startTimeline = !hasListeners();
+      listeners[name] = [...(listeners[name] || []), callback];
+      if (startTimeline) scheduleNext();
+      return () => {
+        listeners[name] = listeners[name].filter(cb => cb !== callback);
+        if (!hasListeners()) clearTimeout(timer);
+      };
+    },
+  });
+
+  reset();
+  return sourceFor;
+}
+
+// Fetch a recording from a local URL. Sources are usable right away; they
+// wait for the recording before answering.
+export function loadReplaySources(url, options) {
+  const ready = fetch(url)
+    .then((response) => {
+      if (!response.ok) throw new Error(`Failed to load telemetry recording: ${response.status}`);
+      return response.json();
+    })
+    .then(recording => createReplaySources(recording, options));
+
+  return (name) => ({
+    list: async (sort, limit, skip) => (await ready)(name).list(sort, limit, skip),
+    filter: async (query, sort, limit, skip) => (await ready)(name).filter(query, sort, limit, skip),
+    create: async (data) => (await ready)(name).create(data),
+    update: async (id, data) => (await ready)(name).update(id, data),
+    subscribe: (callback) => {
+      let unsubscribe = null;
+      let cancelled = false;
+      ready
+        .then((getSource) => {
+          if (!cancelled) unsubscribe = getSource(name).subscribe(callback);
+        })
+        // list and filter report the failure to their callers; a feed has no caller to reject
+        .catch(error => console.error(`Telemetry replay feed for ${name} failed:`, error));
+      return () => {
+        cancelled = true;
+        unsubscribe?.();
+      };
+    },
+  });
+}
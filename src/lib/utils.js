@@ -7,3 +7,16 @@ export function cn(...inputs) {
 
 
 export const isIframe = window.self !== window.top;
+
+
+// Save a generated file (export, report) through a temporary link
+export function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
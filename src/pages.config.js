@@ -1,11 +1,17 @@
+import Batteries from './pages/Batteries';
 import Dashboard from './pages/Dashboard';
+import Portfolio from './pages/Portfolio';
 import Sensors from './pages/Sensors';
+import Settings from './pages/Settings';
 import __Layout from './Layout.jsx';
 
 
 export const PAGES = {
+    "Batteries": Batteries,
     "Dashboard": Dashboard,
+    "Portfolio": Portfolio,
     "Sensors": Sensors,
+    "Settings": Settings,
 }
 
 export const pagesConfig = {
@@ -0,0 +1,212 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Building2, BatteryWarning, Download, ChevronRight, Layers, Wrench } from 'lucide-react';
+import { MAX_LIST_RECORDS } from '@/api/entitySources';
+import { createPageUrl } from '@/utils';
+import { useSite } from '@/lib/SiteContext';
+import { downloadFile } from '@/lib/utils';
+import { withSite } from '@/components/sites/siteDirectory';
+import { getBatteryBarColor } from '@/components/settings/siteSettings';
+import { useBatteryHistory } from '@/hooks/use-battery-forecasts';
+import { usePortfolioList } from '@/hooks/use-portfolio';
+import {
+  FORECAST_STATUS,
+  PLANNER_HORIZONS,
+  describeForecast,
+  forecastPortfolio,
+  formatDrainRate,
+  planReplacements,
+  planToCsv,
+  siteBattery,
+} from '@/components/sensors/batteryForecast';
+
+// Planner numbers refresh on their own; the live feeds only cover one site
+const REFRESH_INTERVAL = 60000;
+
+export default function BatteriesPage() {
+  const navigate = useNavigate();
+  const { sites, siteId: currentSiteId, isReady } = useSite();
+  const [horizon, setHorizon] = useState(PLANNER_HORIZONS[1]);
+
+  const { data: sensors, isLoading, isPartial } = usePortfolioList('Sensor', { refetchInterval: REFRESH_INTERVAL });
+  const { data: panels } = usePortfolioList('Panel');
+  const { data: settingsRecords } = usePortfolioList('SiteSettings');
+
+  const histories = useBatteryHistory(sensors);
+
+  const entries = useMemo(
+    () => forecastPortfolio(sensors, histories, settingsRecords),
+    [sensors, histories, settingsRecords]
+  );
+  const plan = useMemo(() => planReplacements(entries, horizon), [entries, horizon]);
+
+  const dueCount = plan.reduce((sum, site) => sum + site.count, 0);
+  const lowCount = entries.filter(entry => entry.forecast.status === 'low').length;
+  const unknownCount = entries.filter(entry => entry.forecast.status === 'unknown').length;
+
+  const siteName = (siteId) => sites.find(site => site.site_id === siteId)?.name || siteId || 'This site';
+  const panelName = (siteId, panelId) =>
+    panels.find(panel => (panel.site_id ?? null) === siteId && panel.panel_id === panelId)?.panel_name || panelId || 'No panel';
+
+  const downloadPlan = () => {
+    const csv = planToCsv(plan, { siteName, panelName });
+    downloadFile(new Blob([csv], { type: 'text/csv' }), `battery-plan-${horizon}d-${format(new Date(), 'yyyyMMdd')}.csv`);
+  };
+
+  const openSensors = (siteId) => navigate(withSite(createPageUrl('Sensors'), siteId));
+
+  return (
+    <div className="min-h-screen bg-slate-950 p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-white mb-2">Battery Planner</h1>
+            <p className="text-slate-400">Sensors due for a new battery, grouped by site and panel so visits can be batched</p>
+            {isPartial && (
+              <p className="text-yellow-400 text-sm mt-2">
+                Too many sensors to load at once; the plan only covers the first {MAX_LIST_RECORDS.toLocaleString()}.
+              </p>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="flex items-center gap-1 bg-slate-800/60 rounded-lg p-1 border border-slate-700/50">
+              {PLANNER_HORIZONS.map(days => (
+                <button
+                  key={days}
+                  onClick={() => setHorizon(days)}
+                  className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                    horizon === days ? 'bg-blue-600 text-white' : 'text-slate-300 hover:text-white hover:bg-slate-700'
+                  }`}
+                >
+                  {days} days
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={downloadPlan}
+              disabled={plan.length === 0}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed text-white text-sm font-medium transition-colors"
+            >
+              <Download className="w-4 h-4" />
+              Download plan
+            </button>
+          </div>
+        </div>
+
+        {/* Stats Cards */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-slate-800/60 rounded-xl p-4 border border-slate-700/50">
+            <p className="text-slate-400 text-sm mb-1">Due in {horizon} days</p>
+            <p className="text-2xl font-bold text-yellow-400">{dueCount}</p>
+          </div>
+          <div className="bg-slate-800/60 rounded-xl p-4 border border-slate-700/50">
+            <p className="text-slate-400 text-sm mb-1">Low now</p>
+            <p className="text-2xl font-bold text-red-400">{lowCount}</p>
+          </div>
+          <div className="bg-slate-800/60 rounded-xl p-4 border border-slate-700/50">
+            <p className="text-slate-400 text-sm mb-1">Sites to visit</p>
+            <p className="text-2xl font-bold text-white">{plan.length}</p>
+          </div>
+          <div className="bg-slate-800/60 rounded-xl p-4 border border-slate-700/50">
+            <p className="text-slate-400 text-sm mb-1">Not enough history</p>
+            <p className="text-2xl font-bold text-slate-300">{unknownCount}</p>
+          </div>
+        </div>
+
+        {/* Visits */}
+        <div className="space-y-4">
+          {plan.map((site) => {
+            const battery = siteBattery(settingsRecords, site.siteId);
+            const info = sites.find(s => s.site_id === site.siteId);
+            return (
+              <div
+                key={site.siteId ?? 'unscoped'}
+                className={`bg-slate-800/60 rounded-xl border ${
+                  site.siteId === currentSiteId ? 'border-blue-500/50' : 'border-slate-700/50'
+                }`}
+              >
+                <button
+                  onClick={() => openSensors(site.siteId)}
+                  className="w-full flex items-center gap-4 p-4 text-left hover:bg-slate-800/80 rounded-t-xl transition-colors"
+                >
+                  <div className="w-10 h-10 rounded-lg flex items-center justify-center bg-yellow-500/20">
+                    <Building2 className="w-5 h-5 text-yellow-400" />
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-white font-semibold truncate">{siteName(site.siteId)}</p>
+                    <p className="text-slate-500 text-xs truncate">
+                      {[info?.address, info?.city].filter(Boolean).join(', ') || site.siteId || 'All sensors'}
+                    </p>
+                  </div>
+                  <span className="text-slate-300 text-sm">
+                    {site.count} sensor{site.count === 1 ? '' : 's'} on {site.panels.length} panel{site.panels.length === 1 ? '' : 's'}
+                  </span>
+                  <ChevronRight className="w-5 h-5 text-slate-500" />
+                </button>
+
+                <div className="border-t border-slate-700/50 divide-y divide-slate-700/40">
+                  {site.panels.map(panel => (
+                    <div key={panel.panelId ?? 'none'} className="px-4 py-3">
+                      <p className="flex items-center gap-2 text-slate-300 text-sm font-medium mb-2">
+                        <Layers className="w-4 h-4 text-blue-400" />
+                        {panelName(site.siteId, panel.panelId)}
+                        {panel.panelId && <span className="text-slate-500 text-xs font-normal">{panel.panelId}</span>}
+                      </p>
+                      <div className="space-y-1.5">
+                        {panel.entries.map(({ sensor, forecast }) => {
+                          const status = FORECAST_STATUS[forecast.status];
+                          return (
+                            <div key={sensor.sensor_id} className="grid grid-cols-[10rem_8rem_1fr_8rem] items-center gap-4 text-sm pl-6">
+                              <span className="flex items-center gap-2 min-w-0">
+                                <span className="text-white font-mono truncate">{sensor.sensor_id}</span>
+                                {sensor.maintenance && (
+                                  <span title="Marked for maintenance">
+                                    <Wrench className="w-3.5 h-3.5 text-orange-400" />
+                                  </span>
+                                )}
+                              </span>
+                              <span className="flex items-center gap-2">
+                                <span className="w-16 h-2 bg-slate-700 rounded-full overflow-hidden">
+                                  <span
+                                    className={`block h-full rounded-full ${getBatteryBarColor(forecast.level, battery)}`}
+                                    style={{ width: `${forecast.level}%` }}
+                                  />
+                                </span>
+                                <span className="text-white text-xs">{forecast.level}%</span>
+                              </span>
+                              <span className={`text-xs ${status.color}`}>
+                                {describeForecast(forecast)}
+                                {forecast.lowAt && forecast.status === 'draining' && (
+                                  <span className="text-slate-500"> · {format(forecast.lowAt, 'MMM d')}</span>
+                                )}
+                              </span>
+                              <span className="text-slate-400 text-xs text-right">{formatDrainRate(forecast.rate)}</span>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {plan.length === 0 && isReady && !isLoading && (
+          <div className="text-center py-12">
+            <BatteryWarning className="w-10 h-10 text-slate-600 mx-auto mb-3" />
+            <p className="text-slate-400">No batteries are due in the next {horizon} days</p>
+            {unknownCount > 0 && (
+              <p className="text-slate-500 text-sm mt-1">
+                {unknownCount} sensor{unknownCount === 1 ? ' has' : 's have'} too little battery history to forecast yet
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
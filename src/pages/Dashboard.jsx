@@ -1,25 +1,120 @@
-import React from 'react';
-import { base44 } from '@/api/base44Client';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { siteEntitySource } from '@/api/entitySources';
+import { useSite } from '@/lib/SiteContext';
 import { useQuery } from '@tanstack/react-query';
 import Sidebar from '@/components/dashboard/Sidebar';
 import Header from '@/components/dashboard/Header';
 import StatusCards from '@/components/dashboard/StatusCards';
 import DigitalTwinViewer from '@/components/dashboard/DigitalTwinViewer';
+import CommissioningWizard from '@/components/sensors/CommissioningWizard';
 import { sensorData } from '@/components/dashboard/sensorData';
+import AlertInbox from '@/components/alerts/AlertInbox';
+import NotificationCenter from '@/components/notifications/NotificationCenter';
+import { latestRecordsByKey, isOutstanding } from '@/components/alerts/alertLifecycle';
+import { useAlertEngine } from '@/hooks/use-alert-engine';
+import { useAlertRecords, useAlertActions, useAlertSync } from '@/hooks/use-alert-records';
+import { useBatteryForecastRecorder, useNotificationFeed, useSensorEventRecorder } from '@/hooks/use-notifications';
+import { useInspectionReport } from '@/hooks/use-inspection-report';
+import { useSettings } from '@/lib/SettingsContext';
+import { getAlertRules } from '@/components/settings/siteSettings';
+import { FOCUS_PARAM, parseFocusParam } from '@/components/dashboard/cameraFocus';
+import { COMMISSION_PARAM, commissionParamId } from '@/components/sensors/commissioning';
 
 export default function Dashboard() {
-  const { data: sensors = [] } = useQuery({
-    queryKey: ['sensors'],
-    queryFn: () => base44.entities.Sensor.list(),
+  const { site, siteId, isReady } = useSite();
+  const { data: sensors = [], isSuccess: sensorsLoaded } = useQuery({
+    queryKey: ['sensors', siteId],
+    queryFn: () => siteEntitySource('Sensor', siteId).list(),
+    enabled: isReady,
   });
 
   const { data: panels = [] } = useQuery({
-    queryKey: ['panels'],
-    queryFn: () => base44.entities.Panel.list(),
+    queryKey: ['panels', siteId],
+    queryFn: () => siteEntitySource('Panel', siteId).list(),
+    enabled: isReady,
   });
 
+  const { settings } = useSettings();
+  const alertRules = useMemo(() => getAlertRules(settings), [settings]);
+  const engineAlerts = useAlertEngine(sensors, panels, { rules: alertRules, units: settings.units });
+  useAlertSync(engineAlerts, { enabled: sensorsLoaded });
+
+  const { data: alertRecords = [] } = useAlertRecords();
+  const runAlertAction = useAlertActions();
+  const [inboxOpen, setInboxOpen] = useState(false);
+  const [inboxFocusId, setInboxFocusId] = useState(null);
+
+  useSensorEventRecorder(sensors);
+  useBatteryForecastRecorder(sensors);
+  const notifications = useNotificationFeed();
+  const [notificationsOpen, setNotificationsOpen] = useState(false);
+  const [focusRequest, setFocusRequest] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const focusParam = searchParams.get(FOCUS_PARAM);
+  const commissionParam = searchParams.get(COMMISSION_PARAM);
+  // Commissioning wizard: { sensorId, at } while open; placing hands the viewer's clicks to it
+  const [commissioning, setCommissioning] = useState(null);
+  const [placing, setPlacing] = useState(false);
+  const [placement, setPlacement] = useState(null);
+
+  const focusOn = (kind, id) => setFocusRequest({ kind, id, at: Date.now() });
+
+  // Deep links (?focus=sensor:TMP-014) fly the viewer there once, then leave the URL
+  useEffect(() => {
+    const target = parseFocusParam(focusParam);
+    if (!target) return;
+    setFocusRequest({ ...target, at: Date.now() });
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.delete(FOCUS_PARAM);
+      return next;
+    }, { replace: true });
+  }, [focusParam, setSearchParams]);
+
+  const openCommissioning = (sensorId = '') => {
+    setPlacement(null);
+    setPlacing(false);
+    setCommissioning({ sensorId, at: Date.now() });
+  };
+
+  const closeCommissioning = () => {
+    setCommissioning(null);
+    setPlacing(false);
+    setPlacement(null);
+  };
+
+  // ?commission opens the wizard (for a sensor ID when given), then leaves the URL
+  useEffect(() => {
+    if (commissionParam === null) return;
+    openCommissioning(commissionParamId(commissionParam));
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.delete(COMMISSION_PARAM);
+      return next;
+    }, { replace: true });
+  }, [commissionParam, setSearchParams]);
+
+  // Engine alerts carry their persisted record for the tooltip actions
+  const alerts = useMemo(() => {
+    const records = latestRecordsByKey(alertRecords);
+    return engineAlerts.map(alert => ({ ...alert, record: records.get(alert.id) }));
+  }, [engineAlerts, alertRecords]);
+
+  const openInbox = (record = null) => {
+    setInboxFocusId(record?.id || null);
+    setNotificationsOpen(false);
+    setInboxOpen(true);
+  };
+
+  const jumpTo = (item) => {
+    notifications.markRead([item.id]);
+    setNotificationsOpen(false);
+    if (item.sensorId) focusOn('sensor', item.sensorId);
+    else if (item.panelId) focusOn('panel', item.panelId);
+  };
+
   // Calculate real-time stats
-  const criticalSensors = sensors.filter(s => s.status === 'critical').length;
   const enhancedData = {
     ...sensorData,
     activeSensors: {
@@ -29,6 +124,15 @@ export default function Dashboard() {
     }
   };
 
+  const viewerRef = useRef(null);
+  const report = useInspectionReport({
+    sensors,
+    panels,
+    alertRecords,
+    statusData: enhancedData,
+    captureViews: () => viewerRef.current?.captureViews() || [],
+  });
+
   return (
     <div className="h-screen w-screen bg-slate-950 flex overflow-hidden">
       {/* Sidebar */}
@@ -37,17 +141,81 @@ export default function Dashboard() {
       {/* Main Content */}
       <div className="flex-1 flex flex-col">
         {/* Header */}
-        <Header alertCount={criticalSensors} />
+        <Header
+          unreadCount={notifications.unreadCount}
+          onOpenNotifications={() => setNotificationsOpen(true)}
+          onOpenAlerts={() => openInbox()}
+          onGenerateReport={report.generate}
+          isGeneratingReport={report.isGenerating}
+          onCommissionSensor={isReady ? () => openCommissioning() : null}
+        />
         
         {/* Content Area */}
         <div className="flex-1 flex flex-col overflow-hidden">
           {/* Status Cards */}
-          <StatusCards data={enhancedData} />
+          <StatusCards data={enhancedData} units={settings.units} />
           
           {/* 3D Digital Twin Viewer */}
-          <DigitalTwinViewer alerts={sensorData.alerts} panels={panels} sensors={sensors} />
+          <div className="relative flex-1 flex overflow-hidden">
+            <DigitalTwinViewer
+              alerts={alerts}
+              panels={panels}
+              sensors={sensors}
+              building={site?.building}
+              siteName={site?.name}
+              viewerRef={viewerRef}
+              focusRequest={focusRequest}
+              onAlertAction={runAlertAction}
+              onOpenAlertInbox={openInbox}
+              placing={placing}
+              placement={placement}
+              onPlace={setPlacement}
+            />
+
+            {/* Sensor Commissioning */}
+            {commissioning && (
+              <CommissioningWizard
+                key={commissioning.at}
+                sensors={sensors}
+                panels={panels}
+                initialSensorId={commissioning.sensorId}
+                placing={placing}
+                placement={placement}
+                onPlacingChange={setPlacing}
+                onPlacementChange={setPlacement}
+                onLocate={(sensor) => focusOn('sensor', sensor.sensor_id)}
+                onClose={closeCommissioning}
+              />
+            )}
+          </div>
         </div>
       </div>
+
+      {/* Notification Center */}
+      <NotificationCenter
+        open={notificationsOpen}
+        items={notifications.items}
+        unreadCount={notifications.unreadCount}
+        outstandingAlerts={alertRecords.filter(record => isOutstanding(record)).length}
+        onClose={() => setNotificationsOpen(false)}
+        onMarkRead={notifications.markRead}
+        onMarkAllRead={notifications.markAllRead}
+        onJump={jumpTo}
+        onOpenInbox={() => openInbox()}
+      />
+
+      {/* Alert Inbox */}
+      <AlertInbox
+        open={inboxOpen}
+        records={alertRecords}
+        focusId={inboxFocusId}
+        onClose={() => setInboxOpen(false)}
+        onAction={runAlertAction}
+        onLocate={(record) => {
+          setInboxOpen(false);
+          focusOn('alert', record.alert_key || record.id);
+        }}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,156 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, Building2, AlertTriangle, WifiOff, BatteryLow, ChevronRight } from 'lucide-react';
+import { MAX_LIST_RECORDS } from '@/api/entitySources';
+import { createPageUrl } from '@/utils';
+import { useSite } from '@/lib/SiteContext';
+import { usePortfolioList } from '@/hooks/use-portfolio';
+import { HEALTH_LEVELS, rankSitesByHealth, withSite } from '@/components/sites/siteDirectory';
+
+// Portfolio numbers refresh on their own; the live feeds only cover one site
+const REFRESH_INTERVAL = 60000;
+
+export default function PortfolioPage() {
+  const navigate = useNavigate();
+  const { sites, siteId: currentSiteId, isReady } = useSite();
+  const [searchQuery, setSearchQuery] = useState('');
+
+  const { data: sensors, isLoading, isPartial: sensorsPartial } = usePortfolioList('Sensor', { refetchInterval: REFRESH_INTERVAL });
+  const { data: alertRecords, isPartial: alertsPartial } = usePortfolioList('Alert', { refetchInterval: REFRESH_INTERVAL });
+  const { data: settingsRecords } = usePortfolioList('SiteSettings');
+  const isPartial = sensorsPartial || alertsPartial;
+
+  const ranked = useMemo(
+    () => rankSitesByHealth(sites, sensors, alertRecords, settingsRecords),
+    [sites, sensors, alertRecords, settingsRecords]
+  );
+
+  const visible = ranked.filter(({ site }) =>
+    `${site.name} ${site.address || ''} ${site.city || ''}`.toLowerCase().includes(searchQuery.toLowerCase())
+  );
+
+  const counts = ranked.reduce((acc, entry) => ({ ...acc, [entry.level]: (acc[entry.level] || 0) + 1 }), {});
+
+  const openSite = (siteId) => navigate(withSite(createPageUrl('Dashboard'), siteId));
+
+  return (
+    <div className="min-h-screen bg-slate-950 p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-white mb-2">Portfolio</h1>
+          <p className="text-slate-400">Every monitored site, least healthy first</p>
+          {isPartial && (
+            <p className="text-yellow-400 text-sm mt-2">
+              Too many records to load at once; health scores only cover the first {MAX_LIST_RECORDS.toLocaleString()} sensors and alerts.
+            </p>
+          )}
+        </div>
+
+        {/* Stats Cards */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-slate-800/60 rounded-xl p-4 border border-slate-700/50">
+            <p className="text-slate-400 text-sm mb-1">Sites</p>
+            <p className="text-2xl font-bold text-white">{sites.length}</p>
+          </div>
+          {['healthy', 'degraded', 'critical'].map(level => (
+            <div key={level} className="bg-slate-800/60 rounded-xl p-4 border border-slate-700/50">
+              <p className="text-slate-400 text-sm mb-1">{HEALTH_LEVELS[level].label}</p>
+              <p className={`text-2xl font-bold ${HEALTH_LEVELS[level].color}`}>{counts[level] || 0}</p>
+            </div>
+          ))}
+        </div>
+
+        {/* Search */}
+        <div className="bg-slate-800/60 rounded-xl p-4 border border-slate-700/50 mb-6">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
+            <input
+              placeholder="Search sites..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="w-full h-9 rounded-md border pl-10 pr-3 text-sm text-white placeholder:text-slate-400 bg-slate-700/50 border-slate-600 focus:outline-none focus:border-blue-500"
+            />
+          </div>
+        </div>
+
+        {/* Ranking */}
+        <div className="space-y-3">
+          {visible.map((entry, index) => {
+            const level = HEALTH_LEVELS[entry.level];
+            const isCurrent = entry.site.site_id === currentSiteId;
+            return (
+              <button
+                key={entry.site.site_id}
+                onClick={() => openSite(entry.site.site_id)}
+                className={`w-full text-left bg-slate-800/60 rounded-xl p-4 border transition-all hover:bg-slate-800/80 ${
+                  isCurrent ? 'border-blue-500/50' : 'border-slate-700/50 hover:border-slate-600'
+                }`}
+              >
+                <div className="flex items-center gap-4">
+                  <span className="w-8 text-slate-500 font-mono text-sm">#{index + 1}</span>
+
+                  <div className={`w-10 h-10 rounded-lg flex items-center justify-center ${level.bg}`}>
+                    <Building2 className={`w-5 h-5 ${level.color}`} />
+                  </div>
+
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <p className="text-white font-semibold truncate">{entry.site.name}</p>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${level.bg} ${level.color}`}>
+                        {level.label}
+                      </span>
+                    </div>
+                    <p className="text-slate-500 text-xs truncate">
+                      {[entry.site.address, entry.site.city].filter(Boolean).join(', ') || entry.site.site_id}
+                    </p>
+                  </div>
+
+                  <div className="hidden md:flex items-center gap-5 text-sm">
+                    <span className="text-slate-300" title="Sensors online">
+                      {entry.online}/{entry.sensors} online
+                    </span>
+                    <span className={`flex items-center gap-1 ${entry.critical ? 'text-red-400' : 'text-slate-600'}`} title="Critical alerts">
+                      <AlertTriangle className="w-4 h-4" />
+                      {entry.critical}
+                    </span>
+                    <span className={`flex items-center gap-1 ${entry.warning ? 'text-orange-400' : 'text-slate-600'}`} title="Warnings">
+                      <AlertTriangle className="w-4 h-4" />
+                      {entry.warning}
+                    </span>
+                    <span className={`flex items-center gap-1 ${entry.offline ? 'text-slate-300' : 'text-slate-600'}`} title="Sensors offline">
+                      <WifiOff className="w-4 h-4" />
+                      {entry.offline}
+                    </span>
+                    <span className={`flex items-center gap-1 ${entry.lowBattery ? 'text-yellow-400' : 'text-slate-600'}`} title="Low battery">
+                      <BatteryLow className="w-4 h-4" />
+                      {entry.lowBattery}
+                    </span>
+                  </div>
+
+                  <div className="w-28">
+                    <div className="flex items-center justify-between text-xs mb-1">
+                      <span className="text-slate-400">Health</span>
+                      <span className={`font-mono font-semibold ${level.color}`}>{entry.score ?? '—'}</span>
+                    </div>
+                    <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+                      <div className={`h-full rounded-full ${level.bar}`} style={{ width: `${entry.score ?? 0}%` }} />
+                    </div>
+                  </div>
+
+                  <ChevronRight className="w-5 h-5 text-slate-500" />
+                </div>
+              </button>
+            );
+          })}
+        </div>
+
+        {visible.length === 0 && isReady && !isLoading && (
+          <div className="text-center py-12">
+            <p className="text-slate-400">{sites.length === 0 ? 'No sites have been set up yet' : 'No sites match your search'}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,37 @@
-import React, { useState } from 'react';
-import { base44 } from '@/api/base44Client';
+import React, { useMemo, useState } from 'react';
+import { MAX_LIST_RECORDS, isListTruncated, siteEntitySource, siteQuery } from '@/api/entitySources';
+import { useSite } from '@/lib/SiteContext';
 import { useQuery } from '@tanstack/react-query';
-import { Search, Battery, MapPin, Calendar, Activity, Filter } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { createPageUrl } from '@/utils';
+import { Search, Battery, BatteryWarning, MapPin, Calendar, Activity, Filter, LayoutGrid, List, Wrench, Upload, Download, ChevronDown, Crosshair } from 'lucide-react';
 import { Input } from '@/components/ui/input';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import SensorActionModal from '@/components/sensors/SensorActionModal';
+import SensorTable from '@/components/sensors/SensorTable';
+import ImportWizard from '@/components/sensors/ImportWizard';
+import { EXPORT_FORMATS, exportRows, sheetBlob } from '@/components/sensors/fleetSheets';
+import { COMMAND_TYPES } from '@/components/sensors/sensorCommands';
+import { useBulkSensorCommands } from '@/hooks/use-sensor-commands';
+import { useSensorMaintenance } from '@/hooks/use-sensor-maintenance';
+import { useBatteryForecasts } from '@/hooks/use-battery-forecasts';
+import { downloadFile } from '@/lib/utils';
+import { toast } from 'sonner';
 import { format } from 'date-fns';
+import { useSettings } from '@/lib/SettingsContext';
+import { formatSensorReading } from '@/components/dashboard/units';
+import { getBatteryBarColor } from '@/components/settings/siteSettings';
+import { withSite } from '@/components/sites/siteDirectory';
+import { withFocus } from '@/components/dashboard/cameraFocus';
+import { withCommission } from '@/components/sensors/commissioning';
+import { FORECAST_STATUS, describeForecast } from '@/components/sensors/batteryForecast';
+import { buildSearchIndex, matchesQuery, parseQuery } from '@/components/search/globalSearch';
+
+// Cards and table share the filters and the selected sensor
+const VIEW_MODES = [
+  { id: 'cards', icon: LayoutGrid, label: 'Cards' },
+  { id: 'table', icon: List, label: 'Table' },
+];
 
 const getSensorIcon = (type) => {
   const icons = {
@@ -35,24 +61,47 @@ export default function SensorsPage() {
   const [filterType, setFilterType] = useState('all');
   const [selectedSensor, setSelectedSensor] = useState(null);
   const [selectedPanel, setSelectedPanel] = useState(null);
+  const [viewMode, setViewMode] = useState('cards');
+  const [selection, setSelection] = useState(() => new Set());
+  const [busyAction, setBusyAction] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const { settings } = useSettings();
+  const { site, siteId, isReady } = useSite();
+  const navigate = useNavigate();
 
   const { data: sensors = [], isLoading: sensorsLoading } = useQuery({
-    queryKey: ['sensors'],
-    queryFn: () => base44.entities.Sensor.list(),
+    queryKey: ['sensors', siteId],
+    queryFn: () => siteEntitySource('Sensor', siteId).list(),
+    enabled: isReady,
   });
+  // Set once the list has stopped at MAX_LIST_RECORDS
+  const sensorsPartial = sensors.length > 0 && isListTruncated('Sensor', siteQuery(siteId));
 
   const { data: panels = [], isLoading: panelsLoading } = useQuery({
-    queryKey: ['panels'],
-    queryFn: () => base44.entities.Panel.list(),
+    queryKey: ['panels', siteId],
+    queryFn: () => siteEntitySource('Panel', siteId).list(),
+    enabled: isReady,
   });
 
+  const panelsById = useMemo(() => new Map(panels.map(p => [p.panel_id, p])), [panels]);
+  const batteryForecasts = useBatteryForecasts(sensors);
+
   const getPanelForSensor = (panelId) => {
-    return panels.find(p => p.panel_id === panelId);
+    return panelsById.get(panelId);
   };
 
+  // The search box takes the command palette's filters too, e.g. battery<20 ping>1h
+  const searchMatches = useMemo(() => {
+    const parsed = parseQuery(searchQuery);
+    const now = Date.now();
+    return new Set(buildSearchIndex({ sensors, panels })
+      .filter(item => item.kind === 'sensor' && matchesQuery(item, parsed, now))
+      .map(item => item.id));
+  }, [sensors, panels, searchQuery]);
+
   const filteredSensors = sensors.filter(sensor => {
-    const matchesSearch = sensor.sensor_id.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         sensor.sensor_type.toLowerCase().includes(searchQuery.toLowerCase());
+    const matchesSearch = searchMatches.has(sensor.sensor_id);
     const matchesStatus = filterStatus === 'all' || sensor.status === filterStatus;
     const matchesType = filterType === 'all' || sensor.sensor_type === filterType;
     return matchesSearch && matchesStatus && matchesType;
@@ -63,6 +112,55 @@ export default function SensorsPage() {
     setSelectedPanel(getPanelForSensor(sensor.panel_id));
   };
 
+  // Open the dashboard with the camera on this sensor
+  const showInTwin = (sensor) => {
+    navigate(withFocus(withSite(createPageUrl('Dashboard'), siteId), { kind: 'sensor', id: sensor.sensor_id }));
+  };
+
+  // Commissioning happens against the twin on the dashboard
+  const commissionSensor = (sensor = null) => {
+    navigate(withCommission(withSite(createPageUrl('Dashboard'), siteId), sensor?.sensor_id));
+  };
+
+  const sendToAll = useBulkSensorCommands();
+  const setMaintenance = useSensorMaintenance();
+
+  // Exports use the import columns, so a sheet can be edited and imported back
+  const exportSheet = (kind, records, sheetFormat) => {
+    const { extension } = EXPORT_FORMATS[sheetFormat];
+    const name = kind === 'sensor' ? 'sensors' : 'panels';
+    const slug = (site?.name || 'site').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const blob = sheetBlob(exportRows(kind, records), sheetFormat, kind === 'sensor' ? 'Sensors' : 'Panels');
+    downloadFile(blob, `${slug}-${name}-${format(new Date(), 'yyyyMMdd-HHmm')}.${extension}`);
+    setExportMenuOpen(false);
+  };
+
+  // Bulk actions from the table; commands go through the same queue as the modal's
+  const runBulkAction = async (action, targets, options) => {
+    if (action === 'export') {
+      exportSheet('sensor', targets, options?.format || 'csv');
+      return;
+    }
+    setBusyAction(action);
+    try {
+      if (action === 'maintenance' || action === 'clear_maintenance') {
+        const marked = action === 'maintenance';
+        const { updated, failed } = await setMaintenance(targets, marked);
+        if (updated > 0) toast.success(`${marked ? 'Marked' : 'Cleared'} ${updated} sensor${updated === 1 ? '' : 's'}${marked ? ' for maintenance' : ''}`);
+        if (failed > 0) toast.error(`Could not update ${failed} sensor${failed === 1 ? '' : 's'}`);
+      } else {
+        const label = COMMAND_TYPES[action].label;
+        const { sent, failed } = await sendToAll(targets, action);
+        if (sent > 0) toast.success(`${label} queued for ${sent} sensor${sent === 1 ? '' : 's'}`);
+        if (failed > 0) toast.error(`Could not queue ${label.toLowerCase()} for ${failed} sensor${failed === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      toast.error(`Bulk action failed: ${error.message}`);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
   const handlePing = (sensor) => {
     // This would trigger the 3D visualization
     console.log('Pinging sensor:', sensor.sensor_id);
@@ -81,9 +179,78 @@ export default function SensorsPage() {
     <div className="min-h-screen bg-slate-950 p-6">
       <div className="max-w-7xl mx-auto">
         {/* Header */}
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-white mb-2">Sensor Management</h1>
-          <p className="text-slate-400">Monitor and manage all sensors across your home</p>
+        <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-white mb-2">Sensor Management</h1>
+            <p className="text-slate-400">Monitor and manage all sensors across {site ? site.name : 'your home'}</p>
+            {sensorsPartial && (
+              <p className="text-yellow-400 text-sm mt-2">
+                Only the first {MAX_LIST_RECORDS.toLocaleString()} sensors were loaded; counts, filters and sorting cover those alone.
+              </p>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => commissionSensor()}
+              disabled={!isReady}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-sm text-white font-medium disabled:opacity-50 transition-colors"
+            >
+              <Crosshair className="w-4 h-4" />
+              Commission
+            </button>
+            <button
+              onClick={() => setImportOpen(true)}
+              disabled={!isReady}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-800/60 border border-slate-700/50 text-sm text-slate-200 hover:text-white hover:bg-slate-700 disabled:opacity-50 transition-colors"
+            >
+              <Upload className="w-4 h-4" />
+              Import
+            </button>
+            <div className="relative">
+              <button
+                onClick={() => setExportMenuOpen(open => !open)}
+                disabled={!isReady}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-800/60 border border-slate-700/50 text-sm text-slate-200 hover:text-white hover:bg-slate-700 disabled:opacity-50 transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                Export
+                <ChevronDown className="w-4 h-4 text-slate-400" />
+              </button>
+              {exportMenuOpen && (
+                <>
+                  <div className="fixed inset-0 z-10" onClick={() => setExportMenuOpen(false)} />
+                  <div className="absolute right-0 mt-2 w-64 z-20 bg-slate-800 rounded-lg border border-slate-600/50 shadow-2xl p-1">
+                    <p className="px-3 pt-2 pb-1 text-xs text-slate-500">
+                      Sensors shown ({filteredSensors.length})
+                    </p>
+                    {Object.entries(EXPORT_FORMATS).map(([sheetFormat, config]) => (
+                      <button
+                        key={sheetFormat}
+                        onClick={() => exportSheet('sensor', filteredSensors, sheetFormat)}
+                        disabled={filteredSensors.length === 0}
+                        className="w-full text-left px-3 py-1.5 rounded-md text-sm text-slate-300 hover:text-white hover:bg-slate-700 disabled:opacity-50"
+                      >
+                        {config.label}
+                      </button>
+                    ))}
+                    <p className="px-3 pt-2 pb-1 text-xs text-slate-500 border-t border-slate-700/50 mt-1">
+                      All panels ({panels.length})
+                    </p>
+                    {Object.entries(EXPORT_FORMATS).map(([sheetFormat, config]) => (
+                      <button
+                        key={sheetFormat}
+                        onClick={() => exportSheet('panel', panels, sheetFormat)}
+                        disabled={panels.length === 0}
+                        className="w-full text-left px-3 py-1.5 rounded-md text-sm text-slate-300 hover:text-white hover:bg-slate-700 disabled:opacity-50"
+                      >
+                        {config.label}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
         </div>
 
         {/* Stats Cards */}
@@ -116,7 +283,7 @@ export default function SensorsPage() {
             <div className="flex-1 relative">
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
               <Input
-                placeholder="Search sensors..."
+                placeholder="Search sensors, e.g. stress battery<20"
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
                 className="pl-10 bg-slate-700/50 border-slate-600"
@@ -153,89 +320,143 @@ export default function SensorsPage() {
           </div>
         </div>
 
+        {/* View mode */}
+        <div className="flex justify-end mb-4">
+          <div className="flex gap-1 p-1 bg-slate-800/60 rounded-lg border border-slate-700/50">
+            {VIEW_MODES.map((mode) => {
+              const Icon = mode.icon;
+              return (
+                <button
+                  key={mode.id}
+                  onClick={() => setViewMode(mode.id)}
+                  className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium transition-all ${
+                    viewMode === mode.id ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {mode.label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Sensors Table */}
+        {viewMode === 'table' && (
+          <SensorTable
+            sensors={filteredSensors}
+            panelsById={panelsById}
+            units={settings.units}
+            battery={settings.battery}
+            selection={selection}
+            onSelectionChange={setSelection}
+            onOpen={handleSensorClick}
+            onAction={runBulkAction}
+            busyAction={busyAction}
+            isPartial={sensorsPartial}
+          />
+        )}
+
         {/* Sensors Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-          {filteredSensors.map((sensor) => {
-            const status = getStatusConfig(sensor.status);
-            const panel = getPanelForSensor(sensor.panel_id);
-            
-            return (
-              <button
-                key={sensor.id}
-                onClick={() => handleSensorClick(sensor)}
-                className="bg-slate-800/60 hover:bg-slate-800 rounded-xl p-5 border border-slate-700/50 hover:border-blue-500/50 transition-all text-left"
-              >
-                {/* Header */}
-                <div className="flex items-start justify-between mb-4">
-                  <div className="flex items-center gap-3">
-                    <span className="text-3xl">{getSensorIcon(sensor.sensor_type)}</span>
-                    <div>
-                      <p className="text-white font-semibold">{sensor.sensor_id}</p>
-                      <p className="text-slate-400 text-sm capitalize">{sensor.sensor_type.replace('_', ' ')}</p>
+        {viewMode === 'cards' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {filteredSensors.map((sensor) => {
+              const status = getStatusConfig(sensor.status);
+              const panel = getPanelForSensor(sensor.panel_id);
+              const forecast = batteryForecasts.get(sensor.sensor_id);
+              
+              return (
+                <button
+                  key={sensor.id}
+                  onClick={() => handleSensorClick(sensor)}
+                  className="bg-slate-800/60 hover:bg-slate-800 rounded-xl p-5 border border-slate-700/50 hover:border-blue-500/50 transition-all text-left"
+                >
+                  {/* Header */}
+                  <div className="flex items-start justify-between mb-4">
+                    <div className="flex items-center gap-3">
+                      <span className="text-3xl">{getSensorIcon(sensor.sensor_type)}</span>
+                      <div>
+                        <p className="text-white font-semibold flex items-center gap-1.5">
+                          {sensor.sensor_id}
+                          {sensor.maintenance && (
+                            <span title="Marked for maintenance">
+                              <Wrench className="w-3.5 h-3.5 text-amber-400" />
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-slate-400 text-sm capitalize">{sensor.sensor_type.replace('_', ' ')}</p>
+                      </div>
+                    </div>
+                    <div className={`flex items-center gap-2 px-3 py-1 rounded-full ${status.bg}`}>
+                      <div className={`w-2 h-2 rounded-full ${status.dot} animate-pulse`} />
+                      <span className={`text-xs font-semibold ${status.color} uppercase`}>
+                        {sensor.status}
+                      </span>
                     </div>
                   </div>
-                  <div className={`flex items-center gap-2 px-3 py-1 rounded-full ${status.bg}`}>
-                    <div className={`w-2 h-2 rounded-full ${status.dot} animate-pulse`} />
-                    <span className={`text-xs font-semibold ${status.color} uppercase`}>
-                      {sensor.status}
-                    </span>
-                  </div>
-                </div>
-
-                {/* Reading */}
-                <div className="bg-slate-700/30 rounded-lg p-3 mb-3">
-                  <p className="text-slate-400 text-xs mb-1">Current Reading</p>
-                  <p className={`text-xl font-bold ${status.color}`}>
-                    {sensor.last_reading} {sensor.reading_unit}
-                  </p>
-                </div>
-
-                {/* Details Grid */}
-                <div className="space-y-2">
-                  <div className="flex items-center justify-between text-sm">
-                    <span className="text-slate-400 flex items-center gap-2">
-                      <MapPin className="w-3.5 h-3.5" />
-                      Location
-                    </span>
-                    <span className="text-white font-medium">{panel?.panel_name || 'Unknown'}</span>
+
+                  {/* Reading */}
+                  <div className="bg-slate-700/30 rounded-lg p-3 mb-3">
+                    <p className="text-slate-400 text-xs mb-1">Current Reading</p>
+                    <p className={`text-xl font-bold ${status.color}`}>
+                      {formatSensorReading(sensor, settings.units)}
+                    </p>
                   </div>
-                  
-                  <div className="flex items-center justify-between text-sm">
-                    <span className="text-slate-400 flex items-center gap-2">
-                      <Battery className="w-3.5 h-3.5" />
-                      Battery
-                    </span>
-                    <div className="flex items-center gap-2">
-                      <div className="w-16 h-2 bg-slate-700 rounded-full overflow-hidden">
-                        <div
-                          className={`h-full rounded-full ${
-                            sensor.battery_level > 70 ? 'bg-green-500' :
-                            sensor.battery_level > 30 ? 'bg-yellow-500' : 'bg-red-500'
-                          }`}
-                          style={{ width: `${sensor.battery_level}%` }}
-                        />
+
+                  {/* Details Grid */}
+                  <div className="space-y-2">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="text-slate-400 flex items-center gap-2">
+                        <MapPin className="w-3.5 h-3.5" />
+                        Location
+                      </span>
+                      <span className="text-white font-medium">{panel?.panel_name || 'Unknown'}</span>
+                    </div>
+                    
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="text-slate-400 flex items-center gap-2">
+                        <Battery className="w-3.5 h-3.5" />
+                        Battery
+                      </span>
+                      <div className="flex items-center gap-2">
+                        <div className="w-16 h-2 bg-slate-700 rounded-full overflow-hidden">
+                          <div
+                            className={`h-full rounded-full ${getBatteryBarColor(sensor.battery_level, settings.battery)}`}
+                            style={{ width: `${sensor.battery_level}%` }}
+                          />
+                        </div>
+                        <span className="text-white font-medium text-xs">{sensor.battery_level}%</span>
                       </div>
-                      <span className="text-white font-medium text-xs">{sensor.battery_level}%</span>
                     </div>
-                  </div>
 
-                  <div className="flex items-center justify-between text-sm">
-                    <span className="text-slate-400 flex items-center gap-2">
-                      <Activity className="w-3.5 h-3.5" />
-                      Last Ping
-                    </span>
-                    <span className="text-white font-medium">
-                      {sensor.last_ping ? format(new Date(sensor.last_ping), 'HH:mm:ss') : 'N/A'}
-                    </span>
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="text-slate-400 flex items-center gap-2">
+                        <BatteryWarning className="w-3.5 h-3.5" />
+                        Forecast
+                      </span>
+                      <span className={`font-medium text-xs ${FORECAST_STATUS[forecast.status].color}`}>
+                        {describeForecast(forecast)}
+                      </span>
+                    </div>
+
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="text-slate-400 flex items-center gap-2">
+                        <Activity className="w-3.5 h-3.5" />
+                        Last Ping
+                      </span>
+                      <span className="text-white font-medium">
+                        {sensor.last_ping ? format(new Date(sensor.last_ping), 'HH:mm:ss') : 'N/A'}
+                      </span>
+                    </div>
                   </div>
-                </div>
-              </button>
-            );
-          })}
-        </div>
+                </button>
+              );
+            })}
+          </div>
+        )}
 
         {/* Empty State */}
-        {filteredSensors.length === 0 && !sensorsLoading && (
+        {filteredSensors.length === 0 && isReady && !sensorsLoading && (
           <div className="text-center py-12">
             <p className="text-slate-400 text-lg">No sensors found matching your filters</p>
           </div>
@@ -245,13 +466,22 @@ export default function SensorsPage() {
       {/* Sensor Action Modal */}
       {selectedSensor && (
         <SensorActionModal
-          sensor={selectedSensor}
+          sensor={sensors.find(s => s.id === selectedSensor.id) || selectedSensor}
           panel={selectedPanel}
           onClose={() => {
             setSelectedSensor(null);
             setSelectedPanel(null);
           }}
           onPing={handlePing}
+          onLocate={showInTwin}
+          onMove={commissionSensor}
+        />
+      )}
+
+      {importOpen && (
+        <ImportWizard
+          panels={panels}
+          onClose={() => setImportOpen(false)}
         />
       )}
     </div>
@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import { Gauge, Ruler, Timer, Battery, Bell, Save, RotateCcw, Lock } from 'lucide-react';
+import { toast } from 'sonner';
+import { useAuth } from '@/lib/AuthContext';
+import { useSettings } from '@/lib/SettingsContext';
+import { DEFAULT_ALERT_RULES } from '@/components/dashboard/alertEngine';
+import { UNIT_OPTIONS, getDisplayUnit } from '@/components/dashboard/units';
+import {
+  DEFAULT_SETTINGS,
+  thresholdsToDisplay,
+  thresholdsFromDisplay,
+  validateSettings,
+} from '@/components/settings/siteSettings';
+
+const TYPE_LABELS = {
+  temperature: '🌡️ Temperature',
+  moisture: '💧 Moisture',
+  stress: '⚡ Structural load',
+  vibration: '〰️ Vibration',
+  air_quality: '🌫️ Air quality',
+  smoke: '🔥 Smoke',
+};
+
+const ALERT_PREFERENCES = [
+  { id: 'all', label: 'All alerts' },
+  { id: 'critical', label: 'Critical only' },
+  { id: 'none', label: 'None' },
+];
+
+const FEED_PREFERENCES = [
+  { id: 'status', label: 'Sensors going offline or coming back' },
+  { id: 'battery', label: 'Low battery' },
+  { id: 'actions', label: 'Reboots, pings and other actions' },
+];
+
+// The form holds thresholds in display units and raw input strings, plus the
+// canonical thresholds it started from so untouched values round-trip exactly
+const settingsToForm = (settings) => ({
+  ...settings,
+  baseThresholds: settings.thresholds,
+  thresholds: thresholdsToDisplay(settings.thresholds, settings.units),
+});
+
+const formToSettings = (form) => ({
+  thresholds: thresholdsFromDisplay(form.thresholds, form.units, form.baseThresholds),
+  units: form.units,
+  polling: {
+    pollInterval: parseFloat(form.polling.pollInterval),
+    reconcileInterval: parseFloat(form.polling.reconcileInterval),
+  },
+  battery: {
+    warning: parseFloat(form.battery.warning),
+    low: parseFloat(form.battery.low),
+  },
+  notifications: form.notifications,
+});
+
+const inputClass = 'w-full bg-slate-700/50 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:border-blue-500 disabled:opacity-60';
+
+function NumberField({ value, onChange, error, suffix, disabled, label = null }) {
+  return (
+    <div>
+      {label && <label className="block text-slate-400 text-xs mb-1">{label}</label>}
+      <div className="relative">
+        <input
+          type="number"
+          step="any"
+          value={value}
+          disabled={disabled}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${inputClass} ${suffix ? 'pr-12' : ''} ${error ? 'border-red-500' : ''}`}
+        />
+        {suffix && (
+          <span className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-500 text-xs">{suffix}</span>
+        )}
+      </div>
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+    </div>
+  );
+}
+
+function Section({ icon: Icon, title, description, children }) {
+  return (
+    <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700/50">
+      <div className="flex items-center gap-2 mb-1">
+        <Icon className="w-5 h-5 text-blue-400" />
+        <h2 className="text-lg font-semibold text-white">{title}</h2>
+      </div>
+      <p className="text-slate-400 text-sm mb-4">{description}</p>
+      {children}
+    </div>
+  );
+}
+
+export default function SettingsPage() {
+  const { user } = useAuth();
+  const { settings, saveSettings, isLoading } = useSettings();
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canEdit = user?.role === 'admin';
+  const current = form || settingsToForm(settings);
+  const errors = validateSettings(formToSettings(current));
+  const hasErrors = Object.keys(errors).length > 0;
+
+  const update = (section, key, value) =>
+    setForm({ ...current, [section]: { ...current[section], [key]: value } });
+
+  const updateThreshold = (type, field, value) =>
+    setForm({
+      ...current,
+      thresholds: { ...current.thresholds, [type]: { ...current.thresholds[type], [field]: value } },
+    });
+
+  // Re-express the thresholds being edited in the newly chosen unit
+  const changeUnit = (kind, unit) => {
+    const units = { ...current.units, [kind]: unit };
+    const canonical = thresholdsFromDisplay(current.thresholds, current.units, current.baseThresholds);
+    setForm({ ...current, units, thresholds: thresholdsToDisplay(canonical, units) });
+  };
+
+  const handleSave = async () => {
+    if (hasErrors) return;
+    setIsSaving(true);
+    try {
+      // Camera bookmarks are saved from the dashboard, not this form
+      await saveSettings({ ...formToSettings(current), camera: settings.camera });
+      setForm(null);
+      toast.success('Settings saved');
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      toast.error('Could not save settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-white mb-2">Site Settings</h1>
+            <p className="text-slate-400">Alert thresholds, units and monitoring preferences for this site</p>
+          </div>
+          {canEdit ? (
+            <div className="flex gap-2">
+              <button
+                onClick={() => setForm(settingsToForm(DEFAULT_SETTINGS))}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm transition-colors"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Reset to defaults
+              </button>
+              {form && (
+                <button
+                  onClick={() => setForm(null)}
+                  className="px-4 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm transition-colors"
+                >
+                  Discard
+                </button>
+              )}
+              <button
+                onClick={handleSave}
+                disabled={!form || hasErrors || isSaving}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 disabled:bg-slate-700 disabled:text-slate-500 text-white text-sm font-medium transition-colors"
+              >
+                <Save className="w-4 h-4" />
+                {isSaving ? 'Saving...' : 'Save changes'}
+              </button>
+            </div>
+          ) : (
+            <div className="flex items-center gap-2 text-slate-400 text-sm">
+              <Lock className="w-4 h-4" />
+              Only admins can change site settings
+            </div>
+          )}
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-20">
+            <div className="w-8 h-8 border-4 border-slate-700 border-t-blue-500 rounded-full animate-spin" />
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {/* Thresholds */}
+            <Section
+              icon={Gauge}
+              title="Alert thresholds"
+              description="Readings at or above a level raise an alert. An alert clears once the reading falls back below the level by the hysteresis margin."
+            >
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-slate-400 text-xs text-left">
+                      <th className="pb-2 pr-4 font-medium">Sensor type</th>
+                      <th className="pb-2 pr-4 font-medium">Warning</th>
+                      <th className="pb-2 pr-4 font-medium">Critical</th>
+                      <th className="pb-2 font-medium">Hysteresis</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.keys(DEFAULT_ALERT_RULES).map((type) => {
+                      const unit = getDisplayUnit(type, DEFAULT_ALERT_RULES[type].unit, current.units);
+                      return (
+                        <tr key={type} className="border-t border-slate-700/50 align-top">
+                          <td className="py-3 pr-4 text-white whitespace-nowrap">{TYPE_LABELS[type] || type}</td>
+                          {['warning', 'critical', 'hysteresis'].map(field => (
+                            <td key={field} className={`py-3 ${field === 'hysteresis' ? '' : 'pr-4'}`}>
+                              <NumberField
+                                value={current.thresholds[type][field]}
+                                suffix={unit}
+                                disabled={!canEdit}
+                                error={errors[`thresholds.${type}.${field}`]}
+                                onChange={(value) => updateThreshold(type, field, value)}
+                              />
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </Section>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {/* Units */}
+              <Section icon={Ruler} title="Display units" description="How readings, charts and alerts are shown.">
+                <div className="space-y-4">
+                  {[['temperature', 'Temperature'], ['force', 'Force']].map(([kind, label]) => (
+                    <div key={kind} className="flex items-center justify-between">
+                      <span className="text-slate-300 text-sm">{label}</span>
+                      <div className="flex gap-1 bg-slate-700/50 rounded-lg p-1">
+                        {UNIT_OPTIONS[kind].map(unit => (
+                          <button
+                            key={unit}
+                            disabled={!canEdit}
+                            onClick={() => changeUnit(kind, unit)}
+                            className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                              current.units[kind] === unit ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'
+                            }`}
+                          >
+                            {unit}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </Section>
+
+              {/* Polling */}
+              <Section
+                icon={Timer}
+                title="Polling"
+                description="How often sensor data is refreshed when live updates are unavailable, and how often everything is re-fetched in full."
+              >
+                <div className="grid grid-cols-2 gap-4">
+                  <NumberField
+                    label="Poll every"
+                    value={current.polling.pollInterval}
+                    suffix="s"
+                    disabled={!canEdit}
+                    error={errors['polling.pollInterval']}
+                    onChange={(value) => update('polling', 'pollInterval', value)}
+                  />
+                  <NumberField
+                    label="Full refresh every"
+                    value={current.polling.reconcileInterval}
+                    suffix="s"
+                    disabled={!canEdit}
+                    error={errors['polling.reconcileInterval']}
+                    onChange={(value) => update('polling', 'reconcileInterval', value)}
+                  />
+                </div>
+              </Section>
+
+              {/* Battery */}
+              <Section
+                icon={Battery}
+                title="Battery levels"
+                description="Batteries below the warning level show yellow; at or below the low level they show red and raise a notification."
+              >
+                <div className="grid grid-cols-2 gap-4">
+                  <NumberField
+                    label="Warning below"
+                    value={current.battery.warning}
+                    suffix="%"
+                    disabled={!canEdit}
+                    error={errors['battery.warning']}
+                    onChange={(value) => update('battery', 'warning', value)}
+                  />
+                  <NumberField
+                    label="Low at"
+                    value={current.battery.low}
+                    suffix="%"
+                    disabled={!canEdit}
+                    error={errors['battery.low']}
+                    onChange={(value) => update('battery', 'low', value)}
+                  />
+                </div>
+              </Section>
+
+              {/* Notifications */}
+              <Section icon={Bell} title="Notifications" description="What appears in the notification center.">
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <span className="text-slate-300 text-sm">Alerts</span>
+                    <select
+                      value={current.notifications.alerts}
+                      disabled={!canEdit}
+                      onChange={(e) => update('notifications', 'alerts', e.target.value)}
+                      className="bg-slate-700/50 border border-slate-600 rounded-lg px-3 py-1.5 text-white text-sm disabled:opacity-60"
+                    >
+                      {ALERT_PREFERENCES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                  </div>
+                  {FEED_PREFERENCES.map(p => (
+                    <label key={p.id} className="flex items-center gap-3 text-slate-300 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={current.notifications[p.id]}
+                        disabled={!canEdit}
+                        onChange={(e) => update('notifications', p.id, e.target.checked)}
+                        className="w-4 h-4 accent-blue-600"
+                      />
+                      {p.label}
+                    </label>
+                  ))}
+                </div>
+              </Section>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}